@@ -0,0 +1,75 @@
+/**
+ * Lectern Audit Log
+ *
+ * Reads the append-only audit_log table for admin-audit.html. Entries are
+ * written by the database, never the client: triggers on the audited tables
+ * and the sync and roster import RPCs record approvals, role and enrollment
+ * changes, deletions, syncs and discussion moderation as they happen, with the
+ * actor and time stamped server-side.
+ */
+
+import { supabase } from './supabase-client.js';
+import { fromRow } from './db-schema.js';
+
+/**
+ * Actions recorded in the audit log, with the label shown on admin-audit.html
+ */
+export const AUDIT_ACTIONS = {
+    'user.approve': 'Approve user',
+    'user.reject': 'Reject user',
+    'user.role_change': 'Change user role',
+    'user.delete': 'Delete user',
+    'enrollment.update': 'Change enrollments',
+    'roster.import': 'Import roster',
+    'invite.create': 'Create invite code',
+    'invite.revoke': 'Revoke invite code',
+    'module.delete': 'Delete module',
+    'module.sync': 'Sync template to module',
+    'week.delete': 'Delete week',
+    'post.hide': 'Hide post',
+    'post.unhide': 'Unhide post',
+    'post.pin': 'Pin post',
+    'post.unpin': 'Unpin post',
+    'question.lock': 'Lock discussion',
+    'question.unlock': 'Unlock discussion',
+    'flag.resolve': 'Resolve flags'
+};
+
+/**
+ * Read audit entries, newest first (admin function)
+ * @param {Object} [filters]
+ * @param {string} [filters.action]
+ * @param {string} [filters.actorId]
+ * @param {string} [filters.targetType]
+ * @param {string} [filters.targetId]
+ * @param {number} [filters.moduleId]
+ * @param {string} [filters.since] - ISO timestamp
+ * @param {string} [filters.until] - ISO timestamp
+ * @param {number} [filters.offset]
+ * @param {number} [filters.limit]
+ * @returns {Object} { success, entries, total } or { success: false, error }
+ */
+export async function getAuditLog(filters = {}) {
+    const { action, actorId, targetType, targetId, moduleId, since, until, offset = 0, limit = 50 } = filters;
+
+    let query = supabase
+        .from('audit_log')
+        .select('*', { count: 'exact' })
+        .order('created_at', { ascending: false })
+        .range(offset, offset + limit - 1);
+
+    if (action) query = query.eq('action', action);
+    if (actorId) query = query.eq('actor_id', actorId);
+    if (targetType) query = query.eq('target_type', targetType);
+    if (targetId) query = query.eq('target_id', String(targetId));
+    if (moduleId) query = query.eq('module_id', moduleId);
+    if (since) query = query.gte('created_at', since);
+    if (until) query = query.lt('created_at', until);
+
+    const { data, error, count } = await query;
+
+    if (error) {
+        return { success: false, error: error.message };
+    }
+    return { success: true, entries: data.map(row => fromRow('audit_log', row)), total: count || 0 };
+}
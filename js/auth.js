@@ -5,13 +5,25 @@
  * All pages should use these to ensure proper access control.
  */
 
-import { supabase } from './supabase-client.js'
+import { supabase, selectAllRows } from './supabase-client.js'
+import { offlineStore } from './offline-store.js'
 
 // Cache for current user to avoid repeated auth + profile queries
 let cachedUser = null;
 let cacheTimestamp = 0;
 const CACHE_DURATION = 30000; // 30 seconds
 
+/**
+ * Roles a user can hold within one module (enrollments.role).
+ * users.role = 'admin' is separate and grants access to every module.
+ */
+export const MODULE_ROLES = ['student', 'instructor', 'ta', 'auditor'];
+
+// Module roles that may edit content / moderate discussions (mirrors can_edit_module()
+// and can_moderate_module() in schema.sql, which enforce them)
+const MODULE_EDITOR_ROLES = ['instructor'];
+const MODULE_MODERATOR_ROLES = ['instructor', 'ta'];
+
 /**
  * Get the currently logged-in user with their profile data
  * Uses caching to avoid repeated queries within the same page session
@@ -70,12 +82,16 @@ export async function requireActiveUser() {
 
 /**
  * Require admin role to access the page
- * Redirects to login if not authenticated, index if not admin
+ * Redirects to login if not authenticated, index if not admin.
+ * With a moduleId, the module's instructors are let in too (for pages that edit one module).
+ * @param {number} [moduleId] - Module the page edits
  * @returns {Object|null} Admin user profile or null (with redirect)
  */
-export async function requireAdmin() {
+export async function requireAdmin(moduleId = null) {
     const user = await requireActiveUser();
-    if (user && user.role !== 'admin') {
+    if (!user) return null;
+
+    if (user.role !== 'admin' && !(moduleId && await canEditModule(user, moduleId))) {
         window.location.href = 'index.html';
         return null;
     }
@@ -99,14 +115,64 @@ export async function isEnrolled(userId, moduleId) {
 }
 
 /**
- * Check if user can access a module (admin or enrolled)
+ * Get a user's role in a module
+ * @param {string} userId - User ID
+ * @param {number} moduleId - Module ID
+ * @returns {string|null} One of MODULE_ROLES, or null if not enrolled
+ */
+export async function getModuleRole(userId, moduleId) {
+    const { data } = await supabase
+        .from('enrollments')
+        .select('role')
+        .eq('user_id', userId)
+        .eq('module_id', moduleId)
+        .maybeSingle();
+    return data?.role || null;
+}
+
+/**
+ * Check if user can access a module (admin, or enrolled in any role)
  * @param {Object} user - User profile
  * @param {number} moduleId - Module ID
  * @returns {boolean} True if user can access
  */
 export async function canAccessModule(user, moduleId) {
     if (user.role === 'admin') return true;
-    return await isEnrolled(user.id, moduleId);
+    return (await getModuleRole(user.id, moduleId)) !== null;
+}
+
+/**
+ * Check if user can edit a module's content (admin or the module's instructor)
+ * @param {Object} user - User profile
+ * @param {number} moduleId - Module ID
+ * @returns {boolean} True if user can edit
+ */
+export async function canEditModule(user, moduleId) {
+    if (user.role === 'admin') return true;
+    return MODULE_EDITOR_ROLES.includes(await getModuleRole(user.id, moduleId));
+}
+
+/**
+ * Check if user can moderate a module's discussions (admin, instructor or TA)
+ * @param {Object} user - User profile
+ * @param {number} moduleId - Module ID
+ * @returns {boolean} True if user can moderate
+ */
+export async function canModerateModule(user, moduleId) {
+    if (user.role === 'admin') return true;
+    return MODULE_MODERATOR_ROLES.includes(await getModuleRole(user.id, moduleId));
+}
+
+/**
+ * Check if user can post in a module's discussions (everyone enrolled except auditors)
+ * @param {Object} user - User profile
+ * @param {number} moduleId - Module ID
+ * @returns {boolean} True if user can post
+ */
+export async function canParticipate(user, moduleId) {
+    if (user.role === 'admin') return true;
+    const role = await getModuleRole(user.id, moduleId);
+    return role !== null && role !== 'auditor';
 }
 
 /**
@@ -114,6 +180,7 @@ export async function canAccessModule(user, moduleId) {
  */
 export async function logout() {
     clearUserCache();
+    await offlineStore.clear();
     await supabase.auth.signOut();
     window.location.href = 'login.html';
 }
@@ -124,15 +191,16 @@ export async function logout() {
  * @param {string} email
  * @param {string} password
  * @param {string} name
+ * @param {string} [inviteCode] - Module invite code; a valid one enrolls and approves the account
  * @returns {Object} Result with success/error
  */
-export async function signUp(email, password, name) {
-    // Create auth user with name in metadata (trigger reads this)
+export async function signUp(email, password, name, inviteCode = '') {
+    // Create auth user with name and invite code in metadata (trigger reads these)
     const { data: authData, error: authError } = await supabase.auth.signUp({
         email,
         password,
         options: {
-            data: { name }
+            data: { name, invite_code: inviteCode.trim() }
         }
     });
 
@@ -263,42 +331,283 @@ export async function getUserEnrollments(userId) {
     return data.map(e => e.module_id);
 }
 
+/**
+ * Get a user's role in each module they're enrolled in
+ * @param {string} userId
+ * @returns {Object} Map of module ID to role
+ */
+export async function getUserModuleRoles(userId) {
+    const { data, error } = await supabase
+        .from('enrollments')
+        .select('module_id, role')
+        .eq('user_id', userId);
+
+    if (error) {
+        console.error('Error fetching enrollments:', error);
+        return {};
+    }
+    return Object.fromEntries(data.map(e => [e.module_id, e.role]));
+}
+
 /**
  * Set enrollments for a user (replaces existing)
+ * Only the differences are written: new modules are inserted, dropped modules
+ * deleted and changed roles updated, so untouched enrollments keep their
+ * enrolled_at date.
  * @param {string} userId
  * @param {Array} moduleIds - Array of module IDs to enroll in
+ * @param {Object} [roles] - Map of module ID to role; modules not listed enroll as 'student'
  * @returns {Object} Result
  */
-export async function setUserEnrollments(userId, moduleIds) {
-    // Delete existing enrollments
-    const { error: deleteError } = await supabase
+export async function setUserEnrollments(userId, moduleIds, roles = {}) {
+    const { data: existing, error: fetchError } = await supabase
         .from('enrollments')
-        .delete()
+        .select('module_id, role')
         .eq('user_id', userId);
 
-    if (deleteError) {
-        return { success: false, error: deleteError.message };
+    if (fetchError) {
+        return { success: false, error: fetchError.message };
+    }
+
+    const current = new Map(existing.map(e => [e.module_id, e.role]));
+    const wanted = new Map(moduleIds.map(moduleId => [moduleId, roles[moduleId] || 'student']));
+
+    const removed = [...current.keys()].filter(moduleId => !wanted.has(moduleId));
+    const added = [...wanted.keys()].filter(moduleId => !current.has(moduleId));
+    const changed = [...wanted.keys()].filter(moduleId => current.has(moduleId) && current.get(moduleId) !== wanted.get(moduleId));
+
+    if (removed.length > 0) {
+        const { error } = await supabase
+            .from('enrollments')
+            .delete()
+            .eq('user_id', userId)
+            .in('module_id', removed);
+
+        if (error) {
+            return { success: false, error: error.message };
+        }
     }
 
-    // Insert new enrollments
-    if (moduleIds.length > 0) {
-        const enrollments = moduleIds.map(moduleId => ({
-            user_id: userId,
-            module_id: moduleId
-        }));
+    if (added.length > 0) {
+        const { error } = await supabase
+            .from('enrollments')
+            .insert(added.map(moduleId => ({
+                user_id: userId,
+                module_id: moduleId,
+                role: wanted.get(moduleId)
+            })));
+
+        if (error) {
+            return { success: false, error: error.message };
+        }
+    }
 
-        const { error: insertError } = await supabase
+    for (const moduleId of changed) {
+        const { error } = await supabase
             .from('enrollments')
-            .insert(enrollments);
+            .update({ role: wanted.get(moduleId) })
+            .eq('user_id', userId)
+            .eq('module_id', moduleId);
+
+        if (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    return { success: true, added: added.length, removed: removed.length, changed: changed.length };
+}
+
+/**
+ * Work out what importing a roster would change, without writing anything
+ * @param {Array} rows - [{ email, name, moduleId, role }]
+ * @param {Object} [options]
+ * @param {boolean} [options.removeMissing] - Also list students who would be unenrolled
+ * @returns {Object} { success, rows, removals } where each row gains an action:
+ *   'enroll' | 'update-role' | 'unchanged' | 'roster' (no account yet, or a pending one
+ *   whose email isn't confirmed), plus approve when a pending account would be approved
+ */
+export async function previewRosterImport(rows, { removeMissing = false } = {}) {
+    const moduleIds = [...new Set(rows.map(r => r.moduleId))];
+
+    let users, moduleEnrollments;
+    try {
+        [users, moduleEnrollments] = await Promise.all([
+            selectAllRows(() => supabase.from('users').select('id, email, name, status').order('id')),
+            selectAllRows(() => supabase.from('enrollments').select('id, user_id, module_id, role')
+                .in('module_id', moduleIds).order('id'))
+        ]);
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
 
-        if (insertError) {
-            return { success: false, error: insertError.message };
+    const usersByEmail = new Map(users.map(u => [u.email.toLowerCase(), u]));
+    const enrollmentKey = (userId, moduleId) => `${userId}:${moduleId}`;
+    const enrollments = new Map(moduleEnrollments.map(e => [enrollmentKey(e.user_id, e.module_id), e.role]));
+
+    // Pending accounts on the roster are only enrolled and approved once their email is confirmed
+    const pendingIds = [...new Set(rows
+        .map(row => usersByEmail.get(row.email.toLowerCase()))
+        .filter(user => user?.status === 'pending')
+        .map(user => user.id))];
+    let confirmedIds = new Set();
+    if (pendingIds.length > 0) {
+        const { data, error } = await supabase.rpc('get_confirmed_user_ids', { p_user_ids: pendingIds });
+        if (error) {
+            return { success: false, error: error.message };
+        }
+        confirmedIds = new Set(data);
+    }
+
+    const preview = rows.map(row => {
+        const user = usersByEmail.get(row.email.toLowerCase());
+        const role = row.role || 'student';
+        if (!user) {
+            return { ...row, role, action: 'roster', approve: false };
+        }
+        if (user.status === 'pending' && !confirmedIds.has(user.id)) {
+            return { ...row, role, user, action: 'roster', approve: false };
         }
+
+        const currentRole = enrollments.get(enrollmentKey(user.id, row.moduleId));
+        let action = 'unchanged';
+        if (!currentRole) action = 'enroll';
+        else if (currentRole !== role) action = 'update-role';
+
+        return { ...row, role, user, action, approve: user.status === 'pending' };
+    });
+
+    let removals = [];
+    if (removeMissing) {
+        const listed = new Set(rows.map(r => `${r.email.toLowerCase()}:${r.moduleId}`));
+        const usersById = new Map(users.map(u => [u.id, u]));
+        removals = moduleEnrollments
+            .filter(e => e.role === 'student')
+            .map(e => ({ user: usersById.get(e.user_id), moduleId: e.module_id }))
+            .filter(r => r.user && !listed.has(`${r.user.email.toLowerCase()}:${r.moduleId}`));
+    }
+
+    return { success: true, rows: preview, removals };
+}
+
+/**
+ * Import a roster (admin function)
+ * Existing accounts are enrolled (and approved once their email is confirmed); unknown
+ * emails are kept as roster entries and enrolled automatically when that person signs
+ * up and confirms the address.
+ * @param {Array} rows - [{ email, name, moduleId, role }]
+ * @param {Object} [options]
+ * @param {boolean} [options.removeMissing] - Unenroll students missing from each listed module's roster
+ * @returns {Object} Result with summary counts
+ */
+export async function importRoster(rows, { removeMissing = false } = {}) {
+    const { data, error } = await supabase.rpc('import_roster', {
+        p_rows: rows.map(r => ({ email: r.email, name: r.name || '', moduleId: r.moduleId, role: r.role || 'student' })),
+        p_remove_missing: removeMissing
+    });
+
+    if (error) {
+        return { success: false, error: error.message };
+    }
+    return { success: true, summary: data };
+}
+
+/**
+ * Get invite codes, newest first
+ * @param {number} [moduleId] - Limit to one module
+ * @returns {Array} List of invites
+ */
+export async function getModuleInvites(moduleId = null) {
+    let query = supabase
+        .from('module_invites')
+        .select('*')
+        .order('created_at', { ascending: false });
+
+    if (moduleId) {
+        query = query.eq('module_id', moduleId);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+        console.error('Error fetching invites:', error);
+        return [];
+    }
+    return data;
+}
+
+/**
+ * Create an invite code for a module (admins and the module's instructors)
+ * @param {number} moduleId
+ * @param {Object} [options]
+ * @param {string} [options.role] - 'student' or 'auditor'
+ * @param {number} [options.maxUses] - Leave empty for unlimited
+ * @param {string} [options.expiresAt] - ISO date; leave empty to never expire
+ * @returns {Object} Result with the new invite
+ */
+export async function createModuleInvite(moduleId, { role = 'student', maxUses = null, expiresAt = null } = {}) {
+    const user = await getCurrentUser();
+
+    const { data, error } = await supabase
+        .from('module_invites')
+        .insert({
+            module_id: moduleId,
+            role,
+            max_uses: maxUses || null,
+            expires_at: expiresAt || null,
+            created_by: user?.id || null
+        })
+        .select()
+        .single();
+
+    if (error) {
+        return { success: false, error: error.message };
     }
+    return { success: true, invite: data };
+}
+
+/**
+ * Revoke an invite code so it can no longer be redeemed
+ * @param {number} inviteId
+ * @returns {Object} Result
+ */
+export async function revokeModuleInvite(inviteId) {
+    const { error } = await supabase
+        .from('module_invites')
+        .update({ revoked_at: new Date().toISOString() })
+        .eq('id', inviteId);
 
+    if (error) {
+        return { success: false, error: error.message };
+    }
     return { success: true };
 }
 
+/**
+ * Redeem an invite code for the signed-in user
+ * Enrolls them in the invite's module and approves a pending account.
+ * @param {string} code
+ * @returns {Object} Result with the module ID
+ */
+export async function redeemInviteCode(code) {
+    const { data, error } = await supabase.rpc('redeem_invite_code', { p_code: code.trim() });
+
+    if (error) {
+        return { success: false, error: error.message };
+    }
+
+    clearUserCache();
+    return { success: true, moduleId: data };
+}
+
+/**
+ * Build the signup link for an invite code
+ * @param {string} code
+ * @returns {string} Absolute URL
+ */
+export function getInviteLink(code) {
+    return new URL(`signup.html?invite=${encodeURIComponent(code)}`, window.location.href).href;
+}
+
 /**
  * Render user header component
  * Shows logged-in user name, admin link if applicable, and logout button
@@ -313,6 +622,7 @@ export function renderUserHeader(user, container) {
             <strong>${user.name || user.email}</strong>
             ${isAdmin ? '<span class="admin-badge">Admin</span>' : ''}
         </span>
+        <a href="notifications.html" class="btn-f olive" style="padding: 0.5rem 1rem; font-size: 0.85rem;">Notifications</a>
         ${isAdmin ? '<a href="admin-users.html" class="btn-f olive" style="padding: 0.5rem 1rem; font-size: 0.85rem;">Manage Users</a>' : ''}
         <button onclick="window.logoutUser()" class="btn-f olive" style="padding: 0.5rem 1rem; font-size: 0.85rem;">Logout</button>
     `;
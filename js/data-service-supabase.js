@@ -6,7 +6,11 @@
  * All methods are async and return Promises.
  */
 
-import { supabase, getCurrentUserId, isAdmin } from './supabase-client.js'
+import { supabase, getCurrentUserId, isAdmin, selectAllRows } from './supabase-client.js'
+import { offlineStore } from './offline-store.js'
+import { errorHandler } from './error-handler.js'
+import { fromRow, toRow } from './db-schema.js'
+import { serviceMetrics } from './service-metrics.js'
 
 // Retry configuration
 const RETRY_CONFIG = {
@@ -33,6 +37,364 @@ function isRetryableError(error) {
     )
 }
 
+/**
+ * Check whether the browser currently reports a network connection
+ */
+function isOnline() {
+    return typeof navigator === 'undefined' || navigator.onLine !== false
+}
+
+/**
+ * Check if an error means the request never reached Supabase (offline or dropped connection)
+ * These are the failures the offline queue can recover from; anything else is a real rejection.
+ */
+function isNetworkError(error) {
+    if (!error) return false
+    if (!isOnline()) return true
+    const message = (error.message || String(error)).toLowerCase()
+    return error.code === 'NETWORK_ERROR' ||
+        message.includes('failed to fetch') ||
+        message.includes('networkerror') ||
+        message.includes('network request failed') ||
+        message.includes('load failed')
+}
+
+/**
+ * Rethrow Supabase result errors that were caused by connectivity,
+ * so runOrQueue() can queue the mutation instead of reporting "not found"
+ */
+function throwIfNetworkError(error) {
+    if (isNetworkError(error)) throw error
+}
+
+// Queued mutation name -> method that performs the write against Supabase
+const MUTATION_WRITERS = {
+    savePagePosition: 'writePagePosition',
+    completeWeek: 'writeWeekCompletion',
+    addDiscussionPost: 'insertDiscussionPost',
+    addReply: 'insertReply'
+}
+
+/**
+ * Id of the signed-in user from the stored session. Unlike getCurrentUserId()
+ * this doesn't reach Supabase, so it still answers while offline.
+ */
+async function sessionUserId() {
+    const { data: { session } } = await supabase.auth.getSession()
+    return session?.user?.id ?? null
+}
+
+// Sequence for temp ids handed out to queued posts/replies
+let tempIdSequence = 0
+
+/**
+ * Temp id for a queued post or reply.
+ * Negative so it stays numeric in onclick handlers and can't collide with a real id.
+ */
+function nextTempId() {
+    tempIdSequence = (tempIdSequence + 1) % 1000
+    return -(Date.now() * 1000 + tempIdSequence)
+}
+
+// Human-readable labels for conflict toasts
+const MUTATION_LABELS = {
+    savePagePosition: 'Your reading position',
+    completeWeek: 'Your week completion',
+    addDiscussionPost: 'Your discussion post',
+    addReply: 'Your reply'
+}
+
+/**
+ * Discussion and response methods take either a 0-based question index or a question key.
+ * Keys follow a question through reorders; indexes are kept for older callers.
+ */
+function isQuestionKey(questionId) {
+    return typeof questionId === 'string'
+}
+
+/**
+ * Count the words in rich-text post content (HTML tags and entities are not words)
+ */
+function countWords(html) {
+    const text = (html || '')
+        .replace(/<[^>]*>/g, ' ')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&[a-z#0-9]+;/gi, 'x')
+        .trim()
+    return text ? text.split(/\s+/).length : 0
+}
+
+// search_discussions() marks the matched words in snippets with these
+const SNIPPET_MATCH_START = '\u0002'
+const SNIPPET_MATCH_END = '\u0003'
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'", nbsp: ' ' }
+
+/**
+ * Turn a search snippet (post text with its tags stripped, but entities left in)
+ * into safe HTML, with the matched words in <mark>
+ */
+function highlightSnippet(snippet) {
+    const escape = text => text
+        .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (_, name) => HTML_ENTITIES[name])
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/\s+/g, ' ')
+
+    return (snippet || '')
+        .split(SNIPPET_MATCH_START)
+        .map((part, i) => {
+            if (i === 0) return escape(part)
+            const [match, rest = ''] = part.split(SNIPPET_MATCH_END)
+            return `<mark>${escape(match)}</mark>${escape(rest)}`
+        })
+        .join('')
+        .trim()
+}
+
+// Postgres error codes raised by the RPC functions -> data service error codes
+const RPC_ERROR_CODES = {
+    P0002: 'NOT_FOUND',
+    '22023': 'VALIDATION_ERROR',
+    '42501': 'PERMISSION_DENIED'
+}
+
+/**
+ * Map an RPC error to a data service error code
+ */
+function rpcErrorCode(error, fallback) {
+    return RPC_ERROR_CODES[error?.code] || fallback
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * Add days to a 'YYYY-MM-DD' date (UTC, so DST changes can't shift the day)
+ */
+function addDays(isoDate, days) {
+    return new Date(Date.parse(isoDate + 'T00:00:00Z') + days * DAY_MS).toISOString().split('T')[0]
+}
+
+function daysBetween(fromDate, toDate) {
+    return Math.round((Date.parse(toDate + 'T00:00:00Z') - Date.parse(fromDate + 'T00:00:00Z')) / DAY_MS)
+}
+
+/**
+ * Shift a module's week schedule to a new start date.
+ * Each week keeps its offset from week 1 in the original schedule; weeks without an
+ * unlock date fall one week after the week before them. Every break in skipWeeks
+ * ('YYYY-MM-DD', the first day of the break week) pushes the weeks that would unlock
+ * on or after it back by 7 days.
+ * @returns {Array} [{ weekId, title, originalDate, unlockDate }] in week order
+ */
+function computeUnlockSchedule(weeks, startDate, skipWeeks = []) {
+    const sorted = [...weeks].sort((a, b) => a.id - b.id)
+    const breaks = [...skipWeeks].filter(Boolean).sort()
+
+    // Original date of each week, filling gaps at weekly intervals from the nearest dated week
+    const firstDated = sorted.findIndex(w => w.unlockDate)
+    const originalDates = []
+    sorted.forEach((week, i) => {
+        if (week.unlockDate) {
+            originalDates[i] = week.unlockDate
+        } else if (i > 0) {
+            originalDates[i] = addDays(originalDates[i - 1], 7)
+        } else if (firstDated !== -1) {
+            originalDates[i] = addDays(sorted[firstDated].unlockDate, -7 * firstDated)
+        } else {
+            originalDates[i] = startDate
+        }
+    })
+
+    return sorted.map((week, i) => {
+        let unlockDate = addDays(startDate, daysBetween(originalDates[0], originalDates[i]))
+        for (const breakStart of breaks) {
+            if (unlockDate >= breakStart) {
+                unlockDate = addDays(unlockDate, 7)
+            }
+        }
+
+        return {
+            weekId: week.id,
+            title: week.title,
+            originalDate: week.unlockDate || null,
+            unlockDate
+        }
+    })
+}
+
+// Module fields copied from a template to its active modules on sync
+const SYNC_MODULE_FIELDS = ['title', 'description', 'instructor', 'duration', 'participation', 'timeExpectations']
+
+/**
+ * Compare one template week against the matching active week for previewSyncToActiveModule.
+ * Compares what sync_template_to_module would write; pages only in the active week are left alone by
+ * sync, so they are not reported.
+ */
+function diffSyncWeek(templateWeek, activeWeek, postCounts) {
+    const diff = {
+        weekId: templateWeek.id,
+        title: templateWeek.title,
+        status: activeWeek ? 'unchanged' : 'added',
+        fields: [],
+        pagesAdded: [],
+        pagesChanged: [],
+        questionsAdded: [],
+        questionsMoved: [],
+        questionsChanged: [],
+        resourcesAdded: [],
+        resourcesRemoved: [],
+        videosAdded: [],
+        videosRemoved: []
+    }
+
+    if (!activeWeek) {
+        diff.pagesAdded = templateWeek.pages.map((page, pageIndex) => ({ pageIndex, title: page.title }))
+        return diff
+    }
+
+    for (const field of ['title', 'description', 'unlockDate']) {
+        if ((templateWeek[field] ?? '') !== (activeWeek[field] ?? '')) {
+            diff.fields.push({ field, from: activeWeek[field] ?? '', to: templateWeek[field] ?? '' })
+        }
+    }
+
+    // Resources/videos are replaced wholesale on sync; report them by identity rather than id
+    const resourceKey = r => `${r.title}|${r.url || ''}|${r.description || ''}`
+    const videoKey = v => `${v.title}|${v.url || ''}`
+    const listDiff = (from = [], to = [], keyOf) => {
+        const fromKeys = new Set(from.map(keyOf))
+        const toKeys = new Set(to.map(keyOf))
+        return {
+            added: to.filter(item => !fromKeys.has(keyOf(item))),
+            removed: from.filter(item => !toKeys.has(keyOf(item)))
+        }
+    }
+
+    templateWeek.pages.forEach((templatePage, pageIndex) => {
+        const activePage = activeWeek.pages[pageIndex]
+        if (!activePage) {
+            diff.pagesAdded.push({ pageIndex, title: templatePage.title })
+            return
+        }
+
+        const changedFields = ['title', 'type', 'content'].filter(field =>
+            JSON.stringify(templatePage[field] ?? null) !== JSON.stringify(activePage[field] ?? null)
+        )
+        if (changedFields.length > 0) {
+            diff.pagesChanged.push({ pageIndex, title: templatePage.title, fields: changedFields })
+        }
+
+        const resources = listDiff(activePage.resources, templatePage.resources, resourceKey)
+        diff.resourcesAdded.push(...resources.added.map(r => ({ pageIndex, title: r.title, url: r.url })))
+        diff.resourcesRemoved.push(...resources.removed.map(r => ({ pageIndex, title: r.title, url: r.url })))
+
+        const videos = listDiff(activePage.videos, templatePage.videos, videoKey)
+        diff.videosAdded.push(...videos.added.map(v => ({ pageIndex, title: v.title, url: v.url })))
+        diff.videosRemoved.push(...videos.removed.map(v => ({ pageIndex, title: v.title, url: v.url })))
+
+        // Questions are matched by key, the same way sync_template_to_module matches them
+        const activeQuestions = activePage.questions || []
+        const templateQuestions = templatePage.questions || []
+        templateQuestions.forEach((templateQ, questionIndex) => {
+            const activeIndex = activeQuestions.findIndex(q => q.key === templateQ.key)
+            const activeQ = activeQuestions[activeIndex]
+            if (!activeQ) {
+                diff.questionsAdded.push({ pageIndex, questionIndex, text: templateQ.text })
+                return
+            }
+            if (activeIndex !== questionIndex) {
+                diff.questionsMoved.push({ pageIndex, from: activeIndex, to: questionIndex, text: templateQ.text })
+            }
+            if (activeQ.text !== templateQ.text) {
+                diff.questionsChanged.push({
+                    weekId: templateWeek.id,
+                    pageIndex,
+                    questionIndex,
+                    from: activeQ.text,
+                    to: templateQ.text,
+                    postCount: postCounts.get(activeQ.key) || 0
+                })
+            }
+        })
+    })
+
+    const hasChanges = ['fields', 'pagesAdded', 'pagesChanged', 'questionsAdded', 'questionsMoved', 'questionsChanged',
+        'resourcesAdded', 'resourcesRemoved', 'videosAdded', 'videosRemoved'].some(key => diff[key].length > 0)
+    if (hasChanges) diff.status = 'changed'
+
+    return diff
+}
+
+/**
+ * Format a discussion_posts row (with its users join) for the page.
+ * With readState ({ userId, lastSeenAt }), other people's posts since lastSeenAt are marked isNew.
+ */
+function formatDiscussionPost(p, readState = null) {
+    const user = p.users || {}
+    const isNew = Boolean(readState?.lastSeenAt) && p.user_id !== readState.userId &&
+        !p.is_deleted && new Date(p.created_at) > new Date(readState.lastSeenAt)
+    return {
+        id: p.id,
+        userId: p.user_id,
+        author: user.name || user.email || 'Anonymous',
+        content: p.content,
+        isAdmin: user.role === 'admin',
+        isDeleted: p.is_deleted || false,
+        isHidden: p.is_hidden || false,
+        hiddenReason: p.hidden_reason || null,
+        isPinned: Boolean(p.pinned_at),
+        pinnedAt: p.pinned_at || null,
+        createdAt: p.created_at,
+        editedAt: p.edited_at,
+        isNew,
+        replies: []
+    }
+}
+
+/**
+ * Assemble flat discussion_posts rows into the 3-level tree the pages render:
+ * post -> reply -> nested reply. Pinned parents first (most recently pinned on top),
+ * then the rest newest first; replies oldest first.
+ * readState is passed through to formatDiscussionPost to mark new posts.
+ */
+function buildDiscussionTree(rows, readState = null) {
+    const byCreated = (a, b) => new Date(a.created_at) - new Date(b.created_at)
+    const byPinnedThenNewest = (a, b) =>
+        (b.pinned_at ? new Date(b.pinned_at) : 0) - (a.pinned_at ? new Date(a.pinned_at) : 0) || byCreated(b, a)
+    const parentPosts = rows.filter(p => !p.parent_id)
+    const repliesMap = {}
+
+    // Group replies by parent_id
+    for (const post of rows) {
+        if (post.parent_id) {
+            if (!repliesMap[post.parent_id]) {
+                repliesMap[post.parent_id] = []
+            }
+            repliesMap[post.parent_id].push(post)
+        }
+    }
+
+    return parentPosts
+        .sort(byPinnedThenNewest)
+        .map(post => {
+            const formattedPost = formatDiscussionPost(post, readState)
+            const replies = (repliesMap[post.id] || []).sort(byCreated)
+
+            formattedPost.replies = replies.map(reply => {
+                const formattedReply = formatDiscussionPost(reply, readState)
+                // Get nested replies (replies to this reply)
+                const nestedReplies = (repliesMap[reply.id] || []).sort(byCreated)
+                formattedReply.replies = nestedReplies.map(nested => formatDiscussionPost(nested, readState))
+                return formattedReply
+            })
+
+            return formattedPost
+        })
+}
+
 /**
  * Execute a Supabase operation with retry logic
  */
@@ -40,11 +402,14 @@ async function withRetry(operation, context = 'operation') {
     let lastError = null
 
     for (let attempt = 0; attempt <= RETRY_CONFIG.maxRetries; attempt++) {
+        const start = performance.now()
         try {
             const result = await operation()
+            serviceMetrics.record(context, performance.now() - start, { kind: 'attempt', retry: attempt > 0 })
             return result
         } catch (error) {
             lastError = error
+            serviceMetrics.record(context, performance.now() - start, { kind: 'attempt', failed: true, retry: attempt > 0 })
 
             if (!isRetryableError(error) || attempt === RETRY_CONFIG.maxRetries) {
                 throw error
@@ -60,17 +425,17 @@ async function withRetry(operation, context = 'operation') {
 }
 
 /**
- * Log error to Supabase error_logs table
+ * Log error to Supabase error_logs table, through the error handler's queue so
+ * repeats are counted rather than each sent
  */
-async function logError(errorType, message, context = {}) {
+function logError(errorType, message, context = {}) {
     try {
-        const userId = await getCurrentUserId()
-        await supabase.from('error_logs').insert({
+        errorHandler.queueError({
             error_type: errorType,
             error_message: message,
+            stack_trace: null,
             page_url: typeof window !== 'undefined' ? window.location.href : null,
             user_agent: typeof navigator !== 'undefined' ? navigator.userAgent : null,
-            user_id: userId || null,
             additional_context: context
         })
     } catch (e) {
@@ -88,6 +453,27 @@ class DataServiceSupabase {
         if (savedView) {
             this.currentView = savedView
         }
+
+        // templateId -> idempotency key of a launch that hasn't completed yet
+        this.pendingLaunchKeys = new Map()
+
+        // Active realtime discussion channels, keyed by subscription id
+        this.discussionSubscriptions = new Map()
+        // user_id -> { name, email, role } for rows that arrive over realtime without the users join
+        this.authorCache = new Map()
+        // question record id -> last_seen_at as of the first look this page load, so posts
+        // stay marked new through re-renders and live updates after markQuestionRead
+        this.readBaselines = new Map()
+        // module id -> promise of the people who can be @mentioned there
+        this.mentionCandidates = new Map()
+
+        // Replay queued offline mutations on reconnect (and once at startup
+        // in case the previous session closed before it came back online)
+        this.isReplaying = false
+        if (typeof window !== 'undefined') {
+            window.addEventListener('online', () => this.replayMutations())
+            setTimeout(() => this.replayMutations(), 0)
+        }
     }
 
     // ==================== Operation Result Helpers ====================
@@ -128,6 +514,10 @@ class DataServiceSupabase {
     // ==================== Module Operations ====================
 
     async getModules() {
+        if (!isOnline()) {
+            return (await offlineStore.getCached('modules')) || []
+        }
+
         try {
             const { data, error } = await withRetry(async () => {
                 const result = await supabase
@@ -140,32 +530,26 @@ class DataServiceSupabase {
 
             if (error) {
                 logError('fetch_modules', error.message, { operation: 'getModules' })
-                return []
+                return (await offlineStore.getCached('modules')) || []
             }
 
             // Map to expected format
-            return data.map(m => ({
-                id: m.id,
-                title: m.title,
-                description: m.description,
-                instructor: m.instructor,
-                duration: m.duration,
-                participation: m.participation,
-                timeExpectations: m.time_expectations,
-                status: m.status,
-                templateId: m.template_id,
-                launchedAt: m.launched_at,
-                archivedAt: m.archived_at,
-                createdAt: m.created_at,
-                updatedAt: m.updated_at
-            }))
+            const modules = data.map(m => fromRow('modules', m))
+
+            offlineStore.setCached('modules', modules)
+            return modules
         } catch (err) {
             logError('fetch_modules', err.message, { operation: 'getModules' })
-            return []
+            return (await offlineStore.getCached('modules')) || []
         }
     }
 
     async getModulesByStatus(status) {
+        const cacheKey = `modules:status:${status}`
+        if (!isOnline()) {
+            return (await offlineStore.getCached(cacheKey)) || []
+        }
+
         // Filter at database level for better performance
         try {
             const { data, error } = await supabase
@@ -175,27 +559,16 @@ class DataServiceSupabase {
 
             if (error) {
                 logError('fetch_modules_by_status', error.message, { status })
-                return []
-            }
-
-            return data.map(m => ({
-                id: m.id,
-                title: m.title,
-                description: m.description,
-                instructor: m.instructor,
-                duration: m.duration,
-                participation: m.participation,
-                timeExpectations: m.time_expectations,
-                status: m.status,
-                templateId: m.template_id,
-                launchedAt: m.launched_at,
-                archivedAt: m.archived_at,
-                createdAt: m.created_at,
-                updatedAt: m.updated_at
-            }))
+                return (await offlineStore.getCached(cacheKey)) || []
+            }
+
+            const modules = data.map(m => fromRow('modules', m))
+
+            offlineStore.setCached(cacheKey, modules)
+            return modules
         } catch (err) {
             logError('fetch_modules_by_status', err.message, { status })
-            return []
+            return (await offlineStore.getCached(cacheKey)) || []
         }
     }
 
@@ -231,6 +604,11 @@ class DataServiceSupabase {
     }
 
     async getModule(moduleId) {
+        const cacheKey = `module:${moduleId}`
+        if (!isOnline()) {
+            return offlineStore.getCached(cacheKey)
+        }
+
         const { data, error } = await supabase
             .from('modules')
             .select('*')
@@ -238,40 +616,24 @@ class DataServiceSupabase {
             .single()
 
         if (error) {
+            if (isNetworkError(error)) {
+                return offlineStore.getCached(cacheKey)
+            }
             console.error('Error fetching module:', error)
             return null
         }
 
-        return {
-            id: data.id,
-            title: data.title,
-            description: data.description,
-            instructor: data.instructor,
-            duration: data.duration,
-            participation: data.participation,
-            timeExpectations: data.time_expectations,
-            status: data.status,
-            templateId: data.template_id,
-            launchedAt: data.launched_at,
-            archivedAt: data.archived_at,
-            createdAt: data.created_at,
-            updatedAt: data.updated_at
-        }
+        const module = fromRow('modules', data)
+
+        offlineStore.setCached(cacheKey, module)
+        return module
     }
 
     async createModule(moduleData) {
         try {
             const { data, error } = await supabase
                 .from('modules')
-                .insert({
-                    title: moduleData.title,
-                    description: moduleData.description || null,
-                    instructor: moduleData.instructor || null,
-                    duration: moduleData.duration || null,
-                    participation: moduleData.participation || null,
-                    time_expectations: moduleData.timeExpectations || null,
-                    status: moduleData.status || 'draft'
-                })
+                .insert(toRow('modules', moduleData))
                 .select()
                 .single()
 
@@ -279,18 +641,7 @@ class DataServiceSupabase {
                 return this.error('Failed to create module: ' + error.message, 'CREATE_ERROR')
             }
 
-            return this.success({
-                id: data.id,
-                title: data.title,
-                description: data.description,
-                instructor: data.instructor,
-                duration: data.duration,
-                participation: data.participation,
-                timeExpectations: data.time_expectations,
-                status: data.status,
-                createdAt: data.created_at,
-                updatedAt: data.updated_at
-            }, 'Module created successfully')
+            return this.success(fromRow('modules', data), 'Module created successfully')
         } catch (err) {
             return this.error('Failed to create module: ' + err.message, 'CREATE_ERROR')
         }
@@ -298,19 +649,9 @@ class DataServiceSupabase {
 
     async updateModule(moduleId, updates) {
         try {
-            const dbUpdates = {}
-            if (updates.title !== undefined) dbUpdates.title = updates.title
-            if (updates.description !== undefined) dbUpdates.description = updates.description
-            if (updates.instructor !== undefined) dbUpdates.instructor = updates.instructor
-            if (updates.duration !== undefined) dbUpdates.duration = updates.duration
-            if (updates.participation !== undefined) dbUpdates.participation = updates.participation
-            if (updates.timeExpectations !== undefined) dbUpdates.time_expectations = updates.timeExpectations
-            if (updates.status !== undefined) dbUpdates.status = updates.status
-            if (updates.archivedAt !== undefined) dbUpdates.archived_at = updates.archivedAt
-
             const { data, error } = await supabase
                 .from('modules')
-                .update(dbUpdates)
+                .update(toRow('modules', updates))
                 .eq('id', moduleId)
                 .select()
                 .single()
@@ -319,13 +660,7 @@ class DataServiceSupabase {
                 return this.error('Failed to update module: ' + error.message, 'UPDATE_ERROR')
             }
 
-            return this.success({
-                id: data.id,
-                title: data.title,
-                description: data.description,
-                status: data.status,
-                updatedAt: data.updated_at
-            }, 'Module updated successfully')
+            return this.success(fromRow('modules', data), 'Module updated successfully')
         } catch (err) {
             return this.error('Failed to update module: ' + err.message, 'UPDATE_ERROR')
         }
@@ -348,58 +683,42 @@ class DataServiceSupabase {
         }
     }
 
-    async launchModule(templateId) {
-        try {
-            const template = await this.getModule(templateId)
-            if (!template) {
-                return this.error('Template module not found', 'NOT_FOUND')
-            }
-
-            // Get template weeks
-            const templateWeeks = await this.getWeeks(templateId)
-
-            // Check all weeks have unlock dates
-            const missingUnlockDates = templateWeeks.filter(w => !w.unlockDate)
-            if (missingUnlockDates.length > 0) {
-                return this.error('All weeks must have unlock dates before launching', 'VALIDATION_ERROR')
-            }
+    /**
+     * Launch a template as a new active module.
+     * Runs server-side in one transaction (launch_module RPC), so a failure leaves nothing behind.
+     * The launch key is reused while a launch of this template is outstanding, so a double click
+     * or a retry after a dropped response returns the same module instead of a second cohort.
+     * @param {Object} options
+     * @param {string} options.startDate - 'YYYY-MM-DD'; shift the template's unlock dates to start here
+     *   (see computeUnlockSchedule). Without it every week must already have an unlock date.
+     * @param {string[]} options.skipWeeks - 'YYYY-MM-DD' start dates of break weeks, used with startDate
+     */
+    async launchModule(templateId, options = {}) {
+        const { startDate = null, skipWeeks = [] } = options
 
-            // Create new launched module
-            const { data: newModule, error: moduleError } = await supabase
-                .from('modules')
-                .insert({
-                    title: template.title,
-                    description: template.description,
-                    instructor: template.instructor,
-                    duration: template.duration,
-                    participation: template.participation,
-                    time_expectations: template.timeExpectations,
-                    status: 'launched',
-                    template_id: templateId,
-                    launched_at: new Date().toISOString()
-                })
-                .select()
-                .single()
+        if (!this.pendingLaunchKeys.has(templateId)) {
+            this.pendingLaunchKeys.set(templateId, crypto.randomUUID())
+        }
+        const launchKey = this.pendingLaunchKeys.get(templateId)
 
-            if (moduleError) {
-                return this.error('Failed to launch module: ' + moduleError.message, 'LAUNCH_ERROR')
+        try {
+            let unlockDates = null
+            if (startDate) {
+                const schedule = computeUnlockSchedule(await this.getWeeks(templateId), startDate, skipWeeks)
+                unlockDates = Object.fromEntries(schedule.map(w => [w.weekId, w.unlockDate]))
             }
 
-            // Copy weeks to new module
-            for (const templateWeek of templateWeeks) {
-                await this.createWeek(newModule.id, {
-                    title: templateWeek.title,
-                    description: templateWeek.description,
-                    unlockDate: templateWeek.unlockDate,
-                    pages: templateWeek.pages
+            const { data: newModule } = await withRetry(async () => {
+                const result = await supabase.rpc('launch_module', {
+                    p_source_module_id: templateId,
+                    p_launch_key: launchKey,
+                    p_unlock_dates: unlockDates
                 })
-            }
+                if (result.error) throw result.error
+                return result
+            }, 'launchModule')
 
-            // Copy zoom info
-            const zoomInfo = await this.getZoomInfo(templateId)
-            if (zoomInfo && (zoomInfo.url || zoomInfo.meetingId)) {
-                await this.updateZoomInfo(newModule.id, zoomInfo)
-            }
+            this.pendingLaunchKeys.delete(templateId)
 
             return this.success({
                 id: newModule.id,
@@ -409,8 +728,47 @@ class DataServiceSupabase {
                 launchedAt: newModule.launched_at
             }, 'Module launched successfully')
         } catch (err) {
-            return this.error('Failed to launch module: ' + err.message, 'LAUNCH_ERROR')
+            // Keep the key after a network failure - the launch may have committed
+            if (!isNetworkError(err)) {
+                this.pendingLaunchKeys.delete(templateId)
+            }
+            return this.error('Failed to launch module: ' + err.message, rpcErrorCode(err, 'LAUNCH_ERROR'))
+        }
+    }
+
+    /**
+     * Start a new cohort from an archived module: copies its content (not discussions or progress)
+     * into a new active module linked to the same template, with unlock dates shifted to startDate.
+     * @param {Object} options - { startDate, skipWeeks } as for launchModule
+     */
+    async cloneArchivedModule(archivedModuleId, options = {}) {
+        const source = await this.getModule(archivedModuleId)
+        if (!source) {
+            return this.error('Archived module not found', 'NOT_FOUND')
+        }
+
+        if (source.status !== 'archived') {
+            return this.error('Only archived modules can be cloned', 'INVALID_STATUS')
+        }
+
+        if (!options.startDate) {
+            return this.error('A start date is required to clone a module', 'VALIDATION_ERROR')
+        }
+
+        return this.launchModule(archivedModuleId, options)
+    }
+
+    /**
+     * Unlock dates a launch would use, for showing the schedule before launching
+     * @returns {Promise<Object>} Operation result with data: [{ weekId, title, originalDate, unlockDate }]
+     */
+    async previewLaunchSchedule(moduleId, { startDate, skipWeeks = [] } = {}) {
+        if (!startDate) {
+            return this.error('Start date is required', 'VALIDATION_ERROR')
         }
+
+        const weeks = await this.getWeeks(moduleId)
+        return this.success(computeUnlockSchedule(weeks, startDate, skipWeeks), 'Schedule computed')
     }
 
     async archiveModule(moduleId) {
@@ -499,223 +857,143 @@ class DataServiceSupabase {
     }
 
     /**
-     * Sync content from a template to an active module
-     * Preserves: discussions, student progress
-     * Updates: module info, zoom info, week content (titles, descriptions, pages, questions, resources, videos)
+     * Load and check the template/active module pair for a sync
+     * @returns {Promise<Object>} { template, activeModule } or { error } with an operation result
      */
-    async syncToActiveModule(templateId, activeModuleId) {
-        try {
-            const template = await this.getModule(templateId)
-            if (!template) {
-                return this.error('Template not found', 'NOT_FOUND')
-            }
+    async loadSyncModules(templateId, activeModuleId) {
+        const template = await this.getModule(templateId)
+        if (!template) {
+            return { error: this.error('Template not found', 'NOT_FOUND') }
+        }
 
-            if (template.status !== 'draft') {
-                return this.error('Source must be a template (draft module)', 'INVALID_STATUS')
-            }
+        if (template.status !== 'draft') {
+            return { error: this.error('Source must be a template (draft module)', 'INVALID_STATUS') }
+        }
 
-            const activeModule = await this.getModule(activeModuleId)
-            if (!activeModule) {
-                return this.error('Active module not found', 'NOT_FOUND')
-            }
+        const activeModule = await this.getModule(activeModuleId)
+        if (!activeModule) {
+            return { error: this.error('Active module not found', 'NOT_FOUND') }
+        }
 
-            if (activeModule.status !== 'launched') {
-                return this.error('Target must be a launched module', 'INVALID_STATUS')
-            }
+        if (activeModule.status !== 'launched') {
+            return { error: this.error('Target must be a launched module', 'INVALID_STATUS') }
+        }
 
-            // 1. Update module info (but preserve status, launchedAt, templateId)
-            await this.updateModule(activeModuleId, {
-                title: template.title,
-                description: template.description,
-                instructor: template.instructor,
-                duration: template.duration,
-                participation: template.participation,
-                timeExpectations: template.timeExpectations
-            })
+        return { template, activeModule }
+    }
 
-            // 2. Sync zoom info
-            const templateZoom = await this.getZoomInfo(templateId)
-            if (templateZoom && Object.keys(templateZoom).length > 0) {
-                await this.updateZoomInfo(activeModuleId, templateZoom)
-            }
+    /**
+     * Dry run of syncToActiveModule - nothing is written.
+     * Returns what a sync would change, week by week, so the admin can pick which weeks to apply.
+     * Questions whose text would change while they already have discussion posts are listed
+     * separately (answeredQuestionChanges) since changing them changes what students answered.
+     * @returns {Promise<Object>} Operation result with data:
+     *   { moduleInfo: [{ field, from, to }], zoomChanged, weeks: [week diff], answeredQuestionChanges }
+     */
+    async previewSyncToActiveModule(templateId, activeModuleId) {
+        try {
+            const { template, activeModule, error } = await this.loadSyncModules(templateId, activeModuleId)
+            if (error) return error
+
+            const [templateWeeks, activeWeeks, templateZoom, activeZoom, postCounts] = await Promise.all([
+                this.getWeeks(templateId),
+                this.getWeeks(activeModuleId),
+                this.getZoomInfo(templateId),
+                this.getZoomInfo(activeModuleId),
+                this.getDiscussionCountsByQuestion(activeModuleId)
+            ])
 
-            // 3. Sync weeks - this is the complex part
-            // We need to preserve discussions but update content
-            const templateWeeks = await this.getWeeks(templateId)
-            const activeWeeks = await this.getWeeks(activeModuleId)
+            const moduleInfo = SYNC_MODULE_FIELDS
+                .filter(field => (template[field] ?? '') !== (activeModule[field] ?? ''))
+                .map(field => ({ field, from: activeModule[field] ?? '', to: template[field] ?? '' }))
 
-            // Create a map of active weeks by week id (which is week_number) for easy lookup
-            const activeWeekMap = new Map(activeWeeks.map(w => [w.id, w]))
+            // moduleId always differs between the two, so compare only the Zoom details
+            const zoomDetails = ({ moduleId, ...details } = {}) => JSON.stringify(details)
+            const zoomChanged = !!templateZoom && Object.keys(templateZoom).length > 0 &&
+                zoomDetails(templateZoom) !== zoomDetails(activeZoom || {})
 
-            for (const templateWeek of templateWeeks) {
-                const activeWeek = activeWeekMap.get(templateWeek.id)
-
-                if (activeWeek) {
-                    // Week exists in active module - update it while preserving discussions
-                    await this.syncWeekContent(templateWeek, activeWeek, activeModuleId)
-                } else {
-                    // Week doesn't exist in active module - create it with same week_number
-                    await this.createWeekWithNumber(activeModuleId, templateWeek.id, {
-                        title: templateWeek.title,
-                        description: templateWeek.description,
-                        unlockDate: templateWeek.unlockDate,
-                        pages: templateWeek.pages
-                    })
-                }
-            }
+            const activeWeekMap = new Map(activeWeeks.map(w => [w.id, w]))
+            const weeks = templateWeeks.map(templateWeek =>
+                diffSyncWeek(templateWeek, activeWeekMap.get(templateWeek.id), postCounts)
+            )
 
-            return this.success(null, 'Template synced to active module successfully')
+            return this.success({
+                moduleInfo,
+                zoomChanged,
+                weeks,
+                answeredQuestionChanges: weeks.flatMap(w => w.questionsChanged.filter(q => q.postCount > 0))
+            }, 'Sync preview generated')
         } catch (err) {
-            console.error('Sync error:', err)
-            return this.error('Failed to sync to active module: ' + err.message, 'SYNC_ERROR')
+            console.error('Sync preview error:', err)
+            return this.error('Failed to preview sync: ' + err.message, 'SYNC_ERROR')
         }
     }
 
     /**
-     * Sync week content from template to active week
-     * Preserves discussions by not touching the questions table entries that have discussion_posts
+     * Count discussion posts per question in a module
+     * @returns {Promise<Map<string, number>>} question key -> post count
      */
-    async syncWeekContent(templateWeek, activeWeek, activeModuleId) {
-        // Update week-level info (title, description, unlock date)
-        const { error: weekUpdateError } = await supabase
+    async getDiscussionCountsByQuestion(moduleId) {
+        const { data, error } = await supabase
             .from('weeks')
-            .update({
-                title: templateWeek.title,
-                description: templateWeek.description,
-                unlock_date: templateWeek.unlockDate
-            })
-            .eq('module_id', activeModuleId)
-            .eq('week_number', activeWeek.id)
-
-        if (weekUpdateError) {
-            console.error('Error updating week:', weekUpdateError)
-            throw weekUpdateError
-        }
+            .select('pages(questions(question_key, discussion_posts(count)))')
+            .eq('module_id', moduleId)
 
-        // Get the week's actual DB ID first
-        const { data: weekRecord } = await supabase
-            .from('weeks')
-            .select('id')
-            .eq('module_id', activeModuleId)
-            .eq('week_number', activeWeek.id)
-            .single()
+        if (error) throw error
 
-        if (!weekRecord) {
-            console.error('Could not find week record')
-            return
+        const counts = new Map()
+        for (const week of data || []) {
+            for (const page of week.pages || []) {
+                for (const question of page.questions || []) {
+                    counts.set(question.question_key, question.discussion_posts?.[0]?.count || 0)
+                }
+            }
         }
+        return counts
+    }
 
-        const { data: activePagesData } = await supabase
-            .from('pages')
-            .select('id, page_number, type')
-            .eq('week_id', weekRecord.id)
-            .order('page_number', { ascending: true })
+    /**
+     * Sync content from a template to an active module
+     * Preserves: discussions, student progress
+     * Updates: module info, zoom info, week content (titles, descriptions, pages, questions, resources, videos)
+     * @param {Object} options
+     * @param {number[]|null} options.weeks - Week ids to sync (default: all template weeks)
+     * @param {boolean} options.includeModuleInfo - Also sync module info and zoom info (default: true)
+     * @param {boolean} options.protectAnsweredQuestions - Keep the current text of questions that have discussion posts
+     */
+    async syncToActiveModule(templateId, activeModuleId, options = {}) {
+        const { weeks = null, includeModuleInfo = true, protectAnsweredQuestions = false } = options
 
-        const activePagesList = activePagesData || []
+        try {
+            // Module info, zoom info and weeks are written in one transaction (sync_template_to_module RPC),
+            // which also checks the template is a draft and the target is launched
+            const { data: syncedWeeks, error: syncError } = await supabase.rpc('sync_template_to_module', {
+                p_template_id: templateId,
+                p_active_module_id: activeModuleId,
+                p_week_numbers: weeks,
+                p_include_module_info: includeModuleInfo,
+                p_protect_answered: protectAnsweredQuestions
+            })
 
-        // Process all pages in parallel for speed
-        const pagePromises = templateWeek.pages.map(async (templatePage, i) => {
-            const activePage = activePagesList[i]
-            if (!activePage) {
-                // Page doesn't exist in active module - create it from template
-                await this.createPage(weekRecord.id, i + 1, templatePage)
-                return
+            if (syncError) {
+                return this.error('Failed to sync to active module: ' + syncError.message, rpcErrorCode(syncError, 'SYNC_ERROR'))
             }
 
-            // Run page update, resources sync, and videos sync in parallel
-            const [pageUpdateResult, , ] = await Promise.all([
-                // Update page content
-                supabase
-                    .from('pages')
-                    .update({
-                        title: templatePage.title,
-                        type: templatePage.type,
-                        content: templatePage.content
-                    })
-                    .eq('id', activePage.id),
-
-                // Sync resources - delete then insert
-                (async () => {
-                    await supabase.from('resources').delete().eq('page_id', activePage.id)
-                    if (templatePage.resources && templatePage.resources.length > 0) {
-                        const resources = templatePage.resources.map((r, idx) => ({
-                            page_id: activePage.id,
-                            title: r.title,
-                            url: r.url || null,
-                            description: r.description || null,
-                            sort_order: idx
-                        }))
-                        await supabase.from('resources').insert(resources)
-                    }
-                })(),
-
-                // Sync videos - delete then insert
-                (async () => {
-                    await supabase.from('videos').delete().eq('page_id', activePage.id)
-                    if (templatePage.videos && templatePage.videos.length > 0) {
-                        const videos = templatePage.videos.map((v, idx) => ({
-                            page_id: activePage.id,
-                            title: v.title,
-                            url: v.url,
-                            description: v.description || null,
-                            sort_order: idx
-                        }))
-                        await supabase.from('videos').insert(videos)
-                    }
-                })()
-            ])
-
-            if (pageUpdateResult.error) {
-                console.error('Error updating page:', pageUpdateResult.error)
-            }
-
-            // Sync questions - must be sequential to preserve discussions
-            const { data: existingQuestions } = await supabase
-                .from('questions')
-                .select('id, question_number, text')
-                .eq('page_id', activePage.id)
-                .order('question_number', { ascending: true })
-
-            const existingQList = existingQuestions || []
-            const templateQuestions = templatePage.questions || []
-
-            // Batch question updates/inserts
-            const questionUpdates = []
-            const questionInserts = []
-
-            for (let qIdx = 0; qIdx < templateQuestions.length; qIdx++) {
-                const templateQ = templateQuestions[qIdx]
-                const existingQ = existingQList.find(q => q.question_number === qIdx + 1)
-
-                if (existingQ) {
-                    questionUpdates.push(
-                        supabase
-                            .from('questions')
-                            .update({ text: templateQ.text })
-                            .eq('id', existingQ.id)
-                    )
-                } else {
-                    questionInserts.push({
-                        page_id: activePage.id,
-                        question_number: qIdx + 1,
-                        text: templateQ.text
-                    })
-                }
-            }
-
-            // Run question updates in parallel, then batch insert new ones
-            await Promise.all(questionUpdates)
-            if (questionInserts.length > 0) {
-                await supabase.from('questions').insert(questionInserts)
-            }
-        })
-
-        await Promise.all(pagePromises)
+            return this.success({ weeks: syncedWeeks }, 'Template synced to active module successfully')
+        } catch (err) {
+            console.error('Sync error:', err)
+            return this.error('Failed to sync to active module: ' + err.message, 'SYNC_ERROR')
+        }
     }
 
     // ==================== Week Operations ====================
 
     async getWeeks(moduleId) {
+        const cacheKey = `weeks:${moduleId}`
+        if (!isOnline()) {
+            return (await offlineStore.getCached(cacheKey)) || []
+        }
+
         const { data: weeks, error } = await supabase
             .from('weeks')
             .select(`
@@ -732,11 +1010,11 @@ class DataServiceSupabase {
 
         if (error) {
             console.error('Error fetching weeks:', error)
-            return []
+            return (await offlineStore.getCached(cacheKey)) || []
         }
 
         // Map to expected format with nested pages
-        return weeks.map(week => ({
+        const mappedWeeks = weeks.map(week => ({
             id: week.week_number,
             moduleId: week.module_id,
             title: week.title,
@@ -752,7 +1030,7 @@ class DataServiceSupabase {
                     content: page.content,
                     questions: (page.questions || [])
                         .sort((a, b) => a.question_number - b.question_number)
-                        .map(q => ({ id: q.question_number, text: q.text })),
+                        .map(q => ({ id: q.question_number, key: q.question_key, text: q.text, lockedAt: q.locked_at })),
                     resources: (page.resources || [])
                         .sort((a, b) => a.sort_order - b.sort_order)
                         .map(r => ({
@@ -771,6 +1049,9 @@ class DataServiceSupabase {
                         }))
                 }))
         }))
+
+        offlineStore.setCached(cacheKey, mappedWeeks)
+        return mappedWeeks
     }
 
     async getWeek(moduleId, weekId) {
@@ -840,93 +1121,33 @@ class DataServiceSupabase {
         return countMap
     }
 
+    /**
+     * Create a week with its pages, questions, resources and videos in one transaction
+     * (create_week_with_content RPC). The week is numbered after the module's last week.
+     */
     async createWeek(moduleId, weekData) {
-        try {
-            // Get current max week number
-            const { data: existingWeeks } = await supabase
-                .from('weeks')
-                .select('week_number')
-                .eq('module_id', moduleId)
-                .order('week_number', { ascending: false })
-                .limit(1)
-
-            const weekNumber = existingWeeks && existingWeeks.length > 0
-                ? existingWeeks[0].week_number + 1
-                : 1
-
-            // Use upsert to handle race conditions - if another user just created this week_number,
-            // we'll update it instead of creating a duplicate
-            const { data: week, error: weekError } = await supabase
-                .from('weeks')
-                .upsert({
-                    module_id: moduleId,
-                    week_number: weekNumber,
-                    title: weekData.title,
-                    description: weekData.description || null,
-                    unlock_date: weekData.unlockDate || null
-                }, {
-                    onConflict: 'module_id,week_number'
-                })
-                .select()
-                .single()
-
-            if (weekError) {
-                // If upsert fails due to constraint violation, retry with next week number
-                if (weekError.code === '23505') {
-                    // Duplicate key - another user beat us, retry with incremented number
-                    return this.createWeek(moduleId, weekData)
-                }
-                return this.error('Failed to create week: ' + weekError.message, 'CREATE_ERROR')
-            }
-
-            // Create pages if provided
-            if (weekData.pages && weekData.pages.length > 0) {
-                for (let i = 0; i < weekData.pages.length; i++) {
-                    const pageData = weekData.pages[i]
-                    await this.createPage(week.id, i + 1, pageData)
-                }
-            }
-
-            return this.success({
-                id: week.week_number,
-                moduleId: week.module_id,
-                title: week.title,
-                description: week.description,
-                unlockDate: week.unlock_date,
-                createdAt: week.created_at
-            }, 'Week created successfully')
-        } catch (err) {
-            return this.error('Failed to create week: ' + err.message, 'CREATE_ERROR')
-        }
+        return this.createWeekWithNumber(moduleId, null, weekData)
     }
 
     /**
      * Create a week with a specific week_number (used for syncing from template)
+     * @param {number|null} weekNumber - null to append after the last week
      */
     async createWeekWithNumber(moduleId, weekNumber, weekData) {
         try {
-            const { data: week, error: weekError } = await supabase
-                .from('weeks')
-                .insert({
-                    module_id: moduleId,
-                    week_number: weekNumber,
+            const { data: week, error } = await supabase.rpc('create_week_with_content', {
+                p_module_id: moduleId,
+                p_week_number: weekNumber,
+                p_week: {
                     title: weekData.title,
                     description: weekData.description || null,
-                    unlock_date: weekData.unlockDate || null
-                })
-                .select()
-                .single()
-
-            if (weekError) {
-                return this.error('Failed to create week: ' + weekError.message, 'CREATE_ERROR')
-            }
-
-            // Create pages if provided
-            if (weekData.pages && weekData.pages.length > 0) {
-                for (let i = 0; i < weekData.pages.length; i++) {
-                    const pageData = weekData.pages[i]
-                    await this.createPage(week.id, i + 1, pageData)
+                    unlockDate: weekData.unlockDate || null,
+                    pages: weekData.pages || []
                 }
+            })
+
+            if (error) {
+                return this.error('Failed to create week: ' + error.message, rpcErrorCode(error, 'CREATE_ERROR'))
             }
 
             return this.success({
@@ -965,7 +1186,8 @@ class DataServiceSupabase {
             const questions = pageData.questions.map((q, idx) => ({
                 page_id: page.id,
                 question_number: idx + 1,
-                text: q.text
+                text: q.text,
+                ...(q.key && { question_key: q.key })
             }))
             await supabase.from('questions').insert(questions)
         }
@@ -1103,29 +1325,38 @@ class DataServiceSupabase {
                         if (pageData.questions) {
                             const { data: existingQuestions } = await supabase
                                 .from('questions')
-                                .select('id, question_number')
+                                .select('id, question_number, question_key')
                                 .eq('page_id', existingPage.id)
                                 .order('question_number', { ascending: true })
 
                             const questionUpdates = []
                             const questionInserts = []
+                            const keptIds = new Set()
+
+                            // Match by key so a reordered question keeps its row (and its discussion);
+                            // questions without a key (added before keys existed) fall back to position
+                            const newKeys = new Set(pageData.questions.map(q => q.key).filter(Boolean))
 
                             for (let qIdx = 0; qIdx < pageData.questions.length; qIdx++) {
                                 const questionData = pageData.questions[qIdx]
-                                const existingQ = existingQuestions?.find(q => q.question_number === qIdx + 1)
+                                const existingQ = questionData.key
+                                    ? existingQuestions?.find(q => q.question_key === questionData.key)
+                                    : existingQuestions?.find(q => q.question_number === qIdx + 1 && !newKeys.has(q.question_key) && !keptIds.has(q.id))
 
                                 if (existingQ) {
+                                    keptIds.add(existingQ.id)
                                     questionUpdates.push(
                                         supabase
                                             .from('questions')
-                                            .update({ text: questionData.text })
+                                            .update({ text: questionData.text, question_number: qIdx + 1 })
                                             .eq('id', existingQ.id)
                                     )
                                 } else {
                                     questionInserts.push({
                                         page_id: existingPage.id,
                                         question_number: qIdx + 1,
-                                        text: questionData.text
+                                        text: questionData.text,
+                                        ...(questionData.key && { question_key: questionData.key })
                                     })
                                 }
                             }
@@ -1136,13 +1367,11 @@ class DataServiceSupabase {
                                 await supabase.from('questions').insert(questionInserts)
                             }
 
-                            // Delete excess questions in parallel
-                            if (existingQuestions && existingQuestions.length > pageData.questions.length) {
-                                const deletePromises = existingQuestions
-                                    .filter(q => q.question_number > pageData.questions.length)
-                                    .map(eq => supabase.from('questions').delete().eq('id', eq.id))
-                                await Promise.all(deletePromises)
-                            }
+                            // Delete questions that were removed, in parallel
+                            const deletePromises = (existingQuestions || [])
+                                .filter(q => !keptIds.has(q.id))
+                                .map(eq => supabase.from('questions').delete().eq('id', eq.id))
+                            await Promise.all(deletePromises)
                         }
                     } else {
                         // Create new page
@@ -1169,40 +1398,24 @@ class DataServiceSupabase {
 
     async deleteWeek(moduleId, weekId) {
         try {
-            // First, get all weeks with this week_number to check for duplicates
-            const { data: matchingWeeks, error: fetchError } = await supabase
-                .from('weeks')
-                .select('id, week_number, title')
-                .eq('module_id', moduleId)
-                .eq('week_number', weekId)
-
-            if (fetchError) {
-                return this.error('Failed to find week: ' + fetchError.message, 'DELETE_ERROR')
-            }
-
-            if (!matchingWeeks || matchingWeeks.length === 0) {
-                return this.error('Week not found', 'NOT_FOUND')
-            }
-
-            // If there are duplicates, only delete one (the first one found)
-            // This prevents accidentally deleting multiple weeks
-            const weekToDelete = matchingWeeks[0]
-
-            const { error } = await supabase
-                .from('weeks')
-                .delete()
-                .eq('id', weekToDelete.id)  // Use actual row ID, not week_number
+            // Deletes the week and (via cascade) its pages, questions and discussions in one
+            // transaction. If duplicate week numbers exist only one is removed.
+            const { data, error } = await supabase.rpc('delete_week', {
+                p_module_id: moduleId,
+                p_week_number: weekId
+            })
 
             if (error) {
-                return this.error('Failed to delete week: ' + error.message, 'DELETE_ERROR')
+                return this.error('Failed to delete week: ' + error.message, rpcErrorCode(error, 'DELETE_ERROR'))
             }
 
             // Return info about whether there were duplicates
-            const hadDuplicates = matchingWeeks.length > 1
+            const remainingDuplicates = data.remaining_duplicates
+            const hadDuplicates = remainingDuplicates > 0
             return this.success(
-                { hadDuplicates, remainingDuplicates: matchingWeeks.length - 1 },
+                { hadDuplicates, remainingDuplicates },
                 hadDuplicates
-                    ? `Week deleted. Note: ${matchingWeeks.length - 1} duplicate(s) still exist with the same week number.`
+                    ? `Week deleted. Note: ${remainingDuplicates} duplicate(s) still exist with the same week number.`
                     : 'Week deleted successfully'
             )
         } catch (err) {
@@ -1210,24 +1423,159 @@ class DataServiceSupabase {
         }
     }
 
+    // ==================== Offline Mutation Queue ====================
+
+    /**
+     * Run a write now, or queue it for replay if the network is unavailable.
+     * Queued writes resolve with `optimisticResult` (flagged `pending: true`).
+     */
+    async runOrQueue(method, args, operation, optimisticResult) {
+        if (!isOnline()) {
+            return this.enqueueMutation(method, args, optimisticResult)
+        }
+
+        try {
+            return await operation()
+        } catch (err) {
+            if (isNetworkError(err)) {
+                return this.enqueueMutation(method, args, optimisticResult)
+            }
+            throw err
+        }
+    }
+
+    async enqueueMutation(method, args, optimisticResult) {
+        await offlineStore.enqueue({
+            method,
+            args,
+            tempId: optimisticResult?.id ?? null,
+            // Replayed only in this user's session (the browser may be shared)
+            userId: await sessionUserId()
+        })
+        console.warn(`[DataService] Offline - queued ${method} for replay`)
+        return { ...optimisticResult, pending: true }
+    }
+
+    /**
+     * Get the signed-in user's queued (not yet replayed) mutations, optionally filtered by method
+     */
+    async getPendingMutations(method = null) {
+        const userId = await sessionUserId()
+        if (!userId) return []
+
+        const mutations = (await offlineStore.getMutations()).filter(m => m.userId === userId)
+        return method ? mutations.filter(m => m.method === method) : mutations
+    }
+
+    /**
+     * Replay the signed-in user's queued mutations in the order they were made.
+     * Stops at the first connectivity failure (the rest stay queued);
+     * mutations rejected by the server are dropped and reported as conflicts.
+     */
+    async replayMutations() {
+        if (this.isReplaying || !isOnline()) return
+        this.isReplaying = true
+
+        const tempIdMap = {}
+        let replayed = 0
+        let conflicts = 0
+
+        try {
+            const mutations = await this.getPendingMutations()
+
+            for (const mutation of mutations) {
+                // Replies queued against a post that was itself queued carry its temp id
+                const args = mutation.args.map(arg => tempIdMap[arg] ?? arg)
+                const writer = MUTATION_WRITERS[mutation.method]
+
+                try {
+                    if (!writer) throw new Error(`Unknown queued operation "${mutation.method}"`)
+
+                    const result = await this[writer](...args, { queuedAt: mutation.createdAt })
+                    if (mutation.tempId !== null && result?.id) {
+                        tempIdMap[mutation.tempId] = result.id
+                    }
+                    await offlineStore.removeMutation(mutation.id)
+                    replayed++
+                } catch (err) {
+                    if (isNetworkError(err)) {
+                        // Connection dropped again - persist rewritten ids and try later
+                        for (const remaining of mutations.filter(m => m.id >= mutation.id)) {
+                            remaining.args = remaining.args.map(arg => tempIdMap[arg] ?? arg)
+                            await offlineStore.updateMutation(remaining)
+                        }
+                        break
+                    }
+
+                    await offlineStore.removeMutation(mutation.id)
+                    conflicts++
+                    errorHandler.reportSyncConflict(
+                        MUTATION_LABELS[mutation.method] || 'An offline change',
+                        err.message,
+                        { method: mutation.method, args: mutation.args, queuedAt: mutation.createdAt }
+                    )
+                }
+            }
+        } finally {
+            this.isReplaying = false
+        }
+
+        if (replayed > 0 || conflicts > 0) {
+            window.dispatchEvent(new CustomEvent('lectern:offline-sync', {
+                detail: { replayed, conflicts, tempIdMap }
+            }))
+        }
+    }
+
     // ==================== Progress Operations ====================
 
     async savePagePosition(moduleId, weekId, pageNumber) {
+        return this.runOrQueue(
+            'savePagePosition',
+            [moduleId, weekId, pageNumber],
+            () => this.writePagePosition(moduleId, weekId, pageNumber),
+            { page: pageNumber, savedAt: new Date().toISOString() }
+        )
+    }
+
+    /**
+     * Write the current page position.
+     * When replaying a queued save, a newer position saved from another device wins.
+     */
+    async writePagePosition(moduleId, weekId, pageNumber, { queuedAt = null } = {}) {
         const userId = await getCurrentUserId()
 
         // Get week record ID
-        const { data: weekRecord } = await supabase
+        const { data: weekRecord, error: weekError } = await supabase
             .from('weeks')
             .select('id')
             .eq('module_id', moduleId)
             .eq('week_number', weekId)
             .single()
 
+        throwIfNetworkError(weekError)
+
         if (!weekRecord) {
+            if (queuedAt) throw new Error('This week no longer exists')
             console.error('Week not found for progress save')
             return null
         }
 
+        if (queuedAt) {
+            const { data: existing, error: existingError } = await supabase
+                .from('progress')
+                .select('updated_at, completed')
+                .eq('user_id', userId)
+                .eq('week_id', weekRecord.id)
+                .maybeSingle()
+
+            throwIfNetworkError(existingError)
+
+            if (existing && new Date(existing.updated_at) > new Date(queuedAt)) {
+                throw new Error('Your progress was updated on another device while you were offline')
+            }
+        }
+
         const { data, error } = await supabase
             .from('progress')
             .upsert({
@@ -1242,6 +1590,8 @@ class DataServiceSupabase {
             .single()
 
         if (error) {
+            throwIfNetworkError(error)
+            if (queuedAt) throw error
             console.error('Error saving page position:', error)
             return null
         }
@@ -1294,16 +1644,30 @@ class DataServiceSupabase {
     }
 
     async completeWeek(moduleId, weekId) {
+        return this.runOrQueue(
+            'completeWeek',
+            [moduleId, weekId],
+            () => this.writeWeekCompletion(moduleId, weekId),
+            { completed: true }
+        )
+    }
+
+    async writeWeekCompletion(moduleId, weekId, { queuedAt = null } = {}) {
         const userId = await getCurrentUserId()
 
-        const { data: weekRecord } = await supabase
+        const { data: weekRecord, error: weekError } = await supabase
             .from('weeks')
             .select('id')
             .eq('module_id', moduleId)
             .eq('week_number', weekId)
             .single()
 
-        if (!weekRecord) return false
+        throwIfNetworkError(weekError)
+
+        if (!weekRecord) {
+            if (queuedAt) throw new Error('This week no longer exists')
+            return false
+        }
 
         const { error } = await supabase
             .from('progress')
@@ -1311,11 +1675,14 @@ class DataServiceSupabase {
                 user_id: userId,
                 week_id: weekRecord.id,
                 completed: true,
-                completed_at: new Date().toISOString()
+                completed_at: queuedAt || new Date().toISOString()
             }, {
                 onConflict: 'user_id,week_id'
             })
 
+        throwIfNetworkError(error)
+        if (error && queuedAt) throw error
+
         return !error
     }
 
@@ -1402,16 +1769,7 @@ class DataServiceSupabase {
                 return {}
             }
 
-            return {
-                url: data.url,
-                meetingId: data.meeting_id,
-                passcode: data.passcode,
-                schedule: {
-                    day: data.day,
-                    time: data.time,
-                    timezone: data.timezone
-                }
-            }
+            return fromRow('module_zoom_info', data)
         } catch (err) {
             // Zoom info is optional, so don't log as error
             return {}
@@ -1421,15 +1779,7 @@ class DataServiceSupabase {
     async updateZoomInfo(moduleId, zoomData) {
         const { error } = await supabase
             .from('module_zoom_info')
-            .upsert({
-                module_id: moduleId,
-                url: zoomData.url || null,
-                meeting_id: zoomData.meetingId || null,
-                passcode: zoomData.passcode || null,
-                day: zoomData.schedule?.day || null,
-                time: zoomData.schedule?.time || null,
-                timezone: zoomData.schedule?.timezone || 'EST'
-            }, {
+            .upsert(toRow('module_zoom_info', { ...zoomData, moduleId }), {
                 onConflict: 'module_id'
             })
 
@@ -1443,38 +1793,68 @@ class DataServiceSupabase {
     // ==================== Discussion Operations ====================
 
     async getDiscussionPosts(moduleId, weekId, pageIndex, questionId) {
-        // Get the question ID using a single query with joins
-        const { data: weekData } = await supabase
-            .from('weeks')
-            .select(`
-                id,
-                pages!inner (
-                    id,
-                    page_number,
-                    questions!inner (
-                        id,
-                        question_number
-                    )
-                )
-            `)
-            .eq('module_id', moduleId)
-            .eq('week_number', weekId)
-            .single()
+        const posts = await this.fetchDiscussionPosts(moduleId, weekId, pageIndex, questionId)
+        return this.mergePendingPosts(posts, moduleId, weekId, pageIndex, questionId)
+    }
 
-        if (!weekData) return []
+    /**
+     * Overlay posts and replies that are still in the offline queue,
+     * so students see what they wrote (marked isPending) until it syncs
+     */
+    async mergePendingPosts(posts, moduleId, weekId, pageIndex, questionId) {
+        const pending = await this.getPendingMutations()
+        const sameQuestion = m =>
+            String(m.args[0]) === String(moduleId) &&
+            m.args[1] === weekId &&
+            m.args[2] === pageIndex &&
+            m.args[3] === questionId
+
+        const toPost = (m, content) => ({
+            id: m.tempId,
+            userId: null,
+            author: content.author || 'You',
+            content: content.content,
+            isAdmin: false,
+            isDeleted: false,
+            isPending: true,
+            createdAt: m.createdAt,
+            editedAt: null,
+            replies: []
+        })
 
-        // Find the specific page and question
-        const page = weekData.pages?.find(p => p.page_number === pageIndex + 1)
-        if (!page) return []
+        const merged = [...posts]
+        for (const m of pending.filter(sameQuestion)) {
+            if (m.method === 'addDiscussionPost') {
+                merged.unshift(toPost(m, m.args[4]))
+            } else if (m.method === 'addReply') {
+                const parentId = m.args[4]
+                for (const post of merged) {
+                    if (post.id === parentId) {
+                        post.replies.push(toPost(m, m.args[5]))
+                        break
+                    }
+                    const reply = post.replies.find(r => r.id === parentId)
+                    if (reply) {
+                        reply.replies = reply.replies || []
+                        reply.replies.push(toPost(m, m.args[5]))
+                        break
+                    }
+                }
+            }
+        }
+
+        return merged
+    }
 
-        const question = page.questions?.find(q => q.question_number === questionId + 1)
-        if (!question) return []
+    async fetchDiscussionPosts(moduleId, weekId, pageIndex, questionId) {
+        const questionRecordId = await this.getQuestionRecordId(moduleId, weekId, pageIndex, questionId)
+        if (!questionRecordId) return []
 
         // Get ALL posts for this question (both parent posts and replies) in ONE query
         const { data: allPosts, error } = await supabase
             .from('discussion_posts')
             .select('*, users:user_id(name, email, role)')
-            .eq('question_id', question.id)
+            .eq('question_id', questionRecordId)
             .order('created_at', { ascending: true })
 
         if (error) {
@@ -1482,90 +1862,177 @@ class DataServiceSupabase {
             return []
         }
 
-        // Separate parent posts and replies, then assemble the tree
-        const parentPosts = allPosts.filter(p => !p.parent_id)
-        const repliesMap = {}
+        return buildDiscussionTree(allPosts, await this.getReadState(questionRecordId))
+    }
 
-        // Group replies by parent_id
-        for (const post of allPosts) {
-            if (post.parent_id) {
-                if (!repliesMap[post.parent_id]) {
-                    repliesMap[post.parent_id] = []
-                }
-                repliesMap[post.parent_id].push(post)
-            }
+    /**
+     * The current user's read state for a question: { userId, lastSeenAt }.
+     * lastSeenAt is null if they have never opened it, in which case nothing is marked new.
+     */
+    async getReadState(questionRecordId) {
+        const userId = await getCurrentUserId()
+        if (!this.readBaselines.has(questionRecordId)) {
+            const { data } = await supabase
+                .from('discussion_reads')
+                .select('last_seen_at')
+                .eq('user_id', userId)
+                .eq('question_id', questionRecordId)
+                .maybeSingle()
+            this.readBaselines.set(questionRecordId, data?.last_seen_at || null)
         }
+        return { userId, lastSeenAt: this.readBaselines.get(questionRecordId) }
+    }
 
-        // Helper to format a post/reply object
-        const formatPost = (p) => {
-            const user = p.users || {}
-            return {
-                id: p.id,
-                userId: p.user_id,
-                author: user.name || user.email || 'Anonymous',
-                content: p.content,
-                isAdmin: user.role === 'admin',
-                isDeleted: p.is_deleted || false,
-                createdAt: p.created_at,
-                editedAt: p.edited_at,
-                replies: []
-            }
+    /**
+     * Record that the current user has seen a question's discussion up to now.
+     * Posts already on screen keep their "new" marker until the next page load.
+     */
+    async markQuestionRead(moduleId, weekId, pageIndex, questionId) {
+        const questionRecordId = await this.getQuestionRecordId(moduleId, weekId, pageIndex, questionId)
+        if (!questionRecordId) return false
+
+        // Pin the baseline before moving last_seen_at forward
+        await this.getReadState(questionRecordId)
+
+        // last_seen_at is stamped by the database (stamp_discussion_read), on the same clock as posts
+        const { error } = await supabase
+            .from('discussion_reads')
+            .upsert({
+                user_id: await getCurrentUserId(),
+                question_id: questionRecordId
+            }, { onConflict: 'user_id,question_id' })
+
+        if (error) {
+            console.error('Error saving read state:', error)
+            return false
         }
+        return true
+    }
 
-        // Build final structure with 3 levels: post -> reply -> nested reply
-        return parentPosts
-            .sort((a, b) => new Date(b.created_at) - new Date(a.created_at)) // newest first for parents
-            .map(post => {
-                const formattedPost = formatPost(post)
-                const replies = repliesMap[post.id] || []
+    /**
+     * Count other people's posts the current user hasn't seen yet, for a whole module
+     * @returns {Promise<{weeks: Map<number, number>, questions: Map<string, number>}>}
+     *   week number -> unread posts, question key -> unread posts
+     */
+    async getUnreadCounts(moduleId) {
+        const weeks = new Map()
+        const questions = new Map()
 
-                formattedPost.replies = replies.map(reply => {
-                    const formattedReply = formatPost(reply)
-                    // Get nested replies (replies to this reply)
-                    const nestedReplies = repliesMap[reply.id] || []
-                    formattedReply.replies = nestedReplies.map(formatPost)
-                    return formattedReply
-                })
+        const { data, error } = await supabase.rpc('get_unread_counts', { p_module_id: moduleId })
+        if (error) {
+            console.error('Error fetching unread counts:', error)
+            return { weeks, questions }
+        }
 
-                return formattedPost
-            })
+        for (const row of data) {
+            weeks.set(row.week_number, (weeks.get(row.week_number) || 0) + row.unread)
+            questions.set(row.question_key, row.unread)
+        }
+        return { weeks, questions }
     }
 
-    async addDiscussionPost(moduleId, weekId, pageIndex, questionId, post) {
-        // Get question ID
-        const { data: weekRecord } = await supabase
-            .from('weeks')
-            .select('id')
-            .eq('module_id', moduleId)
-            .eq('week_number', weekId)
-            .single()
+    /**
+     * People the current user can @mention in a module's discussions (its other
+     * active enrollees), fetched once per page load
+     * @returns {Promise<Array<{id: string, name: string, role: string}>>}
+     */
+    async getMentionCandidates(moduleId) {
+        if (!this.mentionCandidates.has(moduleId)) {
+            this.mentionCandidates.set(moduleId, (async () => {
+                const { data, error } = await supabase.rpc('get_mention_candidates', { p_module_id: moduleId })
+                if (error) {
+                    console.error('Error fetching mention candidates:', error)
+                    // Try again next time rather than caching the failure
+                    this.mentionCandidates.delete(moduleId)
+                    return []
+                }
+                return data
+            })())
+        }
+        return this.mentionCandidates.get(moduleId)
+    }
+
+    /**
+     * Full-text search of a module's discussions: posts and replies, and the text of
+     * its pages and questions. Only what the current user can read is found.
+     * @param {string} query - Words, "exact phrases", OR, and -word to exclude
+     * @param {Object} [filters] - { weekNumber, authorId, limit } (an author filter leaves out pages)
+     * @returns {Promise<Object>} Operation result with data: best matches first,
+     *   [{ kind: 'post'|'page', postId, parentId, authorId, author, weekNumber, weekTitle,
+     *   pageNumber, pageTitle, questionKey, snippetHtml, rank, createdAt, url }]
+     *   where url opens week-viewer.html at the page (and the post)
+     */
+    async searchDiscussions(moduleId, query, filters = {}) {
+        const terms = (query || '').trim()
+        if (!terms) {
+            return this.success([], 'Nothing to search for')
+        }
 
-        if (!weekRecord) throw new Error('Week not found')
+        const { weekNumber = null, authorId = null, limit = 50 } = filters
 
-        const { data: page } = await supabase
-            .from('pages')
-            .select('id')
-            .eq('week_id', weekRecord.id)
-            .eq('page_number', pageIndex + 1)
-            .single()
+        try {
+            const { data, error } = await supabase.rpc('search_discussions', {
+                p_module_id: moduleId,
+                p_query: terms,
+                p_week_number: weekNumber,
+                p_author_id: authorId,
+                p_limit: limit
+            })
+            if (error) throw error
+
+            const results = data.map(row => {
+                const params = new URLSearchParams({ module: moduleId, week: row.week_number, page: row.page_number })
+                return {
+                    kind: row.kind,
+                    postId: row.post_id,
+                    parentId: row.parent_id,
+                    authorId: row.author_id,
+                    author: row.author_name,
+                    weekNumber: row.week_number,
+                    weekTitle: row.week_title,
+                    pageNumber: row.page_number,
+                    pageTitle: row.page_title,
+                    questionKey: row.question_key,
+                    snippetHtml: highlightSnippet(row.snippet),
+                    rank: row.rank,
+                    createdAt: row.created_at,
+                    url: `week-viewer.html?${params}${row.post_id ? `#post-${row.post_id}` : ''}`
+                }
+            })
 
-        if (!page) throw new Error('Page not found')
+            return this.success(results, `${results.length} result${results.length === 1 ? '' : 's'}`)
+        } catch (err) {
+            return this.error('Search failed: ' + err.message, 'SEARCH_ERROR', { moduleId, query: terms })
+        }
+    }
 
-        const { data: question } = await supabase
-            .from('questions')
-            .select('id')
-            .eq('page_id', page.id)
-            .eq('question_number', questionId + 1)
-            .single()
+    async addDiscussionPost(moduleId, weekId, pageIndex, questionId, post) {
+        const createdAt = new Date().toISOString()
+        return this.runOrQueue(
+            'addDiscussionPost',
+            [moduleId, weekId, pageIndex, questionId, { author: post.author, content: post.content }],
+            () => this.insertDiscussionPost(moduleId, weekId, pageIndex, questionId, post),
+            {
+                id: nextTempId(),
+                author: post.author,
+                content: post.content,
+                isAdmin: isAdmin(),
+                createdAt,
+                replies: []
+            }
+        )
+    }
 
-        if (!question) throw new Error('Question not found')
+    async insertDiscussionPost(moduleId, weekId, pageIndex, questionId, post) {
+        const questionRecordId = await this.getQuestionRecordId(moduleId, weekId, pageIndex, questionId)
+        if (!questionRecordId) throw new Error('Question not found')
 
         const userId = await getCurrentUserId()
 
         const { data, error } = await supabase
             .from('discussion_posts')
             .insert({
-                question_id: question.id,
+                question_id: questionRecordId,
                 user_id: userId,
                 content: post.content
             })
@@ -1573,6 +2040,7 @@ class DataServiceSupabase {
             .single()
 
         if (error) {
+            throwIfNetworkError(error)
             throw new Error('Failed to add post: ' + error.message)
         }
 
@@ -1587,40 +2055,44 @@ class DataServiceSupabase {
     }
 
     async addReply(moduleId, weekId, pageIndex, questionId, postId, reply) {
-        const userId = await getCurrentUserId()
+        const args = [moduleId, weekId, pageIndex, questionId, postId, { author: reply.author, content: reply.content }]
+        const optimisticReply = {
+            id: nextTempId(),
+            author: reply.author,
+            content: reply.content,
+            isAdmin: isAdmin(),
+            createdAt: new Date().toISOString()
+        }
 
-        // Get question ID (needed for foreign key)
-        const { data: weekRecord } = await supabase
-            .from('weeks')
-            .select('id')
-            .eq('module_id', moduleId)
-            .eq('week_number', weekId)
-            .single()
+        // Replying to a post that is still queued - the reply has to wait behind it
+        if (postId < 0) {
+            return this.enqueueMutation('addReply', args, optimisticReply)
+        }
 
-        if (!weekRecord) throw new Error('Week not found')
+        return this.runOrQueue(
+            'addReply',
+            args,
+            () => this.insertReply(moduleId, weekId, pageIndex, questionId, postId, reply),
+            optimisticReply
+        )
+    }
 
-        const { data: page } = await supabase
-            .from('pages')
-            .select('id')
-            .eq('week_id', weekRecord.id)
-            .eq('page_number', pageIndex + 1)
-            .single()
+    async insertReply(moduleId, weekId, pageIndex, questionId, postId, reply) {
+        const userId = await getCurrentUserId()
 
-        if (!page) throw new Error('Page not found')
+        // Get question ID (needed for foreign key)
+        const questionRecordId = await this.getQuestionRecordId(moduleId, weekId, pageIndex, questionId)
+        if (!questionRecordId) throw new Error('Question not found')
 
-        const { data: question } = await supabase
-            .from('questions')
-            .select('id')
-            .eq('page_id', page.id)
-            .eq('question_number', questionId + 1)
-            .single()
-
-        if (!question) throw new Error('Question not found')
+        if (postId < 0) {
+            // Parent is a queued post that was never sent
+            throw new Error('The post you replied to was not saved')
+        }
 
         const { data, error } = await supabase
             .from('discussion_posts')
             .insert({
-                question_id: question.id,
+                question_id: questionRecordId,
                 user_id: userId,
                 content: reply.content,
                 parent_id: postId
@@ -1629,6 +2101,10 @@ class DataServiceSupabase {
             .single()
 
         if (error) {
+            throwIfNetworkError(error)
+            if (error.code === '23503') {
+                throw new Error('The post you replied to has been deleted')
+            }
             throw new Error('Failed to add reply: ' + error.message)
         }
 
@@ -1641,13 +2117,14 @@ class DataServiceSupabase {
         }
     }
 
+    /**
+     * Replace a post's content. The database keeps the previous text in
+     * post_revisions and stamps edited_at (see getPostRevisions).
+     */
     async editDiscussionPost(moduleId, weekId, pageIndex, questionId, postId, newContent) {
         const { data, error } = await supabase
             .from('discussion_posts')
-            .update({
-                content: newContent,
-                edited_at: new Date().toISOString()
-            })
+            .update({ content: newContent })
             .eq('id', postId)
             .select()
             .single()
@@ -1663,6 +2140,27 @@ class DataServiceSupabase {
         return this.editDiscussionPost(moduleId, weekId, pageIndex, questionId, replyId, newContent)
     }
 
+    /**
+     * Earlier versions of a post, oldest first (admins and the module's instructors only).
+     * Each is the text the post had until the edit made at createdAt.
+     */
+    async getPostRevisions(postId) {
+        const { data, error } = await supabase
+            .from('post_revisions')
+            .select('id, post_id, content, edited_by, created_at, editor:edited_by(name, email)')
+            .eq('post_id', postId)
+            .order('created_at', { ascending: true })
+
+        if (error) {
+            throw new Error('Failed to load post history: ' + error.message)
+        }
+
+        return data.map(row => ({
+            ...fromRow('post_revisions', row),
+            editor: row.editor?.name || row.editor?.email || null
+        }))
+    }
+
     async deleteDiscussionPost(postId) {
         // Check if this post has any replies
         const { data: replies } = await supabase
@@ -1729,18 +2227,645 @@ class DataServiceSupabase {
         return true
     }
 
+    // ==================== Realtime Discussion ====================
+
+    /**
+     * Subscribe to live changes on one question's discussion.
+     * Inserts, edits and soft-deletes from discussion_posts are applied to a local copy of the
+     * thread, and onChange receives the full post/reply tree (same shape as getDiscussionPosts)
+     * after every change.
+     * @returns {Promise<string|null>} Subscription id for unsubscribeFromDiscussion, or null if the question doesn't exist
+     */
+    async subscribeToDiscussion(moduleId, weekId, pageIndex, questionId, onChange) {
+        const subscriptionId = `discussion:${Date.now()}:${Math.random().toString(36).slice(2, 8)}`
+        let isActive = true
+
+        // Registered before the first await so unsubscribeAllDiscussions can cancel a
+        // subscribe that is still looking up its question
+        const subscription = { channel: null, stop: () => { isActive = false } }
+        this.discussionSubscriptions.set(subscriptionId, subscription)
+
+        const questionRecordId = await this.getQuestionRecordId(moduleId, weekId, pageIndex, questionId)
+        if (!isActive) return null
+        if (!questionRecordId) {
+            this.discussionSubscriptions.delete(subscriptionId)
+            return null
+        }
+
+        const rows = new Map()
+
+        const emit = async () => {
+            if (!isActive) return
+            const posts = await this.mergePendingPosts(
+                buildDiscussionTree([...rows.values()], await this.getReadState(questionRecordId)),
+                moduleId, weekId, pageIndex, questionId
+            )
+            if (isActive) onChange(posts)
+        }
+
+        // Load the whole thread - on subscribe and whenever the channel reconnects,
+        // since changes made while disconnected are not replayed by realtime
+        const resync = async ({ notify = true } = {}) => {
+            const { data, error } = await supabase
+                .from('discussion_posts')
+                .select('*, users:user_id(name, email, role)')
+                .eq('question_id', questionRecordId)
+
+            if (error) {
+                console.error('Error resyncing discussion posts:', error)
+                return
+            }
+
+            rows.clear()
+            for (const row of data) {
+                rows.set(row.id, row)
+                if (row.users) this.authorCache.set(row.user_id, row.users)
+            }
+            if (notify) await emit()
+        }
+
+        const questionFilter = `question_id=eq.${questionRecordId}`
+        let hasSubscribed = false
+
+        subscription.channel = supabase
+            .channel(subscriptionId)
+            .on('postgres_changes', { event: 'INSERT', schema: 'public', table: 'discussion_posts', filter: questionFilter }, async payload => {
+                const row = payload.new
+                rows.set(row.id, { ...row, users: await this.getPostAuthor(row.user_id) })
+                await emit()
+            })
+            .on('postgres_changes', { event: 'UPDATE', schema: 'public', table: 'discussion_posts', filter: questionFilter }, async payload => {
+                const row = payload.new
+                const existing = rows.get(row.id)
+                rows.set(row.id, { ...row, users: existing?.users || await this.getPostAuthor(row.user_id) })
+                await emit()
+            })
+            // Realtime can't filter DELETE events, so match against the rows we hold
+            .on('postgres_changes', { event: 'DELETE', schema: 'public', table: 'discussion_posts' }, async payload => {
+                if (rows.delete(payload.old.id)) {
+                    await emit()
+                }
+            })
+            .subscribe(status => {
+                if (status === 'SUBSCRIBED') {
+                    // The first SUBSCRIBED follows the seed below; later ones are reconnects
+                    if (hasSubscribed) resync()
+                    hasSubscribed = true
+                } else if (status === 'CHANNEL_ERROR' || status === 'TIMED_OUT') {
+                    console.warn(`[DataServiceSupabase] Discussion channel ${status}:`, subscriptionId)
+                }
+            })
+
+        // Seed the local copy so the first change event has the rest of the thread to merge into.
+        // No emit: the caller has just rendered getDiscussionPosts.
+        await resync({ notify: false })
+
+        return subscriptionId
+    }
+
+    /**
+     * Stop receiving live changes for a subscription from subscribeToDiscussion
+     */
+    async unsubscribeFromDiscussion(subscriptionId) {
+        const subscription = this.discussionSubscriptions.get(subscriptionId)
+        if (!subscription) return
+
+        this.discussionSubscriptions.delete(subscriptionId)
+        subscription.stop()
+        // A subscribe still looking up its question has no channel yet; it sees the stop and bails
+        if (subscription.channel) await supabase.removeChannel(subscription.channel)
+    }
+
+    /**
+     * Stop all live discussion subscriptions (e.g. when leaving a discussion page)
+     */
+    async unsubscribeAllDiscussions() {
+        await Promise.all([...this.discussionSubscriptions.keys()].map(id => this.unsubscribeFromDiscussion(id)))
+    }
+
+    /**
+     * Look up the display fields for a post author, cached per session
+     */
+    async getPostAuthor(userId) {
+        if (!userId) return null
+        if (this.authorCache.has(userId)) return this.authorCache.get(userId)
+
+        const { data } = await supabase
+            .from('users')
+            .select('name, email, role')
+            .eq('id', userId)
+            .maybeSingle()
+
+        if (data) this.authorCache.set(userId, data)
+        return data
+    }
+
+    // ==================== Moderation Operations ====================
+
+    /**
+     * Hide a post from students. Its author and moderators still see it, marked as hidden.
+     */
+    async hidePost(postId, reason = '') {
+        return this.moderatePost(postId, { is_hidden: true, hidden_reason: reason || null }, 'post.hide')
+    }
+
+    async unhidePost(postId) {
+        return this.moderatePost(postId, { is_hidden: false }, 'post.unhide')
+    }
+
+    /**
+     * Pin a top-level post so it's listed first in its thread
+     */
+    async pinPost(postId) {
+        return this.moderatePost(postId, { pinned_at: new Date().toISOString() }, 'post.pin')
+    }
+
+    async unpinPost(postId) {
+        return this.moderatePost(postId, { pinned_at: null }, 'post.unpin')
+    }
+
+    /**
+     * Apply a moderation change to a post.
+     * The database checks the caller moderates the post's module, stamps who did it
+     * and records the change in the audit log.
+     */
+    async moderatePost(postId, changes, action) {
+        try {
+            const { data, error } = await supabase
+                .from('discussion_posts')
+                .update(changes)
+                .eq('id', postId)
+                .select('id, user_id, is_hidden, hidden_reason, pinned_at')
+                .single()
+
+            if (error) {
+                return this.error('Failed to moderate post: ' + error.message, 'MODERATION_ERROR', { postId, action })
+            }
+
+            return this.success(formatDiscussionPost(data), 'Post updated')
+        } catch (err) {
+            return this.error('Failed to moderate post: ' + err.message, 'MODERATION_ERROR', { postId, action })
+        }
+    }
+
+    /**
+     * Report a post for moderator review (one open flag per user per post)
+     */
+    async flagPost(postId, reason) {
+        try {
+            const userId = await getCurrentUserId()
+
+            const { error } = await supabase
+                .from('post_flags')
+                .insert({ post_id: postId, user_id: userId, reason })
+
+            if (error) {
+                if (error.code === '23505') {
+                    return this.error('You have already flagged this post', 'DUPLICATE_FLAG', { postId })
+                }
+                return this.error('Failed to flag post: ' + error.message, 'FLAG_ERROR', { postId })
+            }
+
+            return this.success(null, 'Post flagged for review')
+        } catch (err) {
+            return this.error('Failed to flag post: ' + err.message, 'FLAG_ERROR', { postId })
+        }
+    }
+
+    /**
+     * Open flags grouped by post, most-flagged first, for the moderation queue.
+     * RLS limits the result to modules the caller moderates.
+     * @param {number} [moduleId] - Only this module
+     * @returns {Promise<Object>} data: [{ post, flags }]
+     */
+    async getModerationQueue(moduleId = null) {
+        try {
+            let query = supabase
+                .from('post_flags')
+                .select(`
+                    id, reason, created_at,
+                    flagger:user_id(name, email),
+                    discussion_posts!inner(
+                        id, content, parent_id, is_hidden, is_deleted, created_at,
+                        author:user_id(name, email),
+                        questions!inner(
+                            question_number, text,
+                            pages!inner(page_number, weeks!inner(week_number, title, module_id, modules(title)))
+                        )
+                    )
+                `)
+                .is('resolved_at', null)
+                .order('created_at', { ascending: true })
+
+            if (moduleId) {
+                query = query.eq('discussion_posts.questions.pages.weeks.module_id', moduleId)
+            }
+
+            const { data, error } = await query
+
+            if (error) {
+                return this.error('Failed to load moderation queue: ' + error.message, 'MODERATION_ERROR', { moduleId })
+            }
+
+            const byPost = new Map()
+            for (const flag of data) {
+                const row = flag.discussion_posts
+                if (!byPost.has(row.id)) {
+                    const question = row.questions
+                    const week = question.pages.weeks
+                    byPost.set(row.id, {
+                        post: {
+                            id: row.id,
+                            author: row.author?.name || row.author?.email || 'Anonymous',
+                            content: row.content,
+                            isReply: Boolean(row.parent_id),
+                            isHidden: row.is_hidden,
+                            isDeleted: row.is_deleted,
+                            createdAt: row.created_at,
+                            questionText: question.text,
+                            questionNumber: question.question_number,
+                            pageNumber: question.pages.page_number,
+                            weekNumber: week.week_number,
+                            weekTitle: week.title,
+                            moduleId: week.module_id,
+                            moduleTitle: week.modules?.title || ''
+                        },
+                        flags: []
+                    })
+                }
+                byPost.get(row.id).flags.push({
+                    id: flag.id,
+                    reason: flag.reason,
+                    flaggedBy: flag.flagger?.name || flag.flagger?.email || 'Unknown',
+                    createdAt: flag.created_at
+                })
+            }
+
+            const queue = [...byPost.values()].sort((a, b) =>
+                b.flags.length - a.flags.length || new Date(a.flags[0].createdAt) - new Date(b.flags[0].createdAt))
+
+            return this.success(queue)
+        } catch (err) {
+            return this.error('Failed to load moderation queue: ' + err.message, 'MODERATION_ERROR', { moduleId })
+        }
+    }
+
+    /**
+     * Close every open flag on a post.
+     * @param {'dismissed'|'hidden'|'deleted'} resolution - 'hidden' also hides the post,
+     *   'deleted' also deletes it (soft delete if it has replies)
+     */
+    async resolvePostFlags(postId, resolution, { reason = '' } = {}) {
+        try {
+            if (resolution === 'deleted') {
+                // Resolving and deleting together: neither happens without the other
+                const { data: resolved, error } = await supabase.rpc('delete_flagged_post', { p_post_id: postId })
+                if (error) {
+                    return this.error('Failed to delete post: ' + error.message, rpcErrorCode(error, 'MODERATION_ERROR'), { postId, resolution })
+                }
+                return this.success({ resolved }, 'Post deleted and flags resolved')
+            }
+
+            if (resolution === 'hidden') {
+                const hidden = await this.hidePost(postId, reason)
+                if (!hidden.success) return hidden
+            }
+
+            const userId = await getCurrentUserId()
+            const { data: resolved, error } = await supabase
+                .from('post_flags')
+                .update({ resolved_at: new Date().toISOString(), resolved_by: userId, resolution })
+                .eq('post_id', postId)
+                .is('resolved_at', null)
+                .select('id')
+
+            if (error) {
+                return this.error('Failed to resolve flags: ' + error.message, 'MODERATION_ERROR', { postId, resolution })
+            }
+
+            return this.success({ resolved: resolved.length }, 'Flags resolved')
+        } catch (err) {
+            return this.error('Failed to resolve flags: ' + err.message, 'MODERATION_ERROR', { postId, resolution })
+        }
+    }
+
+    /**
+     * Close a question's discussion to students.
+     * @param {string|null} lockAt - ISO time to close at (e.g. the end of the week); now if omitted
+     */
+    async lockQuestion(moduleId, weekId, pageIndex, questionId, lockAt = null) {
+        return this.setQuestionLock(moduleId, weekId, pageIndex, questionId, lockAt || new Date().toISOString())
+    }
+
+    async unlockQuestion(moduleId, weekId, pageIndex, questionId) {
+        return this.setQuestionLock(moduleId, weekId, pageIndex, questionId, null)
+    }
+
+    async setQuestionLock(moduleId, weekId, pageIndex, questionId, lockedAt) {
+        try {
+            const questionRecordId = await this.getQuestionRecordId(moduleId, weekId, pageIndex, questionId)
+            if (!questionRecordId) {
+                return this.error('Question not found', 'NOT_FOUND', { moduleId, weekId, pageIndex, questionId })
+            }
+
+            const { data, error } = await supabase
+                .from('questions')
+                .update({ locked_at: lockedAt, locked_by: lockedAt ? await getCurrentUserId() : null })
+                .eq('id', questionRecordId)
+                .select('id, locked_at, locked_by')
+                .single()
+
+            if (error) {
+                return this.error('Failed to update discussion lock: ' + error.message, 'UPDATE_ERROR', { questionRecordId })
+            }
+
+            return this.success({ lockedAt: data.locked_at }, lockedAt ? 'Discussion locked' : 'Discussion unlocked')
+        } catch (err) {
+            return this.error('Failed to update discussion lock: ' + err.message, 'UPDATE_ERROR')
+        }
+    }
+
+    // ==================== Report Operations ====================
+
+    /**
+     * Participation report for grading: per student enrolled in the module, and per week, the number of
+     * posts and replies, their word count, and week completion.
+     * Deleted posts are not counted.
+     * @returns {Promise<Object>} Operation result with data:
+     *   { weeks: [{ id, title }], students: [{ userId, name, email, totals, weeks: { [weekId]: cell } }] }
+     *   where cell = { posts, replies, words, completed, completedAt }
+     */
+    async getParticipationReport(moduleId) {
+        try {
+            const [enrollments, weeksResult] = await Promise.all([
+                selectAllRows(() => supabase
+                    .from('enrollments')
+                    .select('user_id, users:user_id(name, email)')
+                    .eq('module_id', moduleId)
+                    .eq('role', 'student')
+                    .order('id', { ascending: true })),
+                supabase
+                    .from('weeks')
+                    .select('id, week_number, title, pages(questions(id))')
+                    .eq('module_id', moduleId)
+                    .order('week_number', { ascending: true })
+            ])
+
+            if (weeksResult.error) throw weeksResult.error
+
+            const weekRows = weeksResult.data || []
+            const weekNumberById = new Map(weekRows.map(w => [w.id, w.week_number]))
+            const weekNumberByQuestion = new Map()
+            for (const week of weekRows) {
+                for (const page of week.pages || []) {
+                    for (const question of page.questions || []) {
+                        weekNumberByQuestion.set(question.id, week.week_number)
+                    }
+                }
+            }
+
+            const questionIds = [...weekNumberByQuestion.keys()]
+            const weekIds = [...weekNumberById.keys()]
+
+            const [posts, progress] = await Promise.all([
+                questionIds.length > 0
+                    ? selectAllRows(() => supabase
+                        .from('discussion_posts')
+                        .select('user_id, question_id, parent_id, content')
+                        .in('question_id', questionIds)
+                        .eq('is_deleted', false)
+                        .order('id', { ascending: true }))
+                    : [],
+                weekIds.length > 0
+                    ? selectAllRows(() => supabase
+                        .from('progress')
+                        .select('user_id, week_id, completed, completed_at')
+                        .in('week_id', weekIds)
+                        .order('id', { ascending: true }))
+                    : []
+            ])
+
+            const students = new Map()
+            for (const enrollment of enrollments) {
+                const user = enrollment.users || {}
+                students.set(enrollment.user_id, {
+                    userId: enrollment.user_id,
+                    name: user.name || '',
+                    email: user.email || '',
+                    totals: { posts: 0, replies: 0, words: 0, weeksCompleted: 0 },
+                    weeks: Object.fromEntries(weekRows.map(w => [w.week_number, {
+                        posts: 0, replies: 0, words: 0, completed: false, completedAt: null
+                    }]))
+                })
+            }
+
+            // Only students are graded - posts by admins, instructors and TAs are skipped
+            for (const post of posts) {
+                const student = students.get(post.user_id)
+                if (!student) continue
+
+                const cell = student.weeks[weekNumberByQuestion.get(post.question_id)]
+                const kind = post.parent_id ? 'replies' : 'posts'
+                const words = countWords(post.content)
+                cell[kind]++
+                cell.words += words
+                student.totals[kind]++
+                student.totals.words += words
+            }
+
+            for (const row of progress) {
+                const student = students.get(row.user_id)
+                if (!student || !row.completed) continue
+
+                const cell = student.weeks[weekNumberById.get(row.week_id)]
+                cell.completed = true
+                cell.completedAt = row.completed_at
+                student.totals.weeksCompleted++
+            }
+
+            return this.success({
+                weeks: weekRows.map(w => ({ id: w.week_number, title: w.title })),
+                students: [...students.values()].sort((a, b) =>
+                    (a.name || a.email).localeCompare(b.name || b.email)
+                )
+            }, 'Participation report generated')
+        } catch (err) {
+            return this.error('Failed to build participation report: ' + err.message, 'REPORT_ERROR', { moduleId })
+        }
+    }
+
+    /**
+     * Everything needed to export a module's discussions (discussion-archive.js):
+     * its weeks and pages, and the full discussion tree under every question.
+     * Only what the current user can read is included. With authorId, only threads
+     * that person started or replied in are kept (a student's own work).
+     * @returns {Promise<Object>} Operation result with data:
+     *   { module, exportedAt, authorId, weeks: [{ id, title, description, unlockDate,
+     *   pages: [{ title, type, content, resources, videos, questions: [{ id, key, text, posts }] }] }] }
+     *   where posts are discussion trees as returned by getDiscussionPosts
+     */
+    async getDiscussionArchive(moduleId, { authorId = null } = {}) {
+        try {
+            const [module, weeks] = await Promise.all([
+                this.getModule(moduleId),
+                this.getWeeks(moduleId)
+            ])
+            if (!module) {
+                return this.error('Module not found', 'NOT_FOUND', { moduleId })
+            }
+
+            const rows = await selectAllRows(() => supabase
+                .from('discussion_posts')
+                .select('*, users:user_id(name, email, role), questions!inner(question_key, pages!inner(weeks!inner(module_id)))')
+                .eq('questions.pages.weeks.module_id', moduleId)
+                .order('id', { ascending: true }))
+
+            const rowsByQuestion = new Map()
+            for (const row of rows) {
+                const key = row.questions.question_key
+                if (!rowsByQuestion.has(key)) rowsByQuestion.set(key, [])
+                rowsByQuestion.get(key).push(row)
+            }
+
+            const wroteIn = post => post.userId === authorId || post.replies.some(wroteIn)
+
+            return this.success({
+                module,
+                exportedAt: new Date().toISOString(),
+                authorId,
+                weeks: weeks.map(week => ({
+                    ...week,
+                    pages: week.pages.map(page => ({
+                        ...page,
+                        questions: page.questions.map(question => {
+                            const posts = buildDiscussionTree(rowsByQuestion.get(question.key) || [])
+                            return { ...question, posts: authorId ? posts.filter(wroteIn) : posts }
+                        })
+                    }))
+                }))
+            }, 'Discussion archive ready')
+        } catch (err) {
+            return this.error('Failed to export discussions: ' + err.message, 'EXPORT_ERROR', { moduleId })
+        }
+    }
+
     // ==================== Response Operations ====================
 
+    /**
+     * Resolve the questions.id row for a (module, week, page, question) address.
+     * The client addresses questions by position or by question key; the database keys them by id.
+     * @param {number|string} questionId - 0-based question index, or the question's key
+     */
+    async getQuestionRecordId(moduleId, weekId, pageIndex, questionId) {
+        const { data: weekData, error } = await supabase
+            .from('weeks')
+            .select(`
+                id,
+                pages!inner (
+                    id,
+                    page_number,
+                    questions!inner (
+                        id,
+                        question_number,
+                        question_key
+                    )
+                )
+            `)
+            .eq('module_id', moduleId)
+            .eq('week_number', weekId)
+            .single()
+
+        throwIfNetworkError(error)
+        if (!weekData) return null
+
+        const page = weekData.pages?.find(p => p.page_number === pageIndex + 1)
+        if (!page) return null
+
+        const question = page.questions?.find(q => isQuestionKey(questionId)
+            ? q.question_key === questionId
+            : q.question_number === questionId + 1)
+        return question ? question.id : null
+    }
+
+    /**
+     * Save a private reflection for the current user.
+     * Called on every autosave; the database bumps `version` whenever the content changes,
+     * so the returned version lets the caller detect a newer save from another device.
+     */
     async saveResponse(moduleId, weekId, pageIndex, questionId, content) {
-        // For now, responses are handled via discussion posts
-        // This could be extended to have a separate responses table
-        console.log('saveResponse not yet implemented for Supabase')
-        return { content }
+        const userId = await getCurrentUserId()
+        if (!userId) return null
+
+        const questionRecordId = await this.getQuestionRecordId(moduleId, weekId, pageIndex, questionId)
+        if (!questionRecordId) {
+            console.error('Question not found for response save')
+            return null
+        }
+
+        try {
+            const { data } = await withRetry(async () => {
+                const result = await supabase
+                    .from('responses')
+                    .upsert({
+                        user_id: userId,
+                        question_id: questionRecordId,
+                        content: content || ''
+                    }, {
+                        onConflict: 'user_id,question_id'
+                    })
+                    .select()
+                    .single()
+                if (result.error) throw result.error
+                return result
+            }, 'saveResponse')
+
+            return {
+                moduleId,
+                weekId,
+                pageIndex,
+                questionId,
+                content: data.content,
+                version: data.version,
+                createdAt: data.created_at,
+                updatedAt: data.updated_at
+            }
+        } catch (err) {
+            logError('save_response', err.message, { moduleId, weekId, pageIndex, questionId })
+            return null
+        }
     }
 
     async getResponse(moduleId, weekId, pageIndex, questionId) {
-        console.log('getResponse not yet implemented for Supabase')
-        return null
+        const userId = await getCurrentUserId()
+        if (!userId) return null
+
+        const questionRecordId = await this.getQuestionRecordId(moduleId, weekId, pageIndex, questionId)
+        if (!questionRecordId) return null
+
+        const { data, error } = await supabase
+            .from('responses')
+            .select('content, version, created_at, updated_at')
+            .eq('user_id', userId)
+            .eq('question_id', questionRecordId)
+            .maybeSingle()
+
+        if (error) {
+            console.error('Error fetching response:', error)
+            return null
+        }
+
+        if (!data) return null
+
+        return {
+            moduleId,
+            weekId,
+            pageIndex,
+            questionId,
+            content: data.content,
+            version: data.version,
+            createdAt: data.created_at,
+            updatedAt: data.updated_at
+        }
     }
 
     // ==================== Draft Operations (localStorage fallback) ====================
@@ -1768,6 +2893,40 @@ class DataServiceSupabase {
     }
 }
 
+/**
+ * Wrap every async DataServiceSupabase method so each call is timed: it leaves
+ * a breadcrumb for error reports (method name, duration, whether it failed by
+ * throwing or returning an error result) and is counted in service metrics
+ */
+function instrumentMethods(cls) {
+    for (const name of Object.getOwnPropertyNames(cls.prototype)) {
+        const method = Object.getOwnPropertyDescriptor(cls.prototype, name).value
+        if (typeof method !== 'function' || method.constructor.name !== 'AsyncFunction') continue
+
+        cls.prototype[name] = async function (...args) {
+            const start = performance.now()
+            let status = 'ok'
+            try {
+                const result = await method.apply(this, args)
+                if (result?.success === false) status = 'failed'
+                return result
+            } catch (err) {
+                status = 'error'
+                throw err
+            } finally {
+                const duration = performance.now() - start
+                errorHandler.addBreadcrumb('data', `dataService.${name}`, {
+                    duration: Math.round(duration),
+                    status
+                })
+                serviceMetrics.record(name, duration, { failed: status !== 'ok' })
+            }
+        }
+    }
+}
+
+instrumentMethods(DataServiceSupabase)
+
 // Create global instance
 const dataService = new DataServiceSupabase()
 
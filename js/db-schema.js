@@ -1,175 +1,426 @@
 /**
  * Lectern Database Schema
  *
- * This file defines the normalized database schema for Lectern.
- * Designed to be compatible with both localStorage and future backend sync.
+ * Single source of truth for the shape of every table in schema.sql.
+ * Validator (js/validation.js) builds its rules from these column definitions,
+ * the data service maps Supabase rows with fromRow()/toRow(), and
+ * scripts/check-schema-drift.js fails when this file and schema.sql disagree.
  *
- * Schema Version: 1.0.0
+ * Column options:
+ *   type        SQL type: 'uuid' | 'text' | 'int' | 'bigint' | 'boolean' | 'date' | 'timestamptz' | 'jsonb'
+ *   notNull     Column is NOT NULL (primary keys included)
+ *   default     Column has a DEFAULT (value is informational)
+ *   enum        Allowed values, mirrored from the column's CHECK (... IN (...)) constraint
+ *   references  Table a foreign key points at (set by the data service, never by forms)
+ *   primaryKey  / readOnly   Set by the database, never written by the app
+ *   internal    Not exposed on mapped records
+ *   field       Property name on app records (defaults to camelCase; dots nest, e.g. 'schedule.day')
+ *   label       Name used in validation messages
+ * App-only rules (not enforced by Postgres, so not drift-checked):
+ *   required, minLength, maxLength, options, format ('url' | 'time')
+ *
+ * Schema Version: 2.0.0
  */
 
+const DAYS_OF_WEEK = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+const TIMEZONES = ['EST', 'CST', 'MST', 'PST', 'UTC'];
+
 const DB_SCHEMA = {
-    version: '1.0.0',
-
-    /**
-     * User Entity
-     * Stores user profile and preferences
-     */
-    user: {
-        id: 'string',           // UUID
-        email: 'string',
-        name: 'string',
-        role: 'string',         // 'student' | 'teacher' | 'admin'
-        preferences: {
-            currentView: 'string',  // 'student' | 'teacher'
-            theme: 'string'         // Future: 'light' | 'dark'
-        },
-        createdAt: 'timestamp',
-        updatedAt: 'timestamp'
-    },
-
-    /**
-     * Module Entity
-     * Represents a course module
-     */
-    module: {
-        id: 'number',           // Auto-increment
-        title: 'string',
-        description: 'string',
-        instructor: 'string',
-        duration: 'string',
-        participation: 'string',
-        timeExpectations: 'string',
-        status: 'string',       // 'draft' | 'published' | 'archived'
-        zoomInfo: {
-            url: 'string',
-            meetingId: 'string',
-            passcode: 'string',
-            schedule: {
-                day: 'string',      // 'Monday' | 'Tuesday' | ...
-                time: 'string',     // HH:MM format
-                timezone: 'string'  // 'EST' | 'CST' | ...
-            }
-        },
-        createdBy: 'string',    // User ID
-        createdAt: 'timestamp',
-        updatedAt: 'timestamp'
-    },
-
-    /**
-     * Week Entity
-     * Represents a week within a module
-     */
-    week: {
-        id: 'number',           // Auto-increment
-        moduleId: 'number',     // Foreign key to module
-        title: 'string',
-        description: 'string',
-        order: 'number',        // Display order within module
-        status: 'string',       // 'locked' | 'current' | 'complete'
-        unlockDate: 'string',   // ISO date string
-        pages: [                // Array of page objects
-            {
-                id: 'number',
-                title: 'string',
-                type: 'string', // 'discussion' | 'intro' | 'reading' | 'video'
-                order: 'number',
-                content: {
-                    // Type-specific content structure
-                }
-            }
-        ],
-        createdAt: 'timestamp',
-        updatedAt: 'timestamp'
-    },
-
-    /**
-     * Resource Entity
-     * Represents learning resources (readings, videos, etc.)
-     */
-    resource: {
-        id: 'number',
-        weekId: 'number',       // Foreign key to week
-        pageId: 'number',       // Which page within the week
-        type: 'string',         // 'reading' | 'video' | 'audio' | 'link'
-        title: 'string',
-        description: 'string',
-        url: 'string',
-        metadata: {
-            duration: 'string',     // For videos/audio
-            author: 'string',       // For readings
-            fileSize: 'number'      // For downloads
-        },
-        order: 'number',
-        createdAt: 'timestamp',
-        updatedAt: 'timestamp'
-    },
-
-    /**
-     * Question Entity
-     * Represents reflection/discussion questions
-     */
-    question: {
-        id: 'number',
-        weekId: 'number',       // Foreign key to week
-        pageId: 'number',       // Which page within the week
-        type: 'string',         // 'reflection' | 'discussion' | 'essay'
-        text: 'string',
-        order: 'number',
-        createdAt: 'timestamp',
-        updatedAt: 'timestamp'
-    },
-
-    /**
-     * UserProgress Entity
-     * Tracks student progress through modules and weeks
-     */
-    userProgress: {
-        id: 'number',
-        userId: 'string',       // Foreign key to user
-        moduleId: 'number',     // Foreign key to module
-        weekId: 'number',       // Foreign key to week
-        pageId: 'number',       // Current page within week
-        status: 'string',       // 'not_started' | 'in_progress' | 'completed'
-        completedAt: 'timestamp',
-        lastAccessedAt: 'timestamp',
-        updatedAt: 'timestamp'
-    },
-
-    /**
-     * Response Entity
-     * Stores student responses to questions and reflections
-     */
-    response: {
-        id: 'number',
-        userId: 'string',       // Foreign key to user
-        questionId: 'number',   // Foreign key to question
-        weekId: 'number',       // Foreign key to week
-        content: 'string',
-        isPublic: 'boolean',    // For discussion posts
-        replies: [              // For threaded discussions
-            {
-                id: 'number',
-                userId: 'string',
-                content: 'string',
-                createdAt: 'timestamp'
-            }
-        ],
-        createdAt: 'timestamp',
-        updatedAt: 'timestamp'
-    },
-
-    /**
-     * Draft Entity
-     * Temporary storage for unsaved work
-     */
-    draft: {
-        id: 'string',           // UUID
-        userId: 'string',       // Foreign key to user
-        type: 'string',         // 'module' | 'week' | 'response'
-        entityId: 'number',     // ID of the entity being drafted
-        data: 'object',         // JSON blob of draft data
-        createdAt: 'timestamp',
-        updatedAt: 'timestamp'
+    version: '2.0.0',
+
+    tables: {
+        users: {
+            label: 'User',
+            columns: {
+                id: { type: 'uuid', notNull: true, primaryKey: true, references: 'auth.users' },
+                email: { type: 'text', notNull: true },
+                name: { type: 'text' },
+                role: { type: 'text', notNull: true, default: 'student', enum: ['student', 'admin'] },
+                status: { type: 'text', notNull: true, default: 'pending', enum: ['pending', 'active', 'inactive'] },
+                created_at: { type: 'timestamptz', default: 'now()', readOnly: true },
+                updated_at: { type: 'timestamptz', default: 'now()', readOnly: true }
+            }
+        },
+
+        modules: {
+            label: 'Module',
+            columns: {
+                id: { type: 'bigint', notNull: true, default: 'bigserial', primaryKey: true },
+                title: { type: 'text', notNull: true, minLength: 3, maxLength: 200 },
+                description: { type: 'text', maxLength: 2000 },
+                instructor: { type: 'text' },
+                duration: { type: 'text' },
+                participation: { type: 'text' },
+                time_expectations: { type: 'text' },
+                status: { type: 'text', notNull: true, default: 'draft', enum: ['draft', 'launched', 'archived'] },
+                template_id: { type: 'bigint', references: 'modules' },
+                launched_at: { type: 'timestamptz' },
+                archived_at: { type: 'timestamptz' },
+                launch_key: { type: 'uuid', internal: true },
+                created_at: { type: 'timestamptz', default: 'now()', readOnly: true },
+                updated_at: { type: 'timestamptz', default: 'now()', readOnly: true }
+            }
+        },
+
+        module_zoom_info: {
+            label: 'Zoom',
+            columns: {
+                id: { type: 'bigint', notNull: true, default: 'bigserial', primaryKey: true, internal: true },
+                module_id: { type: 'bigint', notNull: true, references: 'modules' },
+                url: { type: 'text', format: 'url', label: 'Zoom URL' },
+                meeting_id: { type: 'text', label: 'Meeting ID' },
+                passcode: { type: 'text' },
+                day: { type: 'text', field: 'schedule.day', options: DAYS_OF_WEEK, label: 'Day of week' },
+                time: { type: 'text', field: 'schedule.time', format: 'time', label: 'Time' },
+                timezone: { type: 'text', field: 'schedule.timezone', default: 'EST', options: TIMEZONES, label: 'Timezone' },
+                created_at: { type: 'timestamptz', default: 'now()', readOnly: true, internal: true },
+                updated_at: { type: 'timestamptz', default: 'now()', readOnly: true, internal: true }
+            }
+        },
+
+        weeks: {
+            label: 'Week',
+            columns: {
+                id: { type: 'bigint', notNull: true, default: 'bigserial', primaryKey: true },
+                module_id: { type: 'bigint', notNull: true, references: 'modules' },
+                // Assigned by create_week_with_content(), so forms never supply it
+                week_number: { type: 'int', notNull: true, required: false },
+                title: { type: 'text', notNull: true, minLength: 3, maxLength: 200 },
+                description: { type: 'text' },
+                unlock_date: { type: 'date' },
+                created_at: { type: 'timestamptz', default: 'now()', readOnly: true },
+                updated_at: { type: 'timestamptz', default: 'now()', readOnly: true }
+            }
+        },
+
+        pages: {
+            label: 'Page',
+            columns: {
+                id: { type: 'bigint', notNull: true, default: 'bigserial', primaryKey: true },
+                week_id: { type: 'bigint', notNull: true, references: 'weeks' },
+                page_number: { type: 'int', notNull: true, required: false },
+                title: { type: 'text', notNull: true },
+                type: { type: 'text', notNull: true, enum: ['discussion', 'intro', 'reading'] },
+                content: { type: 'text' },
+                created_at: { type: 'timestamptz', default: 'now()', readOnly: true },
+                updated_at: { type: 'timestamptz', default: 'now()', readOnly: true }
+            }
+        },
+
+        questions: {
+            label: 'Question',
+            columns: {
+                id: { type: 'bigint', notNull: true, default: 'bigserial', primaryKey: true },
+                page_id: { type: 'bigint', notNull: true, references: 'pages' },
+                question_number: { type: 'int', notNull: true, default: 1 },
+                question_key: { type: 'uuid', notNull: true, default: 'gen_random_uuid()', field: 'key' },
+                text: { type: 'text', notNull: true, minLength: 10, maxLength: 2000 },
+                locked_at: { type: 'timestamptz' },
+                locked_by: { type: 'uuid', references: 'users' },
+                created_at: { type: 'timestamptz', default: 'now()', readOnly: true },
+                updated_at: { type: 'timestamptz', default: 'now()', readOnly: true }
+            }
+        },
+
+        resources: {
+            label: 'Resource',
+            columns: {
+                id: { type: 'bigint', notNull: true, default: 'bigserial', primaryKey: true },
+                page_id: { type: 'bigint', notNull: true, references: 'pages' },
+                title: { type: 'text', notNull: true, maxLength: 300 },
+                url: { type: 'text', format: 'url', label: 'Resource URL' },
+                description: { type: 'text' },
+                sort_order: { type: 'int', default: 0 },
+                created_at: { type: 'timestamptz', default: 'now()', readOnly: true },
+                updated_at: { type: 'timestamptz', default: 'now()', readOnly: true }
+            }
+        },
+
+        videos: {
+            label: 'Video',
+            columns: {
+                id: { type: 'bigint', notNull: true, default: 'bigserial', primaryKey: true },
+                page_id: { type: 'bigint', notNull: true, references: 'pages' },
+                title: { type: 'text', notNull: true },
+                url: { type: 'text', notNull: true, format: 'url', label: 'Video URL' },
+                description: { type: 'text' },
+                duration: { type: 'text' },
+                sort_order: { type: 'int', default: 0 },
+                created_at: { type: 'timestamptz', default: 'now()', readOnly: true },
+                updated_at: { type: 'timestamptz', default: 'now()', readOnly: true }
+            }
+        },
+
+        enrollments: {
+            label: 'Enrollment',
+            columns: {
+                id: { type: 'bigint', notNull: true, default: 'bigserial', primaryKey: true },
+                user_id: { type: 'uuid', notNull: true, references: 'users' },
+                module_id: { type: 'bigint', notNull: true, references: 'modules' },
+                role: { type: 'text', notNull: true, default: 'student', enum: ['student', 'instructor', 'ta', 'auditor'] },
+                enrolled_at: { type: 'timestamptz', default: 'now()', readOnly: true },
+                updated_at: { type: 'timestamptz', default: 'now()', readOnly: true }
+            }
+        },
+
+        roster_entries: {
+            label: 'Roster entry',
+            columns: {
+                id: { type: 'bigint', notNull: true, default: 'bigserial', primaryKey: true },
+                email: { type: 'text', notNull: true, required: true },
+                name: { type: 'text' },
+                module_id: { type: 'bigint', notNull: true, references: 'modules' },
+                role: { type: 'text', notNull: true, default: 'student', enum: ['student', 'instructor', 'ta', 'auditor'] },
+                created_by: { type: 'uuid', references: 'users' },
+                created_at: { type: 'timestamptz', default: 'now()', readOnly: true },
+                updated_at: { type: 'timestamptz', default: 'now()', readOnly: true }
+            }
+        },
+
+        module_invites: {
+            label: 'Invite',
+            columns: {
+                id: { type: 'bigint', notNull: true, default: 'bigserial', primaryKey: true },
+                module_id: { type: 'bigint', notNull: true, references: 'modules' },
+                code: { type: 'text', notNull: true, default: 'random', readOnly: true },
+                role: { type: 'text', notNull: true, default: 'student', enum: ['student', 'auditor'] },
+                max_uses: { type: 'int', label: 'Max uses' },
+                use_count: { type: 'int', notNull: true, default: 0, readOnly: true },
+                expires_at: { type: 'timestamptz', label: 'Expiry date' },
+                revoked_at: { type: 'timestamptz' },
+                created_by: { type: 'uuid', references: 'users' },
+                created_at: { type: 'timestamptz', default: 'now()', readOnly: true },
+                updated_at: { type: 'timestamptz', default: 'now()', readOnly: true }
+            }
+        },
+
+        progress: {
+            label: 'Progress',
+            columns: {
+                id: { type: 'bigint', notNull: true, default: 'bigserial', primaryKey: true },
+                user_id: { type: 'uuid', notNull: true, references: 'users' },
+                week_id: { type: 'bigint', notNull: true, references: 'weeks' },
+                current_page: { type: 'int', default: 1 },
+                completed: { type: 'boolean', default: false },
+                completed_at: { type: 'timestamptz' },
+                updated_at: { type: 'timestamptz', default: 'now()', readOnly: true }
+            }
+        },
+
+        discussion_posts: {
+            label: 'Post',
+            columns: {
+                id: { type: 'bigint', notNull: true, default: 'bigserial', primaryKey: true },
+                question_id: { type: 'bigint', notNull: true, references: 'questions' },
+                user_id: { type: 'uuid', notNull: true, references: 'users' },
+                parent_id: { type: 'bigint', references: 'discussion_posts' },
+                content: { type: 'text', notNull: true },
+                is_deleted: { type: 'boolean', default: false },
+                is_hidden: { type: 'boolean', notNull: true, default: false },
+                hidden_reason: { type: 'text' },
+                hidden_by: { type: 'uuid', references: 'users', readOnly: true },
+                hidden_at: { type: 'timestamptz', readOnly: true },
+                pinned_at: { type: 'timestamptz' },
+                pinned_by: { type: 'uuid', references: 'users', readOnly: true },
+                edited_at: { type: 'timestamptz', readOnly: true },
+                created_at: { type: 'timestamptz', default: 'now()', readOnly: true },
+                updated_at: { type: 'timestamptz', default: 'now()', readOnly: true }
+            }
+        },
+
+        post_revisions: {
+            label: 'Revision',
+            columns: {
+                id: { type: 'bigint', notNull: true, default: 'bigserial', primaryKey: true },
+                post_id: { type: 'bigint', references: 'discussion_posts' },
+                question_id: { type: 'bigint', notNull: true, references: 'questions' },
+                author_id: { type: 'uuid', notNull: true, references: 'users' },
+                content: { type: 'text', notNull: true },
+                edited_by: { type: 'uuid', references: 'users' },
+                created_at: { type: 'timestamptz', default: 'now()', readOnly: true }
+            }
+        },
+
+        post_flags: {
+            label: 'Flag',
+            columns: {
+                id: { type: 'bigint', notNull: true, default: 'bigserial', primaryKey: true },
+                post_id: { type: 'bigint', notNull: true, references: 'discussion_posts' },
+                user_id: { type: 'uuid', notNull: true, references: 'users' },
+                reason: { type: 'text', notNull: true, required: true, maxLength: 500 },
+                created_at: { type: 'timestamptz', default: 'now()', readOnly: true },
+                resolved_at: { type: 'timestamptz' },
+                resolved_by: { type: 'uuid', references: 'users' },
+                resolution: { type: 'text', enum: ['dismissed', 'hidden', 'deleted'] }
+            }
+        },
+
+        discussion_reads: {
+            label: 'Read State',
+            columns: {
+                id: { type: 'bigint', notNull: true, default: 'bigserial', primaryKey: true },
+                user_id: { type: 'uuid', notNull: true, references: 'users' },
+                question_id: { type: 'bigint', notNull: true, references: 'questions' },
+                last_seen_at: { type: 'timestamptz', notNull: true, default: 'now()' }
+            }
+        },
+
+        post_mentions: {
+            label: 'Mention',
+            columns: {
+                id: { type: 'bigint', notNull: true, default: 'bigserial', primaryKey: true },
+                post_id: { type: 'bigint', notNull: true, references: 'discussion_posts' },
+                user_id: { type: 'uuid', notNull: true, references: 'users' },
+                mentioned_by: { type: 'uuid', references: 'users' },
+                created_at: { type: 'timestamptz', default: 'now()', readOnly: true }
+            }
+        },
+
+        notifications: {
+            label: 'Notification',
+            columns: {
+                id: { type: 'bigint', notNull: true, default: 'bigserial', primaryKey: true },
+                user_id: { type: 'uuid', notNull: true, references: 'users' },
+                type: { type: 'text', notNull: true, enum: ['reply', 'mention', 'week_unlocked', 'instructor_post'] },
+                module_id: { type: 'bigint', references: 'modules' },
+                week_id: { type: 'bigint', references: 'weeks' },
+                post_id: { type: 'bigint', references: 'discussion_posts' },
+                actor_id: { type: 'uuid', references: 'users' },
+                created_at: { type: 'timestamptz', default: 'now()', readOnly: true },
+                read_at: { type: 'timestamptz' },
+                emailed_at: { type: 'timestamptz', readOnly: true }
+            }
+        },
+
+        notification_preferences: {
+            label: 'Notification Preferences',
+            columns: {
+                id: { type: 'bigint', notNull: true, default: 'bigserial', primaryKey: true },
+                user_id: { type: 'uuid', notNull: true, references: 'users' },
+                notify_replies: { type: 'boolean', notNull: true, default: true },
+                notify_mentions: { type: 'boolean', notNull: true, default: true },
+                notify_week_unlocked: { type: 'boolean', notNull: true, default: true },
+                notify_instructor_posts: { type: 'boolean', notNull: true, default: true },
+                email_frequency: { type: 'text', notNull: true, default: 'weekly', enum: ['off', 'daily', 'weekly'] },
+                updated_at: { type: 'timestamptz', default: 'now()', readOnly: true }
+            }
+        },
+
+        responses: {
+            label: 'Response',
+            columns: {
+                id: { type: 'bigint', notNull: true, default: 'bigserial', primaryKey: true },
+                question_id: { type: 'bigint', notNull: true, references: 'questions' },
+                user_id: { type: 'uuid', notNull: true, references: 'users' },
+                content: { type: 'text', notNull: true, default: '' },
+                version: { type: 'int', notNull: true, default: 1 },
+                created_at: { type: 'timestamptz', default: 'now()', readOnly: true },
+                updated_at: { type: 'timestamptz', default: 'now()', readOnly: true }
+            }
+        },
+
+        error_groups: {
+            label: 'Error group',
+            columns: {
+                id: { type: 'bigint', notNull: true, default: 'bigserial', primaryKey: true },
+                fingerprint: { type: 'text', notNull: true },
+                error_type: { type: 'text', notNull: true },
+                title: { type: 'text', notNull: true },
+                culprit: { type: 'text' },
+                status: { type: 'text', notNull: true, default: 'unresolved', enum: ['unresolved', 'resolved', 'ignored', 'regressed'] },
+                occurrences: { type: 'bigint', notNull: true, default: 0, readOnly: true },
+                affected_users: { type: 'int', notNull: true, default: 0, readOnly: true },
+                first_seen: { type: 'timestamptz', notNull: true, default: 'now()', readOnly: true },
+                last_seen: { type: 'timestamptz', notNull: true, default: 'now()', readOnly: true },
+                status_changed_at: { type: 'timestamptz' },
+                status_changed_by: { type: 'uuid', references: 'users' }
+            }
+        },
+
+        error_logs: {
+            label: 'Error log',
+            columns: {
+                id: { type: 'bigint', notNull: true, default: 'bigserial', primaryKey: true },
+                timestamp: { type: 'timestamptz', default: 'now()' },
+                user_id: { type: 'uuid', references: 'users' },
+                error_type: { type: 'text', notNull: true },
+                error_message: { type: 'text', notNull: true },
+                stack_trace: { type: 'text' },
+                page_url: { type: 'text' },
+                user_agent: { type: 'text' },
+                additional_context: { type: 'jsonb' },
+                fingerprint: { type: 'text' },
+                culprit: { type: 'text' },
+                occurrences: { type: 'int', notNull: true, default: 1 },
+                group_id: { type: 'bigint', references: 'error_groups', readOnly: true }
+            }
+        },
+
+        alert_rules: {
+            label: 'Alert rule',
+            columns: {
+                id: { type: 'bigint', notNull: true, default: 'bigserial', primaryKey: true },
+                name: { type: 'text', notNull: true },
+                rule_type: { type: 'text', notNull: true, enum: ['new_group', 'spike', 'affected_users'] },
+                error_type: { type: 'text' },
+                threshold: { type: 'int' },
+                window_minutes: { type: 'int', notNull: true, default: 60 },
+                channel: { type: 'text', notNull: true, enum: ['email', 'webhook'] },
+                target: { type: 'text', notNull: true },
+                cooldown_minutes: { type: 'int', notNull: true, default: 60 },
+                enabled: { type: 'boolean', notNull: true, default: true },
+                last_triggered_at: { type: 'timestamptz', readOnly: true },
+                created_by: { type: 'uuid', references: 'users' },
+                created_at: { type: 'timestamptz', notNull: true, default: 'now()', readOnly: true },
+                updated_at: { type: 'timestamptz', default: 'now()', readOnly: true }
+            }
+        },
+
+        alert_events: {
+            label: 'Alert event',
+            columns: {
+                id: { type: 'bigint', notNull: true, default: 'bigserial', primaryKey: true },
+                rule_id: { type: 'bigint', notNull: true, references: 'alert_rules' },
+                group_id: { type: 'bigint', references: 'error_groups' },
+                triggered_at: { type: 'timestamptz', notNull: true, default: 'now()', readOnly: true },
+                events: { type: 'bigint' },
+                affected_users: { type: 'int' }
+            }
+        },
+
+        audit_log: {
+            label: 'Audit entry',
+            columns: {
+                id: { type: 'bigint', notNull: true, default: 'bigserial', primaryKey: true },
+                created_at: { type: 'timestamptz', notNull: true, default: 'now()', readOnly: true },
+                actor_id: { type: 'uuid', readOnly: true },
+                actor_email: { type: 'text', readOnly: true },
+                action: { type: 'text', notNull: true },
+                target_type: { type: 'text', notNull: true },
+                target_id: { type: 'text' },
+                module_id: { type: 'bigint' },
+                before_data: { type: 'jsonb', field: 'before' },
+                after_data: { type: 'jsonb', field: 'after' },
+                metadata: { type: 'jsonb' }
+            }
+        },
+
+        service_metrics: {
+            label: 'Service metric',
+            columns: {
+                id: { type: 'bigint', notNull: true, default: 'bigserial', primaryKey: true },
+                recorded_at: { type: 'timestamptz', notNull: true, default: 'now()', readOnly: true },
+                method: { type: 'text', notNull: true },
+                kind: { type: 'text', notNull: true, default: 'call', enum: ['call', 'attempt'] },
+                calls: { type: 'int', notNull: true },
+                errors: { type: 'int', notNull: true, default: 0 },
+                retries: { type: 'int', notNull: true, default: 0 },
+                slow_calls: { type: 'int', notNull: true, default: 0 },
+                total_ms: { type: 'bigint', notNull: true, default: 0 },
+                max_ms: { type: 'int', notNull: true, default: 0 },
+                latency_buckets: { type: 'int[]', notNull: true }
+            }
+        }
     }
 };
 
@@ -209,28 +460,75 @@ const STORAGE_KEYS = {
 };
 
 /**
- * Data Validation Rules
+ * Look up a table definition, failing loudly on typos
  */
-const VALIDATION_RULES = {
-    module: {
-        title: { required: true, minLength: 3, maxLength: 200 },
-        description: { maxLength: 2000 },
-        status: { enum: ['draft', 'published', 'archived'] }
-    },
-    week: {
-        title: { required: true, minLength: 3, maxLength: 200 },
-        status: { enum: ['locked', 'current', 'complete'] }
-    },
-    resource: {
-        title: { required: true, minLength: 1, maxLength: 300 },
-        url: { required: true, pattern: /^https?:\/\/.+/ }
-    },
-    question: {
-        text: { required: true, minLength: 10, maxLength: 2000 }
+function getTable(table) {
+    const definition = DB_SCHEMA.tables[table];
+    if (!definition) {
+        throw new Error(`Unknown table "${table}" in DB_SCHEMA`);
     }
-};
+    return definition;
+}
 
-// Export for use in other modules
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { DB_SCHEMA, STORAGE_KEYS, VALIDATION_RULES };
+/**
+ * Property name a column is exposed as on app records
+ */
+function fieldName(column, spec) {
+    return spec.field || column.replace(/_([a-z])/g, (_, c) => c.toUpperCase());
+}
+
+/**
+ * Whether a form must supply a value for this column
+ */
+function isRequired(spec) {
+    if (spec.required !== undefined) return spec.required;
+    return Boolean(spec.notNull) && spec.default === undefined && !spec.references && !spec.primaryKey && !spec.readOnly;
+}
+
+/**
+ * Read a (possibly dotted) field from a record
+ */
+function getPath(record, path) {
+    return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), record);
+}
+
+function setPath(record, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const target = keys.reduce((obj, key) => (obj[key] = obj[key] || {}), record);
+    target[last] = value;
+}
+
+/**
+ * Map a Supabase row (snake_case) to an app record (camelCase, nested where configured)
+ */
+function fromRow(table, row) {
+    if (!row) return null;
+
+    const record = {};
+    for (const [column, spec] of Object.entries(getTable(table).columns)) {
+        if (spec.internal) continue;
+        setPath(record, fieldName(column, spec), row[column] ?? null);
+    }
+    return record;
 }
+
+/**
+ * Map an app record to a Supabase row for insert/update.
+ * Only fields present on the record are written, so this works for partial updates;
+ * database-managed columns are never written and empty strings become NULL.
+ */
+function toRow(table, record) {
+    const row = {};
+    for (const [column, spec] of Object.entries(getTable(table).columns)) {
+        if (spec.internal || spec.primaryKey || spec.readOnly) continue;
+
+        const value = getPath(record, fieldName(column, spec));
+        if (value === undefined) continue;
+
+        row[column] = value === '' && !spec.notNull ? null : value;
+    }
+    return row;
+}
+
+export { DB_SCHEMA, STORAGE_KEYS, getTable, fieldName, isRequired, getPath, fromRow, toRow };
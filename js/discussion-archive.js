@@ -0,0 +1,238 @@
+/**
+ * Lectern Discussion Archive
+ *
+ * Renders a module's discussions (dataService.getDiscussionArchive) as one
+ * self-contained HTML document: every week, page and question with its full
+ * thread, authors, timestamps and edited/deleted/hidden markers. Styles are
+ * inlined and nothing is loaded from Lectern, so the file opens offline and
+ * without an account. The same document has print styles (a page per week,
+ * page numbers) and is printed to produce the PDF.
+ *
+ * Post content goes through RichText.toHTML, so pages using this module must
+ * load js/rich-text.js.
+ */
+
+const ARCHIVE_STYLES = `
+    body {
+        font-family: Georgia, 'Times New Roman', serif;
+        color: #222;
+        line-height: 1.55;
+        max-width: 820px;
+        margin: 0 auto;
+        padding: 2rem 1.5rem;
+    }
+    h1, h2, h3, h4 { font-family: Arial, Helvetica, sans-serif; color: #1d3557; line-height: 1.25; }
+    h1 { font-size: 1.8rem; margin: 0 0 0.5rem; }
+    h2 { font-size: 1.4rem; margin: 0 0 0.25rem; }
+    h3 { font-size: 1.1rem; margin: 1.75rem 0 0.75rem; }
+    a { color: #106470; }
+    .meta { color: #666; font-size: 0.85rem; font-family: Arial, Helvetica, sans-serif; }
+    .cover { border-bottom: 2px solid #1d3557; padding-bottom: 1rem; margin-bottom: 1.5rem; }
+    .contents ol { padding-left: 1.5rem; }
+    .week { margin-top: 3rem; }
+    .week-header { border-bottom: 1px solid #ccc; padding-bottom: 0.5rem; margin-bottom: 1rem; }
+    .page-content { margin-bottom: 1rem; }
+    .question { background: #eef2f3; border-left: 4px solid #106470; padding: 0.75rem 1rem; margin: 1.25rem 0 0.75rem; font-style: italic; }
+    .question .label { font-style: normal; font-family: Arial, Helvetica, sans-serif; font-size: 0.8rem; color: #106470; font-weight: bold; display: block; margin-bottom: 0.25rem; }
+    .post { border: 1px solid #ddd; border-radius: 6px; padding: 0.75rem 1rem; margin: 0.6rem 0; }
+    .post .post { margin-left: 1.25rem; border-color: #e6e6e6; }
+    .post-header { font-family: Arial, Helvetica, sans-serif; font-size: 0.85rem; margin-bottom: 0.4rem; }
+    .post-author { font-weight: bold; color: #1d3557; }
+    .post-author.instructor { color: #106470; }
+    .marker { display: inline-block; font-size: 0.7rem; text-transform: uppercase; letter-spacing: 0.04em; border-radius: 3px; padding: 0 0.35rem; margin-left: 0.35rem; background: #eee; color: #555; }
+    .marker.hidden { background: #f8d7da; color: #842029; }
+    .marker.pinned { background: #fff3cd; color: #8b6914; }
+    .deleted { color: #888; font-style: italic; }
+    .empty { color: #888; font-style: italic; }
+    .mention { color: #106470; font-weight: bold; }
+    ul.resources { padding-left: 1.25rem; }
+
+    @page {
+        size: auto;
+        margin: 2cm 1.8cm;
+        @bottom-center { content: counter(page) " / " counter(pages); font-size: 9pt; color: #666; }
+    }
+    @media print {
+        body { max-width: none; padding: 0; font-size: 11pt; }
+        a { color: inherit; text-decoration: none; }
+        .week { break-before: page; margin-top: 0; }
+        .post-header, h2, h3, .question { break-after: avoid; }
+        .post { break-inside: avoid; }
+    }
+`;
+
+/**
+ * Render an archive as a complete HTML document
+ * @param {Object} archive - data from dataService.getDiscussionArchive
+ * @param {Object} [options]
+ * @param {string} [options.exportedBy] - Name shown on the cover
+ * @returns {string} HTML document
+ */
+export function renderArchiveHtml(archive, { exportedBy = null } = {}) {
+    const { module, weeks } = archive;
+    const title = `${module.title}: Discussions`;
+
+    const contents = weeks.map(week =>
+        `<li><a href="#week-${week.id}">Week ${week.id}: ${escapeHtml(week.title)}</a> <span class="meta">(${countPosts(week)} posts)</span></li>`
+    ).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(title)}</title>
+<style>${ARCHIVE_STYLES}</style>
+</head>
+<body>
+<div class="cover">
+    <h1>${escapeHtml(module.title)}</h1>
+    ${module.instructor ? `<div class="meta">Instructor: ${escapeHtml(module.instructor)}</div>` : ''}
+    ${module.duration ? `<div class="meta">Duration: ${escapeHtml(module.duration)}</div>` : ''}
+    <div class="meta">
+        ${archive.authorId ? 'Threads I took part in' : 'All discussions'},
+        exported ${formatDate(archive.exportedAt)}${exportedBy ? ` by ${escapeHtml(exportedBy)}` : ''}
+    </div>
+</div>
+${module.description ? `<div class="page-content">${RichText.toHTML(module.description)}</div>` : ''}
+<div class="contents">
+    <h2>Contents</h2>
+    ${weeks.length > 0 ? `<ol>${contents}</ol>` : '<p class="empty">This module has no weeks.</p>'}
+</div>
+${weeks.map(renderWeek).join('\n')}
+</body>
+</html>
+`;
+}
+
+/**
+ * Download an archive as a standalone .html file
+ * @param {Object} archive - data from dataService.getDiscussionArchive
+ * @param {Object} [options] - as for renderArchiveHtml
+ */
+export function downloadArchiveHtml(archive, options = {}) {
+    const blob = new Blob([renderArchiveHtml(archive, options)], { type: 'text/html;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `${archiveFileName(archive)}.html`;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Open the print dialog for an archive, to save it as a paginated PDF.
+ * Printed from a hidden frame, so it isn't caught by popup blockers.
+ * @param {Object} archive - data from dataService.getDiscussionArchive
+ * @param {Object} [options] - as for renderArchiveHtml
+ * @returns {Promise} Resolves once the print dialog has been opened
+ */
+export function printArchive(archive, options = {}) {
+    return new Promise(resolve => {
+        const frame = document.createElement('iframe');
+        frame.style.cssText = 'position: fixed; width: 0; height: 0; border: 0; visibility: hidden;';
+        frame.onload = () => {
+            const win = frame.contentWindow;
+            // The PDF file name comes from the document title in most browsers
+            win.document.title = archiveFileName(archive);
+            win.addEventListener('afterprint', () => frame.remove());
+            win.focus();
+            // Blocks until the dialog closes in most browsers
+            win.print();
+            resolve();
+        };
+        frame.srcdoc = renderArchiveHtml(archive, options);
+        document.body.appendChild(frame);
+    });
+}
+
+function renderWeek(week) {
+    const pages = week.pages.map((page, index) => {
+        let html = `<h3>Page ${index + 1}: ${escapeHtml(page.title)}</h3>`;
+
+        if (page.content) {
+            html += `<div class="page-content">${RichText.toHTML(page.content)}</div>`;
+        }
+
+        const links = [...(page.resources || []), ...(page.videos || [])];
+        if (links.length > 0) {
+            html += `<ul class="resources">${links.map(link =>
+                `<li><a href="${/^https?:\/\//i.test(link.url || '') ? escapeHtml(link.url) : '#'}">${escapeHtml(link.title)}</a>${link.description ? ` &ndash; ${escapeHtml(link.description)}` : ''}</li>`
+            ).join('')}</ul>`;
+        }
+
+        for (const [questionIndex, question] of page.questions.entries()) {
+            html += `
+                <div class="question">
+                    <span class="label">Question ${questionIndex + 1}</span>
+                    ${RichText.toHTML(question.text)}
+                </div>
+                ${question.posts.length > 0
+                    ? question.posts.map(renderPost).join('')
+                    : '<p class="empty">No responses.</p>'}
+            `;
+        }
+
+        return html;
+    }).join('');
+
+    return `
+<section class="week" id="week-${week.id}">
+    <div class="week-header">
+        <h2>Week ${week.id}: ${escapeHtml(week.title)}</h2>
+        ${week.unlockDate ? `<div class="meta">Opened ${new Date(week.unlockDate + 'T12:00:00').toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' })}</div>` : ''}
+    </div>
+    ${week.description ? `<div class="page-content">${RichText.toHTML(week.description)}</div>` : ''}
+    ${pages || '<p class="empty">No pages.</p>'}
+</section>`;
+}
+
+function renderPost(post) {
+    const markers = [
+        post.isPinned ? '<span class="marker pinned">Pinned</span>' : '',
+        post.isHidden ? `<span class="marker hidden">Hidden${post.hiddenReason ? `: ${escapeHtml(post.hiddenReason)}` : ''}</span>` : '',
+        post.editedAt && !post.isDeleted ? `<span class="marker">Edited ${formatDate(post.editedAt)}</span>` : ''
+    ].join('');
+
+    return `
+        <div class="post">
+            <div class="post-header">
+                <span class="post-author${post.isAdmin ? ' instructor' : ''}">${escapeHtml(post.author)}</span>
+                <span class="meta">&middot; ${formatDate(post.createdAt)}</span>
+                ${markers}
+            </div>
+            ${post.isDeleted
+                ? '<div class="deleted">[This post has been deleted]</div>'
+                : `<div>${RichText.toHTML(post.content)}</div>`}
+            ${(post.replies || []).map(renderPost).join('')}
+        </div>`;
+}
+
+function countPosts(week) {
+    const count = posts => posts.reduce((sum, post) => sum + 1 + count(post.replies || []), 0);
+    return week.pages.reduce((sum, page) =>
+        sum + page.questions.reduce((pageSum, question) => pageSum + count(question.posts), 0), 0);
+}
+
+function archiveFileName(archive) {
+    const slug = archive.module.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'module';
+    return `${slug}-discussions-${archive.exportedAt.split('T')[0]}`;
+}
+
+function formatDate(value) {
+    return new Date(value).toLocaleString('en-US', {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit'
+    });
+}
+
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
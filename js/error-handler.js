@@ -3,9 +3,39 @@
  *
  * Global error handling and logging for production error tracking.
  * Logs errors to Supabase error_logs table and shows user-friendly messages.
+ * Each error carries a fingerprint (type, normalized message, top stack frames)
+ * that groups its occurrences on admin-errors.html; repeats of the same error
+ * within a minute are counted and sent as one row when the minute is up (or the
+ * page is left) instead of each being sent.
+ * Errors also carry a breadcrumb trail of what led up to them: navigation,
+ * clicks, data service calls and console warnings.
  */
 
 import { supabase, getCurrentUserId } from './supabase-client.js';
+import { parseStack } from './stack-trace.js';
+
+// Stack frames that make up a fingerprint
+const FINGERPRINT_FRAMES = 3;
+
+// Breadcrumbs kept (oldest dropped first), and the longest message kept for each
+const MAX_BREADCRUMBS = 100;
+const MAX_BREADCRUMB_LENGTH = 200;
+
+/**
+ * 53-bit string hash (cyrb53), as 14 hex digits. Synchronous, unlike crypto.subtle.
+ */
+function hashString(text) {
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text.charCodeAt(i);
+        h1 = Math.imul(h1 ^ ch, 2654435761);
+        h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16).padStart(14, '0');
+}
 
 class ErrorHandler {
     constructor() {
@@ -14,6 +44,11 @@ class ErrorHandler {
         this.isProcessing = false;
         this.maxRetries = 3;
         this.retryDelay = 1000;
+        // fingerprint -> { loggedAt, repeats, errorData, timer } for errors logged recently
+        this.recentErrors = new Map();
+        this.dedupeWindow = 60 * 1000;
+        this.maxRecentErrors = 100;
+        this.breadcrumbs = [];
     }
 
     /**
@@ -44,10 +79,124 @@ class ErrorHandler {
             return true; // Prevents default browser error handling
         };
 
+        // Repeats still being counted, and rows not yet sent, would be lost with the page
+        window.addEventListener('pagehide', () => this.saveUnsent());
+
+        this.captureBreadcrumbs();
+
         this.initialized = true;
         console.log('[ErrorHandler] Initialized');
     }
 
+    /**
+     * Record a breadcrumb: something that happened before an error, attached to
+     * every error logged afterwards
+     * @param {string} category - 'navigation' | 'click' | 'data' | 'console'
+     * @param {string} message
+     * @param {Object} [data] - e.g. { duration, status } for data service calls
+     */
+    addBreadcrumb(category, message, data = null) {
+        this.breadcrumbs.push({
+            timestamp: new Date().toISOString(),
+            category,
+            message: String(message).slice(0, MAX_BREADCRUMB_LENGTH),
+            ...(data ? { data } : {})
+        });
+        if (this.breadcrumbs.length > MAX_BREADCRUMBS) {
+            this.breadcrumbs.shift();
+        }
+    }
+
+    /**
+     * The breadcrumb trail so far, oldest first
+     */
+    getBreadcrumbs() {
+        return this.breadcrumbs.slice();
+    }
+
+    /**
+     * The breadcrumb trail to store with an error, ending with the error itself
+     * so the trail shows how long before it each step was
+     */
+    breadcrumbTrail(message) {
+        return [
+            ...this.getBreadcrumbs(),
+            { timestamp: new Date().toISOString(), category: 'error', message: String(message).slice(0, MAX_BREADCRUMB_LENGTH) }
+        ];
+    }
+
+    /**
+     * Record navigation, clicks and console warnings as breadcrumbs
+     * (data service calls are recorded by the data service)
+     */
+    captureBreadcrumbs() {
+        const path = () => window.location.pathname + window.location.search + window.location.hash;
+
+        this.addBreadcrumb('navigation', `Loaded ${path()}`, document.referrer ? { from: document.referrer } : null);
+
+        for (const method of ['pushState', 'replaceState']) {
+            const original = history[method];
+            history[method] = (...args) => {
+                const from = path();
+                const result = original.apply(history, args);
+                this.addBreadcrumb('navigation', `${method} ${path()}`, { from });
+                return result;
+            };
+        }
+        window.addEventListener('popstate', () => this.addBreadcrumb('navigation', `Back/forward to ${path()}`));
+        window.addEventListener('hashchange', () => this.addBreadcrumb('navigation', `Hash changed to ${window.location.hash}`));
+
+        document.addEventListener('click', (event) => {
+            if (event.target instanceof Element) {
+                this.addBreadcrumb('click', this.describeElement(event.target));
+            }
+        }, true);
+
+        const warn = console.warn;
+        console.warn = (...args) => {
+            this.addBreadcrumb('console', args.map(arg => {
+                if (arg instanceof Error) return arg.message;
+                if (typeof arg !== 'object' || arg === null) return String(arg);
+                try {
+                    return JSON.stringify(arg);
+                } catch (e) {
+                    return String(arg);
+                }
+            }).join(' '));
+            warn.apply(console, args);
+        };
+    }
+
+    /**
+     * Describe a clicked element for a breadcrumb, e.g. button#post-btn "Post Reply" [postReply(12)].
+     * Never includes what was typed into a field.
+     */
+    describeElement(element) {
+        const target = element.closest('button, a, input, select, textarea, label, [onclick], [role="button"]') || element;
+        const tag = target.tagName.toLowerCase();
+        let description = tag + (target.id ? `#${target.id}` : '');
+
+        if (tag === 'input') {
+            description += `[type=${target.type}]`;
+        }
+
+        const isField = tag === 'textarea' || tag === 'select' || (tag === 'input' && !['button', 'submit', 'checkbox', 'radio'].includes(target.type));
+        const label = isField
+            ? target.getAttribute('aria-label') || target.name || ''
+            : target.getAttribute('aria-label') || target.innerText || target.value || '';
+        const text = label.trim().replace(/\s+/g, ' ').slice(0, 40);
+        if (text) {
+            description += ` "${text}"`;
+        }
+
+        const handler = target.getAttribute('onclick');
+        if (handler) {
+            description += ` [${handler.trim().slice(0, 60)}]`;
+        }
+
+        return description;
+    }
+
     /**
      * Log an error to Supabase and show user notification
      */
@@ -97,12 +246,92 @@ class ErrorHandler {
     }
 
     /**
-     * Queue an error for batch logging
+     * Normalize an error message for fingerprinting: ids, numbers and URLs
+     * vary between occurrences of the same error
+     */
+    normalizeMessage(message) {
+        return String(message || '')
+            .replace(/https?:\/\/\S+/g, '<url>')
+            .replace(/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi, '<uuid>')
+            .replace(/\b(0x)?[0-9a-f]{8,}\b/gi, '<hex>')
+            .replace(/\d+/g, '<n>')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .slice(0, 500);
+    }
+
+    /**
+     * The first few frames of a stack trace as "function@file", leaving out
+     * the error handler's own frames and line numbers (which change with every edit)
+     */
+    topFrames(stack, count = FINGERPRINT_FRAMES) {
+        const frames = [];
+        for (const frame of parseStack(stack)) {
+            if (frame.file.endsWith('/error-handler.js')) continue;
+
+            frames.push(`${frame.functionName || '<anonymous>'}@${frame.file}`);
+            if (frames.length === count) break;
+        }
+        return frames;
+    }
+
+    /**
+     * Fingerprint an error so its occurrences group together
+     * @returns {Object} { fingerprint, culprit } - culprit is the top frame, if any
+     */
+    fingerprint(type, message, stack) {
+        const frames = this.topFrames(stack);
+        return {
+            fingerprint: hashString([type, this.normalizeMessage(message), ...frames].join('\n')),
+            culprit: frames[0] || null
+        };
+    }
+
+    /**
+     * Queue an error for batch logging. An error already logged within the
+     * dedupe window is only counted; the count is sent when the window ends.
      */
     queueError(errorData) {
+        const { fingerprint, culprit } = this.fingerprint(errorData.error_type, errorData.error_message, errorData.stack_trace);
+        const recent = this.recentErrors.get(fingerprint);
+
+        if (recent && Date.now() - recent.loggedAt < this.dedupeWindow) {
+            recent.repeats++;
+            recent.errorData = { ...errorData, fingerprint, culprit };
+            return;
+        }
+
+        // A window whose timer hasn't fired yet (timers are throttled in background tabs)
+        if (recent) this.forgetRecent(fingerprint);
+
+        this.logOccurrences({ ...errorData, fingerprint, culprit }, 1 + (recent?.repeats || 0));
+    }
+
+    /**
+     * Queue a row for an error seen `occurrences` times, and (unless `track` is
+     * false) count its repeats for the next dedupe window
+     */
+    logOccurrences(errorData, occurrences, { track = true } = {}) {
+        const now = Date.now();
+        const { fingerprint } = errorData;
+
+        if (track) {
+            this.recentErrors.set(fingerprint, {
+                loggedAt: now,
+                repeats: 0,
+                errorData,
+                timer: setTimeout(() => this.flushRepeats(fingerprint), this.dedupeWindow)
+            });
+            if (this.recentErrors.size > this.maxRecentErrors) {
+                this.flushRepeats(this.recentErrors.keys().next().value, { restart: false });
+            }
+        }
+
         this.errorQueue.push({
             ...errorData,
-            timestamp: new Date().toISOString()
+            occurrences,
+            breadcrumbs: this.breadcrumbTrail(errorData.error_message),
+            timestamp: new Date(now).toISOString()
         });
 
         // Process queue if not already processing
@@ -111,6 +340,53 @@ class ErrorHandler {
         }
     }
 
+    /**
+     * End an error's dedupe window, logging the repeats counted in it as one row.
+     * That row starts a new window (unless `restart` is false), so a steady
+     * stream is sent once per window.
+     */
+    flushRepeats(fingerprint, { restart = true } = {}) {
+        const recent = this.forgetRecent(fingerprint);
+        if (recent?.repeats > 0) {
+            this.logOccurrences(recent.errorData, recent.repeats, { track: restart });
+        }
+    }
+
+    /**
+     * Stop tracking an error's dedupe window
+     * @returns {Object|undefined} The window's entry, if there was one
+     */
+    forgetRecent(fingerprint) {
+        const recent = this.recentErrors.get(fingerprint);
+        if (recent) {
+            clearTimeout(recent.timer);
+            this.recentErrors.delete(fingerprint);
+        }
+        return recent;
+    }
+
+    /**
+     * Keep repeats still being counted, and rows still waiting to be sent, in
+     * localStorage (the page is going away; flushLocalErrors sends them on the next load)
+     */
+    saveUnsent() {
+        for (const fingerprint of [...this.recentErrors.keys()]) {
+            const recent = this.forgetRecent(fingerprint);
+            if (recent.repeats > 0) {
+                this.storeLocally({
+                    ...recent.errorData,
+                    occurrences: recent.repeats,
+                    breadcrumbs: this.breadcrumbTrail(recent.errorData.error_message),
+                    timestamp: new Date().toISOString()
+                });
+            }
+        }
+
+        for (const errorData of this.errorQueue.splice(0)) {
+            this.storeLocally(errorData);
+        }
+    }
+
     /**
      * Process queued errors and send to Supabase
      */
@@ -155,6 +431,10 @@ class ErrorHandler {
                 }
             }
 
+            if (errorData.breadcrumbs?.length) {
+                additionalContext = { ...additionalContext, breadcrumbs: errorData.breadcrumbs };
+            }
+
             console.log('[ErrorHandler] Logging to Supabase:', errorData.error_type);
 
             const { error } = await supabase
@@ -166,7 +446,10 @@ class ErrorHandler {
                     page_url: errorData.page_url || null,
                     user_agent: errorData.user_agent || null,
                     user_id: userId,
-                    additional_context: additionalContext
+                    additional_context: additionalContext,
+                    fingerprint: errorData.fingerprint || null,
+                    culprit: errorData.culprit || null,
+                    occurrences: errorData.occurrences || 1
                 });
 
             if (error) {
@@ -248,6 +531,30 @@ class ErrorHandler {
         }
     }
 
+    /**
+     * Report an offline change that could not be applied after reconnecting.
+     * Logged for admins and surfaced to the student, since their work was not saved.
+     */
+    reportSyncConflict(description, reason, context = {}) {
+        console.warn(`[ErrorHandler] Sync conflict: ${description} - ${reason}`);
+
+        this.queueError({
+            error_type: 'offline_sync_conflict',
+            error_message: `${description}: ${reason}`,
+            stack_trace: null,
+            page_url: window.location.href,
+            user_agent: navigator.userAgent,
+            additional_context: context
+        });
+
+        const userMessage = `${description} could not be synced: ${reason}`;
+        if (typeof window.showNotification === 'function') {
+            window.showNotification(userMessage, 'error');
+        } else {
+            this.createToast(userMessage, 'error');
+        }
+    }
+
     /**
      * Create a simple toast notification (fallback)
      */
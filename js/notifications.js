@@ -0,0 +1,221 @@
+/**
+ * Lectern Notifications
+ *
+ * Reads the signed-in user's notifications (replies to their posts, mentions,
+ * weeks unlocking, instructor posts) and their notification preferences for
+ * notifications.html. Notifications are created by database triggers and the
+ * notification digest worker (workers/notification-digest), which also emails
+ * the daily or weekly digest.
+ */
+
+import { supabase } from './supabase-client.js';
+import { fromRow, toRow } from './db-schema.js';
+
+/**
+ * Notification types, with the label used for their preference toggle
+ */
+export const NOTIFICATION_TYPES = {
+    reply: 'Replies to my posts',
+    mention: 'Mentions of me',
+    week_unlocked: 'A new week opens',
+    instructor_post: 'Instructors post in my modules'
+};
+
+/**
+ * How often unread notifications are emailed
+ */
+export const EMAIL_FREQUENCIES = {
+    off: 'Never',
+    daily: 'Daily digest',
+    weekly: 'Weekly digest'
+};
+
+/**
+ * Preferences for users who haven't saved any (matches the column defaults)
+ */
+const DEFAULT_PREFERENCES = {
+    notifyReplies: true,
+    notifyMentions: true,
+    notifyWeekUnlocked: true,
+    notifyInstructorPosts: true,
+    emailFrequency: 'weekly'
+};
+
+async function currentUserId() {
+    const { data: { user } } = await supabase.auth.getUser();
+    return user?.id || null;
+}
+
+/**
+ * The signed-in user's notifications, newest first
+ * @param {Object} [options]
+ * @param {boolean} [options.unreadOnly]
+ * @param {string} [options.type] - One of NOTIFICATION_TYPES
+ * @param {number} [options.limit]
+ * @returns {Object} { success, notifications } or { success: false, error }
+ */
+export async function getNotifications({ unreadOnly = false, type = null, limit = 50 } = {}) {
+    const userId = await currentUserId();
+    if (!userId) {
+        return { success: false, error: 'Not signed in' };
+    }
+
+    // Admins can read everyone's notifications, so filter to our own explicitly
+    let query = supabase
+        .from('notifications')
+        .select('*, actor:actor_id(name, email), modules(title), weeks(week_number, title), discussion_posts(content, is_deleted, questions(pages(page_number)))')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+    if (unreadOnly) query = query.is('read_at', null);
+    if (type) query = query.eq('type', type);
+
+    const { data, error } = await query;
+
+    if (error) {
+        return { success: false, error: error.message };
+    }
+
+    return {
+        success: true,
+        notifications: data.map(row => {
+            const post = row.discussion_posts;
+            return {
+                ...fromRow('notifications', row),
+                actor: row.actor?.name || row.actor?.email || null,
+                moduleTitle: row.modules?.title || null,
+                weekNumber: row.weeks?.week_number ?? null,
+                weekTitle: row.weeks?.title || null,
+                pageNumber: post?.questions?.pages?.page_number ?? null,
+                postContent: post && !post.is_deleted ? post.content : null
+            };
+        })
+    };
+}
+
+/**
+ * Posts that @mention the signed-in user, newest first. Unlike mention
+ * notifications these are kept whatever the user's preferences, and drop out
+ * when the post is edited to remove the mention, hidden or deleted.
+ * @param {Object} [options]
+ * @param {number} [options.limit]
+ * @returns {Object} { success, mentions } or { success: false, error }
+ */
+export async function getMentionsOfMe({ limit = 50 } = {}) {
+    const userId = await currentUserId();
+    if (!userId) {
+        return { success: false, error: 'Not signed in' };
+    }
+
+    const { data, error } = await supabase
+        .from('post_mentions')
+        .select('*, mentioner:mentioned_by(name, email), discussion_posts(content, questions(pages(page_number, weeks(week_number, title, module_id, modules(title)))))')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+    if (error) {
+        return { success: false, error: error.message };
+    }
+
+    return {
+        success: true,
+        // Posts hidden from the user come back without discussion_posts
+        mentions: data.filter(row => row.discussion_posts).map(row => {
+            const page = row.discussion_posts.questions?.pages;
+            return {
+                ...fromRow('post_mentions', row),
+                mentionedByName: row.mentioner?.name || row.mentioner?.email || null,
+                postContent: row.discussion_posts.content,
+                moduleId: page?.weeks?.module_id ?? null,
+                moduleTitle: page?.weeks?.modules?.title || null,
+                weekNumber: page?.weeks?.week_number ?? null,
+                weekTitle: page?.weeks?.title || null,
+                pageNumber: page?.page_number ?? null
+            };
+        })
+    };
+}
+
+/**
+ * Mark notifications read (all of the user's unread ones when no ids are given).
+ * Read notifications are left out of email digests.
+ * @param {Array} [ids]
+ * @returns {Object} { success } or { success: false, error }
+ */
+export async function markNotificationsRead(ids = null) {
+    const userId = await currentUserId();
+    if (!userId) {
+        return { success: false, error: 'Not signed in' };
+    }
+
+    let query = supabase
+        .from('notifications')
+        .update({ read_at: new Date().toISOString() })
+        .eq('user_id', userId)
+        .is('read_at', null);
+
+    if (ids) query = query.in('id', ids);
+
+    const { error } = await query;
+
+    if (error) {
+        return { success: false, error: error.message };
+    }
+    return { success: true };
+}
+
+/**
+ * The signed-in user's notification preferences (the defaults if never saved)
+ * @returns {Object} { success, preferences } or { success: false, error }
+ */
+export async function getNotificationPreferences() {
+    const userId = await currentUserId();
+    if (!userId) {
+        return { success: false, error: 'Not signed in' };
+    }
+
+    const { data, error } = await supabase
+        .from('notification_preferences')
+        .select('*')
+        .eq('user_id', userId)
+        .maybeSingle();
+
+    if (error) {
+        return { success: false, error: error.message };
+    }
+
+    if (!data) {
+        return { success: true, preferences: { ...DEFAULT_PREFERENCES } };
+    }
+
+    const { notifyReplies, notifyMentions, notifyWeekUnlocked, notifyInstructorPosts, emailFrequency } = fromRow('notification_preferences', data);
+    return { success: true, preferences: { notifyReplies, notifyMentions, notifyWeekUnlocked, notifyInstructorPosts, emailFrequency } };
+}
+
+/**
+ * Save the signed-in user's notification preferences
+ * @param {Object} preferences - notifyReplies, notifyMentions, notifyWeekUnlocked,
+ *   notifyInstructorPosts (booleans) and emailFrequency (one of EMAIL_FREQUENCIES)
+ * @returns {Object} { success } or { success: false, error }
+ */
+export async function saveNotificationPreferences(preferences) {
+    const userId = await currentUserId();
+    if (!userId) {
+        return { success: false, error: 'Not signed in' };
+    }
+
+    if (preferences.emailFrequency && !EMAIL_FREQUENCIES[preferences.emailFrequency]) {
+        return { success: false, error: 'Invalid email frequency' };
+    }
+
+    const { error } = await supabase
+        .from('notification_preferences')
+        .upsert(toRow('notification_preferences', { ...preferences, userId }), { onConflict: 'user_id' });
+
+    if (error) {
+        return { success: false, error: error.message };
+    }
+    return { success: true };
+}
@@ -0,0 +1,210 @@
+/**
+ * Lectern Offline Store
+ *
+ * IndexedDB-backed storage used by the data service to stay usable when a
+ * student's connection drops:
+ * - a read cache for modules, weeks and pages (last successful response wins)
+ * - a durable, ordered outbound mutation queue that is replayed on reconnect,
+ *   each mutation tagged with the user who made it
+ *
+ * Falls back to an in-memory store when IndexedDB is unavailable
+ * (private browsing in some browsers), so callers never need to branch.
+ */
+
+const DB_NAME = 'lectern-offline'
+const DB_VERSION = 1
+const CACHE_STORE = 'cache'
+const MUTATION_STORE = 'mutations'
+
+/**
+ * Wrap an IDBRequest in a Promise
+ */
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result)
+        request.onerror = () => reject(request.error)
+    })
+}
+
+class OfflineStore {
+    constructor() {
+        this.dbPromise = null
+        this.memoryCache = new Map()
+        this.memoryMutations = []
+        this.nextMemoryId = 1
+    }
+
+    /**
+     * Open (and upgrade if needed) the IndexedDB database
+     * @returns {Promise<IDBDatabase|null>} Database, or null when IndexedDB is unavailable
+     */
+    open() {
+        if (this.dbPromise) return this.dbPromise
+
+        if (typeof indexedDB === 'undefined') {
+            this.dbPromise = Promise.resolve(null)
+            return this.dbPromise
+        }
+
+        this.dbPromise = new Promise(resolve => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION)
+
+            request.onupgradeneeded = () => {
+                const db = request.result
+                if (!db.objectStoreNames.contains(CACHE_STORE)) {
+                    db.createObjectStore(CACHE_STORE, { keyPath: 'key' })
+                }
+                if (!db.objectStoreNames.contains(MUTATION_STORE)) {
+                    db.createObjectStore(MUTATION_STORE, { keyPath: 'id', autoIncrement: true })
+                }
+            }
+
+            request.onsuccess = () => resolve(request.result)
+            request.onerror = () => {
+                console.warn('[OfflineStore] IndexedDB unavailable, using memory store:', request.error?.message)
+                resolve(null)
+            }
+        })
+
+        return this.dbPromise
+    }
+
+    // ==================== Read Cache ====================
+
+    /**
+     * Store the latest successful response for a cache key
+     */
+    async setCached(key, value) {
+        const entry = { key, value, cachedAt: new Date().toISOString() }
+        const db = await this.open()
+
+        if (!db) {
+            this.memoryCache.set(key, entry)
+            return
+        }
+
+        try {
+            const tx = db.transaction(CACHE_STORE, 'readwrite')
+            await promisify(tx.objectStore(CACHE_STORE).put(entry))
+        } catch (e) {
+            console.warn('[OfflineStore] Failed to cache', key, e.message)
+        }
+    }
+
+    /**
+     * Get a cached response
+     * @returns {Promise<any|null>} Cached value or null if never cached
+     */
+    async getCached(key) {
+        const db = await this.open()
+
+        if (!db) {
+            return this.memoryCache.get(key)?.value ?? null
+        }
+
+        try {
+            const tx = db.transaction(CACHE_STORE, 'readonly')
+            const entry = await promisify(tx.objectStore(CACHE_STORE).get(key))
+            return entry ? entry.value : null
+        } catch (e) {
+            return null
+        }
+    }
+
+    // ==================== Mutation Queue ====================
+
+    /**
+     * Append a mutation to the outbound queue
+     * @param {Object} mutation - { method, args, tempId, userId }
+     * @returns {Promise<Object>} Stored mutation including its queue id
+     */
+    async enqueue(mutation) {
+        const entry = { ...mutation, createdAt: new Date().toISOString() }
+        const db = await this.open()
+
+        if (!db) {
+            entry.id = this.nextMemoryId++
+            this.memoryMutations.push(entry)
+            return entry
+        }
+
+        const tx = db.transaction(MUTATION_STORE, 'readwrite')
+        entry.id = await promisify(tx.objectStore(MUTATION_STORE).add(entry))
+        return entry
+    }
+
+    /**
+     * Get all queued mutations in the order they were made
+     */
+    async getMutations() {
+        const db = await this.open()
+
+        if (!db) {
+            return [...this.memoryMutations]
+        }
+
+        const tx = db.transaction(MUTATION_STORE, 'readonly')
+        const all = await promisify(tx.objectStore(MUTATION_STORE).getAll())
+        return all.sort((a, b) => a.id - b.id)
+    }
+
+    /**
+     * Replace a queued mutation (used to rewrite temp ids after replay)
+     */
+    async updateMutation(mutation) {
+        const db = await this.open()
+
+        if (!db) {
+            const index = this.memoryMutations.findIndex(m => m.id === mutation.id)
+            if (index !== -1) this.memoryMutations[index] = mutation
+            return
+        }
+
+        const tx = db.transaction(MUTATION_STORE, 'readwrite')
+        await promisify(tx.objectStore(MUTATION_STORE).put(mutation))
+    }
+
+    /**
+     * Remove a mutation once it has been replayed (or dropped as a conflict)
+     */
+    async removeMutation(id) {
+        const db = await this.open()
+
+        if (!db) {
+            this.memoryMutations = this.memoryMutations.filter(m => m.id !== id)
+            return
+        }
+
+        const tx = db.transaction(MUTATION_STORE, 'readwrite')
+        await promisify(tx.objectStore(MUTATION_STORE).delete(id))
+    }
+
+    /**
+     * Drop the read cache and every queued mutation (on logout, so the next
+     * user of a shared browser neither sees nor replays them)
+     */
+    async clear() {
+        const db = await this.open()
+
+        if (!db) {
+            this.memoryCache.clear()
+            this.memoryMutations = []
+            return
+        }
+
+        try {
+            const tx = db.transaction([CACHE_STORE, MUTATION_STORE], 'readwrite')
+            await Promise.all([
+                promisify(tx.objectStore(CACHE_STORE).clear()),
+                promisify(tx.objectStore(MUTATION_STORE).clear())
+            ])
+        } catch (e) {
+            console.warn('[OfflineStore] Failed to clear', e.message)
+        }
+    }
+}
+
+// Create and export singleton instance
+const offlineStore = new OfflineStore()
+
+export { OfflineStore, offlineStore }
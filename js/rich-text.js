@@ -407,7 +407,7 @@ const RichText = {
                     const tagName = child.tagName.toLowerCase();
 
                     // Remove disallowed tags but keep their text content
-                    if (!allowedTags.includes(tagName)) {
+                    if (!allowedTags.includes(tagName) && !RichText.isMention(child)) {
                         // Move children out before removing
                         while (child.firstChild) {
                             node.insertBefore(child.firstChild, child);
@@ -427,11 +427,17 @@ const RichText = {
                                     child.setAttribute('target', '_blank');
                                     child.setAttribute('rel', 'noopener noreferrer');
                                 }
+                            } else if (tagName === 'span' && attr.name === 'data-mention') {
+                                // Mentions keep the user they point at
                             } else {
                                 child.removeAttribute(attr.name);
                             }
                         }
 
+                        if (tagName === 'span') {
+                            child.className = 'mention';
+                        }
+
                         // Recursively clean children
                         cleanNode(child);
                     }
@@ -446,20 +452,223 @@ const RichText = {
         return temp.innerHTML;
     },
 
+    /**
+     * @mentions are stored in content as <span data-mention="user id">@Name</span>.
+     * sanitizeHTML keeps them, and the database records who a post mentions from
+     * them (record_post_mentions() in schema.sql). Editors show them as plain "@Name".
+     */
+    MENTION_TAG: '<span data-mention="([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})">([^<]*)</span>',
+
+    /**
+     * Whether an element is a mention span with a valid user id
+     * @param {Element} element
+     * @returns {boolean}
+     */
+    isMention(element) {
+        return element.tagName.toLowerCase() === 'span'
+            && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(element.getAttribute('data-mention') || '');
+    },
+
+    /**
+     * Markup for a mention of a user
+     * @param {string} userId
+     * @param {string} name - Display name (without the @)
+     * @returns {string}
+     */
+    mentionMarkup(userId, name) {
+        const escaped = String(name)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+        return `<span data-mention="${userId}">@${escaped}</span>`;
+    },
+
+    /**
+     * Turn mention markup back into "@Name" text for editing
+     * @param {string} content
+     * @returns {{text: string, mentions: Array<{userId: string, name: string}>}}
+     */
+    extractMentions(content) {
+        const mentions = [];
+        const text = (content || '').replace(new RegExp(RichText.MENTION_TAG, 'gi'), (match, userId, label) => {
+            const name = label
+                .replace(/^@/, '')
+                .replace(/&lt;/g, '<')
+                .replace(/&gt;/g, '>')
+                .replace(/&amp;/g, '&');
+            if (!mentions.some(m => m.userId === userId)) {
+                mentions.push({ userId, name });
+            }
+            return `@${name}`;
+        });
+        return { text, mentions };
+    },
+
+    /**
+     * Content of a mention-enabled textarea, with each "@Name" picked from the
+     * autocomplete turned into mention markup
+     * @param {HTMLTextAreaElement} textarea
+     * @returns {string}
+     */
+    getMentionContent(textarea) {
+        const text = textarea.value.trim();
+        const mentions = JSON.parse(textarea.dataset.mentions || '[]');
+        if (!text || mentions.length === 0) return text;
+
+        // Longest names first, so "@Ann Lee" wins over "@Ann"
+        const names = mentions
+            .map(m => m.name)
+            .sort((a, b) => b.length - a.length)
+            .map(name => name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        const pattern = new RegExp(`(^|[\\s(>])@(${names.join('|')})(?![\\w'-])`, 'g');
+
+        return text.replace(pattern, (match, before, name) => {
+            const mention = mentions.find(m => m.name === name);
+            return before + RichText.mentionMarkup(mention.userId, name);
+        });
+    },
+
+    /**
+     * Add @mention autocomplete to a textarea. Typing @ and the start of a name
+     * lists matching people; picking one inserts "@Full Name" and remembers who
+     * it was, for getMentionContent(). Mention markup already in the textarea
+     * (editing a post) is shown as "@Name".
+     * @param {HTMLTextAreaElement} textarea
+     * @param {Function} loadCandidates - async () => Array<{id, name, role}>
+     */
+    enableMentions(textarea, loadCandidates) {
+        if (!textarea || textarea.dataset.mentionsInit) return;
+        textarea.dataset.mentionsInit = 'true';
+
+        const { text, mentions } = RichText.extractMentions(textarea.value);
+        textarea.value = text;
+        textarea.dataset.mentions = JSON.stringify(mentions);
+
+        let menu = null;
+        let matches = [];
+        let active = 0;
+        let query = null; // Where the "@..." being typed starts, and what's been typed
+
+        const close = () => {
+            if (menu) menu.remove();
+            menu = null;
+            matches = [];
+            query = null;
+        };
+
+        const pick = (candidate) => {
+            const before = textarea.value.slice(0, query.start);
+            const after = textarea.value.slice(textarea.selectionStart);
+            const inserted = `@${candidate.name} `;
+            textarea.value = before + inserted + after;
+            textarea.setSelectionRange(before.length + inserted.length, before.length + inserted.length);
+
+            const picked = JSON.parse(textarea.dataset.mentions);
+            if (!picked.some(m => m.userId === candidate.id)) {
+                picked.push({ userId: candidate.id, name: candidate.name });
+                textarea.dataset.mentions = JSON.stringify(picked);
+            }
+
+            close();
+            textarea.dispatchEvent(new Event('input', { bubbles: true }));
+        };
+
+        const render = () => {
+            if (!menu) {
+                menu = document.createElement('div');
+                menu.className = 'mention-menu';
+                textarea.insertAdjacentElement('afterend', menu);
+            }
+            menu.style.top = `${textarea.offsetTop + textarea.offsetHeight}px`;
+            menu.style.left = `${textarea.offsetLeft}px`;
+            menu.innerHTML = '';
+
+            matches.forEach((candidate, index) => {
+                const option = document.createElement('div');
+                option.className = index === active ? 'mention-option active' : 'mention-option';
+                option.textContent = candidate.name;
+                if (candidate.role && candidate.role !== 'student') {
+                    const role = document.createElement('small');
+                    role.textContent = candidate.role === 'ta' ? 'TA' : candidate.role;
+                    option.appendChild(role);
+                }
+                // mousedown rather than click, so the textarea keeps focus
+                option.addEventListener('mousedown', (e) => {
+                    e.preventDefault();
+                    pick(candidate);
+                });
+                menu.appendChild(option);
+            });
+        };
+
+        textarea.addEventListener('input', async () => {
+            const beforeCaret = textarea.value.slice(0, textarea.selectionStart);
+            const match = /(^|\s)@([^\s@][^@\n]{0,40})?$/.exec(beforeCaret);
+            if (!match) {
+                close();
+                return;
+            }
+
+            const typed = (match[2] || '').toLowerCase();
+            query = { start: match.index + match[1].length, typed };
+
+            const candidates = await loadCandidates();
+            // Typing moved on while the list loaded
+            if (!query || query.typed !== typed) return;
+
+            matches = candidates.filter(candidate => {
+                const name = candidate.name.toLowerCase();
+                return name.startsWith(typed) || name.split(/\s+/).some(word => word.startsWith(typed));
+            }).slice(0, 8);
+            active = 0;
+
+            if (matches.length === 0) {
+                close();
+            } else {
+                render();
+            }
+        });
+
+        textarea.addEventListener('keydown', (e) => {
+            if (!menu) return;
+
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                active = (active + (e.key === 'ArrowDown' ? 1 : matches.length - 1)) % matches.length;
+                render();
+            } else if (e.key === 'Enter' || e.key === 'Tab') {
+                e.preventDefault();
+                pick(matches[active]);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                close();
+            }
+        });
+
+        textarea.addEventListener('blur', close);
+    },
+
     // Legacy support - now works with both textareas and contenteditable
     // IMPORTANT: Always sanitizes HTML to prevent XSS
     toHTML(text) {
         if (!text) return '';
-        // If already contains HTML, sanitize it
-        if (/<[^>]+>/.test(text)) {
+        // If already contains HTML (other than mentions), sanitize it
+        if (/<[^>]+>/.test(text.replace(new RegExp(this.MENTION_TAG, 'gi'), ''))) {
             return this.sanitizeHTML(text);
         }
-        // Convert plain text to HTML (already safe)
-        return text
+        // Convert plain text to HTML (already safe), keeping mentions.
+        // Splitting on the pattern's two groups gives [text, id, name, text, id, name, ..., text]
+        const escape = part => part
             .replace(/&/g, '&amp;')
             .replace(/</g, '&lt;')
             .replace(/>/g, '&gt;')
             .replace(/\n/g, '<br>');
+        const parts = text.split(new RegExp(this.MENTION_TAG, 'i'));
+        let html = escape(parts[0]);
+        for (let i = 1; i < parts.length; i += 3) {
+            html += `<span class="mention" data-mention="${parts[i]}">${parts[i + 1]}</span>` + escape(parts[i + 2]);
+        }
+        return html;
     },
 
     toMarkdown(html) {
@@ -493,6 +702,36 @@ if (typeof document !== 'undefined') {
             margin: 0.5rem 0;
             padding-left: 1.5rem;
         }
+        .mention {
+            color: var(--teal, #20c997);
+            font-weight: 500;
+        }
+        .mention-menu {
+            position: absolute;
+            z-index: 1000;
+            min-width: 200px;
+            max-width: 320px;
+            background: white;
+            border: 1px solid #dee2e6;
+            border-radius: 6px;
+            box-shadow: 0 4px 12px rgba(0, 0, 0, 0.1);
+            padding: 0.25rem 0;
+        }
+        .mention-option {
+            display: flex;
+            justify-content: space-between;
+            gap: 1rem;
+            padding: 0.4rem 0.75rem;
+            font-size: 0.9rem;
+            cursor: pointer;
+        }
+        .mention-option small {
+            color: #6c757d;
+            text-transform: capitalize;
+        }
+        .mention-option.active, .mention-option:hover {
+            background: rgba(32, 201, 151, 0.1);
+        }
     `;
     document.head.appendChild(style);
 }
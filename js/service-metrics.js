@@ -0,0 +1,139 @@
+/**
+ * Lectern Service Metrics
+ *
+ * Production latency telemetry for the data service. Every DataServiceSupabase
+ * call, and each withRetry attempt inside one, is timed and summarised per
+ * method in memory: calls, errors, retries, slow calls and a latency histogram.
+ * The summaries are written to service_metrics in batches (a row per method
+ * per flush) so a busy page costs one insert a minute, not one per call.
+ * admin-backup.html reads them back for p50/p95 latency and error rates.
+ */
+
+import { supabase } from './supabase-client.js';
+
+/**
+ * Upper bounds (ms) of the latency histogram buckets; the last bucket counts
+ * everything slower. Stored rows depend on this order, so only append to it.
+ */
+export const LATENCY_BUCKETS = [25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+// Calls at least this slow are counted as slow
+export const SLOW_CALL_MS = 1000;
+
+// How often summaries are sent, and how many calls trigger an early send
+const FLUSH_INTERVAL = 60 * 1000;
+const MAX_PENDING_CALLS = 500;
+
+class ServiceMetrics {
+    constructor() {
+        this.pending = new Map();
+        this.pendingCalls = 0;
+        this.isFlushing = false;
+
+        if (typeof window !== 'undefined') {
+            setInterval(() => this.flush(), FLUSH_INTERVAL);
+            // Send what's left before the page goes away (or to the background on mobile)
+            document.addEventListener('visibilitychange', () => {
+                if (document.visibilityState === 'hidden') this.flush();
+            });
+        }
+    }
+
+    /**
+     * Record one timed call
+     * @param {string} method - Data service method name
+     * @param {number} duration - In ms
+     * @param {Object} [options]
+     * @param {string} [options.kind] - 'call' (a whole method) or 'attempt' (one withRetry attempt)
+     * @param {boolean} [options.failed] - Threw, or returned an error result
+     * @param {boolean} [options.retry] - An attempt after the first
+     */
+    record(method, duration, { kind = 'call', failed = false, retry = false } = {}) {
+        const key = `${kind}:${method}`;
+        let entry = this.pending.get(key);
+        if (!entry) {
+            entry = {
+                method,
+                kind,
+                calls: 0,
+                errors: 0,
+                retries: 0,
+                slow_calls: 0,
+                total_ms: 0,
+                max_ms: 0,
+                latency_buckets: new Array(LATENCY_BUCKETS.length + 1).fill(0)
+            };
+            this.pending.set(key, entry);
+        }
+
+        const ms = Math.max(0, Math.round(duration));
+        const bucket = LATENCY_BUCKETS.findIndex(bound => ms <= bound);
+
+        entry.calls++;
+        if (failed) entry.errors++;
+        if (retry) entry.retries++;
+        if (ms >= SLOW_CALL_MS) entry.slow_calls++;
+        entry.total_ms += ms;
+        entry.max_ms = Math.max(entry.max_ms, ms);
+        entry.latency_buckets[bucket === -1 ? LATENCY_BUCKETS.length : bucket]++;
+
+        if (++this.pendingCalls >= MAX_PENDING_CALLS) {
+            this.flush();
+        }
+    }
+
+    /**
+     * Send the pending summaries. Kept for the next flush while offline;
+     * dropped if the insert fails, so a broken table can't grow the backlog.
+     */
+    async flush() {
+        if (this.isFlushing || this.pending.size === 0) return;
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) return;
+
+        const rows = [...this.pending.values()];
+        this.pending = new Map();
+        this.pendingCalls = 0;
+        this.isFlushing = true;
+
+        try {
+            const { error } = await supabase.from('service_metrics').insert(rows);
+            if (error) {
+                console.debug('[ServiceMetrics] Failed to send metrics:', error.message);
+            }
+        } catch (e) {
+            console.debug('[ServiceMetrics] Failed to send metrics:', e.message);
+        } finally {
+            this.isFlushing = false;
+        }
+    }
+}
+
+/**
+ * Estimate a percentile from a latency histogram, interpolating within the
+ * bucket it falls in (the open-ended last bucket reports its lower bound)
+ * @param {Array} buckets - Counts per LATENCY_BUCKETS bucket
+ * @param {number} p - Percentile, 0-100
+ * @returns {number|null} Latency in ms, or null for an empty histogram
+ */
+export function percentileFromHistogram(buckets, p) {
+    const total = buckets.reduce((sum, n) => sum + Number(n), 0);
+    if (total === 0) return null;
+
+    const target = total * p / 100;
+    let seen = 0;
+    for (let i = 0; i < buckets.length; i++) {
+        const count = Number(buckets[i]);
+        if (count > 0 && seen + count >= target) {
+            const lower = i === 0 ? 0 : LATENCY_BUCKETS[i - 1];
+            if (i >= LATENCY_BUCKETS.length) return lower;
+            return Math.round(lower + (LATENCY_BUCKETS[i] - lower) * (target - seen) / count);
+        }
+        seen += count;
+    }
+    return LATENCY_BUCKETS[LATENCY_BUCKETS.length - 1];
+}
+
+// Create and export singleton instance
+const serviceMetrics = new ServiceMetrics();
+
+export { ServiceMetrics, serviceMetrics };
@@ -0,0 +1,340 @@
+/**
+ * Lectern Stack Traces
+ *
+ * Parses the stack traces ErrorHandler logs into structured frames, and makes
+ * them readable for admin-errors.html: frames in a page's inline
+ * <script type="module"> are mapped to the script block and function they sit
+ * in, and vendor bundles (esm.sh) are resolved through their source maps to
+ * the original package file. Pages and source maps are fetched as they are
+ * now, so frames from an older deploy can point at lines that have moved.
+ * Only this site and known vendor CDNs are fetched from.
+ */
+
+// Chrome: "    at fn (url:line:col)" or "    at url:line:col"; Firefox/Safari: "fn@url:line:col"
+const CHROME_FRAME = /^\s*at (?:(.+?) \()?(.+?):(\d+):(\d+)\)?$/;
+const FIREFOX_FRAME = /^(.*?)@(.+?):(\d+):(\d+)$/;
+
+const BASE64_DIGITS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+// Fetched pages, scripts and source maps, by URL (each a Promise)
+const fetchCache = new Map();
+
+// Vendor CDNs whose scripts and source maps may be fetched. Anyone can log an
+// error, so the URLs in a stack trace aren't trusted: anything else would have
+// the admin's browser request whatever host the trace names.
+const FETCHABLE_HOSTS = ['esm.sh', 'cdn.jsdelivr.net'];
+
+/**
+ * Split a stack trace into frames, skipping lines that aren't frames
+ * (the message, "<anonymous>" eval frames)
+ * @param {string} stack
+ * @returns {Array} Frames: { functionName, url, file, line, column, raw }, where
+ *   file is the URL path without origin, query or hash
+ */
+export function parseStack(stack) {
+    const frames = [];
+    for (const raw of String(stack || '').split('\n')) {
+        const match = CHROME_FRAME.exec(raw) || FIREFOX_FRAME.exec(raw);
+        if (!match) continue;
+
+        frames.push({
+            functionName: match[1] || null,
+            url: match[2],
+            file: match[2].replace(/^[a-z]+:\/\/[^/]+/i, '').replace(/[?#].*$/, ''),
+            line: parseInt(match[3]),
+            column: parseInt(match[4]),
+            raw: raw.trim()
+        });
+    }
+    return frames;
+}
+
+/**
+ * Parse a stack trace and resolve each frame to something readable
+ * @param {string} stack
+ * @returns {Promise<Array>} Frames as from parseStack, plus:
+ *   vendor - third-party code (another origin)
+ *   location - "file:line:col" to show, after any source map
+ *   section - where an inline-script frame sits, e.g. "inline script 2, loadEvents()"
+ *   code - the source line, when it could be fetched
+ */
+export async function symbolicateStack(stack) {
+    return Promise.all(parseStack(stack).map(resolveFrame));
+}
+
+async function resolveFrame(frame) {
+    const resolved = {
+        ...frame,
+        vendor: isVendorUrl(frame.url),
+        location: `${displayFile(frame.url)}:${frame.line}:${frame.column}`,
+        section: null,
+        code: null
+    };
+
+    try {
+        if (frame.file.endsWith('.html') || frame.file.endsWith('/')) {
+            Object.assign(resolved, await resolveInlineFrame(frame));
+        } else {
+            Object.assign(resolved, await resolveScriptFrame(frame));
+        }
+    } catch (e) {
+        // Unreachable or unparseable source: show the frame as logged
+    }
+
+    return resolved;
+}
+
+/**
+ * A frame in an HTML page: find the inline script block holding the line and
+ * the function around it, or for inline event handlers (onclick="...") the
+ * page section: the nearest comment, heading or element id above it
+ */
+async function resolveInlineFrame(frame) {
+    const html = await fetchText(frame.url.replace(/#.*$/, ''));
+    if (html === null) return {};
+
+    const lines = html.split('\n');
+    const index = frame.line - 1;
+    if (index < 0 || index >= lines.length) return {};
+
+    let scriptNumber = 0;
+    let scriptStart = -1;
+    for (let i = 0; i <= index; i++) {
+        if (/<script\b(?![^>]*\bsrc=)[^>]*>/i.test(lines[i])) {
+            scriptNumber++;
+            scriptStart = i;
+        }
+        if (/<\/script>/i.test(lines[i]) && i < index) {
+            scriptStart = -1;
+        }
+    }
+
+    const code = lines[index].trim();
+
+    if (scriptStart === -1) {
+        const section = findAbove(lines, index, 0, sectionName);
+        return { code, section: section ? `page section ${section}` : 'page markup' };
+    }
+
+    // The enclosing function is the nearest declaration above that is indented
+    // less than every line between it and the frame's line
+    let indent = Infinity;
+    const fn = findAbove(lines, index, scriptStart, (line, i) => {
+        const lineIndent = line.search(/\S/);
+        if (lineIndent === -1) return null;
+        const name = lineIndent < indent || i === index ? functionName(line) : null;
+        indent = Math.min(indent, lineIndent);
+        return name;
+    });
+
+    return {
+        code,
+        section: `inline script ${scriptNumber}, line ${index - scriptStart}${fn ? `, ${fn}()` : ''}`
+    };
+}
+
+/**
+ * A frame in a script file: resolve it through the file's source map when it
+ * has one (esm.sh bundles do), otherwise show the line as it is
+ */
+async function resolveScriptFrame(frame) {
+    const url = frame.url.replace(/#.*$/, '');
+    const sourceMap = await loadSourceMap(url);
+
+    if (sourceMap) {
+        const segment = findSegment(sourceMap.lines[frame.line - 1], frame.column - 1);
+        if (segment) {
+            const [, sourceIndex, line, column, nameIndex] = segment;
+            const source = (sourceMap.map.sourceRoot || '') + sourceMap.map.sources[sourceIndex];
+            const content = sourceMap.map.sourcesContent?.[sourceIndex];
+            return {
+                location: `${displayFile(new URL(source, sourceMap.url).href)}:${line + 1}:${column + 1}`,
+                functionName: frame.functionName || sourceMap.map.names?.[nameIndex] || null,
+                code: content ? content.split('\n')[line]?.trim() || null : null
+            };
+        }
+    }
+
+    // Our own scripts aren't bundled, so their lines are already readable
+    if (!isVendorUrl(url)) {
+        const text = await fetchText(url);
+        return { code: text?.split('\n')[frame.line - 1]?.trim() || null };
+    }
+
+    return {};
+}
+
+function loadSourceMap(url) {
+    const key = `map:${url}`;
+    if (!fetchCache.has(key)) {
+        fetchCache.set(key, fetchSourceMap(url).catch(() => null));
+    }
+    return fetchCache.get(key);
+}
+
+async function fetchSourceMap(url) {
+    const code = await fetchText(url);
+    if (code === null) return null;
+
+    const match = /\/\/[#@] sourceMappingURL=(\S+)\s*$/.exec(code);
+    if (!match) return null;
+
+    let map;
+    if (match[1].startsWith('data:')) {
+        map = JSON.parse(atob(match[1].slice(match[1].indexOf(',') + 1)));
+    } else {
+        const mapUrl = new URL(match[1], url).href;
+        const text = await fetchText(mapUrl);
+        if (text === null) return null;
+        map = JSON.parse(text);
+        url = mapUrl;
+    }
+
+    // Index maps (with "sections") aren't supported
+    if (typeof map.mappings !== 'string') return null;
+
+    return { url, map, lines: decodeMappings(map.mappings) };
+}
+
+function fetchText(url) {
+    if (!canFetch(url)) return Promise.resolve(null);
+
+    if (!fetchCache.has(url)) {
+        fetchCache.set(url, fetch(url)
+            .then(response => response.ok ? response.text() : null)
+            .catch(() => null));
+    }
+    return fetchCache.get(url);
+}
+
+/**
+ * Decode source map "mappings" into, per generated line, a list of segments
+ * [generatedColumn, sourceIndex, sourceLine, sourceColumn, nameIndex] (0-based;
+ * nameIndex -1 when absent), sorted by generated column
+ */
+function decodeMappings(mappings) {
+    const lines = [];
+    let sourceIndex = 0;
+    let sourceLine = 0;
+    let sourceColumn = 0;
+    let nameIndex = 0;
+
+    for (const lineText of mappings.split(';')) {
+        const segments = [];
+        let column = 0;
+
+        for (const segmentText of lineText.split(',')) {
+            if (!segmentText) continue;
+            const values = decodeVlq(segmentText);
+            column += values[0];
+            // Segments without a source only mark where mapped code ends
+            if (values.length < 4) continue;
+
+            sourceIndex += values[1];
+            sourceLine += values[2];
+            sourceColumn += values[3];
+            if (values.length > 4) nameIndex += values[4];
+            segments.push([column, sourceIndex, sourceLine, sourceColumn, values.length > 4 ? nameIndex : -1]);
+        }
+
+        lines.push(segments);
+    }
+
+    return lines;
+}
+
+function decodeVlq(text) {
+    const values = [];
+    let value = 0;
+    let shift = 0;
+
+    for (const char of text) {
+        const digit = BASE64_DIGITS.indexOf(char);
+        value += (digit & 31) * 2 ** shift;
+        if (digit & 32) {
+            shift += 5;
+        } else {
+            values.push(value % 2 ? -Math.floor(value / 2) : value / 2);
+            value = 0;
+            shift = 0;
+        }
+    }
+
+    return values;
+}
+
+// The last segment starting at or before the column
+function findSegment(segments, column) {
+    if (!segments?.length) return null;
+    let found = null;
+    for (const segment of segments) {
+        if (segment[0] > column) break;
+        found = segment;
+    }
+    return found || segments[0];
+}
+
+// Scan upwards from a line for the first one the test returns a value for
+function findAbove(lines, from, to, test) {
+    for (let i = from; i >= to; i--) {
+        const value = test(lines[i], i);
+        if (value) return value;
+    }
+    return null;
+}
+
+// The page section a line of markup starts, e.g. "System Health" or #error-container
+function sectionName(line) {
+    const comment = /<!--\s*(.+?)\s*-->/.exec(line)?.[1];
+    // Skip the version comment at the top of each page
+    if (comment && !/^v[\d.]+$/.test(comment)) return `"${comment}"`;
+
+    const heading = /<h[1-6][^>]*>(.*?)<\/h[1-6]>/i.exec(line)?.[1].replace(/<[^>]*>/g, '').trim();
+    if (heading) return `"${heading}"`;
+
+    const id = /<(?:section|form|nav|header|main|aside|dialog)\b[^>]*\bid="([^"]+)"/i.exec(line)?.[1];
+    return id ? `#${id}` : null;
+}
+
+// The function a line declares, e.g. "async function loadEvents(" or "window.toggleStack = function("
+function functionName(line) {
+    const match = /\bfunction\s*\*?\s*([\w$]+)\s*\(/.exec(line) ||
+        /([\w$.]+)\s*=\s*(?:async\s+)?(?:function\b|\([^)]*\)\s*=>|[\w$]+\s*=>)/.exec(line) ||
+        /^\s*(?:async\s+)?([\w$]+)\s*\([^)]*\)\s*\{\s*$/.exec(line);
+    if (!match || ['if', 'for', 'while', 'switch', 'catch'].includes(match[1])) return null;
+    return match[1];
+}
+
+/**
+ * Whether a URL from a stack trace may be fetched: this site, or a known vendor CDN over https
+ */
+function canFetch(url) {
+    try {
+        const parsed = new URL(url, typeof window !== 'undefined' ? window.location.href : undefined);
+        if (typeof window !== 'undefined' && parsed.origin === window.location.origin) return true;
+        return parsed.protocol === 'https:' && FETCHABLE_HOSTS.includes(parsed.hostname);
+    } catch (e) {
+        return false;
+    }
+}
+
+function isVendorUrl(url) {
+    try {
+        return typeof window !== 'undefined' && new URL(url).origin !== window.location.origin;
+    } catch (e) {
+        return false;
+    }
+}
+
+// Same-origin files as a path; others with their host, e.g. esm.sh/@supabase/...
+function displayFile(url) {
+    try {
+        const parsed = new URL(url);
+        const path = parsed.pathname.replace(/^\//, '');
+        if (typeof window !== 'undefined' && parsed.origin === window.location.origin) return path;
+        // esm.sh paths start with a build version (/v135/) that says nothing useful
+        return `${parsed.host}/${path.replace(/^v\d+\//, '')}`;
+    } catch (e) {
+        return url;
+    }
+}
@@ -35,3 +35,20 @@ export function isAdmin() {
     const view = localStorage.getItem('currentView')
     return view === 'admin'
 }
+
+// Rows fetched per request by selectAllRows (PostgREST's default max-rows)
+const PAGE_SIZE = 1000
+
+/**
+ * Run a select page by page until every row is in, since PostgREST caps each response.
+ * @param {Function} buildQuery - Returns a fresh query, ordered on a unique column so pages don't overlap
+ */
+export async function selectAllRows(buildQuery) {
+    const rows = []
+    for (let from = 0; ; from += PAGE_SIZE) {
+        const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1)
+        if (error) throw error
+        rows.push(...data)
+        if (data.length < PAGE_SIZE) return rows
+    }
+}
@@ -3,29 +3,63 @@
  *
  * Centralized validation for all data entities.
  * Ensures data integrity before saving to storage or sending to API.
+ * Rules come from the column definitions in DB_SCHEMA (js/db-schema.js),
+ * so they can't drift from schema.sql.
  */
 
+import { getTable, fieldName, getPath, isRequired } from './db-schema.js';
+
+const FORMAT_MESSAGES = {
+    url: 'must be a valid HTTP/HTTPS URL',
+    time: 'must be in HH:MM format'
+};
+
 class Validator {
     /**
-     * Validate module data
+     * Validate an app record against a table's column definitions in DB_SCHEMA.
+     * Only fields present on the record are checked, apart from required ones.
+     * @param {string} table - Table name in DB_SCHEMA.tables
+     * @param {Object} data - Record with app (camelCase) field names
+     * @returns {{valid: boolean, errors: string[]}}
      */
-    static validateModule(data) {
+    static validateRecord(table, data) {
+        const definition = getTable(table);
         const errors = [];
 
-        if (!data.title || typeof data.title !== 'string') {
-            errors.push('Module title is required');
-        } else if (data.title.length < 3) {
-            errors.push('Module title must be at least 3 characters');
-        } else if (data.title.length > 200) {
-            errors.push('Module title must be less than 200 characters');
-        }
+        for (const [column, spec] of Object.entries(definition.columns)) {
+            if (spec.internal || spec.primaryKey || spec.readOnly) continue;
 
-        if (data.description && data.description.length > 2000) {
-            errors.push('Module description must be less than 2000 characters');
-        }
+            const label = this.columnLabel(definition, column, spec);
+            const value = getPath(data, fieldName(column, spec));
+            const isBlank = value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+            if (isBlank) {
+                if (isRequired(spec)) errors.push(`${label} is required`);
+                continue;
+            }
+
+            const typeError = this.checkType(spec.type, value);
+            if (typeError) {
+                errors.push(`${label} ${typeError}`);
+                continue;
+            }
 
-        if (data.status && !['draft', 'published', 'archived'].includes(data.status)) {
-            errors.push('Invalid module status');
+            if (spec.minLength && value.length < spec.minLength) {
+                errors.push(`${label} must be at least ${spec.minLength} characters`);
+            } else if (spec.maxLength && value.length > spec.maxLength) {
+                errors.push(`${label} must be less than ${spec.maxLength} characters`);
+            }
+
+            const allowed = spec.enum || spec.options;
+            if (allowed && !allowed.includes(value)) {
+                errors.push(`Invalid ${label.toLowerCase()}`);
+            }
+
+            if (spec.format === 'url' && !this.isValidUrl(value)) {
+                errors.push(`${label} ${FORMAT_MESSAGES.url}`);
+            } else if (spec.format === 'time' && !this.isValidTime(value)) {
+                errors.push(`${label} ${FORMAT_MESSAGES.time}`);
+            }
         }
 
         return {
@@ -35,132 +69,80 @@ class Validator {
     }
 
     /**
-     * Validate week data
+     * Human-readable name for a column, e.g. modules.title -> "Module title"
      */
-    static validateWeek(data) {
-        const errors = [];
+    static columnLabel(definition, column, spec) {
+        return spec.label || `${definition.label} ${column.replace(/_/g, ' ')}`;
+    }
 
-        if (!data.title || typeof data.title !== 'string') {
-            errors.push('Week title is required');
-        } else if (data.title.length < 3) {
-            errors.push('Week title must be at least 3 characters');
-        } else if (data.title.length > 200) {
-            errors.push('Week title must be less than 200 characters');
+    /**
+     * Check a value against a column's SQL type
+     * @returns {string|null} Error suffix, or null when the value fits
+     */
+    static checkType(type, value) {
+        switch (type) {
+            case 'text':
+            case 'uuid':
+            case 'date':
+            case 'timestamptz':
+                return typeof value === 'string' ? null : 'must be text';
+            case 'int':
+            case 'bigint':
+                return Number.isInteger(Number(value)) ? null : 'must be a whole number';
+            case 'boolean':
+                return typeof value === 'boolean' ? null : 'must be true or false';
+            default:
+                return null;
         }
+    }
 
-        if (data.status && !['locked', 'current', 'complete'].includes(data.status)) {
-            errors.push('Invalid week status');
-        }
+    /**
+     * Validate module data
+     */
+    static validateModule(data) {
+        return this.validateRecord('modules', data);
+    }
+
+    /**
+     * Validate week data (pages are passed alongside the week and saved to their own table)
+     */
+    static validateWeek(data) {
+        const result = this.validateRecord('weeks', data);
 
         if (data.pages && !Array.isArray(data.pages)) {
-            errors.push('Week pages must be an array');
+            result.errors.push('Week pages must be an array');
+            result.valid = false;
         }
 
-        return {
-            valid: errors.length === 0,
-            errors
-        };
+        return result;
     }
 
     /**
      * Validate resource data
      */
     static validateResource(data) {
-        const errors = [];
-
-        if (!data.title || typeof data.title !== 'string') {
-            errors.push('Resource title is required');
-        } else if (data.title.length < 1) {
-            errors.push('Resource title cannot be empty');
-        } else if (data.title.length > 300) {
-            errors.push('Resource title must be less than 300 characters');
-        }
-
-        // URL is optional, but if provided must be valid
-        if (data.url && typeof data.url === 'string' && data.url.trim() !== '') {
-            if (!this.isValidUrl(data.url)) {
-                errors.push('Resource URL must be a valid HTTP/HTTPS URL');
-            }
-        }
-
-        return {
-            valid: errors.length === 0,
-            errors
-        };
+        return this.validateRecord('resources', data);
     }
 
     /**
      * Validate question data
      */
     static validateQuestion(data) {
-        const errors = [];
-
-        if (!data.text || typeof data.text !== 'string') {
-            errors.push('Question text is required');
-        } else if (data.text.length < 10) {
-            errors.push('Question text must be at least 10 characters');
-        } else if (data.text.length > 2000) {
-            errors.push('Question text must be less than 2000 characters');
-        }
-
-        return {
-            valid: errors.length === 0,
-            errors
-        };
+        return this.validateRecord('questions', data);
     }
 
     /**
      * Validate video data
      */
     static validateVideo(data) {
-        const errors = [];
-
-        if (!data.title || typeof data.title !== 'string') {
-            errors.push('Video title is required');
-        }
-
-        if (!data.url || typeof data.url !== 'string') {
-            errors.push('Video URL is required');
-        } else if (!this.isValidVideoUrl(data.url)) {
-            errors.push('Video URL must be a valid YouTube, Vimeo, or HTTP/HTTPS URL');
-        }
-
-        return {
-            valid: errors.length === 0,
-            errors
-        };
+        return this.validateRecord('videos', data);
     }
 
     /**
      * Validate zoom info data
      */
     static validateZoomInfo(data) {
-        const errors = [];
-
-        if (data.url && !this.isValidUrl(data.url)) {
-            errors.push('Zoom URL must be a valid HTTP/HTTPS URL');
-        }
-
-        if (data.schedule) {
-            const validDays = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
-            if (data.schedule.day && !validDays.includes(data.schedule.day)) {
-                errors.push('Invalid day of week');
-            }
-
-            if (data.schedule.time && !this.isValidTime(data.schedule.time)) {
-                errors.push('Invalid time format (must be HH:MM)');
-            }
-
-            const validTimezones = ['EST', 'CST', 'MST', 'PST', 'UTC'];
-            if (data.schedule.timezone && !validTimezones.includes(data.schedule.timezone)) {
-                errors.push('Invalid timezone');
-            }
-        }
-
-        return {
-            valid: errors.length === 0,
-            errors
-        };
+        return this.validateRecord('module_zoom_info', data);
     }
 
     /**
@@ -232,7 +214,4 @@ class Validator {
     }
 }
 
-// Export for use in other modules
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { Validator };
-}
+export { Validator };
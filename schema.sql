@@ -28,6 +28,7 @@ CREATE TABLE IF NOT EXISTS modules (
     template_id BIGINT REFERENCES modules(id) ON DELETE SET NULL,
     launched_at TIMESTAMPTZ,
     archived_at TIMESTAMPTZ,
+    launch_key UUID UNIQUE, -- idempotency key for launch_module()
     created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW()
 );
@@ -78,9 +79,16 @@ CREATE TABLE IF NOT EXISTS questions (
     id BIGSERIAL PRIMARY KEY,
     page_id BIGINT NOT NULL REFERENCES pages(id) ON DELETE CASCADE,
     question_number INT NOT NULL DEFAULT 1,
+    -- Stable identity: shared by a template question and its launched copies,
+    -- unchanged when questions are reordered (question_number is only position)
+    question_key UUID NOT NULL DEFAULT gen_random_uuid(),
     text TEXT NOT NULL,
+    -- Discussion closes at this time (set ahead, e.g. to the end of the week, or to NOW() to lock immediately)
+    locked_at TIMESTAMPTZ,
+    locked_by UUID REFERENCES users(id) ON DELETE SET NULL,
     created_at TIMESTAMPTZ DEFAULT NOW(),
-    updated_at TIMESTAMPTZ DEFAULT NOW()
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(page_id, question_key)
 );
 
 -- Resources table
@@ -113,10 +121,41 @@ CREATE TABLE IF NOT EXISTS enrollments (
     id BIGSERIAL PRIMARY KEY,
     user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
     module_id BIGINT NOT NULL REFERENCES modules(id) ON DELETE CASCADE,
+    -- Role within this module only; users.role = 'admin' is the global superuser
+    role TEXT NOT NULL DEFAULT 'student' CHECK (role IN ('student', 'instructor', 'ta', 'auditor')),
     enrolled_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
     UNIQUE(user_id, module_id)
 );
 
+-- Roster entries (imported students who haven't signed up yet; claimed when they confirm their email)
+CREATE TABLE IF NOT EXISTS roster_entries (
+    id BIGSERIAL PRIMARY KEY,
+    email TEXT NOT NULL,
+    name TEXT,
+    module_id BIGINT NOT NULL REFERENCES modules(id) ON DELETE CASCADE,
+    role TEXT NOT NULL DEFAULT 'student' CHECK (role IN ('student', 'instructor', 'ta', 'auditor')),
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(email, module_id)
+);
+
+-- Module invite codes (redeeming one enrolls and approves the user)
+CREATE TABLE IF NOT EXISTS module_invites (
+    id BIGSERIAL PRIMARY KEY,
+    module_id BIGINT NOT NULL REFERENCES modules(id) ON DELETE CASCADE,
+    code TEXT NOT NULL UNIQUE DEFAULT upper(substr(replace(gen_random_uuid()::text, '-', ''), 1, 10)),
+    role TEXT NOT NULL DEFAULT 'student' CHECK (role IN ('student', 'auditor')),
+    max_uses INT,
+    use_count INT NOT NULL DEFAULT 0,
+    expires_at TIMESTAMPTZ,
+    revoked_at TIMESTAMPTZ,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
 -- Progress table
 CREATE TABLE IF NOT EXISTS progress (
     id BIGSERIAL PRIMARY KEY,
@@ -137,10 +176,120 @@ CREATE TABLE IF NOT EXISTS discussion_posts (
     parent_id BIGINT REFERENCES discussion_posts(id) ON DELETE CASCADE,
     content TEXT NOT NULL,
     is_deleted BOOLEAN DEFAULT FALSE,
+    -- Moderation: hidden posts stay visible to their author and moderators only;
+    -- pinned posts are listed first. *_by/*_at are stamped by protect_post_moderation().
+    is_hidden BOOLEAN NOT NULL DEFAULT FALSE,
+    hidden_reason TEXT,
+    hidden_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    hidden_at TIMESTAMPTZ,
+    pinned_at TIMESTAMPTZ,
+    pinned_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    edited_at TIMESTAMPTZ,
     created_at TIMESTAMPTZ DEFAULT NOW(),
     updated_at TIMESTAMPTZ DEFAULT NOW()
 );
 
+-- Post Revisions table (earlier versions of edited posts, written by record_post_revision())
+CREATE TABLE IF NOT EXISTS post_revisions (
+    id BIGSERIAL PRIMARY KEY,
+    -- Cleared when the post is deleted outright; the revisions stay with its question and author
+    post_id BIGINT REFERENCES discussion_posts(id) ON DELETE SET NULL,
+    question_id BIGINT NOT NULL REFERENCES questions(id) ON DELETE CASCADE,
+    author_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    content TEXT NOT NULL,
+    edited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Post Flags table (students report posts for moderator review)
+CREATE TABLE IF NOT EXISTS post_flags (
+    id BIGSERIAL PRIMARY KEY,
+    post_id BIGINT NOT NULL REFERENCES discussion_posts(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    reason TEXT NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    resolved_at TIMESTAMPTZ,
+    resolved_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    resolution TEXT CHECK (resolution IN ('dismissed', 'hidden', 'deleted')),
+    UNIQUE(post_id, user_id)
+);
+
+-- Discussion Reads table (when each user last opened each question's discussion)
+CREATE TABLE IF NOT EXISTS discussion_reads (
+    id BIGSERIAL PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    question_id BIGINT NOT NULL REFERENCES questions(id) ON DELETE CASCADE,
+    last_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE(user_id, question_id)
+);
+
+-- Post Mentions table (users @mentioned in a post, kept in step with its content by record_post_mentions())
+CREATE TABLE IF NOT EXISTS post_mentions (
+    id BIGSERIAL PRIMARY KEY,
+    post_id BIGINT NOT NULL REFERENCES discussion_posts(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    mentioned_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(post_id, user_id)
+);
+
+-- Notifications table (replies, mentions, unlocked weeks and instructor posts for
+-- each user; listed on notifications.html and emailed by workers/notification-digest)
+CREATE TABLE IF NOT EXISTS notifications (
+    id BIGSERIAL PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    type TEXT NOT NULL CHECK (type IN ('reply', 'mention', 'week_unlocked', 'instructor_post')),
+    module_id BIGINT REFERENCES modules(id) ON DELETE CASCADE,
+    week_id BIGINT REFERENCES weeks(id) ON DELETE CASCADE,
+    post_id BIGINT REFERENCES discussion_posts(id) ON DELETE CASCADE,
+    actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    read_at TIMESTAMPTZ,
+    emailed_at TIMESTAMPTZ
+);
+
+-- Notification Preferences table (no row means the defaults: everything on, weekly email)
+CREATE TABLE IF NOT EXISTS notification_preferences (
+    id BIGSERIAL PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    notify_replies BOOLEAN NOT NULL DEFAULT TRUE,
+    notify_mentions BOOLEAN NOT NULL DEFAULT TRUE,
+    notify_week_unlocked BOOLEAN NOT NULL DEFAULT TRUE,
+    notify_instructor_posts BOOLEAN NOT NULL DEFAULT TRUE,
+    email_frequency TEXT NOT NULL DEFAULT 'weekly' CHECK (email_frequency IN ('off', 'daily', 'weekly')),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(user_id)
+);
+
+-- Responses table (private reflections, visible only to the author and admins)
+CREATE TABLE IF NOT EXISTS responses (
+    id BIGSERIAL PRIMARY KEY,
+    question_id BIGINT NOT NULL REFERENCES questions(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    content TEXT NOT NULL DEFAULT '',
+    version INT NOT NULL DEFAULT 1,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(user_id, question_id)
+);
+
+-- Error Groups table (logged errors with the same fingerprint, counted by group_error_log())
+CREATE TABLE IF NOT EXISTS error_groups (
+    id BIGSERIAL PRIMARY KEY,
+    fingerprint TEXT NOT NULL UNIQUE,
+    error_type TEXT NOT NULL,
+    title TEXT NOT NULL,
+    culprit TEXT,
+    -- A new occurrence of a resolved group marks it regressed; ignored groups stay ignored
+    status TEXT NOT NULL DEFAULT 'unresolved' CHECK (status IN ('unresolved', 'resolved', 'ignored', 'regressed')),
+    occurrences BIGINT NOT NULL DEFAULT 0,
+    affected_users INT NOT NULL DEFAULT 0,
+    first_seen TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_seen TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    status_changed_at TIMESTAMPTZ,
+    status_changed_by UUID REFERENCES users(id) ON DELETE SET NULL
+);
+
 -- Error Logs table (for production error tracking)
 CREATE TABLE IF NOT EXISTS error_logs (
     id BIGSERIAL PRIMARY KEY,
@@ -151,7 +300,81 @@ CREATE TABLE IF NOT EXISTS error_logs (
     stack_trace TEXT,
     page_url TEXT,
     user_agent TEXT,
-    additional_context JSONB
+    additional_context JSONB,
+    -- Computed by ErrorHandler from the type, normalized message and top stack frames
+    fingerprint TEXT,
+    culprit TEXT,
+    -- Repeats of the same error the client held back and counted into this row
+    occurrences INT NOT NULL DEFAULT 1 CHECK (occurrences > 0),
+    group_id BIGINT REFERENCES error_groups(id) ON DELETE CASCADE
+);
+
+-- Alert Rules table (error alerts, evaluated by workers/error-alerts)
+CREATE TABLE IF NOT EXISTS alert_rules (
+    id BIGSERIAL PRIMARY KEY,
+    name TEXT NOT NULL,
+    -- new_group: an error is seen for the first time; spike: a group logs more than
+    -- threshold events within window_minutes; affected_users: a group reaches more than threshold users
+    rule_type TEXT NOT NULL CHECK (rule_type IN ('new_group', 'spike', 'affected_users')),
+    -- Only groups of this error type (every type when NULL)
+    error_type TEXT,
+    threshold INT CHECK (threshold > 0),
+    window_minutes INT NOT NULL DEFAULT 60 CHECK (window_minutes > 0),
+    channel TEXT NOT NULL CHECK (channel IN ('email', 'webhook')),
+    -- Email address or webhook URL
+    target TEXT NOT NULL,
+    -- A spike in the same group alerts again at most this often
+    cooldown_minutes INT NOT NULL DEFAULT 60 CHECK (cooldown_minutes >= 0),
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    last_triggered_at TIMESTAMPTZ,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CHECK (rule_type = 'new_group' OR threshold IS NOT NULL)
+);
+
+-- Alert Events table (each error group an alert rule fired for, so it isn't sent twice)
+CREATE TABLE IF NOT EXISTS alert_events (
+    id BIGSERIAL PRIMARY KEY,
+    rule_id BIGINT NOT NULL REFERENCES alert_rules(id) ON DELETE CASCADE,
+    group_id BIGINT REFERENCES error_groups(id) ON DELETE CASCADE,
+    triggered_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    -- Events in the rule's window (spike), and users affected so far
+    events BIGINT,
+    affected_users INT
+);
+
+-- Audit Log table (append-only record of administrative actions)
+CREATE TABLE IF NOT EXISTS audit_log (
+    id BIGSERIAL PRIMARY KEY,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    -- Not foreign keys: entries must outlive the users and modules they describe
+    actor_id UUID,
+    actor_email TEXT,
+    action TEXT NOT NULL,
+    target_type TEXT NOT NULL,
+    target_id TEXT,
+    module_id BIGINT,
+    before_data JSONB,
+    after_data JSONB,
+    metadata JSONB
+);
+
+-- Service Metrics table (data service latency, batched by js/service-metrics.js)
+CREATE TABLE IF NOT EXISTS service_metrics (
+    id BIGSERIAL PRIMARY KEY,
+    recorded_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    method TEXT NOT NULL,
+    -- 'call': a DataServiceSupabase method; 'attempt': one withRetry attempt within it
+    kind TEXT NOT NULL DEFAULT 'call' CHECK (kind IN ('call', 'attempt')),
+    calls INT NOT NULL CHECK (calls > 0),
+    errors INT NOT NULL DEFAULT 0,
+    retries INT NOT NULL DEFAULT 0,
+    slow_calls INT NOT NULL DEFAULT 0,
+    total_ms BIGINT NOT NULL DEFAULT 0,
+    max_ms INT NOT NULL DEFAULT 0,
+    -- Calls per latency bucket (LATENCY_BUCKETS in js/service-metrics.js)
+    latency_buckets INT[] NOT NULL
 );
 
 -- ==================== INDEXES ====================
@@ -161,18 +384,43 @@ CREATE INDEX IF NOT EXISTS idx_modules_template_id ON modules(template_id);
 CREATE INDEX IF NOT EXISTS idx_weeks_module_id ON weeks(module_id);
 CREATE INDEX IF NOT EXISTS idx_pages_week_id ON pages(week_id);
 CREATE INDEX IF NOT EXISTS idx_questions_page_id ON questions(page_id);
+CREATE INDEX IF NOT EXISTS idx_questions_question_key ON questions(question_key);
 CREATE INDEX IF NOT EXISTS idx_resources_page_id ON resources(page_id);
 CREATE INDEX IF NOT EXISTS idx_videos_page_id ON videos(page_id);
 CREATE INDEX IF NOT EXISTS idx_enrollments_user_id ON enrollments(user_id);
 CREATE INDEX IF NOT EXISTS idx_enrollments_module_id ON enrollments(module_id);
+CREATE INDEX IF NOT EXISTS idx_roster_entries_email ON roster_entries(email);
+CREATE INDEX IF NOT EXISTS idx_module_invites_module_id ON module_invites(module_id);
 CREATE INDEX IF NOT EXISTS idx_progress_user_id ON progress(user_id);
 CREATE INDEX IF NOT EXISTS idx_progress_week_id ON progress(week_id);
 CREATE INDEX IF NOT EXISTS idx_discussion_posts_question_id ON discussion_posts(question_id);
 CREATE INDEX IF NOT EXISTS idx_discussion_posts_user_id ON discussion_posts(user_id);
 CREATE INDEX IF NOT EXISTS idx_discussion_posts_parent_id ON discussion_posts(parent_id);
+-- Full-text search of post text (tags stripped); must match the expression in search_discussions()
+CREATE INDEX IF NOT EXISTS idx_discussion_posts_search ON discussion_posts
+    USING GIN (to_tsvector('english', regexp_replace(content, '<[^>]*>', ' ', 'g')));
+CREATE INDEX IF NOT EXISTS idx_post_flags_post_id ON post_flags(post_id);
+CREATE INDEX IF NOT EXISTS idx_post_revisions_post_id ON post_revisions(post_id);
+CREATE INDEX IF NOT EXISTS idx_post_revisions_question_id ON post_revisions(question_id);
+CREATE INDEX IF NOT EXISTS idx_discussion_reads_question_id ON discussion_reads(question_id);
+CREATE INDEX IF NOT EXISTS idx_post_mentions_user_id ON post_mentions(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_notifications_user_id ON notifications(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_notifications_pending ON notifications(user_id) WHERE emailed_at IS NULL AND read_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_post_flags_open ON post_flags(created_at) WHERE resolved_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_responses_question_id ON responses(question_id);
+CREATE INDEX IF NOT EXISTS idx_responses_user_id ON responses(user_id);
 CREATE INDEX IF NOT EXISTS idx_error_logs_timestamp ON error_logs(timestamp DESC);
 CREATE INDEX IF NOT EXISTS idx_error_logs_user_id ON error_logs(user_id);
 CREATE INDEX IF NOT EXISTS idx_error_logs_error_type ON error_logs(error_type);
+CREATE INDEX IF NOT EXISTS idx_error_logs_group_id ON error_logs(group_id, timestamp DESC);
+CREATE INDEX IF NOT EXISTS idx_error_logs_fingerprint_user ON error_logs(fingerprint, user_id);
+CREATE INDEX IF NOT EXISTS idx_error_groups_last_seen ON error_groups(last_seen DESC);
+CREATE INDEX IF NOT EXISTS idx_alert_events_rule_group ON alert_events(rule_id, group_id, triggered_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_actor_id ON audit_log(actor_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_target ON audit_log(target_type, target_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_module_id ON audit_log(module_id);
+CREATE INDEX IF NOT EXISTS idx_service_metrics_recorded_at ON service_metrics(recorded_at DESC);
 
 -- ==================== FUNCTIONS ====================
 
@@ -190,7 +438,7 @@ DO $$
 DECLARE
     t TEXT;
 BEGIN
-    FOREACH t IN ARRAY ARRAY['users', 'modules', 'module_zoom_info', 'weeks', 'pages', 'questions', 'resources', 'videos', 'progress', 'discussion_posts']
+    FOREACH t IN ARRAY ARRAY['users', 'modules', 'module_zoom_info', 'weeks', 'pages', 'questions', 'resources', 'videos', 'enrollments', 'roster_entries', 'module_invites', 'progress', 'discussion_posts', 'responses', 'notification_preferences', 'alert_rules']
     LOOP
         EXECUTE format('DROP TRIGGER IF EXISTS update_%s_updated_at ON %s', t, t);
         EXECUTE format('CREATE TRIGGER update_%s_updated_at BEFORE UPDATE ON %s FOR EACH ROW EXECUTE FUNCTION update_updated_at_column()', t, t);
@@ -198,250 +446,1311 @@ BEGIN
 END;
 $$;
 
--- ==================== ROW LEVEL SECURITY ====================
+-- Bump response version on every autosave that changes content
+CREATE OR REPLACE FUNCTION bump_response_version()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.content IS DISTINCT FROM OLD.content THEN
+        NEW.version = OLD.version + 1;
+    ELSE
+        NEW.version = OLD.version;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
 
--- Enable RLS on all tables
-ALTER TABLE users ENABLE ROW LEVEL SECURITY;
-ALTER TABLE modules ENABLE ROW LEVEL SECURITY;
-ALTER TABLE module_zoom_info ENABLE ROW LEVEL SECURITY;
-ALTER TABLE weeks ENABLE ROW LEVEL SECURITY;
-ALTER TABLE pages ENABLE ROW LEVEL SECURITY;
-ALTER TABLE questions ENABLE ROW LEVEL SECURITY;
-ALTER TABLE resources ENABLE ROW LEVEL SECURITY;
-ALTER TABLE videos ENABLE ROW LEVEL SECURITY;
-ALTER TABLE enrollments ENABLE ROW LEVEL SECURITY;
-ALTER TABLE progress ENABLE ROW LEVEL SECURITY;
-ALTER TABLE discussion_posts ENABLE ROW LEVEL SECURITY;
-ALTER TABLE error_logs ENABLE ROW LEVEL SECURITY;
+DROP TRIGGER IF EXISTS bump_responses_version ON responses;
+CREATE TRIGGER bump_responses_version BEFORE UPDATE ON responses
+    FOR EACH ROW EXECUTE FUNCTION bump_response_version();
 
--- ==================== RLS POLICIES ====================
+-- Only moderators may hide or pin posts (authors can otherwise update their own
+-- rows freely), and who did it and when is stamped here rather than trusted from
+-- the client. Calls without a user (service role: restores, scripts) pass through.
+CREATE OR REPLACE FUNCTION protect_post_moderation()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_hidden_changed BOOLEAN;
+    v_pinned_changed BOOLEAN;
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RETURN NEW;
+    END IF;
 
--- Helper function to check if user is admin
-CREATE OR REPLACE FUNCTION is_admin()
-RETURNS BOOLEAN AS $$
+    IF TG_OP = 'INSERT' THEN
+        v_hidden_changed := NEW.is_hidden;
+        v_pinned_changed := NEW.pinned_at IS NOT NULL;
+    ELSE
+        v_hidden_changed := NEW.is_hidden IS DISTINCT FROM OLD.is_hidden
+            OR NEW.hidden_reason IS DISTINCT FROM OLD.hidden_reason;
+        v_pinned_changed := NEW.pinned_at IS DISTINCT FROM OLD.pinned_at;
+    END IF;
+
+    IF (v_hidden_changed OR v_pinned_changed) AND NOT can_moderate_question(NEW.question_id) THEN
+        RAISE EXCEPTION 'Only moderators can hide or pin posts' USING ERRCODE = '42501';
+    END IF;
+
+    IF v_hidden_changed THEN
+        NEW.hidden_by := CASE WHEN NEW.is_hidden THEN auth.uid() END;
+        NEW.hidden_at := CASE WHEN NEW.is_hidden THEN NOW() END;
+        IF NOT NEW.is_hidden THEN
+            NEW.hidden_reason := NULL;
+        END IF;
+    END IF;
+
+    IF v_pinned_changed THEN
+        NEW.pinned_by := CASE WHEN NEW.pinned_at IS NOT NULL THEN auth.uid() END;
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS protect_discussion_post_moderation ON discussion_posts;
+CREATE TRIGGER protect_discussion_post_moderation BEFORE INSERT OR UPDATE ON discussion_posts
+    FOR EACH ROW EXECUTE FUNCTION protect_post_moderation();
+
+-- Record hides, pins, locks and resolved flags in the audit log (record_audit, below)
+CREATE OR REPLACE FUNCTION audit_post_moderation()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_module_id BIGINT;
+    v_before JSONB := jsonb_build_object('id', OLD.id, 'user_id', OLD.user_id, 'is_hidden', OLD.is_hidden, 'hidden_reason', OLD.hidden_reason, 'pinned_at', OLD.pinned_at);
+    v_after JSONB := jsonb_build_object('id', NEW.id, 'user_id', NEW.user_id, 'is_hidden', NEW.is_hidden, 'hidden_reason', NEW.hidden_reason, 'pinned_at', NEW.pinned_at);
 BEGIN
-    RETURN EXISTS (
-        SELECT 1 FROM users
-        WHERE id = auth.uid()
-        AND role = 'admin'
-        AND status = 'active'
-    );
+    SELECT w.module_id INTO v_module_id
+    FROM public.questions q
+    JOIN public.pages p ON p.id = q.page_id
+    JOIN public.weeks w ON w.id = p.week_id
+    WHERE q.id = NEW.question_id;
+
+    IF NEW.is_hidden IS DISTINCT FROM OLD.is_hidden THEN
+        PERFORM record_audit(CASE WHEN NEW.is_hidden THEN 'post.hide' ELSE 'post.unhide' END,
+            'post', NEW.id::TEXT, v_module_id, v_before, v_after);
+    END IF;
+
+    IF NEW.pinned_at IS DISTINCT FROM OLD.pinned_at THEN
+        PERFORM record_audit(CASE WHEN NEW.pinned_at IS NOT NULL THEN 'post.pin' ELSE 'post.unpin' END,
+            'post', NEW.id::TEXT, v_module_id, v_before, v_after);
+    END IF;
+
+    RETURN NULL;
 END;
 $$ LANGUAGE plpgsql SECURITY DEFINER;
 
--- Helper function to check if user is enrolled in a module
-CREATE OR REPLACE FUNCTION is_enrolled(module_id_param BIGINT)
-RETURNS BOOLEAN AS $$
+DROP TRIGGER IF EXISTS audit_discussion_post_moderation ON discussion_posts;
+CREATE TRIGGER audit_discussion_post_moderation AFTER UPDATE OF is_hidden, pinned_at ON discussion_posts
+    FOR EACH ROW EXECUTE FUNCTION audit_post_moderation();
+
+CREATE OR REPLACE FUNCTION audit_question_lock()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_week weeks;
 BEGIN
-    RETURN EXISTS (
-        SELECT 1 FROM enrollments
-        WHERE user_id = auth.uid()
-        AND module_id = module_id_param
-    );
+    SELECT w.* INTO v_week
+    FROM public.pages p
+    JOIN public.weeks w ON w.id = p.week_id
+    WHERE p.id = NEW.page_id;
+
+    PERFORM record_audit(CASE WHEN NEW.locked_at IS NOT NULL THEN 'question.lock' ELSE 'question.unlock' END,
+        'question', NEW.id::TEXT, v_week.module_id,
+        jsonb_build_object('id', OLD.id, 'locked_at', OLD.locked_at, 'locked_by', OLD.locked_by),
+        jsonb_build_object('id', NEW.id, 'locked_at', NEW.locked_at, 'locked_by', NEW.locked_by),
+        jsonb_build_object('weekNumber', v_week.week_number));
+
+    RETURN NULL;
 END;
 $$ LANGUAGE plpgsql SECURITY DEFINER;
 
--- ===== USERS POLICIES =====
--- Allow authenticated users to see basic info of all users (needed for discussion author names)
-CREATE POLICY "users_select_basic" ON users
-    FOR SELECT
-    TO authenticated
-    USING (true);
+DROP TRIGGER IF EXISTS audit_question_lock ON questions;
+CREATE TRIGGER audit_question_lock AFTER UPDATE OF locked_at ON questions
+    FOR EACH ROW
+    WHEN (OLD.locked_at IS DISTINCT FROM NEW.locked_at)
+    EXECUTE FUNCTION audit_question_lock();
 
--- Users can update their own profile (but not role/status)
-CREATE POLICY "Users can update own profile" ON users
-    FOR UPDATE USING (id = auth.uid())
-    WITH CHECK (id = auth.uid());
+-- One entry per post whose open flags were resolved, listing the flags
+CREATE OR REPLACE FUNCTION audit_flag_resolution()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_post RECORD;
+BEGIN
+    FOR v_post IN
+        SELECT n.post_id, n.resolution, w.module_id,
+            jsonb_agg(jsonb_build_object('id', n.id, 'reason', n.reason) ORDER BY n.id) AS flags
+        FROM new_flags n
+        JOIN old_flags o ON o.id = n.id
+        LEFT JOIN public.discussion_posts dp ON dp.id = n.post_id
+        LEFT JOIN public.questions q ON q.id = dp.question_id
+        LEFT JOIN public.pages p ON p.id = q.page_id
+        LEFT JOIN public.weeks w ON w.id = p.week_id
+        WHERE o.resolved_at IS NULL AND n.resolved_at IS NOT NULL
+        GROUP BY n.post_id, n.resolution, w.module_id
+    LOOP
+        PERFORM record_audit('flag.resolve', 'post', v_post.post_id::TEXT, v_post.module_id, NULL, NULL,
+            jsonb_build_object('resolution', v_post.resolution, 'flags', v_post.flags));
+    END LOOP;
 
--- Admins can update any user
-CREATE POLICY "Admins can update any user" ON users
-    FOR UPDATE USING (is_admin());
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
 
--- Allow authenticated users to insert their own row on signup
-CREATE POLICY "users_insert_own" ON users
-    FOR INSERT
-    TO authenticated
-    WITH CHECK (auth.uid() = id);
+DROP TRIGGER IF EXISTS audit_post_flag_resolution ON post_flags;
+CREATE TRIGGER audit_post_flag_resolution AFTER UPDATE ON post_flags
+    REFERENCING OLD TABLE AS old_flags NEW TABLE AS new_flags
+    FOR EACH STATEMENT EXECUTE FUNCTION audit_flag_resolution();
 
--- ===== MODULES POLICIES =====
--- Admins can do everything with modules
-CREATE POLICY "Admins full access to modules" ON modules
-    FOR ALL USING (is_admin());
+-- Resolve a post's open flags as 'deleted' and delete the post (soft delete if it
+-- has replies, as deleteDiscussionPost does) in one transaction, so a delete that
+-- fails leaves the flags open. The flags are resolved first, so the resolution is
+-- audited before a hard delete takes them with the post. Runs as the caller:
+-- only moderators of the post's module (and admins) get past the policies.
+-- Returns the number of flags resolved.
+CREATE OR REPLACE FUNCTION delete_flagged_post(p_post_id BIGINT)
+RETURNS INT AS $$
+DECLARE
+    v_resolved INT;
+BEGIN
+    UPDATE post_flags
+    SET resolved_at = NOW(), resolved_by = auth.uid(), resolution = 'deleted'
+    WHERE post_id = p_post_id AND resolved_at IS NULL;
+    GET DIAGNOSTICS v_resolved = ROW_COUNT;
 
--- Students can view launched modules they're enrolled in
-CREATE POLICY "Students view enrolled launched modules" ON modules
-    FOR SELECT USING (
-        status = 'launched' AND is_enrolled(id)
-    );
+    IF EXISTS (SELECT 1 FROM discussion_posts WHERE parent_id = p_post_id) THEN
+        UPDATE discussion_posts SET is_deleted = TRUE, content = '' WHERE id = p_post_id;
+    ELSE
+        DELETE FROM discussion_posts WHERE id = p_post_id;
+    END IF;
 
--- Students can view archived modules they're enrolled in
-CREATE POLICY "Students view enrolled archived modules" ON modules
-    FOR SELECT USING (
-        status = 'archived' AND is_enrolled(id)
-    );
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Post % not found', p_post_id USING ERRCODE = 'P0002';
+    END IF;
 
--- ===== MODULE_ZOOM_INFO POLICIES =====
--- Admins can do everything
-CREATE POLICY "Admins full access to zoom info" ON module_zoom_info
-    FOR ALL USING (is_admin());
+    RETURN v_resolved;
+END;
+$$ LANGUAGE plpgsql;
 
--- Students can view zoom info for enrolled modules
-CREATE POLICY "Students view zoom info for enrolled modules" ON module_zoom_info
-    FOR SELECT USING (is_enrolled(module_id));
+-- Keep the text a post had before every change to its content (edits and soft
+-- deletes alike), so instructors can see what was originally written. Edits,
+-- not deletes, stamp edited_at.
+CREATE OR REPLACE FUNCTION record_post_revision()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.content IS DISTINCT FROM OLD.content THEN
+        INSERT INTO post_revisions (post_id, question_id, author_id, content, edited_by, created_at)
+        VALUES (OLD.id, OLD.question_id, OLD.user_id, OLD.content, auth.uid(), NOW());
+    END IF;
 
--- ===== WEEKS POLICIES =====
--- Admins can do everything
-CREATE POLICY "Admins full access to weeks" ON weeks
-    FOR ALL USING (is_admin());
+    -- edited_at is set here and nowhere else, so an author can't clear or backdate it
+    IF NEW.content IS DISTINCT FROM OLD.content AND NOT NEW.is_deleted THEN
+        NEW.edited_at := NOW();
+    ELSE
+        NEW.edited_at := OLD.edited_at;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
 
--- Students can view weeks in enrolled modules
-CREATE POLICY "Students view weeks in enrolled modules" ON weeks
-    FOR SELECT USING (
-        EXISTS (
-            SELECT 1 FROM modules m
-            WHERE m.id = weeks.module_id
-            AND m.status IN ('launched', 'archived')
-            AND is_enrolled(m.id)
-        )
-    );
+DROP TRIGGER IF EXISTS record_discussion_post_revision ON discussion_posts;
+CREATE TRIGGER record_discussion_post_revision BEFORE UPDATE ON discussion_posts
+    FOR EACH ROW EXECUTE FUNCTION record_post_revision();
 
--- ===== PAGES POLICIES =====
--- Admins can do everything
-CREATE POLICY "Admins full access to pages" ON pages
-    FOR ALL USING (is_admin());
+-- Keep the text of a post deleted outright (authors can delete posts without
+-- replies) as its last revision, so its history outlives it. Posts removed with
+-- their question, module or author (trigger depth > 1: a cascade) take their
+-- history with them, and soft-deleted posts have nothing left to keep.
+CREATE OR REPLACE FUNCTION record_deleted_post_revision()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF pg_trigger_depth() = 1 AND COALESCE(OLD.content, '') <> '' THEN
+        INSERT INTO post_revisions (post_id, question_id, author_id, content, edited_by, created_at)
+        VALUES (OLD.id, OLD.question_id, OLD.user_id, OLD.content, auth.uid(), NOW());
+    END IF;
+    RETURN OLD;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
 
--- Students can view pages in enrolled modules
-CREATE POLICY "Students view pages in enrolled modules" ON pages
-    FOR SELECT USING (
-        EXISTS (
-            SELECT 1 FROM weeks w
-            JOIN modules m ON m.id = w.module_id
-            WHERE w.id = pages.week_id
-            AND m.status IN ('launched', 'archived')
-            AND is_enrolled(m.id)
-        )
-    );
+DROP TRIGGER IF EXISTS record_deleted_discussion_post_revision ON discussion_posts;
+CREATE TRIGGER record_deleted_discussion_post_revision BEFORE DELETE ON discussion_posts
+    FOR EACH ROW EXECUTE FUNCTION record_deleted_post_revision();
 
--- ===== QUESTIONS POLICIES =====
--- Admins can do everything
-CREATE POLICY "Admins full access to questions" ON questions
-    FOR ALL USING (is_admin());
+-- Stamp last_seen_at with the database's clock, which also stamps posts'
+-- created_at: a browser clock running ahead would skip posts made in between.
+-- Writes without a user (service role: restores) keep the time they give.
+CREATE OR REPLACE FUNCTION stamp_discussion_read()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF auth.uid() IS NOT NULL THEN
+        NEW.last_seen_at := NOW();
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
 
--- Students can view questions in enrolled modules
-CREATE POLICY "Students view questions in enrolled modules" ON questions
-    FOR SELECT USING (
-        EXISTS (
-            SELECT 1 FROM pages p
-            JOIN weeks w ON w.id = p.week_id
-            JOIN modules m ON m.id = w.module_id
-            WHERE p.id = questions.page_id
-            AND m.status IN ('launched', 'archived')
-            AND is_enrolled(m.id)
-        )
+DROP TRIGGER IF EXISTS stamp_discussion_reads ON discussion_reads;
+CREATE TRIGGER stamp_discussion_reads BEFORE INSERT OR UPDATE ON discussion_reads
+    FOR EACH ROW EXECUTE FUNCTION stamp_discussion_read();
+
+-- Write one audit entry, stamped with the signed-in caller and the time. Only
+-- the triggers and functions below call this. Changes made without a user
+-- (service role: workers, restores, scripts) aren't administrative actions and
+-- aren't recorded.
+CREATE OR REPLACE FUNCTION record_audit(
+    p_action TEXT,
+    p_target_type TEXT,
+    p_target_id TEXT,
+    p_module_id BIGINT,
+    p_before JSONB DEFAULT NULL,
+    p_after JSONB DEFAULT NULL,
+    p_metadata JSONB DEFAULT NULL
+)
+RETURNS VOID AS $$
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RETURN;
+    END IF;
+
+    INSERT INTO public.audit_log (actor_id, actor_email, action, target_type, target_id, module_id, before_data, after_data, metadata)
+    VALUES (
+        auth.uid(),
+        (SELECT email FROM public.users WHERE id = auth.uid()),
+        p_action, p_target_type, p_target_id, p_module_id, p_before, p_after, p_metadata
     );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
 
--- ===== RESOURCES POLICIES =====
--- Admins can do everything
-CREATE POLICY "Admins full access to resources" ON resources
-    FOR ALL USING (is_admin());
+CREATE OR REPLACE FUNCTION prevent_audit_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'audit_log is append-only' USING ERRCODE = '42501';
+END;
+$$ LANGUAGE plpgsql;
 
--- Students can view resources in enrolled modules
-CREATE POLICY "Students view resources in enrolled modules" ON resources
-    FOR SELECT USING (
+DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log;
+CREATE TRIGGER audit_log_append_only BEFORE UPDATE OR DELETE ON audit_log
+    FOR EACH ROW EXECUTE FUNCTION prevent_audit_changes();
+
+-- Approvals, role changes and rejections (deleting a pending account)
+CREATE OR REPLACE FUNCTION audit_user_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        PERFORM record_audit(
+            CASE WHEN OLD.status = 'pending' THEN 'user.reject' ELSE 'user.delete' END,
+            'user', OLD.id::TEXT, NULL,
+            jsonb_build_object('id', OLD.id, 'email', OLD.email, 'name', OLD.name, 'role', OLD.role, 'status', OLD.status));
+        RETURN OLD;
+    END IF;
+
+    IF OLD.status = 'pending' AND NEW.status = 'active' THEN
+        PERFORM record_audit('user.approve', 'user', NEW.id::TEXT, NULL,
+            jsonb_build_object('id', OLD.id, 'email', OLD.email, 'name', OLD.name, 'role', OLD.role, 'status', OLD.status),
+            jsonb_build_object('id', NEW.id, 'email', NEW.email, 'name', NEW.name, 'role', NEW.role, 'status', NEW.status));
+    END IF;
+
+    IF NEW.role IS DISTINCT FROM OLD.role THEN
+        PERFORM record_audit('user.role_change', 'user', NEW.id::TEXT, NULL,
+            jsonb_build_object('id', OLD.id, 'email', OLD.email, 'name', OLD.name, 'role', OLD.role, 'status', OLD.status),
+            jsonb_build_object('id', NEW.id, 'email', NEW.email, 'name', NEW.name, 'role', NEW.role, 'status', NEW.status));
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS audit_users ON users;
+CREATE TRIGGER audit_users AFTER UPDATE OF status, role OR DELETE ON users
+    FOR EACH ROW EXECUTE FUNCTION audit_user_change();
+
+-- One entry per enrollment added, removed or given a new role, whether by the
+-- enrollments page, a roster import or an invite code
+CREATE OR REPLACE FUNCTION audit_enrollment_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        PERFORM record_audit('enrollment.update', 'user', NEW.user_id::TEXT, NEW.module_id, NULL,
+            jsonb_build_object('module_id', NEW.module_id, 'role', NEW.role),
+            jsonb_build_object('added', NEW.module_id));
+    ELSIF TG_OP = 'DELETE' THEN
+        -- Deleting the user or module takes its enrollments with it; that delete is recorded instead
+        IF EXISTS (SELECT 1 FROM public.users WHERE id = OLD.user_id)
+            AND EXISTS (SELECT 1 FROM public.modules WHERE id = OLD.module_id) THEN
+            PERFORM record_audit('enrollment.update', 'user', OLD.user_id::TEXT, OLD.module_id,
+                jsonb_build_object('module_id', OLD.module_id, 'role', OLD.role), NULL,
+                jsonb_build_object('removed', OLD.module_id));
+        END IF;
+    ELSIF NEW.role IS DISTINCT FROM OLD.role THEN
+        PERFORM record_audit('enrollment.update', 'user', NEW.user_id::TEXT, NEW.module_id,
+            jsonb_build_object('module_id', OLD.module_id, 'role', OLD.role),
+            jsonb_build_object('module_id', NEW.module_id, 'role', NEW.role),
+            jsonb_build_object('changed', NEW.module_id));
+    END IF;
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS audit_enrollments ON enrollments;
+CREATE TRIGGER audit_enrollments AFTER INSERT OR UPDATE OF role OR DELETE ON enrollments
+    FOR EACH ROW EXECUTE FUNCTION audit_enrollment_change();
+
+CREATE OR REPLACE FUNCTION audit_invite_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        PERFORM record_audit('invite.create', 'invite', NEW.id::TEXT, NEW.module_id, NULL, to_jsonb(NEW));
+    ELSIF OLD.revoked_at IS NULL AND NEW.revoked_at IS NOT NULL THEN
+        PERFORM record_audit('invite.revoke', 'invite', NEW.id::TEXT, NEW.module_id, to_jsonb(OLD), to_jsonb(NEW));
+    END IF;
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS audit_module_invites ON module_invites;
+CREATE TRIGGER audit_module_invites AFTER INSERT OR UPDATE OF revoked_at ON module_invites
+    FOR EACH ROW EXECUTE FUNCTION audit_invite_change();
+
+-- Snapshot a module before the delete cascades to its weeks and enrollments
+CREATE OR REPLACE FUNCTION audit_module_delete()
+RETURNS TRIGGER AS $$
+BEGIN
+    PERFORM record_audit('module.delete', 'module', OLD.id::TEXT, OLD.id, to_jsonb(OLD) || jsonb_build_object(
+        'weeks', (
+            SELECT jsonb_agg(jsonb_build_object('id', id, 'week_number', week_number, 'title', title) ORDER BY week_number)
+            FROM public.weeks WHERE module_id = OLD.id
+        ),
+        'enrollments', (SELECT COUNT(*) FROM public.enrollments WHERE module_id = OLD.id)
+    ));
+
+    RETURN OLD;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS audit_modules ON modules;
+CREATE TRIGGER audit_modules BEFORE DELETE ON modules
+    FOR EACH ROW EXECUTE FUNCTION audit_module_delete();
+
+-- Snapshot a week (and its pages) before it's deleted, unless its whole module is going
+CREATE OR REPLACE FUNCTION audit_week_delete()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM public.modules WHERE id = OLD.module_id) THEN
+        PERFORM record_audit('week.delete', 'week', OLD.id::TEXT, OLD.module_id, to_jsonb(OLD) || jsonb_build_object(
+            'pages', (
+                SELECT jsonb_agg(jsonb_build_object('id', id, 'page_number', page_number, 'title', title, 'type', type) ORDER BY page_number)
+                FROM public.pages WHERE week_id = OLD.id
+            )
+        ), NULL, jsonb_build_object('weekNumber', OLD.week_number));
+    END IF;
+
+    RETURN OLD;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS audit_weeks ON weeks;
+CREATE TRIGGER audit_weeks BEFORE DELETE ON weeks
+    FOR EACH ROW EXECUTE FUNCTION audit_week_delete();
+
+-- Internal: only the triggers and functions here may write entries
+REVOKE EXECUTE ON FUNCTION record_audit(TEXT, TEXT, TEXT, BIGINT, JSONB, JSONB, JSONB) FROM PUBLIC, anon, authenticated;
+
+-- Move the entry id sequence past the highest id, after scripts/restore-db.js
+-- puts entries back with their original ids. Returns the highest id.
+CREATE OR REPLACE FUNCTION sync_audit_log_sequence()
+RETURNS BIGINT AS $$
+    SELECT setval(pg_get_serial_sequence('public.audit_log', 'id'), GREATEST(MAX(id), 1), MAX(id) IS NOT NULL)
+    FROM public.audit_log;
+$$ LANGUAGE sql SECURITY DEFINER;
+
+-- Restore-only (service role)
+REVOKE EXECUTE ON FUNCTION sync_audit_log_sequence() FROM PUBLIC, anon, authenticated;
+
+-- Count each logged error into its group, creating the group the first time a
+-- fingerprint is seen (rows without one are grouped by type and message).
+-- Users are counted on their first occurrence in the group. Runs as definer:
+-- anyone can log errors, but only admins can read or change groups.
+-- Since anyone can log errors, breadcrumbs are also cut down here to the shape
+-- js/error-handler.js records (the last 100, text fields, numeric duration).
+CREATE OR REPLACE FUNCTION group_error_log()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_new_user BOOLEAN;
+BEGIN
+    NEW.fingerprint = COALESCE(NULLIF(NEW.fingerprint, ''), md5(NEW.error_type || ':' || NEW.error_message));
+
+    IF jsonb_typeof(NEW.additional_context) = 'object' AND NEW.additional_context ? 'breadcrumbs' THEN
+        NEW.additional_context = jsonb_set(NEW.additional_context, '{breadcrumbs}', COALESCE((
+            SELECT jsonb_agg(crumb ORDER BY n)
+            FROM (
+                SELECT n, jsonb_strip_nulls(jsonb_build_object(
+                    'timestamp', c->>'timestamp',
+                    'category', c->>'category',
+                    'message', left(c->>'message', 200),
+                    'data', NULLIF(jsonb_strip_nulls(jsonb_build_object(
+                        'duration', CASE WHEN jsonb_typeof(c->'data'->'duration') = 'number' THEN c->'data'->'duration' END,
+                        'status', CASE WHEN jsonb_typeof(c->'data'->'status') = 'string' THEN c->'data'->'status' END,
+                        'from', CASE WHEN jsonb_typeof(c->'data'->'from') = 'string' THEN c->'data'->'from' END
+                    )), '{}'::jsonb)
+                )) AS crumb
+                FROM jsonb_array_elements(
+                    CASE WHEN jsonb_typeof(NEW.additional_context->'breadcrumbs') = 'array'
+                        THEN NEW.additional_context->'breadcrumbs' ELSE '[]'::jsonb END
+                ) WITH ORDINALITY AS b(c, n)
+                WHERE jsonb_typeof(c) = 'object'
+                    AND jsonb_typeof(c->'timestamp') = 'string'
+                    AND jsonb_typeof(c->'category') = 'string'
+                    AND jsonb_typeof(c->'message') = 'string'
+                ORDER BY n DESC
+                LIMIT 100
+            ) kept
+        ), '[]'::jsonb));
+    END IF;
+
+    v_new_user = NEW.user_id IS NOT NULL AND NOT EXISTS (
+        SELECT 1 FROM error_logs WHERE fingerprint = NEW.fingerprint AND user_id = NEW.user_id
+    );
+
+    INSERT INTO error_groups (fingerprint, error_type, title, culprit, occurrences, affected_users)
+    VALUES (
+        NEW.fingerprint, NEW.error_type, left(NEW.error_message, 500), NEW.culprit,
+        NEW.occurrences, CASE WHEN v_new_user THEN 1 ELSE 0 END
+    )
+    ON CONFLICT (fingerprint) DO UPDATE SET
+        occurrences = error_groups.occurrences + EXCLUDED.occurrences,
+        affected_users = error_groups.affected_users + EXCLUDED.affected_users,
+        culprit = COALESCE(error_groups.culprit, EXCLUDED.culprit),
+        last_seen = NOW(),
+        status = CASE WHEN error_groups.status = 'resolved' THEN 'regressed' ELSE error_groups.status END
+    RETURNING id INTO NEW.group_id;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS group_error_logs ON error_logs;
+CREATE TRIGGER group_error_logs BEFORE INSERT ON error_logs
+    FOR EACH ROW EXECUTE FUNCTION group_error_log();
+
+-- Error groups that logged more than p_min_events events since p_since (repeats
+-- counted into a row included), for spike alert rules. Ignored groups never
+-- alert. Called by the error alerts worker.
+CREATE OR REPLACE FUNCTION get_error_spikes(p_since TIMESTAMPTZ, p_min_events INT, p_error_type TEXT DEFAULT NULL)
+RETURNS TABLE (
+    id BIGINT,
+    error_type TEXT,
+    title TEXT,
+    culprit TEXT,
+    status TEXT,
+    occurrences BIGINT,
+    affected_users INT,
+    first_seen TIMESTAMPTZ,
+    last_seen TIMESTAMPTZ,
+    window_events BIGINT,
+    window_users BIGINT
+) AS $$
+    SELECT g.id, g.error_type, g.title, g.culprit, g.status, g.occurrences, g.affected_users,
+        g.first_seen, g.last_seen, SUM(e.occurrences), COUNT(DISTINCT e.user_id)
+    FROM error_logs e
+    JOIN error_groups g ON g.id = e.group_id
+    WHERE e.timestamp >= p_since
+    AND g.status <> 'ignored'
+    AND (p_error_type IS NULL OR g.error_type = p_error_type)
+    GROUP BY g.id
+    HAVING SUM(e.occurrences) > p_min_events
+    ORDER BY SUM(e.occurrences) DESC;
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- Worker-only: reads every error log
+REVOKE EXECUTE ON FUNCTION get_error_spikes(TIMESTAMPTZ, INT, TEXT) FROM PUBLIC, anon, authenticated;
+
+-- Helper function: does a user want a kind of notification (no preferences row: yes)
+CREATE OR REPLACE FUNCTION wants_notification(p_user_id UUID, p_type TEXT)
+RETURNS BOOLEAN AS $$
+DECLARE
+    v_prefs notification_preferences%ROWTYPE;
+BEGIN
+    SELECT * INTO v_prefs FROM notification_preferences WHERE user_id = p_user_id;
+    IF NOT FOUND THEN
+        RETURN TRUE;
+    END IF;
+
+    RETURN CASE p_type
+        WHEN 'reply' THEN v_prefs.notify_replies
+        WHEN 'mention' THEN v_prefs.notify_mentions
+        WHEN 'week_unlocked' THEN v_prefs.notify_week_unlocked
+        WHEN 'instructor_post' THEN v_prefs.notify_instructor_posts
+        ELSE TRUE
+    END;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER STABLE;
+
+-- Notify the author of the post being replied to, and everyone else in the module
+-- when an instructor (or admin) starts a new thread. Inserts without a user
+-- (service role: restores, scripts) don't notify anyone.
+CREATE OR REPLACE FUNCTION queue_post_notifications()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_module_id BIGINT;
+    v_week_id BIGINT;
+    v_parent_author UUID;
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RETURN NEW;
+    END IF;
+
+    SELECT w.module_id, w.id INTO v_module_id, v_week_id
+    FROM questions q
+    JOIN pages p ON p.id = q.page_id
+    JOIN weeks w ON w.id = p.week_id
+    WHERE q.id = NEW.question_id;
+
+    IF NEW.parent_id IS NOT NULL THEN
+        SELECT user_id INTO v_parent_author FROM discussion_posts WHERE id = NEW.parent_id;
+
+        IF v_parent_author <> NEW.user_id AND wants_notification(v_parent_author, 'reply') THEN
+            INSERT INTO notifications (user_id, type, module_id, week_id, post_id, actor_id)
+            VALUES (v_parent_author, 'reply', v_module_id, v_week_id, NEW.id, NEW.user_id);
+        END IF;
+    ELSIF EXISTS (SELECT 1 FROM users WHERE id = NEW.user_id AND role = 'admin')
+        OR EXISTS (
+            SELECT 1 FROM enrollments
+            WHERE user_id = NEW.user_id AND module_id = v_module_id AND role = 'instructor'
+        ) THEN
+        INSERT INTO notifications (user_id, type, module_id, week_id, post_id, actor_id)
+        SELECT e.user_id, 'instructor_post', v_module_id, v_week_id, NEW.id, NEW.user_id
+        FROM enrollments e
+        WHERE e.module_id = v_module_id
+        AND e.user_id <> NEW.user_id
+        AND wants_notification(e.user_id, 'instructor_post');
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS queue_discussion_post_notifications ON discussion_posts;
+CREATE TRIGGER queue_discussion_post_notifications AFTER INSERT ON discussion_posts
+    FOR EACH ROW EXECUTE FUNCTION queue_post_notifications();
+
+-- Keep post_mentions in step with the @mentions in a post's content
+-- (<span data-mention="user id">, written by RichText.getMentionContent) and
+-- notify people newly mentioned. Only the module's enrollees can be mentioned;
+-- deleted posts mention no one.
+CREATE OR REPLACE FUNCTION record_post_mentions()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_module_id BIGINT;
+    v_week_id BIGINT;
+    v_mentioned UUID[];
+BEGIN
+    IF TG_OP = 'UPDATE'
+        AND NEW.content IS NOT DISTINCT FROM OLD.content
+        AND NEW.is_deleted IS NOT DISTINCT FROM OLD.is_deleted THEN
+        RETURN NEW;
+    END IF;
+
+    SELECT w.module_id, w.id INTO v_module_id, v_week_id
+    FROM questions q
+    JOIN pages p ON p.id = q.page_id
+    JOIN weeks w ON w.id = p.week_id
+    WHERE q.id = NEW.question_id;
+
+    SELECT COALESCE(array_agg(DISTINCT lower(m[1])::UUID), '{}')
+    INTO v_mentioned
+    FROM regexp_matches(
+        CASE WHEN NEW.is_deleted THEN '' ELSE NEW.content END,
+        'data-mention="([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})"',
+        'gi'
+    ) AS m;
+
+    DELETE FROM post_mentions
+    WHERE post_id = NEW.id
+    AND NOT (user_id = ANY(v_mentioned));
+
+    WITH added AS (
+        INSERT INTO post_mentions (post_id, user_id, mentioned_by)
+        SELECT NEW.id, e.user_id, NEW.user_id
+        FROM enrollments e
+        WHERE e.module_id = v_module_id
+        AND e.user_id = ANY(v_mentioned)
+        AND e.user_id <> NEW.user_id
+        ON CONFLICT (post_id, user_id) DO NOTHING
+        RETURNING user_id
+    )
+    INSERT INTO notifications (user_id, type, module_id, week_id, post_id, actor_id)
+    SELECT a.user_id, 'mention', v_module_id, v_week_id, NEW.id, NEW.user_id
+    FROM added a
+    -- Restores and imports (no signed-in user) record mentions without notifying
+    WHERE auth.uid() IS NOT NULL
+    AND wants_notification(a.user_id, 'mention')
+    -- Already notified about this post, e.g. it's a reply to their own post
+    -- (queue_discussion_post_notifications fires first: triggers run in name order)
+    AND NOT EXISTS (
+        SELECT 1 FROM notifications n
+        WHERE n.user_id = a.user_id AND n.post_id = NEW.id
+    );
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS record_discussion_post_mentions ON discussion_posts;
+CREATE TRIGGER record_discussion_post_mentions AFTER INSERT OR UPDATE ON discussion_posts
+    FOR EACH ROW EXECUTE FUNCTION record_post_mentions();
+
+-- Notify everyone enrolled in a launched module when one of its weeks unlocks.
+-- Looks back a day so a missed daily run still catches up, and never notifies
+-- twice for the same week. Called by the notification digest worker; returns
+-- how many notifications were queued.
+CREATE OR REPLACE FUNCTION queue_week_unlock_notifications()
+RETURNS INT AS $$
+DECLARE
+    v_count INT;
+BEGIN
+    INSERT INTO notifications (user_id, type, module_id, week_id)
+    SELECT e.user_id, 'week_unlocked', w.module_id, w.id
+    FROM weeks w
+    JOIN modules m ON m.id = w.module_id
+    JOIN enrollments e ON e.module_id = w.module_id
+    WHERE m.status = 'launched'
+    AND w.unlock_date BETWEEN CURRENT_DATE - 1 AND CURRENT_DATE
+    AND wants_notification(e.user_id, 'week_unlocked')
+    AND NOT EXISTS (
+        SELECT 1 FROM notifications n
+        WHERE n.user_id = e.user_id
+        AND n.type = 'week_unlocked'
+        AND n.week_id = w.id
+    );
+
+    GET DIAGNOSTICS v_count = ROW_COUNT;
+    RETURN v_count;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Unread notifications not yet emailed, for active users whose email frequency
+-- is one of p_frequencies, with everything the digest email shows. Called by the
+-- notification digest worker.
+CREATE OR REPLACE FUNCTION get_pending_digest_notifications(p_frequencies TEXT[])
+RETURNS TABLE (
+    id BIGINT,
+    user_id UUID,
+    email TEXT,
+    name TEXT,
+    type TEXT,
+    created_at TIMESTAMPTZ,
+    module_id BIGINT,
+    module_title TEXT,
+    week_number INT,
+    week_title TEXT,
+    page_number INT,
+    post_id BIGINT,
+    post_content TEXT,
+    question_text TEXT,
+    actor_name TEXT
+) AS $$
+    SELECT n.id, u.id, u.email, u.name, n.type, n.created_at,
+        n.module_id, m.title, w.week_number, w.title, pg.page_number,
+        n.post_id, dp.content, q.text, COALESCE(a.name, a.email)
+    FROM notifications n
+    JOIN users u ON u.id = n.user_id
+    LEFT JOIN notification_preferences np ON np.user_id = n.user_id
+    LEFT JOIN modules m ON m.id = n.module_id
+    LEFT JOIN weeks w ON w.id = n.week_id
+    LEFT JOIN discussion_posts dp ON dp.id = n.post_id
+    LEFT JOIN questions q ON q.id = dp.question_id
+    LEFT JOIN pages pg ON pg.id = q.page_id
+    LEFT JOIN users a ON a.id = n.actor_id
+    WHERE n.emailed_at IS NULL
+    AND n.read_at IS NULL
+    AND u.status = 'active'
+    AND COALESCE(np.email_frequency, 'weekly') = ANY(p_frequencies)
+    -- Posts hidden or deleted since don't go out
+    AND (dp.id IS NULL OR (dp.is_hidden IS NOT TRUE AND dp.is_deleted IS NOT TRUE))
+    ORDER BY u.id, n.created_at, n.id;
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- Worker-only: the digest reads every user's notifications
+REVOKE EXECUTE ON FUNCTION wants_notification(UUID, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION queue_week_unlock_notifications() FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION get_pending_digest_notifications(TEXT[]) FROM PUBLIC, anon, authenticated;
+
+-- ==================== ROW LEVEL SECURITY ====================
+
+-- Enable RLS on all tables
+ALTER TABLE users ENABLE ROW LEVEL SECURITY;
+ALTER TABLE modules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE module_zoom_info ENABLE ROW LEVEL SECURITY;
+ALTER TABLE weeks ENABLE ROW LEVEL SECURITY;
+ALTER TABLE pages ENABLE ROW LEVEL SECURITY;
+ALTER TABLE questions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE resources ENABLE ROW LEVEL SECURITY;
+ALTER TABLE videos ENABLE ROW LEVEL SECURITY;
+ALTER TABLE enrollments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE roster_entries ENABLE ROW LEVEL SECURITY;
+ALTER TABLE module_invites ENABLE ROW LEVEL SECURITY;
+ALTER TABLE progress ENABLE ROW LEVEL SECURITY;
+ALTER TABLE discussion_posts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE post_flags ENABLE ROW LEVEL SECURITY;
+ALTER TABLE post_revisions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE discussion_reads ENABLE ROW LEVEL SECURITY;
+ALTER TABLE post_mentions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE notifications ENABLE ROW LEVEL SECURITY;
+ALTER TABLE notification_preferences ENABLE ROW LEVEL SECURITY;
+ALTER TABLE responses ENABLE ROW LEVEL SECURITY;
+ALTER TABLE error_groups ENABLE ROW LEVEL SECURITY;
+ALTER TABLE error_logs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE alert_rules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE alert_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE audit_log ENABLE ROW LEVEL SECURITY;
+ALTER TABLE service_metrics ENABLE ROW LEVEL SECURITY;
+
+-- ==================== RLS POLICIES ====================
+
+-- Helper function to check if user is admin
+CREATE OR REPLACE FUNCTION is_admin()
+RETURNS BOOLEAN AS $$
+BEGIN
+    RETURN EXISTS (
+        SELECT 1 FROM users
+        WHERE id = auth.uid()
+        AND role = 'admin'
+        AND status = 'active'
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Helper function to check if user is enrolled in a module
+CREATE OR REPLACE FUNCTION is_enrolled(module_id_param BIGINT)
+RETURNS BOOLEAN AS $$
+BEGIN
+    RETURN EXISTS (
+        SELECT 1 FROM enrollments
+        WHERE user_id = auth.uid()
+        AND module_id = module_id_param
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Helper function to get the user's role in a module (NULL if not enrolled)
+CREATE OR REPLACE FUNCTION module_role(module_id_param BIGINT)
+RETURNS TEXT AS $$
+BEGIN
+    RETURN (
+        SELECT role FROM enrollments
+        WHERE user_id = auth.uid()
+        AND module_id = module_id_param
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER STABLE;
+
+-- Helper function: admins and the module's instructors can edit its content
+CREATE OR REPLACE FUNCTION can_edit_module(module_id_param BIGINT)
+RETURNS BOOLEAN AS $$
+BEGIN
+    RETURN is_admin() OR module_role(module_id_param) = 'instructor';
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER STABLE;
+
+-- Helper function: admins, instructors and TAs can moderate the module's discussions
+CREATE OR REPLACE FUNCTION can_moderate_module(module_id_param BIGINT)
+RETURNS BOOLEAN AS $$
+BEGIN
+    RETURN is_admin() OR module_role(module_id_param) IN ('instructor', 'ta');
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER STABLE;
+
+-- Helper function: everyone enrolled except auditors can post in the module
+CREATE OR REPLACE FUNCTION can_participate(module_id_param BIGINT)
+RETURNS BOOLEAN AS $$
+BEGIN
+    RETURN module_role(module_id_param) IN ('student', 'instructor', 'ta');
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER STABLE;
+
+-- Helper function: can the user moderate the discussion on a question
+CREATE OR REPLACE FUNCTION can_moderate_question(question_id_param BIGINT)
+RETURNS BOOLEAN AS $$
+BEGIN
+    RETURN EXISTS (
+        SELECT 1 FROM questions q
+        JOIN pages p ON p.id = q.page_id
+        JOIN weeks w ON w.id = p.week_id
+        WHERE q.id = question_id_param
+        AND can_moderate_module(w.module_id)
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER STABLE;
+
+-- Helper function: is the discussion on a question closed
+CREATE OR REPLACE FUNCTION is_question_locked(question_id_param BIGINT)
+RETURNS BOOLEAN AS $$
+BEGIN
+    RETURN EXISTS (
+        SELECT 1 FROM questions
+        WHERE id = question_id_param
+        AND locked_at IS NOT NULL
+        AND locked_at <= NOW()
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER STABLE;
+
+-- ===== USERS POLICIES =====
+-- Allow authenticated users to see basic info of all users (needed for discussion author names)
+CREATE POLICY "users_select_basic" ON users
+    FOR SELECT
+    TO authenticated
+    USING (true);
+
+-- Users can update their own profile (but not role/status)
+CREATE POLICY "Users can update own profile" ON users
+    FOR UPDATE USING (id = auth.uid())
+    WITH CHECK (id = auth.uid());
+
+-- Admins can update any user
+CREATE POLICY "Admins can update any user" ON users
+    FOR UPDATE USING (is_admin());
+
+-- Allow authenticated users to insert their own row on signup
+CREATE POLICY "users_insert_own" ON users
+    FOR INSERT
+    TO authenticated
+    WITH CHECK (auth.uid() = id);
+
+-- ===== MODULES POLICIES =====
+-- Admins can do everything with modules
+CREATE POLICY "Admins full access to modules" ON modules
+    FOR ALL USING (is_admin());
+
+-- Students can view launched modules they're enrolled in
+CREATE POLICY "Students view enrolled launched modules" ON modules
+    FOR SELECT USING (
+        status = 'launched' AND is_enrolled(id)
+    );
+
+-- Students can view archived modules they're enrolled in
+CREATE POLICY "Students view enrolled archived modules" ON modules
+    FOR SELECT USING (
+        status = 'archived' AND is_enrolled(id)
+    );
+
+-- Instructors and TAs can view their modules in any status
+CREATE POLICY "Module staff view their modules" ON modules
+    FOR SELECT USING (module_role(id) IN ('instructor', 'ta'));
+
+-- Instructors can edit their modules (but not create or delete any)
+CREATE POLICY "Instructors update their modules" ON modules
+    FOR UPDATE USING (can_edit_module(id))
+    WITH CHECK (can_edit_module(id));
+
+-- ===== MODULE_ZOOM_INFO POLICIES =====
+-- Admins can do everything
+CREATE POLICY "Admins full access to zoom info" ON module_zoom_info
+    FOR ALL USING (is_admin());
+
+-- Students can view zoom info for enrolled modules
+CREATE POLICY "Students view zoom info for enrolled modules" ON module_zoom_info
+    FOR SELECT USING (is_enrolled(module_id));
+
+-- Instructors can manage zoom info for their modules
+CREATE POLICY "Instructors manage zoom info for their modules" ON module_zoom_info
+    FOR ALL USING (can_edit_module(module_id))
+    WITH CHECK (can_edit_module(module_id));
+
+-- ===== WEEKS POLICIES =====
+-- Admins can do everything
+CREATE POLICY "Admins full access to weeks" ON weeks
+    FOR ALL USING (is_admin());
+
+-- Students can view weeks in enrolled modules
+CREATE POLICY "Students view weeks in enrolled modules" ON weeks
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM modules m
+            WHERE m.id = weeks.module_id
+            AND m.status IN ('launched', 'archived')
+            AND is_enrolled(m.id)
+        )
+    );
+
+-- Instructors can manage weeks in their modules
+CREATE POLICY "Instructors manage weeks in their modules" ON weeks
+    FOR ALL USING (can_edit_module(module_id))
+    WITH CHECK (can_edit_module(module_id));
+
+-- ===== PAGES POLICIES =====
+-- Admins can do everything
+CREATE POLICY "Admins full access to pages" ON pages
+    FOR ALL USING (is_admin());
+
+-- Students can view pages in enrolled modules
+CREATE POLICY "Students view pages in enrolled modules" ON pages
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM weeks w
+            JOIN modules m ON m.id = w.module_id
+            WHERE w.id = pages.week_id
+            AND m.status IN ('launched', 'archived')
+            AND is_enrolled(m.id)
+        )
+    );
+
+-- Instructors can manage pages in their modules
+CREATE POLICY "Instructors manage pages in their modules" ON pages
+    FOR ALL USING (
+        EXISTS (SELECT 1 FROM weeks w WHERE w.id = pages.week_id AND can_edit_module(w.module_id))
+    )
+    WITH CHECK (
+        EXISTS (SELECT 1 FROM weeks w WHERE w.id = pages.week_id AND can_edit_module(w.module_id))
+    );
+
+-- ===== QUESTIONS POLICIES =====
+-- Admins can do everything
+CREATE POLICY "Admins full access to questions" ON questions
+    FOR ALL USING (is_admin());
+
+-- Students can view questions in enrolled modules
+CREATE POLICY "Students view questions in enrolled modules" ON questions
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM pages p
+            JOIN weeks w ON w.id = p.week_id
+            JOIN modules m ON m.id = w.module_id
+            WHERE p.id = questions.page_id
+            AND m.status IN ('launched', 'archived')
+            AND is_enrolled(m.id)
+        )
+    );
+
+-- Instructors can manage questions in their modules
+CREATE POLICY "Instructors manage questions in their modules" ON questions
+    FOR ALL USING (
+        EXISTS (
+            SELECT 1 FROM pages p
+            JOIN weeks w ON w.id = p.week_id
+            WHERE p.id = questions.page_id
+            AND can_edit_module(w.module_id)
+        )
+    )
+    WITH CHECK (
+        EXISTS (
+            SELECT 1 FROM pages p
+            JOIN weeks w ON w.id = p.week_id
+            WHERE p.id = questions.page_id
+            AND can_edit_module(w.module_id)
+        )
+    );
+
+-- ===== RESOURCES POLICIES =====
+-- Admins can do everything
+CREATE POLICY "Admins full access to resources" ON resources
+    FOR ALL USING (is_admin());
+
+-- Students can view resources in enrolled modules
+CREATE POLICY "Students view resources in enrolled modules" ON resources
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM pages p
+            JOIN weeks w ON w.id = p.week_id
+            JOIN modules m ON m.id = w.module_id
+            WHERE p.id = resources.page_id
+            AND m.status IN ('launched', 'archived')
+            AND is_enrolled(m.id)
+        )
+    );
+
+-- Instructors can manage resources in their modules
+CREATE POLICY "Instructors manage resources in their modules" ON resources
+    FOR ALL USING (
+        EXISTS (
+            SELECT 1 FROM pages p
+            JOIN weeks w ON w.id = p.week_id
+            WHERE p.id = resources.page_id
+            AND can_edit_module(w.module_id)
+        )
+    )
+    WITH CHECK (
+        EXISTS (
+            SELECT 1 FROM pages p
+            JOIN weeks w ON w.id = p.week_id
+            WHERE p.id = resources.page_id
+            AND can_edit_module(w.module_id)
+        )
+    );
+
+-- ===== VIDEOS POLICIES =====
+-- Admins can do everything
+CREATE POLICY "Admins full access to videos" ON videos
+    FOR ALL USING (is_admin());
+
+-- Students can view videos in enrolled modules
+CREATE POLICY "Students view videos in enrolled modules" ON videos
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM pages p
+            JOIN weeks w ON w.id = p.week_id
+            JOIN modules m ON m.id = w.module_id
+            WHERE p.id = videos.page_id
+            AND m.status IN ('launched', 'archived')
+            AND is_enrolled(m.id)
+        )
+    );
+
+-- Instructors can manage videos in their modules
+CREATE POLICY "Instructors manage videos in their modules" ON videos
+    FOR ALL USING (
+        EXISTS (
+            SELECT 1 FROM pages p
+            JOIN weeks w ON w.id = p.week_id
+            WHERE p.id = videos.page_id
+            AND can_edit_module(w.module_id)
+        )
+    )
+    WITH CHECK (
+        EXISTS (
+            SELECT 1 FROM pages p
+            JOIN weeks w ON w.id = p.week_id
+            WHERE p.id = videos.page_id
+            AND can_edit_module(w.module_id)
+        )
+    );
+
+-- ===== ENROLLMENTS POLICIES =====
+-- Admins can do everything
+CREATE POLICY "Admins full access to enrollments" ON enrollments
+    FOR ALL USING (is_admin());
+
+-- Students can view their own enrollments
+CREATE POLICY "Students view own enrollments" ON enrollments
+    FOR SELECT USING (user_id = auth.uid());
+
+-- Instructors and TAs can view their module's roster
+CREATE POLICY "Module staff view their rosters" ON enrollments
+    FOR SELECT USING (can_moderate_module(module_id));
+
+-- ===== ROSTER_ENTRIES POLICIES =====
+-- Only admins import rosters
+CREATE POLICY "Admins full access to roster entries" ON roster_entries
+    FOR ALL USING (is_admin());
+
+-- ===== MODULE_INVITES POLICIES =====
+-- Admins and the module's instructors manage its invite codes
+-- (redeeming goes through redeem_invite_code, so students never read this table)
+CREATE POLICY "Instructors manage module invites" ON module_invites
+    FOR ALL USING (can_edit_module(module_id))
+    WITH CHECK (can_edit_module(module_id));
+
+-- ===== PROGRESS POLICIES =====
+-- Admins can view all progress
+CREATE POLICY "Admins view all progress" ON progress
+    FOR SELECT USING (is_admin());
+
+-- Students can view and update their own progress
+CREATE POLICY "Students view own progress" ON progress
+    FOR SELECT USING (user_id = auth.uid());
+
+-- Instructors and TAs can view progress in their modules
+CREATE POLICY "Module staff view progress in their modules" ON progress
+    FOR SELECT USING (
+        EXISTS (SELECT 1 FROM weeks w WHERE w.id = progress.week_id AND can_moderate_module(w.module_id))
+    );
+
+CREATE POLICY "Students insert own progress" ON progress
+    FOR INSERT WITH CHECK (user_id = auth.uid());
+
+CREATE POLICY "Students update own progress" ON progress
+    FOR UPDATE USING (user_id = auth.uid())
+    WITH CHECK (user_id = auth.uid());
+
+-- ===== DISCUSSION_POSTS POLICIES =====
+-- Admins can do everything
+CREATE POLICY "Admins full access to discussion posts" ON discussion_posts
+    FOR ALL USING (is_admin());
+
+-- Users can view posts in modules they're enrolled in (hidden posts: author and moderators only)
+CREATE POLICY "Users view posts in enrolled modules" ON discussion_posts
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM questions q
+            JOIN pages p ON p.id = q.page_id
+            JOIN weeks w ON w.id = p.week_id
+            JOIN modules m ON m.id = w.module_id
+            WHERE q.id = discussion_posts.question_id
+            AND is_enrolled(m.id)
+            AND (NOT discussion_posts.is_hidden OR discussion_posts.user_id = auth.uid() OR can_moderate_module(m.id))
+        )
+    );
+
+-- Users can create posts in modules they're enrolled in (auditors only read;
+-- locked questions take posts from moderators only)
+CREATE POLICY "Users create posts in enrolled modules" ON discussion_posts
+    FOR INSERT WITH CHECK (
+        user_id = auth.uid() AND
+        EXISTS (
+            SELECT 1 FROM questions q
+            JOIN pages p ON p.id = q.page_id
+            JOIN weeks w ON w.id = p.week_id
+            JOIN modules m ON m.id = w.module_id
+            WHERE q.id = discussion_posts.question_id
+            AND can_participate(m.id)
+            AND (NOT is_question_locked(q.id) OR can_moderate_module(m.id))
+        )
+    );
+
+-- Users can update their own posts until the question is locked
+CREATE POLICY "Users update own posts" ON discussion_posts
+    FOR UPDATE USING (user_id = auth.uid() AND NOT is_question_locked(question_id))
+    WITH CHECK (user_id = auth.uid());
+
+-- Users can delete their own posts until the question is locked
+CREATE POLICY "Users delete own posts" ON discussion_posts
+    FOR DELETE USING (user_id = auth.uid() AND NOT is_question_locked(question_id));
+
+-- Instructors and TAs can moderate posts in their modules
+CREATE POLICY "Moderators update posts in their modules" ON discussion_posts
+    FOR UPDATE USING (
+        EXISTS (
+            SELECT 1 FROM questions q
+            JOIN pages p ON p.id = q.page_id
+            JOIN weeks w ON w.id = p.week_id
+            WHERE q.id = discussion_posts.question_id
+            AND can_moderate_module(w.module_id)
+        )
+    );
+
+CREATE POLICY "Moderators delete posts in their modules" ON discussion_posts
+    FOR DELETE USING (
+        EXISTS (
+            SELECT 1 FROM questions q
+            JOIN pages p ON p.id = q.page_id
+            JOIN weeks w ON w.id = p.week_id
+            WHERE q.id = discussion_posts.question_id
+            AND can_moderate_module(w.module_id)
+        )
+    );
+
+-- ===== POST_FLAGS POLICIES =====
+-- Admins can do everything
+CREATE POLICY "Admins full access to post flags" ON post_flags
+    FOR ALL USING (is_admin());
+
+-- Users can flag other people's posts that they can see
+CREATE POLICY "Users flag visible posts" ON post_flags
+    FOR INSERT WITH CHECK (
+        user_id = auth.uid() AND
+        resolved_at IS NULL AND
         EXISTS (
-            SELECT 1 FROM pages p
-            JOIN weeks w ON w.id = p.week_id
-            JOIN modules m ON m.id = w.module_id
-            WHERE p.id = resources.page_id
-            AND m.status IN ('launched', 'archived')
-            AND is_enrolled(m.id)
+            SELECT 1 FROM discussion_posts dp
+            WHERE dp.id = post_flags.post_id
+            AND dp.user_id <> auth.uid()
         )
     );
 
--- ===== VIDEOS POLICIES =====
+-- Users can see their own flags
+CREATE POLICY "Users view own flags" ON post_flags
+    FOR SELECT USING (user_id = auth.uid());
+
+-- Instructors and TAs review and resolve flags in their modules
+CREATE POLICY "Moderators view flags in their modules" ON post_flags
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM discussion_posts dp
+            WHERE dp.id = post_flags.post_id
+            AND can_moderate_question(dp.question_id)
+        )
+    );
+
+CREATE POLICY "Moderators resolve flags in their modules" ON post_flags
+    FOR UPDATE USING (
+        EXISTS (
+            SELECT 1 FROM discussion_posts dp
+            WHERE dp.id = post_flags.post_id
+            AND can_moderate_question(dp.question_id)
+        )
+    );
+
+-- ===== POST_REVISIONS POLICIES =====
 -- Admins can do everything
-CREATE POLICY "Admins full access to videos" ON videos
+CREATE POLICY "Admins full access to post revisions" ON post_revisions
     FOR ALL USING (is_admin());
 
--- Students can view videos in enrolled modules
-CREATE POLICY "Students view videos in enrolled modules" ON videos
+-- Instructors can see earlier versions of posts in their modules
+-- (revisions are only written by record_post_revision(), so no insert policy)
+CREATE POLICY "Instructors view post revisions in their modules" ON post_revisions
     FOR SELECT USING (
         EXISTS (
-            SELECT 1 FROM pages p
+            SELECT 1 FROM questions q
+            JOIN pages p ON p.id = q.page_id
             JOIN weeks w ON w.id = p.week_id
-            JOIN modules m ON m.id = w.module_id
-            WHERE p.id = videos.page_id
-            AND m.status IN ('launched', 'archived')
-            AND is_enrolled(m.id)
+            WHERE q.id = post_revisions.question_id
+            AND can_edit_module(w.module_id)
         )
     );
 
--- ===== ENROLLMENTS POLICIES =====
+-- ===== DISCUSSION_READS POLICIES =====
+-- Users track their own read state
+CREATE POLICY "Users manage own read state" ON discussion_reads
+    FOR ALL USING (user_id = auth.uid())
+    WITH CHECK (user_id = auth.uid());
+
+-- ===== POST_MENTIONS POLICIES =====
 -- Admins can do everything
-CREATE POLICY "Admins full access to enrollments" ON enrollments
+CREATE POLICY "Admins full access to post mentions" ON post_mentions
     FOR ALL USING (is_admin());
 
--- Students can view their own enrollments
-CREATE POLICY "Students view own enrollments" ON enrollments
-    FOR SELECT USING (user_id = auth.uid());
+-- Users see where they were mentioned, and who they mentioned
+-- (mentions are only written by record_post_mentions(), so no insert policy)
+CREATE POLICY "Users view own mentions" ON post_mentions
+    FOR SELECT USING (user_id = auth.uid() OR mentioned_by = auth.uid());
 
--- ===== PROGRESS POLICIES =====
--- Admins can view all progress
-CREATE POLICY "Admins view all progress" ON progress
-    FOR SELECT USING (is_admin());
+-- ===== NOTIFICATIONS POLICIES =====
+-- Admins can do everything
+CREATE POLICY "Admins full access to notifications" ON notifications
+    FOR ALL USING (is_admin());
 
--- Students can view and update their own progress
-CREATE POLICY "Students view own progress" ON progress
+-- Users see their own notifications and mark them read
+-- (notifications are created by triggers and the digest worker, so no insert policy)
+CREATE POLICY "Users view own notifications" ON notifications
     FOR SELECT USING (user_id = auth.uid());
 
-CREATE POLICY "Students insert own progress" ON progress
-    FOR INSERT WITH CHECK (user_id = auth.uid());
-
-CREATE POLICY "Students update own progress" ON progress
+CREATE POLICY "Users update own notifications" ON notifications
     FOR UPDATE USING (user_id = auth.uid())
     WITH CHECK (user_id = auth.uid());
 
--- ===== DISCUSSION_POSTS POLICIES =====
+-- ===== NOTIFICATION_PREFERENCES POLICIES =====
 -- Admins can do everything
-CREATE POLICY "Admins full access to discussion posts" ON discussion_posts
+CREATE POLICY "Admins full access to notification preferences" ON notification_preferences
     FOR ALL USING (is_admin());
 
--- Users can view posts in modules they're enrolled in
-CREATE POLICY "Users view posts in enrolled modules" ON discussion_posts
-    FOR SELECT USING (
-        EXISTS (
-            SELECT 1 FROM questions q
-            JOIN pages p ON p.id = q.page_id
-            JOIN weeks w ON w.id = p.week_id
-            JOIN modules m ON m.id = w.module_id
-            WHERE q.id = discussion_posts.question_id
-            AND is_enrolled(m.id)
-        )
-    );
+-- Users manage their own preferences
+CREATE POLICY "Users manage own notification preferences" ON notification_preferences
+    FOR ALL USING (user_id = auth.uid())
+    WITH CHECK (user_id = auth.uid());
 
--- Users can create posts in modules they're enrolled in
-CREATE POLICY "Users create posts in enrolled modules" ON discussion_posts
+-- ===== RESPONSES POLICIES =====
+-- Admins can view all responses
+CREATE POLICY "Admins view all responses" ON responses
+    FOR SELECT USING (is_admin());
+
+-- Authors can view their own responses
+CREATE POLICY "Users view own responses" ON responses
+    FOR SELECT USING (user_id = auth.uid());
+
+-- Authors can save responses to questions in modules they're enrolled in
+CREATE POLICY "Users insert own responses" ON responses
     FOR INSERT WITH CHECK (
         user_id = auth.uid() AND
         EXISTS (
             SELECT 1 FROM questions q
             JOIN pages p ON p.id = q.page_id
             JOIN weeks w ON w.id = p.week_id
-            JOIN modules m ON m.id = w.module_id
-            WHERE q.id = discussion_posts.question_id
-            AND is_enrolled(m.id)
+            WHERE q.id = responses.question_id
+            AND (is_enrolled(w.module_id) OR is_admin())
         )
     );
 
--- Users can update their own posts
-CREATE POLICY "Users update own posts" ON discussion_posts
+CREATE POLICY "Users update own responses" ON responses
     FOR UPDATE USING (user_id = auth.uid())
     WITH CHECK (user_id = auth.uid());
 
--- Users can delete their own posts
-CREATE POLICY "Users delete own posts" ON discussion_posts
-    FOR DELETE USING (user_id = auth.uid());
-
 -- ===== ERROR_LOGS POLICIES =====
 -- Anyone can insert error logs (for error tracking) - including anon users
 CREATE POLICY "Anyone can insert error logs" ON error_logs
@@ -457,11 +1766,117 @@ CREATE POLICY "Admins view error logs" ON error_logs
 CREATE POLICY "Admins delete error logs" ON error_logs
     FOR DELETE USING (is_admin());
 
+-- ===== ERROR_GROUPS POLICIES =====
+-- Admins view, resolve, ignore and delete error groups (group_error_log() creates them)
+CREATE POLICY "Admins view error groups" ON error_groups
+    FOR SELECT USING (is_admin());
+
+CREATE POLICY "Admins update error groups" ON error_groups
+    FOR UPDATE USING (is_admin())
+    WITH CHECK (is_admin());
+
+CREATE POLICY "Admins delete error groups" ON error_groups
+    FOR DELETE USING (is_admin());
+
+-- ===== ALERT_RULES POLICIES =====
+-- Admins manage alert rules; the error alerts worker reads them with the service key
+CREATE POLICY "Admins view alert rules" ON alert_rules
+    FOR SELECT USING (is_admin());
+
+CREATE POLICY "Admins create alert rules" ON alert_rules
+    FOR INSERT WITH CHECK (is_admin());
+
+CREATE POLICY "Admins update alert rules" ON alert_rules
+    FOR UPDATE USING (is_admin())
+    WITH CHECK (is_admin());
+
+CREATE POLICY "Admins delete alert rules" ON alert_rules
+    FOR DELETE USING (is_admin());
+
+-- ===== ALERT_EVENTS POLICIES =====
+-- Written by the error alerts worker (service key); admins see the history
+CREATE POLICY "Admins view alert events" ON alert_events
+    FOR SELECT USING (is_admin());
+
+-- ===== AUDIT_LOG POLICIES =====
+-- Only admins can read the audit log. There are no INSERT, UPDATE or DELETE
+-- policies: entries are written by record_audit and never changed.
+CREATE POLICY "Admins view audit log" ON audit_log
+    FOR SELECT USING (is_admin());
+
+-- ===== SERVICE_METRICS POLICIES =====
+-- Anyone can send metrics (sign-in pages use the data service too); only admins read and clear them
+CREATE POLICY "Anyone can insert service metrics" ON service_metrics
+    FOR INSERT
+    TO anon, authenticated
+    WITH CHECK (true);
+
+CREATE POLICY "Admins view service metrics" ON service_metrics
+    FOR SELECT USING (is_admin());
+
+CREATE POLICY "Admins delete service metrics" ON service_metrics
+    FOR DELETE USING (is_admin());
+
 -- ==================== AUTH TRIGGER ====================
 
+-- Turn a new user's roster entries into enrollments. Returns how many were claimed.
+CREATE OR REPLACE FUNCTION claim_roster_entries(p_user_id UUID, p_email TEXT)
+RETURNS INT AS $$
+DECLARE
+    v_claimed INT;
+BEGIN
+    INSERT INTO public.enrollments (user_id, module_id, role)
+    SELECT p_user_id, module_id, role FROM public.roster_entries WHERE email = lower(p_email)
+    ON CONFLICT (user_id, module_id) DO NOTHING;
+
+    DELETE FROM public.roster_entries WHERE email = lower(p_email);
+    GET DIAGNOSTICS v_claimed = ROW_COUNT;
+
+    RETURN v_claimed;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Enroll a user through an invite code and count the use.
+-- Returns the module id, or NULL if the code is unknown, revoked, expired or used up.
+CREATE OR REPLACE FUNCTION redeem_invite(p_user_id UUID, p_code TEXT)
+RETURNS BIGINT AS $$
+DECLARE
+    v_invite public.module_invites;
+BEGIN
+    SELECT * INTO v_invite FROM public.module_invites
+    WHERE code = upper(trim(p_code))
+    AND revoked_at IS NULL
+    AND (expires_at IS NULL OR expires_at > NOW())
+    AND (max_uses IS NULL OR use_count < max_uses)
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN NULL;
+    END IF;
+
+    INSERT INTO public.enrollments (user_id, module_id, role)
+    VALUES (p_user_id, v_invite.module_id, v_invite.role)
+    ON CONFLICT (user_id, module_id) DO NOTHING;
+
+    -- Only count uses that actually enrolled someone
+    IF FOUND THEN
+        UPDATE public.module_invites SET use_count = use_count + 1 WHERE id = v_invite.id;
+    END IF;
+
+    RETURN v_invite.module_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Internal helpers: callers must not pick the user id
+REVOKE EXECUTE ON FUNCTION claim_roster_entries(UUID, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION redeem_invite(UUID, TEXT) FROM PUBLIC, anon, authenticated;
+
 -- Create user profile when auth user is created
 CREATE OR REPLACE FUNCTION handle_new_user()
 RETURNS TRIGGER AS $$
+DECLARE
+    v_claimed INT := 0;
+    v_invite_module_id BIGINT;
 BEGIN
     INSERT INTO public.users (id, email, name, role, status)
     VALUES (
@@ -472,6 +1887,20 @@ BEGIN
         'pending'
     )
     ON CONFLICT (id) DO NOTHING;
+
+    -- Students signing up with a valid invite code, or on an imported roster,
+    -- skip the approval queue. A roster entry is only claimed once the address is
+    -- confirmed (here for pre-confirmed accounts, otherwise by
+    -- handle_user_email_confirmed), or anyone could sign up as a rostered student.
+    v_invite_module_id := redeem_invite(NEW.id, NULLIF(NEW.raw_user_meta_data->>'invite_code', ''));
+    IF NEW.email_confirmed_at IS NOT NULL THEN
+        v_claimed := claim_roster_entries(NEW.id, NEW.email);
+    END IF;
+
+    IF v_claimed > 0 OR v_invite_module_id IS NOT NULL THEN
+        UPDATE public.users SET status = 'active' WHERE id = NEW.id AND status = 'pending';
+    END IF;
+
     RETURN NEW;
 END;
 $$ LANGUAGE plpgsql SECURITY DEFINER;
@@ -481,3 +1910,748 @@ DROP TRIGGER IF EXISTS on_auth_user_created ON auth.users;
 CREATE TRIGGER on_auth_user_created
     AFTER INSERT ON auth.users
     FOR EACH ROW EXECUTE FUNCTION handle_new_user();
+
+-- Claim a user's roster entries once they confirm their email address
+CREATE OR REPLACE FUNCTION handle_user_email_confirmed()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF claim_roster_entries(NEW.id, NEW.email) > 0 THEN
+        UPDATE public.users SET status = 'active' WHERE id = NEW.id AND status = 'pending';
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS on_auth_user_email_confirmed ON auth.users;
+CREATE TRIGGER on_auth_user_email_confirmed
+    AFTER UPDATE OF email_confirmed_at ON auth.users
+    FOR EACH ROW
+    WHEN (OLD.email_confirmed_at IS NULL AND NEW.email_confirmed_at IS NOT NULL)
+    EXECUTE FUNCTION handle_user_email_confirmed();
+
+-- Which of these users have confirmed their email address, for the roster import
+-- preview (clients can't read auth.users). Admin-only.
+CREATE OR REPLACE FUNCTION get_confirmed_user_ids(p_user_ids UUID[])
+RETURNS SETOF UUID AS $$
+BEGIN
+    IF NOT is_admin() THEN
+        RAISE EXCEPTION 'Only admins can check email confirmations' USING ERRCODE = '42501';
+    END IF;
+
+    RETURN QUERY
+    SELECT id FROM auth.users WHERE id = ANY(p_user_ids) AND email_confirmed_at IS NOT NULL;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+-- ==================== TRANSACTIONAL RPCs ====================
+-- Launch, sync and week create/delete run server-side in one transaction each,
+-- so a failure part-way through rolls back everything. They run as the caller,
+-- so RLS still applies.
+
+-- Copy every page of one week (with questions, resources, videos) into another
+CREATE OR REPLACE FUNCTION copy_week_pages(p_source_week_id BIGINT, p_target_week_id BIGINT)
+RETURNS VOID AS $$
+DECLARE
+    src RECORD;
+    v_page_id BIGINT;
+BEGIN
+    FOR src IN SELECT * FROM pages WHERE week_id = p_source_week_id ORDER BY page_number LOOP
+        INSERT INTO pages (week_id, page_number, title, type, content)
+        VALUES (p_target_week_id, src.page_number, src.title, src.type, src.content)
+        RETURNING id INTO v_page_id;
+
+        -- Copies keep the source question's key so sync can find them again
+        INSERT INTO questions (page_id, question_number, text, question_key)
+        SELECT v_page_id, question_number, text, question_key FROM questions WHERE page_id = src.id;
+
+        INSERT INTO resources (page_id, title, url, description, sort_order)
+        SELECT v_page_id, title, url, description, sort_order FROM resources WHERE page_id = src.id;
+
+        INSERT INTO videos (page_id, title, url, description, duration, sort_order)
+        SELECT v_page_id, title, url, description, duration, sort_order FROM videos WHERE page_id = src.id;
+    END LOOP;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Insert pages from the client's JSON shape:
+-- [{ title, type, content, questions: [{ key, text }], resources: [{ title, url, description }], videos: [{ title, url, description, duration }] }]
+CREATE OR REPLACE FUNCTION insert_week_pages(p_week_id BIGINT, p_pages JSONB)
+RETURNS VOID AS $$
+DECLARE
+    v_page JSONB;
+    v_page_number INT;
+    v_page_id BIGINT;
+BEGIN
+    FOR v_page, v_page_number IN
+        SELECT value, ordinality FROM jsonb_array_elements(COALESCE(p_pages, '[]'::jsonb)) WITH ORDINALITY
+    LOOP
+        INSERT INTO pages (week_id, page_number, title, type, content)
+        VALUES (p_week_id, v_page_number, v_page->>'title', v_page->>'type', NULLIF(v_page->>'content', ''))
+        RETURNING id INTO v_page_id;
+
+        INSERT INTO questions (page_id, question_number, text, question_key)
+        SELECT v_page_id, q.ordinality, q.value->>'text', COALESCE(NULLIF(q.value->>'key', '')::UUID, gen_random_uuid())
+        FROM jsonb_array_elements(COALESCE(v_page->'questions', '[]'::jsonb)) WITH ORDINALITY AS q;
+
+        INSERT INTO resources (page_id, title, url, description, sort_order)
+        SELECT v_page_id, r.value->>'title', NULLIF(r.value->>'url', ''), NULLIF(r.value->>'description', ''), r.ordinality - 1
+        FROM jsonb_array_elements(COALESCE(v_page->'resources', '[]'::jsonb)) WITH ORDINALITY AS r;
+
+        INSERT INTO videos (page_id, title, url, description, duration, sort_order)
+        SELECT v_page_id, v.value->>'title', v.value->>'url', NULLIF(v.value->>'description', ''), NULLIF(v.value->>'duration', ''), v.ordinality - 1
+        FROM jsonb_array_elements(COALESCE(v_page->'videos', '[]'::jsonb)) WITH ORDINALITY AS v;
+    END LOOP;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Create a week with all of its content.
+-- p_week_number NULL appends after the module's last week.
+CREATE OR REPLACE FUNCTION create_week_with_content(p_module_id BIGINT, p_week JSONB, p_week_number INT DEFAULT NULL)
+RETURNS weeks AS $$
+DECLARE
+    v_week weeks;
+BEGIN
+    IF NOT can_edit_module(p_module_id) THEN
+        RAISE EXCEPTION 'Only admins and the module''s instructors can create weeks' USING ERRCODE = '42501';
+    END IF;
+
+    -- Serialize week numbering per module (replaces the client-side upsert/retry)
+    PERFORM 1 FROM modules WHERE id = p_module_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Module not found' USING ERRCODE = 'P0002';
+    END IF;
+
+    INSERT INTO weeks (module_id, week_number, title, description, unlock_date)
+    VALUES (
+        p_module_id,
+        COALESCE(p_week_number, (SELECT COALESCE(MAX(week_number), 0) + 1 FROM weeks WHERE module_id = p_module_id)),
+        p_week->>'title',
+        NULLIF(p_week->>'description', ''),
+        NULLIF(p_week->>'unlockDate', '')::DATE
+    )
+    RETURNING * INTO v_week;
+
+    PERFORM insert_week_pages(v_week.id, p_week->'pages');
+
+    RETURN v_week;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Delete one week by number. If duplicates exist only the oldest row is removed.
+CREATE OR REPLACE FUNCTION delete_week(p_module_id BIGINT, p_week_number INT)
+RETURNS JSONB AS $$
+DECLARE
+    v_week_id BIGINT;
+    v_remaining INT;
+BEGIN
+    IF NOT can_edit_module(p_module_id) THEN
+        RAISE EXCEPTION 'Only admins and the module''s instructors can delete weeks' USING ERRCODE = '42501';
+    END IF;
+
+    SELECT id INTO v_week_id FROM weeks
+    WHERE module_id = p_module_id AND week_number = p_week_number
+    ORDER BY id
+    LIMIT 1
+    FOR UPDATE;
+
+    IF v_week_id IS NULL THEN
+        RAISE EXCEPTION 'Week not found' USING ERRCODE = 'P0002';
+    END IF;
+
+    DELETE FROM weeks WHERE id = v_week_id;
+
+    SELECT COUNT(*) INTO v_remaining FROM weeks
+    WHERE module_id = p_module_id AND week_number = p_week_number;
+
+    RETURN jsonb_build_object('deleted_id', v_week_id, 'remaining_duplicates', v_remaining);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Launch a new active module, copying weeks, pages and zoom info (never discussions or progress).
+-- The source is a template (draft), or an archived cohort being cloned for a new term;
+-- a clone stays linked to the archived cohort's template so template sync keeps working.
+-- p_unlock_dates ({ "<week_number>": "YYYY-MM-DD" }) overrides the source's unlock dates,
+-- e.g. a schedule shifted to a new start date.
+-- Calls with the same p_launch_key return the module from the first call.
+CREATE OR REPLACE FUNCTION launch_module(p_source_module_id BIGINT, p_launch_key UUID, p_unlock_dates JSONB DEFAULT NULL)
+RETURNS modules AS $$
+DECLARE
+    v_source modules;
+    v_module modules;
+    v_week RECORD;
+    v_week_id BIGINT;
+BEGIN
+    IF NOT is_admin() THEN
+        RAISE EXCEPTION 'Only admins can launch modules' USING ERRCODE = '42501';
+    END IF;
+
+    -- Concurrent calls with the same key wait here, then see the first call's module
+    PERFORM pg_advisory_xact_lock(hashtext(p_launch_key::TEXT));
+
+    SELECT * INTO v_module FROM modules WHERE launch_key = p_launch_key;
+    IF FOUND THEN
+        RETURN v_module;
+    END IF;
+
+    SELECT * INTO v_source FROM modules WHERE id = p_source_module_id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Module to launch not found' USING ERRCODE = 'P0002';
+    END IF;
+
+    IF v_source.status = 'launched' THEN
+        RAISE EXCEPTION 'Only templates and archived modules can be launched' USING ERRCODE = '22023';
+    END IF;
+
+    IF EXISTS (
+        SELECT 1 FROM weeks
+        WHERE module_id = p_source_module_id
+        AND unlock_date IS NULL
+        AND p_unlock_dates->>(week_number::TEXT) IS NULL
+    ) THEN
+        RAISE EXCEPTION 'All weeks must have unlock dates before launching' USING ERRCODE = '22023';
+    END IF;
+
+    INSERT INTO modules (title, description, instructor, duration, participation, time_expectations,
+                         status, template_id, launched_at, launch_key)
+    VALUES (v_source.title, v_source.description, v_source.instructor, v_source.duration,
+            v_source.participation, v_source.time_expectations,
+            'launched',
+            CASE WHEN v_source.status = 'draft' THEN v_source.id ELSE v_source.template_id END,
+            NOW(), p_launch_key)
+    RETURNING * INTO v_module;
+
+    -- Keep the source's week numbers so sync can match weeks by number
+    FOR v_week IN SELECT * FROM weeks WHERE module_id = p_source_module_id ORDER BY week_number LOOP
+        INSERT INTO weeks (module_id, week_number, title, description, unlock_date)
+        VALUES (
+            v_module.id, v_week.week_number, v_week.title, v_week.description,
+            COALESCE((p_unlock_dates->>(v_week.week_number::TEXT))::DATE, v_week.unlock_date)
+        )
+        RETURNING id INTO v_week_id;
+
+        PERFORM copy_week_pages(v_week.id, v_week_id);
+    END LOOP;
+
+    INSERT INTO module_zoom_info (module_id, url, meeting_id, passcode, day, time, timezone)
+    SELECT v_module.id, url, meeting_id, passcode, day, time, timezone
+    FROM module_zoom_info
+    WHERE module_id = p_source_module_id AND (url IS NOT NULL OR meeting_id IS NOT NULL);
+
+    RETURN v_module;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Sync template content into an active module.
+-- Questions are matched by question_key and updated in place, so discussion
+-- posts stay with their prompt even when the template reorders questions; with
+-- p_protect_answered, questions that already have posts keep their text.
+-- p_week_numbers NULL syncs every template week.
+-- Returns the week numbers that were synced. Runs as definer so it can record
+-- the sync in the audit log; only admins get past its first check.
+CREATE OR REPLACE FUNCTION sync_template_to_module(
+    p_template_id BIGINT,
+    p_active_module_id BIGINT,
+    p_week_numbers INT[] DEFAULT NULL,
+    p_include_module_info BOOLEAN DEFAULT TRUE,
+    p_protect_answered BOOLEAN DEFAULT FALSE
+)
+RETURNS INT[] AS $$
+DECLARE
+    v_template modules;
+    v_active modules;
+    t_week RECORD;
+    t_page RECORD;
+    v_week_id BIGINT;
+    v_page_id BIGINT;
+    v_template_count INT;
+    v_synced INT[] := '{}';
+BEGIN
+    IF NOT is_admin() THEN
+        RAISE EXCEPTION 'Only admins can sync modules' USING ERRCODE = '42501';
+    END IF;
+
+    SELECT * INTO v_template FROM modules WHERE id = p_template_id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Template not found' USING ERRCODE = 'P0002';
+    END IF;
+    IF v_template.status <> 'draft' THEN
+        RAISE EXCEPTION 'Source must be a template (draft module)' USING ERRCODE = '22023';
+    END IF;
+
+    -- Lock the active module so two syncs can't interleave
+    SELECT * INTO v_active FROM modules WHERE id = p_active_module_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Active module not found' USING ERRCODE = 'P0002';
+    END IF;
+    IF v_active.status <> 'launched' THEN
+        RAISE EXCEPTION 'Target must be a launched module' USING ERRCODE = '22023';
+    END IF;
+
+    IF p_include_module_info THEN
+        -- Module info (status, launched_at and template_id are preserved)
+        UPDATE modules SET
+            title = v_template.title,
+            description = v_template.description,
+            instructor = v_template.instructor,
+            duration = v_template.duration,
+            participation = v_template.participation,
+            time_expectations = v_template.time_expectations
+        WHERE id = p_active_module_id;
+
+        INSERT INTO module_zoom_info (module_id, url, meeting_id, passcode, day, time, timezone)
+        SELECT p_active_module_id, url, meeting_id, passcode, day, time, timezone
+        FROM module_zoom_info WHERE module_id = p_template_id
+        ON CONFLICT (module_id) DO UPDATE SET
+            url = EXCLUDED.url,
+            meeting_id = EXCLUDED.meeting_id,
+            passcode = EXCLUDED.passcode,
+            day = EXCLUDED.day,
+            time = EXCLUDED.time,
+            timezone = EXCLUDED.timezone;
+    END IF;
+
+    FOR t_week IN
+        SELECT * FROM weeks
+        WHERE module_id = p_template_id
+        AND (p_week_numbers IS NULL OR week_number = ANY(p_week_numbers))
+        ORDER BY week_number
+    LOOP
+        SELECT id INTO v_week_id FROM weeks
+        WHERE module_id = p_active_module_id AND week_number = t_week.week_number
+        ORDER BY id LIMIT 1;
+
+        IF v_week_id IS NULL THEN
+            -- New week in the template - copy it whole
+            INSERT INTO weeks (module_id, week_number, title, description, unlock_date)
+            VALUES (p_active_module_id, t_week.week_number, t_week.title, t_week.description, t_week.unlock_date)
+            RETURNING id INTO v_week_id;
+
+            PERFORM copy_week_pages(t_week.id, v_week_id);
+        ELSE
+            UPDATE weeks SET
+                title = t_week.title,
+                description = t_week.description,
+                unlock_date = t_week.unlock_date
+            WHERE id = v_week_id;
+
+            FOR t_page IN SELECT * FROM pages WHERE week_id = t_week.id ORDER BY page_number LOOP
+                SELECT id INTO v_page_id FROM pages
+                WHERE week_id = v_week_id AND page_number = t_page.page_number;
+
+                IF v_page_id IS NULL THEN
+                    INSERT INTO pages (week_id, page_number, title, type, content)
+                    VALUES (v_week_id, t_page.page_number, t_page.title, t_page.type, t_page.content)
+                    RETURNING id INTO v_page_id;
+                ELSE
+                    UPDATE pages SET
+                        title = t_page.title,
+                        type = t_page.type,
+                        content = t_page.content
+                    WHERE id = v_page_id;
+
+                    -- Resources and videos have nothing attached to them - replace wholesale
+                    DELETE FROM resources WHERE page_id = v_page_id;
+                    DELETE FROM videos WHERE page_id = v_page_id;
+
+                    -- Move and reword existing questions in place, matched by key
+                    UPDATE questions aq SET
+                        question_number = tq.question_number,
+                        text = CASE
+                            WHEN p_protect_answered AND EXISTS (
+                                SELECT 1 FROM discussion_posts dp WHERE dp.question_id = aq.id
+                            ) THEN aq.text
+                            ELSE tq.text
+                        END
+                    FROM questions tq
+                    WHERE tq.page_id = t_page.id
+                    AND aq.page_id = v_page_id
+                    AND aq.question_key = tq.question_key;
+
+                    -- Questions dropped from the template may have discussions - keep them,
+                    -- numbered after the template's questions so positions don't collide
+                    SELECT COUNT(*) INTO v_template_count FROM questions WHERE page_id = t_page.id;
+
+                    UPDATE questions aq SET question_number = v_template_count + orphan.rn
+                    FROM (
+                        SELECT q.id, ROW_NUMBER() OVER (ORDER BY q.question_number, q.id) AS rn
+                        FROM questions q
+                        WHERE q.page_id = v_page_id
+                        AND NOT EXISTS (
+                            SELECT 1 FROM questions tq
+                            WHERE tq.page_id = t_page.id AND tq.question_key = q.question_key
+                        )
+                    ) orphan
+                    WHERE aq.id = orphan.id;
+                END IF;
+
+                INSERT INTO questions (page_id, question_number, text, question_key)
+                SELECT v_page_id, tq.question_number, tq.text, tq.question_key
+                FROM questions tq
+                WHERE tq.page_id = t_page.id
+                AND NOT EXISTS (
+                    SELECT 1 FROM questions aq
+                    WHERE aq.page_id = v_page_id AND aq.question_key = tq.question_key
+                );
+
+                INSERT INTO resources (page_id, title, url, description, sort_order)
+                SELECT v_page_id, title, url, description, sort_order FROM resources WHERE page_id = t_page.id;
+
+                INSERT INTO videos (page_id, title, url, description, duration, sort_order)
+                SELECT v_page_id, title, url, description, duration, sort_order FROM videos WHERE page_id = t_page.id;
+            END LOOP;
+        END IF;
+
+        v_synced := array_append(v_synced, t_week.week_number);
+    END LOOP;
+
+    PERFORM record_audit('module.sync', 'module', p_active_module_id::TEXT, p_active_module_id, NULL,
+        jsonb_build_object('weeks', v_synced),
+        jsonb_build_object(
+            'templateId', p_template_id,
+            'weeks', p_week_numbers,
+            'includeModuleInfo', p_include_module_info,
+            'protectAnsweredQuestions', p_protect_answered
+        ));
+
+    RETURN v_synced;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Import a CSV roster. Each row is {email, name, moduleId, role}. Existing users are
+-- enrolled (and approved if pending and confirmed); unknown emails become roster
+-- entries that are claimed when that address signs up and is confirmed. With
+-- p_remove_missing, students no longer on a module's roster are unenrolled from
+-- that module. Returns counts for the import summary. Runs as definer so it can
+-- record the import in the audit log; only admins get past its first check.
+CREATE OR REPLACE FUNCTION import_roster(p_rows JSONB, p_remove_missing BOOLEAN DEFAULT FALSE)
+RETURNS JSONB AS $$
+DECLARE
+    v_row RECORD;
+    v_user users;
+    v_existing_role TEXT;
+    v_can_enroll BOOLEAN;
+    v_enrolled INT := 0;
+    v_updated INT := 0;
+    v_unchanged INT := 0;
+    v_approved INT := 0;
+    v_rostered INT := 0;
+    v_removed INT := 0;
+    v_summary JSONB;
+BEGIN
+    IF NOT is_admin() THEN
+        RAISE EXCEPTION 'Only admins can import rosters' USING ERRCODE = '42501';
+    END IF;
+
+    FOR v_row IN
+        SELECT
+            lower(trim(r->>'email')) AS email,
+            NULLIF(trim(r->>'name'), '') AS name,
+            (r->>'moduleId')::BIGINT AS module_id,
+            COALESCE(NULLIF(r->>'role', ''), 'student') AS role
+        FROM jsonb_array_elements(p_rows) AS r
+    LOOP
+        IF NOT EXISTS (SELECT 1 FROM modules WHERE id = v_row.module_id) THEN
+            RAISE EXCEPTION 'Module % not found', v_row.module_id USING ERRCODE = 'P0002';
+        END IF;
+
+        SELECT * INTO v_user FROM users WHERE lower(email) = v_row.email;
+
+        -- A pending account only takes its roster place once its address is
+        -- confirmed, as at signup; until then it gets a roster entry like an
+        -- unknown email, claimed by handle_user_email_confirmed
+        v_can_enroll := FOUND AND (v_user.status <> 'pending' OR EXISTS (
+            SELECT 1 FROM auth.users WHERE id = v_user.id AND email_confirmed_at IS NOT NULL
+        ));
+
+        IF v_can_enroll THEN
+            SELECT role INTO v_existing_role FROM enrollments
+            WHERE user_id = v_user.id AND module_id = v_row.module_id;
+
+            IF NOT FOUND THEN
+                INSERT INTO enrollments (user_id, module_id, role)
+                VALUES (v_user.id, v_row.module_id, v_row.role);
+                v_enrolled := v_enrolled + 1;
+            ELSIF v_existing_role <> v_row.role THEN
+                UPDATE enrollments SET role = v_row.role
+                WHERE user_id = v_user.id AND module_id = v_row.module_id;
+                v_updated := v_updated + 1;
+            ELSE
+                v_unchanged := v_unchanged + 1;
+            END IF;
+
+            -- Being on the roster is the approval
+            IF v_user.status = 'pending' THEN
+                UPDATE users SET status = 'active' WHERE id = v_user.id;
+                v_approved := v_approved + 1;
+            END IF;
+        ELSE
+            INSERT INTO roster_entries (email, name, module_id, role, created_by)
+            VALUES (v_row.email, v_row.name, v_row.module_id, v_row.role, auth.uid())
+            ON CONFLICT (email, module_id) DO UPDATE
+                SET name = COALESCE(EXCLUDED.name, roster_entries.name), role = EXCLUDED.role;
+            v_rostered := v_rostered + 1;
+        END IF;
+    END LOOP;
+
+    IF p_remove_missing THEN
+        -- Staff enrollments are managed by hand, so only students are removed
+        DELETE FROM enrollments e
+        USING users u
+        WHERE u.id = e.user_id
+        AND e.role = 'student'
+        AND e.module_id IN (SELECT (r->>'moduleId')::BIGINT FROM jsonb_array_elements(p_rows) AS r)
+        AND NOT EXISTS (
+            SELECT 1 FROM jsonb_array_elements(p_rows) AS r
+            WHERE (r->>'moduleId')::BIGINT = e.module_id
+            AND lower(trim(r->>'email')) = lower(u.email)
+        );
+        GET DIAGNOSTICS v_removed = ROW_COUNT;
+
+        DELETE FROM roster_entries re
+        WHERE re.module_id IN (SELECT (r->>'moduleId')::BIGINT FROM jsonb_array_elements(p_rows) AS r)
+        AND NOT EXISTS (
+            SELECT 1 FROM jsonb_array_elements(p_rows) AS r
+            WHERE (r->>'moduleId')::BIGINT = re.module_id
+            AND lower(trim(r->>'email')) = re.email
+        );
+    END IF;
+
+    v_summary := jsonb_build_object(
+        'enrolled', v_enrolled,
+        'updated', v_updated,
+        'unchanged', v_unchanged,
+        'approved', v_approved,
+        'rostered', v_rostered,
+        'removed', v_removed
+    );
+
+    PERFORM record_audit('roster.import', 'roster', NULL, NULL, NULL, v_summary, jsonb_build_object(
+        'rows', jsonb_array_length(p_rows),
+        'removeMissing', p_remove_missing,
+        'moduleIds', (SELECT jsonb_agg(DISTINCT (r->>'moduleId')::BIGINT) FROM jsonb_array_elements(p_rows) AS r)
+    ));
+
+    RETURN v_summary;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Redeem an invite code for the signed-in user (for students who signed up without one).
+-- Runs as definer because students can't read module_invites.
+CREATE OR REPLACE FUNCTION redeem_invite_code(p_code TEXT)
+RETURNS BIGINT AS $$
+DECLARE
+    v_module_id BIGINT;
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'Not signed in' USING ERRCODE = '42501';
+    END IF;
+
+    v_module_id := redeem_invite(auth.uid(), p_code);
+    IF v_module_id IS NULL THEN
+        RAISE EXCEPTION 'Invite code is invalid or has expired' USING ERRCODE = '22023';
+    END IF;
+
+    UPDATE users SET status = 'active' WHERE id = auth.uid() AND status = 'pending';
+
+    RETURN v_module_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Unread discussion posts per question in a module for the signed-in user:
+-- other people's posts since the user last opened the question (all of them if
+-- they never have). Runs with the caller's rights, so posts RLS hides from them
+-- aren't counted.
+CREATE OR REPLACE FUNCTION get_unread_counts(p_module_id BIGINT)
+RETURNS TABLE (week_number INT, question_key UUID, unread BIGINT) AS $$
+    SELECT w.week_number, q.question_key, COUNT(dp.id)
+    FROM weeks w
+    JOIN pages p ON p.week_id = w.id
+    JOIN questions q ON q.page_id = p.id
+    JOIN discussion_posts dp ON dp.question_id = q.id
+    LEFT JOIN discussion_reads r ON r.question_id = q.id AND r.user_id = auth.uid()
+    WHERE w.module_id = p_module_id
+    AND dp.user_id <> auth.uid()
+    AND dp.is_deleted IS NOT TRUE
+    AND dp.created_at > COALESCE(r.last_seen_at, '-infinity'::TIMESTAMPTZ)
+    GROUP BY w.week_number, q.question_key;
+$$ LANGUAGE sql STABLE;
+
+-- People the signed-in user can @mention in a module's discussions: its other
+-- active enrollees. Runs as definer because students can't read each other's
+-- enrollments.
+CREATE OR REPLACE FUNCTION get_mention_candidates(p_module_id BIGINT)
+RETURNS TABLE (id UUID, name TEXT, role TEXT) AS $$
+    SELECT u.id, COALESCE(NULLIF(u.name, ''), u.email), e.role
+    FROM enrollments e
+    JOIN users u ON u.id = e.user_id
+    WHERE e.module_id = p_module_id
+    AND u.status = 'active'
+    AND u.id <> auth.uid()
+    AND (is_admin() OR is_enrolled(p_module_id))
+    ORDER BY 2;
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- Full-text search over a module's discussion posts and its pages (title,
+-- content and discussion questions), for searchDiscussions(). p_query uses
+-- web-search syntax: words, "quoted phrases", OR, -word. Runs with the
+-- caller's rights, so only what RLS lets them read is found; students don't
+-- find weeks that haven't unlocked yet either. Snippets mark matches with
+-- chr(2) ... chr(3), which the client turns into highlights after escaping.
+CREATE OR REPLACE FUNCTION search_discussions(
+    p_module_id BIGINT,
+    p_query TEXT,
+    p_week_number INT DEFAULT NULL,
+    p_author_id UUID DEFAULT NULL,
+    p_limit INT DEFAULT 50
+)
+RETURNS TABLE (
+    kind TEXT,
+    post_id BIGINT,
+    parent_id BIGINT,
+    author_id UUID,
+    author_name TEXT,
+    week_number INT,
+    week_title TEXT,
+    page_number INT,
+    page_title TEXT,
+    question_key UUID,
+    snippet TEXT,
+    rank REAL,
+    created_at TIMESTAMPTZ
+) AS $$
+    WITH search AS (
+        SELECT websearch_to_tsquery('english', p_query) AS q
+    ),
+    visible_pages AS NOT MATERIALIZED (
+        SELECT p.id, p.page_number, p.title, p.content, w.week_number, w.title AS week_title
+        FROM weeks w
+        JOIN pages p ON p.week_id = w.id
+        WHERE w.module_id = p_module_id
+        AND (p_week_number IS NULL OR w.week_number = p_week_number)
+        AND (w.unlock_date IS NULL OR w.unlock_date <= CURRENT_DATE OR can_edit_module(p_module_id))
+    ),
+    hits AS (
+        SELECT 'post'::TEXT AS kind, dp.id AS post_id, dp.parent_id, dp.user_id AS author_id,
+            vp.week_number, vp.week_title, vp.page_number, vp.title AS page_title, q.question_key,
+            regexp_replace(dp.content, '<[^>]*>', ' ', 'g') AS body,
+            ts_rank(to_tsvector('english', regexp_replace(dp.content, '<[^>]*>', ' ', 'g')), search.q) AS rank,
+            dp.created_at
+        FROM visible_pages vp
+        JOIN questions q ON q.page_id = vp.id
+        JOIN discussion_posts dp ON dp.question_id = q.id
+        CROSS JOIN search
+        WHERE dp.is_deleted IS NOT TRUE
+        AND (p_author_id IS NULL OR dp.user_id = p_author_id)
+        AND to_tsvector('english', regexp_replace(dp.content, '<[^>]*>', ' ', 'g')) @@ search.q
+
+        UNION ALL
+
+        SELECT 'page', NULL, NULL, NULL,
+            vp.week_number, vp.week_title, vp.page_number, vp.title, NULL,
+            doc.body,
+            ts_rank(to_tsvector('english', doc.body), search.q),
+            NULL
+        FROM visible_pages vp
+        CROSS JOIN search
+        CROSS JOIN LATERAL (
+            SELECT vp.title || ' ' || regexp_replace(COALESCE(vp.content, ''), '<[^>]*>', ' ', 'g') || ' ' ||
+                COALESCE((SELECT string_agg(q.text, ' ' ORDER BY q.question_number) FROM questions q WHERE q.page_id = vp.id), '') AS body
+        ) doc
+        WHERE p_author_id IS NULL
+        AND to_tsvector('english', doc.body) @@ search.q
+    )
+    SELECT h.kind, h.post_id, h.parent_id, h.author_id, COALESCE(NULLIF(u.name, ''), u.email),
+        h.week_number, h.week_title, h.page_number, h.page_title, h.question_key,
+        ts_headline('english', h.body, search.q,
+            'StartSel=' || chr(2) || ', StopSel=' || chr(3) || ', MaxFragments=2, MinWords=8, MaxWords=25, FragmentDelimiter=" ... "'),
+        h.rank, h.created_at
+    FROM hits h
+    CROSS JOIN search
+    LEFT JOIN users u ON u.id = h.author_id
+    ORDER BY h.rank DESC, h.created_at DESC NULLS LAST
+    LIMIT LEAST(GREATEST(p_limit, 1), 200);
+$$ LANGUAGE sql STABLE;
+
+-- Data service latency per method since p_since, for admin-backup.html: totals
+-- and the summed latency histogram (percentiles are estimated from it).
+-- Invoker rights, so only admins see anything.
+CREATE OR REPLACE FUNCTION get_service_metrics(p_since TIMESTAMPTZ)
+RETURNS TABLE (
+    method TEXT,
+    kind TEXT,
+    calls BIGINT,
+    errors BIGINT,
+    retries BIGINT,
+    slow_calls BIGINT,
+    total_ms BIGINT,
+    max_ms INT,
+    latency_buckets BIGINT[]
+) AS $$
+    WITH buckets AS (
+        SELECT m.method, m.kind, b.idx, SUM(b.n) AS n
+        FROM service_metrics m
+        CROSS JOIN LATERAL unnest(m.latency_buckets) WITH ORDINALITY AS b(n, idx)
+        WHERE m.recorded_at >= p_since
+        GROUP BY m.method, m.kind, b.idx
+    )
+    SELECT m.method, m.kind, SUM(m.calls), SUM(m.errors), SUM(m.retries), SUM(m.slow_calls),
+        SUM(m.total_ms)::BIGINT, MAX(m.max_ms),
+        (SELECT array_agg(b.n ORDER BY b.idx) FROM buckets b WHERE b.method = m.method AND b.kind = m.kind)
+    FROM service_metrics m
+    WHERE m.recorded_at >= p_since
+    GROUP BY m.method, m.kind
+    ORDER BY SUM(m.calls) DESC;
+$$ LANGUAGE sql STABLE;
+
+-- Data service calls, errors and retries since p_since in p_bucket_minutes
+-- intervals, for the error rate chart on admin-backup.html
+CREATE OR REPLACE FUNCTION get_service_metrics_timeline(p_since TIMESTAMPTZ, p_bucket_minutes INT DEFAULT 60)
+RETURNS TABLE (
+    bucket_start TIMESTAMPTZ,
+    calls BIGINT,
+    errors BIGINT,
+    retries BIGINT,
+    slow_calls BIGINT
+) AS $$
+    SELECT to_timestamp(floor(extract(epoch FROM m.recorded_at) / (GREATEST(p_bucket_minutes, 1) * 60)) * (GREATEST(p_bucket_minutes, 1) * 60)),
+        COALESCE(SUM(m.calls) FILTER (WHERE m.kind = 'call'), 0),
+        COALESCE(SUM(m.errors) FILTER (WHERE m.kind = 'call'), 0),
+        COALESCE(SUM(m.retries) FILTER (WHERE m.kind = 'attempt'), 0),
+        COALESCE(SUM(m.slow_calls) FILTER (WHERE m.kind = 'call'), 0)
+    FROM service_metrics m
+    WHERE m.recorded_at >= p_since
+    GROUP BY 1
+    ORDER BY 1;
+$$ LANGUAGE sql STABLE;
+
+GRANT EXECUTE ON FUNCTION create_week_with_content(BIGINT, JSONB, INT) TO authenticated;
+GRANT EXECUTE ON FUNCTION delete_week(BIGINT, INT) TO authenticated;
+GRANT EXECUTE ON FUNCTION launch_module(BIGINT, UUID, JSONB) TO authenticated;
+GRANT EXECUTE ON FUNCTION sync_template_to_module(BIGINT, BIGINT, INT[], BOOLEAN, BOOLEAN) TO authenticated;
+GRANT EXECUTE ON FUNCTION import_roster(JSONB, BOOLEAN) TO authenticated;
+GRANT EXECUTE ON FUNCTION get_confirmed_user_ids(UUID[]) TO authenticated;
+GRANT EXECUTE ON FUNCTION redeem_invite_code(TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION delete_flagged_post(BIGINT) TO authenticated;
+GRANT EXECUTE ON FUNCTION get_unread_counts(BIGINT) TO authenticated;
+GRANT EXECUTE ON FUNCTION get_mention_candidates(BIGINT) TO authenticated;
+GRANT EXECUTE ON FUNCTION search_discussions(BIGINT, TEXT, INT, UUID, INT) TO authenticated;
+GRANT EXECUTE ON FUNCTION get_service_metrics(TIMESTAMPTZ) TO authenticated;
+GRANT EXECUTE ON FUNCTION get_service_metrics_timeline(TIMESTAMPTZ, INT) TO authenticated;
+
+-- ==================== REALTIME ====================
+
+-- Stream discussion changes to week-viewer (subscribeToDiscussion).
+-- REPLICA IDENTITY FULL so UPDATE/DELETE events carry question_id and can be
+-- filtered and checked against RLS like any other read.
+ALTER TABLE discussion_posts REPLICA IDENTITY FULL;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_publication_tables
+        WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'discussion_posts'
+    ) THEN
+        ALTER PUBLICATION supabase_realtime ADD TABLE discussion_posts;
+    END IF;
+END $$;
@@ -0,0 +1,107 @@
+-- Add error alert rules
+-- Run this in Supabase SQL Editor, after add-service-metrics.sql
+--
+-- Admins set up alert rules on admin-errors.html (a new error, a spike in one
+-- error, an error reaching many users). The error alerts worker
+-- (workers/error-alerts) checks them on a schedule and sends alerts by email or
+-- webhook, recording each in alert_events so it goes out once.
+
+-- Alert Rules table (error alerts, evaluated by workers/error-alerts)
+CREATE TABLE IF NOT EXISTS alert_rules (
+    id BIGSERIAL PRIMARY KEY,
+    name TEXT NOT NULL,
+    -- new_group: an error is seen for the first time; spike: a group logs more than
+    -- threshold events within window_minutes; affected_users: a group reaches more than threshold users
+    rule_type TEXT NOT NULL CHECK (rule_type IN ('new_group', 'spike', 'affected_users')),
+    -- Only groups of this error type (every type when NULL)
+    error_type TEXT,
+    threshold INT CHECK (threshold > 0),
+    window_minutes INT NOT NULL DEFAULT 60 CHECK (window_minutes > 0),
+    channel TEXT NOT NULL CHECK (channel IN ('email', 'webhook')),
+    -- Email address or webhook URL
+    target TEXT NOT NULL,
+    -- A spike in the same group alerts again at most this often
+    cooldown_minutes INT NOT NULL DEFAULT 60 CHECK (cooldown_minutes >= 0),
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    last_triggered_at TIMESTAMPTZ,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CHECK (rule_type = 'new_group' OR threshold IS NOT NULL)
+);
+
+-- Alert Events table (each error group an alert rule fired for, so it isn't sent twice)
+CREATE TABLE IF NOT EXISTS alert_events (
+    id BIGSERIAL PRIMARY KEY,
+    rule_id BIGINT NOT NULL REFERENCES alert_rules(id) ON DELETE CASCADE,
+    group_id BIGINT REFERENCES error_groups(id) ON DELETE CASCADE,
+    triggered_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    -- Events in the rule's window (spike), and users affected so far
+    events BIGINT,
+    affected_users INT
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_events_rule_group ON alert_events(rule_id, group_id, triggered_at DESC);
+
+-- Rules are edited and toggled, so stamp updates (incremental backups pick them up by this)
+DROP TRIGGER IF EXISTS update_alert_rules_updated_at ON alert_rules;
+CREATE TRIGGER update_alert_rules_updated_at BEFORE UPDATE ON alert_rules
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Error groups that logged more than p_min_events events since p_since (repeats
+-- counted into a row included), for spike alert rules. Ignored groups never
+-- alert. Called by the error alerts worker.
+CREATE OR REPLACE FUNCTION get_error_spikes(p_since TIMESTAMPTZ, p_min_events INT, p_error_type TEXT DEFAULT NULL)
+RETURNS TABLE (
+    id BIGINT,
+    error_type TEXT,
+    title TEXT,
+    culprit TEXT,
+    status TEXT,
+    occurrences BIGINT,
+    affected_users INT,
+    first_seen TIMESTAMPTZ,
+    last_seen TIMESTAMPTZ,
+    window_events BIGINT,
+    window_users BIGINT
+) AS $$
+    SELECT g.id, g.error_type, g.title, g.culprit, g.status, g.occurrences, g.affected_users,
+        g.first_seen, g.last_seen, SUM(e.occurrences), COUNT(DISTINCT e.user_id)
+    FROM error_logs e
+    JOIN error_groups g ON g.id = e.group_id
+    WHERE e.timestamp >= p_since
+    AND g.status <> 'ignored'
+    AND (p_error_type IS NULL OR g.error_type = p_error_type)
+    GROUP BY g.id
+    HAVING SUM(e.occurrences) > p_min_events
+    ORDER BY SUM(e.occurrences) DESC;
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- Worker-only: reads every error log
+REVOKE EXECUTE ON FUNCTION get_error_spikes(TIMESTAMPTZ, INT, TEXT) FROM PUBLIC, anon, authenticated;
+
+ALTER TABLE alert_rules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE alert_events ENABLE ROW LEVEL SECURITY;
+
+-- Admins manage alert rules; the error alerts worker reads them with the service key
+DROP POLICY IF EXISTS "Admins view alert rules" ON alert_rules;
+CREATE POLICY "Admins view alert rules" ON alert_rules
+    FOR SELECT USING (is_admin());
+
+DROP POLICY IF EXISTS "Admins create alert rules" ON alert_rules;
+CREATE POLICY "Admins create alert rules" ON alert_rules
+    FOR INSERT WITH CHECK (is_admin());
+
+DROP POLICY IF EXISTS "Admins update alert rules" ON alert_rules;
+CREATE POLICY "Admins update alert rules" ON alert_rules
+    FOR UPDATE USING (is_admin())
+    WITH CHECK (is_admin());
+
+DROP POLICY IF EXISTS "Admins delete alert rules" ON alert_rules;
+CREATE POLICY "Admins delete alert rules" ON alert_rules
+    FOR DELETE USING (is_admin());
+
+-- Written by the error alerts worker (service key); admins see the history
+DROP POLICY IF EXISTS "Admins view alert events" ON alert_events;
+CREATE POLICY "Admins view alert events" ON alert_events
+    FOR SELECT USING (is_admin());
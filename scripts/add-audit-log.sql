@@ -0,0 +1,499 @@
+-- Add an append-only audit log of administrative actions
+-- Run this in Supabase SQL Editor, after add-roster-invites.sql
+--
+-- Approvals, role and enrollment changes, invite codes, deletions, syncs and
+-- roster imports are recorded by the database itself: triggers on the audited
+-- tables, and the sync_template_to_module and import_roster RPCs (redefined
+-- below). Nothing the client sends becomes an entry, and a trigger rejects
+-- every UPDATE and DELETE.
+
+-- Audit Log table (append-only record of administrative actions)
+CREATE TABLE IF NOT EXISTS audit_log (
+    id BIGSERIAL PRIMARY KEY,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    -- Not foreign keys: entries must outlive the users and modules they describe
+    actor_id UUID,
+    actor_email TEXT,
+    action TEXT NOT NULL,
+    target_type TEXT NOT NULL,
+    target_id TEXT,
+    module_id BIGINT,
+    before_data JSONB,
+    after_data JSONB,
+    metadata JSONB
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_actor_id ON audit_log(actor_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_target ON audit_log(target_type, target_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_module_id ON audit_log(module_id);
+
+-- Write one audit entry, stamped with the signed-in caller and the time. Only
+-- the triggers and functions below call this. Changes made without a user
+-- (service role: workers, restores, scripts) aren't administrative actions and
+-- aren't recorded.
+CREATE OR REPLACE FUNCTION record_audit(
+    p_action TEXT,
+    p_target_type TEXT,
+    p_target_id TEXT,
+    p_module_id BIGINT,
+    p_before JSONB DEFAULT NULL,
+    p_after JSONB DEFAULT NULL,
+    p_metadata JSONB DEFAULT NULL
+)
+RETURNS VOID AS $$
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RETURN;
+    END IF;
+
+    INSERT INTO public.audit_log (actor_id, actor_email, action, target_type, target_id, module_id, before_data, after_data, metadata)
+    VALUES (
+        auth.uid(),
+        (SELECT email FROM public.users WHERE id = auth.uid()),
+        p_action, p_target_type, p_target_id, p_module_id, p_before, p_after, p_metadata
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+CREATE OR REPLACE FUNCTION prevent_audit_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'audit_log is append-only' USING ERRCODE = '42501';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log;
+CREATE TRIGGER audit_log_append_only BEFORE UPDATE OR DELETE ON audit_log
+    FOR EACH ROW EXECUTE FUNCTION prevent_audit_changes();
+
+-- Approvals, role changes and rejections (deleting a pending account)
+CREATE OR REPLACE FUNCTION audit_user_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        PERFORM record_audit(
+            CASE WHEN OLD.status = 'pending' THEN 'user.reject' ELSE 'user.delete' END,
+            'user', OLD.id::TEXT, NULL,
+            jsonb_build_object('id', OLD.id, 'email', OLD.email, 'name', OLD.name, 'role', OLD.role, 'status', OLD.status));
+        RETURN OLD;
+    END IF;
+
+    IF OLD.status = 'pending' AND NEW.status = 'active' THEN
+        PERFORM record_audit('user.approve', 'user', NEW.id::TEXT, NULL,
+            jsonb_build_object('id', OLD.id, 'email', OLD.email, 'name', OLD.name, 'role', OLD.role, 'status', OLD.status),
+            jsonb_build_object('id', NEW.id, 'email', NEW.email, 'name', NEW.name, 'role', NEW.role, 'status', NEW.status));
+    END IF;
+
+    IF NEW.role IS DISTINCT FROM OLD.role THEN
+        PERFORM record_audit('user.role_change', 'user', NEW.id::TEXT, NULL,
+            jsonb_build_object('id', OLD.id, 'email', OLD.email, 'name', OLD.name, 'role', OLD.role, 'status', OLD.status),
+            jsonb_build_object('id', NEW.id, 'email', NEW.email, 'name', NEW.name, 'role', NEW.role, 'status', NEW.status));
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS audit_users ON users;
+CREATE TRIGGER audit_users AFTER UPDATE OF status, role OR DELETE ON users
+    FOR EACH ROW EXECUTE FUNCTION audit_user_change();
+
+-- One entry per enrollment added, removed or given a new role, whether by the
+-- enrollments page, a roster import or an invite code
+CREATE OR REPLACE FUNCTION audit_enrollment_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        PERFORM record_audit('enrollment.update', 'user', NEW.user_id::TEXT, NEW.module_id, NULL,
+            jsonb_build_object('module_id', NEW.module_id, 'role', NEW.role),
+            jsonb_build_object('added', NEW.module_id));
+    ELSIF TG_OP = 'DELETE' THEN
+        -- Deleting the user or module takes its enrollments with it; that delete is recorded instead
+        IF EXISTS (SELECT 1 FROM public.users WHERE id = OLD.user_id)
+            AND EXISTS (SELECT 1 FROM public.modules WHERE id = OLD.module_id) THEN
+            PERFORM record_audit('enrollment.update', 'user', OLD.user_id::TEXT, OLD.module_id,
+                jsonb_build_object('module_id', OLD.module_id, 'role', OLD.role), NULL,
+                jsonb_build_object('removed', OLD.module_id));
+        END IF;
+    ELSIF NEW.role IS DISTINCT FROM OLD.role THEN
+        PERFORM record_audit('enrollment.update', 'user', NEW.user_id::TEXT, NEW.module_id,
+            jsonb_build_object('module_id', OLD.module_id, 'role', OLD.role),
+            jsonb_build_object('module_id', NEW.module_id, 'role', NEW.role),
+            jsonb_build_object('changed', NEW.module_id));
+    END IF;
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS audit_enrollments ON enrollments;
+CREATE TRIGGER audit_enrollments AFTER INSERT OR UPDATE OF role OR DELETE ON enrollments
+    FOR EACH ROW EXECUTE FUNCTION audit_enrollment_change();
+
+CREATE OR REPLACE FUNCTION audit_invite_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        PERFORM record_audit('invite.create', 'invite', NEW.id::TEXT, NEW.module_id, NULL, to_jsonb(NEW));
+    ELSIF OLD.revoked_at IS NULL AND NEW.revoked_at IS NOT NULL THEN
+        PERFORM record_audit('invite.revoke', 'invite', NEW.id::TEXT, NEW.module_id, to_jsonb(OLD), to_jsonb(NEW));
+    END IF;
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS audit_module_invites ON module_invites;
+CREATE TRIGGER audit_module_invites AFTER INSERT OR UPDATE OF revoked_at ON module_invites
+    FOR EACH ROW EXECUTE FUNCTION audit_invite_change();
+
+-- Snapshot a module before the delete cascades to its weeks and enrollments
+CREATE OR REPLACE FUNCTION audit_module_delete()
+RETURNS TRIGGER AS $$
+BEGIN
+    PERFORM record_audit('module.delete', 'module', OLD.id::TEXT, OLD.id, to_jsonb(OLD) || jsonb_build_object(
+        'weeks', (
+            SELECT jsonb_agg(jsonb_build_object('id', id, 'week_number', week_number, 'title', title) ORDER BY week_number)
+            FROM public.weeks WHERE module_id = OLD.id
+        ),
+        'enrollments', (SELECT COUNT(*) FROM public.enrollments WHERE module_id = OLD.id)
+    ));
+
+    RETURN OLD;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS audit_modules ON modules;
+CREATE TRIGGER audit_modules BEFORE DELETE ON modules
+    FOR EACH ROW EXECUTE FUNCTION audit_module_delete();
+
+-- Snapshot a week (and its pages) before it's deleted, unless its whole module is going
+CREATE OR REPLACE FUNCTION audit_week_delete()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM public.modules WHERE id = OLD.module_id) THEN
+        PERFORM record_audit('week.delete', 'week', OLD.id::TEXT, OLD.module_id, to_jsonb(OLD) || jsonb_build_object(
+            'pages', (
+                SELECT jsonb_agg(jsonb_build_object('id', id, 'page_number', page_number, 'title', title, 'type', type) ORDER BY page_number)
+                FROM public.pages WHERE week_id = OLD.id
+            )
+        ), NULL, jsonb_build_object('weekNumber', OLD.week_number));
+    END IF;
+
+    RETURN OLD;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS audit_weeks ON weeks;
+CREATE TRIGGER audit_weeks BEFORE DELETE ON weeks
+    FOR EACH ROW EXECUTE FUNCTION audit_week_delete();
+
+-- Internal: only the triggers and functions here may write entries
+REVOKE EXECUTE ON FUNCTION record_audit(TEXT, TEXT, TEXT, BIGINT, JSONB, JSONB, JSONB) FROM PUBLIC, anon, authenticated;
+
+-- Move the entry id sequence past the highest id, after scripts/restore-db.js
+-- puts entries back with their original ids. Returns the highest id.
+CREATE OR REPLACE FUNCTION sync_audit_log_sequence()
+RETURNS BIGINT AS $$
+    SELECT setval(pg_get_serial_sequence('public.audit_log', 'id'), GREATEST(MAX(id), 1), MAX(id) IS NOT NULL)
+    FROM public.audit_log;
+$$ LANGUAGE sql SECURITY DEFINER;
+
+-- Restore-only (service role)
+REVOKE EXECUTE ON FUNCTION sync_audit_log_sequence() FROM PUBLIC, anon, authenticated;
+
+-- Sync template content into an active module (as in add-question-keys.sql),
+-- recording the sync. Runs as definer so it can write the entry; only admins
+-- get past its first check.
+CREATE OR REPLACE FUNCTION sync_template_to_module(
+    p_template_id BIGINT,
+    p_active_module_id BIGINT,
+    p_week_numbers INT[] DEFAULT NULL,
+    p_include_module_info BOOLEAN DEFAULT TRUE,
+    p_protect_answered BOOLEAN DEFAULT FALSE
+)
+RETURNS INT[] AS $$
+DECLARE
+    v_template modules;
+    v_active modules;
+    t_week RECORD;
+    t_page RECORD;
+    v_week_id BIGINT;
+    v_page_id BIGINT;
+    v_template_count INT;
+    v_synced INT[] := '{}';
+BEGIN
+    IF NOT is_admin() THEN
+        RAISE EXCEPTION 'Only admins can sync modules' USING ERRCODE = '42501';
+    END IF;
+
+    SELECT * INTO v_template FROM modules WHERE id = p_template_id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Template not found' USING ERRCODE = 'P0002';
+    END IF;
+    IF v_template.status <> 'draft' THEN
+        RAISE EXCEPTION 'Source must be a template (draft module)' USING ERRCODE = '22023';
+    END IF;
+
+    -- Lock the active module so two syncs can't interleave
+    SELECT * INTO v_active FROM modules WHERE id = p_active_module_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Active module not found' USING ERRCODE = 'P0002';
+    END IF;
+    IF v_active.status <> 'launched' THEN
+        RAISE EXCEPTION 'Target must be a launched module' USING ERRCODE = '22023';
+    END IF;
+
+    IF p_include_module_info THEN
+        -- Module info (status, launched_at and template_id are preserved)
+        UPDATE modules SET
+            title = v_template.title,
+            description = v_template.description,
+            instructor = v_template.instructor,
+            duration = v_template.duration,
+            participation = v_template.participation,
+            time_expectations = v_template.time_expectations
+        WHERE id = p_active_module_id;
+
+        INSERT INTO module_zoom_info (module_id, url, meeting_id, passcode, day, time, timezone)
+        SELECT p_active_module_id, url, meeting_id, passcode, day, time, timezone
+        FROM module_zoom_info WHERE module_id = p_template_id
+        ON CONFLICT (module_id) DO UPDATE SET
+            url = EXCLUDED.url,
+            meeting_id = EXCLUDED.meeting_id,
+            passcode = EXCLUDED.passcode,
+            day = EXCLUDED.day,
+            time = EXCLUDED.time,
+            timezone = EXCLUDED.timezone;
+    END IF;
+
+    FOR t_week IN
+        SELECT * FROM weeks
+        WHERE module_id = p_template_id
+        AND (p_week_numbers IS NULL OR week_number = ANY(p_week_numbers))
+        ORDER BY week_number
+    LOOP
+        SELECT id INTO v_week_id FROM weeks
+        WHERE module_id = p_active_module_id AND week_number = t_week.week_number
+        ORDER BY id LIMIT 1;
+
+        IF v_week_id IS NULL THEN
+            -- New week in the template - copy it whole
+            INSERT INTO weeks (module_id, week_number, title, description, unlock_date)
+            VALUES (p_active_module_id, t_week.week_number, t_week.title, t_week.description, t_week.unlock_date)
+            RETURNING id INTO v_week_id;
+
+            PERFORM copy_week_pages(t_week.id, v_week_id);
+        ELSE
+            UPDATE weeks SET
+                title = t_week.title,
+                description = t_week.description,
+                unlock_date = t_week.unlock_date
+            WHERE id = v_week_id;
+
+            FOR t_page IN SELECT * FROM pages WHERE week_id = t_week.id ORDER BY page_number LOOP
+                SELECT id INTO v_page_id FROM pages
+                WHERE week_id = v_week_id AND page_number = t_page.page_number;
+
+                IF v_page_id IS NULL THEN
+                    INSERT INTO pages (week_id, page_number, title, type, content)
+                    VALUES (v_week_id, t_page.page_number, t_page.title, t_page.type, t_page.content)
+                    RETURNING id INTO v_page_id;
+                ELSE
+                    UPDATE pages SET
+                        title = t_page.title,
+                        type = t_page.type,
+                        content = t_page.content
+                    WHERE id = v_page_id;
+
+                    -- Resources and videos have nothing attached to them - replace wholesale
+                    DELETE FROM resources WHERE page_id = v_page_id;
+                    DELETE FROM videos WHERE page_id = v_page_id;
+
+                    -- Move and reword existing questions in place, matched by key
+                    UPDATE questions aq SET
+                        question_number = tq.question_number,
+                        text = CASE
+                            WHEN p_protect_answered AND EXISTS (
+                                SELECT 1 FROM discussion_posts dp WHERE dp.question_id = aq.id
+                            ) THEN aq.text
+                            ELSE tq.text
+                        END
+                    FROM questions tq
+                    WHERE tq.page_id = t_page.id
+                    AND aq.page_id = v_page_id
+                    AND aq.question_key = tq.question_key;
+
+                    -- Questions dropped from the template may have discussions - keep them,
+                    -- numbered after the template's questions so positions don't collide
+                    SELECT COUNT(*) INTO v_template_count FROM questions WHERE page_id = t_page.id;
+
+                    UPDATE questions aq SET question_number = v_template_count + orphan.rn
+                    FROM (
+                        SELECT q.id, ROW_NUMBER() OVER (ORDER BY q.question_number, q.id) AS rn
+                        FROM questions q
+                        WHERE q.page_id = v_page_id
+                        AND NOT EXISTS (
+                            SELECT 1 FROM questions tq
+                            WHERE tq.page_id = t_page.id AND tq.question_key = q.question_key
+                        )
+                    ) orphan
+                    WHERE aq.id = orphan.id;
+                END IF;
+
+                INSERT INTO questions (page_id, question_number, text, question_key)
+                SELECT v_page_id, tq.question_number, tq.text, tq.question_key
+                FROM questions tq
+                WHERE tq.page_id = t_page.id
+                AND NOT EXISTS (
+                    SELECT 1 FROM questions aq
+                    WHERE aq.page_id = v_page_id AND aq.question_key = tq.question_key
+                );
+
+                INSERT INTO resources (page_id, title, url, description, sort_order)
+                SELECT v_page_id, title, url, description, sort_order FROM resources WHERE page_id = t_page.id;
+
+                INSERT INTO videos (page_id, title, url, description, duration, sort_order)
+                SELECT v_page_id, title, url, description, duration, sort_order FROM videos WHERE page_id = t_page.id;
+            END LOOP;
+        END IF;
+
+        v_synced := array_append(v_synced, t_week.week_number);
+    END LOOP;
+
+    PERFORM record_audit('module.sync', 'module', p_active_module_id::TEXT, p_active_module_id, NULL,
+        jsonb_build_object('weeks', v_synced),
+        jsonb_build_object(
+            'templateId', p_template_id,
+            'weeks', p_week_numbers,
+            'includeModuleInfo', p_include_module_info,
+            'protectAnsweredQuestions', p_protect_answered
+        ));
+
+    RETURN v_synced;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Import a CSV roster (as in add-roster-invites.sql), recording a summary of
+-- the import next to the per-enrollment entries. Runs as definer so it can write
+-- the entry; only admins get past its first check.
+CREATE OR REPLACE FUNCTION import_roster(p_rows JSONB, p_remove_missing BOOLEAN DEFAULT FALSE)
+RETURNS JSONB AS $$
+DECLARE
+    v_row RECORD;
+    v_user users;
+    v_existing_role TEXT;
+    v_can_enroll BOOLEAN;
+    v_enrolled INT := 0;
+    v_updated INT := 0;
+    v_unchanged INT := 0;
+    v_approved INT := 0;
+    v_rostered INT := 0;
+    v_removed INT := 0;
+    v_summary JSONB;
+BEGIN
+    IF NOT is_admin() THEN
+        RAISE EXCEPTION 'Only admins can import rosters' USING ERRCODE = '42501';
+    END IF;
+
+    FOR v_row IN
+        SELECT
+            lower(trim(r->>'email')) AS email,
+            NULLIF(trim(r->>'name'), '') AS name,
+            (r->>'moduleId')::BIGINT AS module_id,
+            COALESCE(NULLIF(r->>'role', ''), 'student') AS role
+        FROM jsonb_array_elements(p_rows) AS r
+    LOOP
+        IF NOT EXISTS (SELECT 1 FROM modules WHERE id = v_row.module_id) THEN
+            RAISE EXCEPTION 'Module % not found', v_row.module_id USING ERRCODE = 'P0002';
+        END IF;
+
+        SELECT * INTO v_user FROM users WHERE lower(email) = v_row.email;
+
+        -- A pending account only takes its roster place once its address is
+        -- confirmed, as at signup; until then it gets a roster entry like an
+        -- unknown email, claimed by handle_user_email_confirmed
+        v_can_enroll := FOUND AND (v_user.status <> 'pending' OR EXISTS (
+            SELECT 1 FROM auth.users WHERE id = v_user.id AND email_confirmed_at IS NOT NULL
+        ));
+
+        IF v_can_enroll THEN
+            SELECT role INTO v_existing_role FROM enrollments
+            WHERE user_id = v_user.id AND module_id = v_row.module_id;
+
+            IF NOT FOUND THEN
+                INSERT INTO enrollments (user_id, module_id, role)
+                VALUES (v_user.id, v_row.module_id, v_row.role);
+                v_enrolled := v_enrolled + 1;
+            ELSIF v_existing_role <> v_row.role THEN
+                UPDATE enrollments SET role = v_row.role
+                WHERE user_id = v_user.id AND module_id = v_row.module_id;
+                v_updated := v_updated + 1;
+            ELSE
+                v_unchanged := v_unchanged + 1;
+            END IF;
+
+            -- Being on the roster is the approval
+            IF v_user.status = 'pending' THEN
+                UPDATE users SET status = 'active' WHERE id = v_user.id;
+                v_approved := v_approved + 1;
+            END IF;
+        ELSE
+            INSERT INTO roster_entries (email, name, module_id, role, created_by)
+            VALUES (v_row.email, v_row.name, v_row.module_id, v_row.role, auth.uid())
+            ON CONFLICT (email, module_id) DO UPDATE
+                SET name = COALESCE(EXCLUDED.name, roster_entries.name), role = EXCLUDED.role;
+            v_rostered := v_rostered + 1;
+        END IF;
+    END LOOP;
+
+    IF p_remove_missing THEN
+        -- Staff enrollments are managed by hand, so only students are removed
+        DELETE FROM enrollments e
+        USING users u
+        WHERE u.id = e.user_id
+        AND e.role = 'student'
+        AND e.module_id IN (SELECT (r->>'moduleId')::BIGINT FROM jsonb_array_elements(p_rows) AS r)
+        AND NOT EXISTS (
+            SELECT 1 FROM jsonb_array_elements(p_rows) AS r
+            WHERE (r->>'moduleId')::BIGINT = e.module_id
+            AND lower(trim(r->>'email')) = lower(u.email)
+        );
+        GET DIAGNOSTICS v_removed = ROW_COUNT;
+
+        DELETE FROM roster_entries re
+        WHERE re.module_id IN (SELECT (r->>'moduleId')::BIGINT FROM jsonb_array_elements(p_rows) AS r)
+        AND NOT EXISTS (
+            SELECT 1 FROM jsonb_array_elements(p_rows) AS r
+            WHERE (r->>'moduleId')::BIGINT = re.module_id
+            AND lower(trim(r->>'email')) = re.email
+        );
+    END IF;
+
+    v_summary := jsonb_build_object(
+        'enrolled', v_enrolled,
+        'updated', v_updated,
+        'unchanged', v_unchanged,
+        'approved', v_approved,
+        'rostered', v_rostered,
+        'removed', v_removed
+    );
+
+    PERFORM record_audit('roster.import', 'roster', NULL, NULL, NULL, v_summary, jsonb_build_object(
+        'rows', jsonb_array_length(p_rows),
+        'removeMissing', p_remove_missing,
+        'moduleIds', (SELECT jsonb_agg(DISTINCT (r->>'moduleId')::BIGINT) FROM jsonb_array_elements(p_rows) AS r)
+    ));
+
+    RETURN v_summary;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+ALTER TABLE audit_log ENABLE ROW LEVEL SECURITY;
+
+-- Only admins can read the audit log. There are no INSERT, UPDATE or DELETE
+-- policies: entries are written by record_audit and never changed.
+DROP POLICY IF EXISTS "Admins view audit log" ON audit_log;
+CREATE POLICY "Admins view audit log" ON audit_log
+    FOR SELECT USING (is_admin());
@@ -0,0 +1,62 @@
+-- Add unread tracking for discussions
+-- Run this in Supabase SQL Editor, after add-post-revisions.sql
+--
+-- Records when each user last opened each question's discussion, so module
+-- overview and the week viewer can show how many posts are new since then.
+
+-- Discussion Reads table (when each user last opened each question's discussion)
+CREATE TABLE IF NOT EXISTS discussion_reads (
+    id BIGSERIAL PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    question_id BIGINT NOT NULL REFERENCES questions(id) ON DELETE CASCADE,
+    last_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE(user_id, question_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_discussion_reads_question_id ON discussion_reads(question_id);
+
+-- Stamp last_seen_at with the database's clock, which also stamps posts'
+-- created_at: a browser clock running ahead would skip posts made in between.
+-- Writes without a user (service role: restores) keep the time they give.
+CREATE OR REPLACE FUNCTION stamp_discussion_read()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF auth.uid() IS NOT NULL THEN
+        NEW.last_seen_at := NOW();
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS stamp_discussion_reads ON discussion_reads;
+CREATE TRIGGER stamp_discussion_reads BEFORE INSERT OR UPDATE ON discussion_reads
+    FOR EACH ROW EXECUTE FUNCTION stamp_discussion_read();
+
+ALTER TABLE discussion_reads ENABLE ROW LEVEL SECURITY;
+
+-- Users track their own read state
+DROP POLICY IF EXISTS "Users manage own read state" ON discussion_reads;
+CREATE POLICY "Users manage own read state" ON discussion_reads
+    FOR ALL USING (user_id = auth.uid())
+    WITH CHECK (user_id = auth.uid());
+
+-- Unread discussion posts per question in a module for the signed-in user:
+-- other people's posts since the user last opened the question (all of them if
+-- they never have). Runs with the caller's rights, so posts RLS hides from them
+-- aren't counted.
+CREATE OR REPLACE FUNCTION get_unread_counts(p_module_id BIGINT)
+RETURNS TABLE (week_number INT, question_key UUID, unread BIGINT) AS $$
+    SELECT w.week_number, q.question_key, COUNT(dp.id)
+    FROM weeks w
+    JOIN pages p ON p.week_id = w.id
+    JOIN questions q ON q.page_id = p.id
+    JOIN discussion_posts dp ON dp.question_id = q.id
+    LEFT JOIN discussion_reads r ON r.question_id = q.id AND r.user_id = auth.uid()
+    WHERE w.module_id = p_module_id
+    AND dp.user_id <> auth.uid()
+    AND dp.is_deleted IS NOT TRUE
+    AND dp.created_at > COALESCE(r.last_seen_at, '-infinity'::TIMESTAMPTZ)
+    GROUP BY w.week_number, q.question_key;
+$$ LANGUAGE sql STABLE;
+
+GRANT EXECUTE ON FUNCTION get_unread_counts(BIGINT) TO authenticated;
@@ -0,0 +1,92 @@
+-- Add discussion search
+-- Run this in Supabase SQL Editor, after add-mentions.sql
+--
+-- Full-text search over a module's discussion posts and page content
+-- (searchDiscussions() in the data service, discussion-search.html).
+
+-- Full-text search of post text (tags stripped); must match the expression in search_discussions()
+CREATE INDEX IF NOT EXISTS idx_discussion_posts_search ON discussion_posts
+    USING GIN (to_tsvector('english', regexp_replace(content, '<[^>]*>', ' ', 'g')));
+
+-- Full-text search over a module's discussion posts and its pages (title,
+-- content and discussion questions), for searchDiscussions(). p_query uses
+-- web-search syntax: words, "quoted phrases", OR, -word. Runs with the
+-- caller's rights, so only what RLS lets them read is found; students don't
+-- find weeks that haven't unlocked yet either. Snippets mark matches with
+-- chr(2) ... chr(3), which the client turns into highlights after escaping.
+CREATE OR REPLACE FUNCTION search_discussions(
+    p_module_id BIGINT,
+    p_query TEXT,
+    p_week_number INT DEFAULT NULL,
+    p_author_id UUID DEFAULT NULL,
+    p_limit INT DEFAULT 50
+)
+RETURNS TABLE (
+    kind TEXT,
+    post_id BIGINT,
+    parent_id BIGINT,
+    author_id UUID,
+    author_name TEXT,
+    week_number INT,
+    week_title TEXT,
+    page_number INT,
+    page_title TEXT,
+    question_key UUID,
+    snippet TEXT,
+    rank REAL,
+    created_at TIMESTAMPTZ
+) AS $$
+    WITH search AS (
+        SELECT websearch_to_tsquery('english', p_query) AS q
+    ),
+    visible_pages AS NOT MATERIALIZED (
+        SELECT p.id, p.page_number, p.title, p.content, w.week_number, w.title AS week_title
+        FROM weeks w
+        JOIN pages p ON p.week_id = w.id
+        WHERE w.module_id = p_module_id
+        AND (p_week_number IS NULL OR w.week_number = p_week_number)
+        AND (w.unlock_date IS NULL OR w.unlock_date <= CURRENT_DATE OR can_edit_module(p_module_id))
+    ),
+    hits AS (
+        SELECT 'post'::TEXT AS kind, dp.id AS post_id, dp.parent_id, dp.user_id AS author_id,
+            vp.week_number, vp.week_title, vp.page_number, vp.title AS page_title, q.question_key,
+            regexp_replace(dp.content, '<[^>]*>', ' ', 'g') AS body,
+            ts_rank(to_tsvector('english', regexp_replace(dp.content, '<[^>]*>', ' ', 'g')), search.q) AS rank,
+            dp.created_at
+        FROM visible_pages vp
+        JOIN questions q ON q.page_id = vp.id
+        JOIN discussion_posts dp ON dp.question_id = q.id
+        CROSS JOIN search
+        WHERE dp.is_deleted IS NOT TRUE
+        AND (p_author_id IS NULL OR dp.user_id = p_author_id)
+        AND to_tsvector('english', regexp_replace(dp.content, '<[^>]*>', ' ', 'g')) @@ search.q
+
+        UNION ALL
+
+        SELECT 'page', NULL, NULL, NULL,
+            vp.week_number, vp.week_title, vp.page_number, vp.title, NULL,
+            doc.body,
+            ts_rank(to_tsvector('english', doc.body), search.q),
+            NULL
+        FROM visible_pages vp
+        CROSS JOIN search
+        CROSS JOIN LATERAL (
+            SELECT vp.title || ' ' || regexp_replace(COALESCE(vp.content, ''), '<[^>]*>', ' ', 'g') || ' ' ||
+                COALESCE((SELECT string_agg(q.text, ' ' ORDER BY q.question_number) FROM questions q WHERE q.page_id = vp.id), '') AS body
+        ) doc
+        WHERE p_author_id IS NULL
+        AND to_tsvector('english', doc.body) @@ search.q
+    )
+    SELECT h.kind, h.post_id, h.parent_id, h.author_id, COALESCE(NULLIF(u.name, ''), u.email),
+        h.week_number, h.week_title, h.page_number, h.page_title, h.question_key,
+        ts_headline('english', h.body, search.q,
+            'StartSel=' || chr(2) || ', StopSel=' || chr(3) || ', MaxFragments=2, MinWords=8, MaxWords=25, FragmentDelimiter=" ... "'),
+        h.rank, h.created_at
+    FROM hits h
+    CROSS JOIN search
+    LEFT JOIN users u ON u.id = h.author_id
+    ORDER BY h.rank DESC, h.created_at DESC NULLS LAST
+    LIMIT LEAST(GREATEST(p_limit, 1), 200);
+$$ LANGUAGE sql STABLE;
+
+GRANT EXECUTE ON FUNCTION search_discussions(BIGINT, TEXT, INT, UUID, INT) TO authenticated;
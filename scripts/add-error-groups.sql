@@ -0,0 +1,132 @@
+-- Add error grouping
+-- Run this in Supabase SQL Editor, after add-discussion-search.sql
+--
+-- ErrorHandler now sends a fingerprint (error type, normalized message and top
+-- stack frames) with each error, and a trigger counts every logged error into
+-- an error_groups row for admin-errors.html: occurrences, affected users,
+-- first/last seen, and an unresolved/resolved/ignored/regressed status.
+
+CREATE TABLE IF NOT EXISTS error_groups (
+    id BIGSERIAL PRIMARY KEY,
+    fingerprint TEXT NOT NULL UNIQUE,
+    error_type TEXT NOT NULL,
+    title TEXT NOT NULL,
+    culprit TEXT,
+    -- A new occurrence of a resolved group marks it regressed; ignored groups stay ignored
+    status TEXT NOT NULL DEFAULT 'unresolved' CHECK (status IN ('unresolved', 'resolved', 'ignored', 'regressed')),
+    occurrences BIGINT NOT NULL DEFAULT 0,
+    affected_users INT NOT NULL DEFAULT 0,
+    first_seen TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_seen TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    status_changed_at TIMESTAMPTZ,
+    status_changed_by UUID REFERENCES users(id) ON DELETE SET NULL
+);
+
+ALTER TABLE error_logs ADD COLUMN IF NOT EXISTS fingerprint TEXT;
+ALTER TABLE error_logs ADD COLUMN IF NOT EXISTS culprit TEXT;
+ALTER TABLE error_logs ADD COLUMN IF NOT EXISTS occurrences INT NOT NULL DEFAULT 1 CHECK (occurrences > 0);
+ALTER TABLE error_logs ADD COLUMN IF NOT EXISTS group_id BIGINT REFERENCES error_groups(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_error_logs_group_id ON error_logs(group_id, timestamp DESC);
+CREATE INDEX IF NOT EXISTS idx_error_logs_fingerprint_user ON error_logs(fingerprint, user_id);
+CREATE INDEX IF NOT EXISTS idx_error_groups_last_seen ON error_groups(last_seen DESC);
+
+-- Group the errors already logged by type and message (the fallback fingerprint)
+UPDATE error_logs
+SET fingerprint = md5(error_type || ':' || error_message)
+WHERE fingerprint IS NULL;
+
+INSERT INTO error_groups (fingerprint, error_type, title, occurrences, affected_users, first_seen, last_seen)
+SELECT fingerprint, MIN(error_type), left(MIN(error_message), 500), COUNT(*), COUNT(DISTINCT user_id),
+    MIN(COALESCE(timestamp, NOW())), MAX(COALESCE(timestamp, NOW()))
+FROM error_logs
+WHERE group_id IS NULL
+GROUP BY fingerprint
+ON CONFLICT (fingerprint) DO NOTHING;
+
+UPDATE error_logs e
+SET group_id = g.id
+FROM error_groups g
+WHERE e.group_id IS NULL AND g.fingerprint = e.fingerprint;
+
+-- Count each logged error into its group, creating the group the first time a
+-- fingerprint is seen (rows without one are grouped by type and message).
+-- Users are counted on their first occurrence in the group. Runs as definer:
+-- anyone can log errors, but only admins can read or change groups.
+-- Since anyone can log errors, breadcrumbs are also cut down here to the shape
+-- js/error-handler.js records (the last 100, text fields, numeric duration).
+CREATE OR REPLACE FUNCTION group_error_log()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_new_user BOOLEAN;
+BEGIN
+    NEW.fingerprint = COALESCE(NULLIF(NEW.fingerprint, ''), md5(NEW.error_type || ':' || NEW.error_message));
+
+    IF jsonb_typeof(NEW.additional_context) = 'object' AND NEW.additional_context ? 'breadcrumbs' THEN
+        NEW.additional_context = jsonb_set(NEW.additional_context, '{breadcrumbs}', COALESCE((
+            SELECT jsonb_agg(crumb ORDER BY n)
+            FROM (
+                SELECT n, jsonb_strip_nulls(jsonb_build_object(
+                    'timestamp', c->>'timestamp',
+                    'category', c->>'category',
+                    'message', left(c->>'message', 200),
+                    'data', NULLIF(jsonb_strip_nulls(jsonb_build_object(
+                        'duration', CASE WHEN jsonb_typeof(c->'data'->'duration') = 'number' THEN c->'data'->'duration' END,
+                        'status', CASE WHEN jsonb_typeof(c->'data'->'status') = 'string' THEN c->'data'->'status' END,
+                        'from', CASE WHEN jsonb_typeof(c->'data'->'from') = 'string' THEN c->'data'->'from' END
+                    )), '{}'::jsonb)
+                )) AS crumb
+                FROM jsonb_array_elements(
+                    CASE WHEN jsonb_typeof(NEW.additional_context->'breadcrumbs') = 'array'
+                        THEN NEW.additional_context->'breadcrumbs' ELSE '[]'::jsonb END
+                ) WITH ORDINALITY AS b(c, n)
+                WHERE jsonb_typeof(c) = 'object'
+                    AND jsonb_typeof(c->'timestamp') = 'string'
+                    AND jsonb_typeof(c->'category') = 'string'
+                    AND jsonb_typeof(c->'message') = 'string'
+                ORDER BY n DESC
+                LIMIT 100
+            ) kept
+        ), '[]'::jsonb));
+    END IF;
+
+    v_new_user = NEW.user_id IS NOT NULL AND NOT EXISTS (
+        SELECT 1 FROM error_logs WHERE fingerprint = NEW.fingerprint AND user_id = NEW.user_id
+    );
+
+    INSERT INTO error_groups (fingerprint, error_type, title, culprit, occurrences, affected_users)
+    VALUES (
+        NEW.fingerprint, NEW.error_type, left(NEW.error_message, 500), NEW.culprit,
+        NEW.occurrences, CASE WHEN v_new_user THEN 1 ELSE 0 END
+    )
+    ON CONFLICT (fingerprint) DO UPDATE SET
+        occurrences = error_groups.occurrences + EXCLUDED.occurrences,
+        affected_users = error_groups.affected_users + EXCLUDED.affected_users,
+        culprit = COALESCE(error_groups.culprit, EXCLUDED.culprit),
+        last_seen = NOW(),
+        status = CASE WHEN error_groups.status = 'resolved' THEN 'regressed' ELSE error_groups.status END
+    RETURNING id INTO NEW.group_id;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS group_error_logs ON error_logs;
+CREATE TRIGGER group_error_logs BEFORE INSERT ON error_logs
+    FOR EACH ROW EXECUTE FUNCTION group_error_log();
+
+ALTER TABLE error_groups ENABLE ROW LEVEL SECURITY;
+
+-- Admins view, resolve, ignore and delete error groups (group_error_log() creates them)
+DROP POLICY IF EXISTS "Admins view error groups" ON error_groups;
+CREATE POLICY "Admins view error groups" ON error_groups
+    FOR SELECT USING (is_admin());
+
+DROP POLICY IF EXISTS "Admins update error groups" ON error_groups;
+CREATE POLICY "Admins update error groups" ON error_groups
+    FOR UPDATE USING (is_admin())
+    WITH CHECK (is_admin());
+
+DROP POLICY IF EXISTS "Admins delete error groups" ON error_groups;
+CREATE POLICY "Admins delete error groups" ON error_groups
+    FOR DELETE USING (is_admin());
@@ -0,0 +1,81 @@
+-- Launch with a shifted schedule, and clone archived cohorts
+-- Run this in Supabase SQL Editor, after add-question-keys.sql
+
+-- The new optional p_unlock_dates argument changes the signature, so drop the old overload
+DROP FUNCTION IF EXISTS launch_module(BIGINT, UUID);
+
+-- Launch a new active module, copying weeks, pages and zoom info (never discussions or progress).
+-- The source is a template (draft), or an archived cohort being cloned for a new term;
+-- a clone stays linked to the archived cohort's template so template sync keeps working.
+-- p_unlock_dates ({ "<week_number>": "YYYY-MM-DD" }) overrides the source's unlock dates,
+-- e.g. a schedule shifted to a new start date.
+-- Calls with the same p_launch_key return the module from the first call.
+CREATE OR REPLACE FUNCTION launch_module(p_source_module_id BIGINT, p_launch_key UUID, p_unlock_dates JSONB DEFAULT NULL)
+RETURNS modules AS $$
+DECLARE
+    v_source modules;
+    v_module modules;
+    v_week RECORD;
+    v_week_id BIGINT;
+BEGIN
+    IF NOT is_admin() THEN
+        RAISE EXCEPTION 'Only admins can launch modules' USING ERRCODE = '42501';
+    END IF;
+
+    -- Concurrent calls with the same key wait here, then see the first call's module
+    PERFORM pg_advisory_xact_lock(hashtext(p_launch_key::TEXT));
+
+    SELECT * INTO v_module FROM modules WHERE launch_key = p_launch_key;
+    IF FOUND THEN
+        RETURN v_module;
+    END IF;
+
+    SELECT * INTO v_source FROM modules WHERE id = p_source_module_id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Module to launch not found' USING ERRCODE = 'P0002';
+    END IF;
+
+    IF v_source.status = 'launched' THEN
+        RAISE EXCEPTION 'Only templates and archived modules can be launched' USING ERRCODE = '22023';
+    END IF;
+
+    IF EXISTS (
+        SELECT 1 FROM weeks
+        WHERE module_id = p_source_module_id
+        AND unlock_date IS NULL
+        AND p_unlock_dates->>(week_number::TEXT) IS NULL
+    ) THEN
+        RAISE EXCEPTION 'All weeks must have unlock dates before launching' USING ERRCODE = '22023';
+    END IF;
+
+    INSERT INTO modules (title, description, instructor, duration, participation, time_expectations,
+                         status, template_id, launched_at, launch_key)
+    VALUES (v_source.title, v_source.description, v_source.instructor, v_source.duration,
+            v_source.participation, v_source.time_expectations,
+            'launched',
+            CASE WHEN v_source.status = 'draft' THEN v_source.id ELSE v_source.template_id END,
+            NOW(), p_launch_key)
+    RETURNING * INTO v_module;
+
+    -- Keep the source's week numbers so sync can match weeks by number
+    FOR v_week IN SELECT * FROM weeks WHERE module_id = p_source_module_id ORDER BY week_number LOOP
+        INSERT INTO weeks (module_id, week_number, title, description, unlock_date)
+        VALUES (
+            v_module.id, v_week.week_number, v_week.title, v_week.description,
+            COALESCE((p_unlock_dates->>(v_week.week_number::TEXT))::DATE, v_week.unlock_date)
+        )
+        RETURNING id INTO v_week_id;
+
+        PERFORM copy_week_pages(v_week.id, v_week_id);
+    END LOOP;
+
+    INSERT INTO module_zoom_info (module_id, url, meeting_id, passcode, day, time, timezone)
+    SELECT v_module.id, url, meeting_id, passcode, day, time, timezone
+    FROM module_zoom_info
+    WHERE module_id = p_source_module_id AND (url IS NOT NULL OR meeting_id IS NOT NULL);
+
+    RETURN v_module;
+END;
+$$ LANGUAGE plpgsql;
+
+GRANT EXECUTE ON FUNCTION launch_module(BIGINT, UUID, JSONB) TO authenticated;
@@ -0,0 +1,114 @@
+-- Add @mentions in discussion posts
+-- Run this in Supabase SQL Editor, after add-notifications.sql
+--
+-- Mentions are stored in post content as <span data-mention="user id">@Name</span>.
+-- A trigger records who each post mentions in post_mentions (for the "mentions of
+-- me" list) and queues a 'mention' notification for each newly mentioned user.
+
+-- Post Mentions table (users @mentioned in a post, kept in step with its content by record_post_mentions())
+CREATE TABLE IF NOT EXISTS post_mentions (
+    id BIGSERIAL PRIMARY KEY,
+    post_id BIGINT NOT NULL REFERENCES discussion_posts(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    mentioned_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(post_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_post_mentions_user_id ON post_mentions(user_id, created_at DESC);
+
+ALTER TABLE post_mentions ENABLE ROW LEVEL SECURITY;
+
+-- Keep post_mentions in step with the @mentions in a post's content
+-- (<span data-mention="user id">, written by RichText.getMentionContent) and
+-- notify people newly mentioned. Only the module's enrollees can be mentioned;
+-- deleted posts mention no one.
+CREATE OR REPLACE FUNCTION record_post_mentions()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_module_id BIGINT;
+    v_week_id BIGINT;
+    v_mentioned UUID[];
+BEGIN
+    IF TG_OP = 'UPDATE'
+        AND NEW.content IS NOT DISTINCT FROM OLD.content
+        AND NEW.is_deleted IS NOT DISTINCT FROM OLD.is_deleted THEN
+        RETURN NEW;
+    END IF;
+
+    SELECT w.module_id, w.id INTO v_module_id, v_week_id
+    FROM questions q
+    JOIN pages p ON p.id = q.page_id
+    JOIN weeks w ON w.id = p.week_id
+    WHERE q.id = NEW.question_id;
+
+    SELECT COALESCE(array_agg(DISTINCT lower(m[1])::UUID), '{}')
+    INTO v_mentioned
+    FROM regexp_matches(
+        CASE WHEN NEW.is_deleted THEN '' ELSE NEW.content END,
+        'data-mention="([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})"',
+        'gi'
+    ) AS m;
+
+    DELETE FROM post_mentions
+    WHERE post_id = NEW.id
+    AND NOT (user_id = ANY(v_mentioned));
+
+    WITH added AS (
+        INSERT INTO post_mentions (post_id, user_id, mentioned_by)
+        SELECT NEW.id, e.user_id, NEW.user_id
+        FROM enrollments e
+        WHERE e.module_id = v_module_id
+        AND e.user_id = ANY(v_mentioned)
+        AND e.user_id <> NEW.user_id
+        ON CONFLICT (post_id, user_id) DO NOTHING
+        RETURNING user_id
+    )
+    INSERT INTO notifications (user_id, type, module_id, week_id, post_id, actor_id)
+    SELECT a.user_id, 'mention', v_module_id, v_week_id, NEW.id, NEW.user_id
+    FROM added a
+    -- Restores and imports (no signed-in user) record mentions without notifying
+    WHERE auth.uid() IS NOT NULL
+    AND wants_notification(a.user_id, 'mention')
+    -- Already notified about this post, e.g. it's a reply to their own post
+    -- (queue_discussion_post_notifications fires first: triggers run in name order)
+    AND NOT EXISTS (
+        SELECT 1 FROM notifications n
+        WHERE n.user_id = a.user_id AND n.post_id = NEW.id
+    );
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS record_discussion_post_mentions ON discussion_posts;
+CREATE TRIGGER record_discussion_post_mentions AFTER INSERT OR UPDATE ON discussion_posts
+    FOR EACH ROW EXECUTE FUNCTION record_post_mentions();
+
+-- People the signed-in user can @mention in a module's discussions: its other
+-- active enrollees. Runs as definer because students can't read each other's
+-- enrollments.
+CREATE OR REPLACE FUNCTION get_mention_candidates(p_module_id BIGINT)
+RETURNS TABLE (id UUID, name TEXT, role TEXT) AS $$
+    SELECT u.id, COALESCE(NULLIF(u.name, ''), u.email), e.role
+    FROM enrollments e
+    JOIN users u ON u.id = e.user_id
+    WHERE e.module_id = p_module_id
+    AND u.status = 'active'
+    AND u.id <> auth.uid()
+    AND (is_admin() OR is_enrolled(p_module_id))
+    ORDER BY 2;
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+GRANT EXECUTE ON FUNCTION get_mention_candidates(BIGINT) TO authenticated;
+
+-- Admins can do everything
+DROP POLICY IF EXISTS "Admins full access to post mentions" ON post_mentions;
+CREATE POLICY "Admins full access to post mentions" ON post_mentions
+    FOR ALL USING (is_admin());
+
+-- Users see where they were mentioned, and who they mentioned
+-- (mentions are only written by record_post_mentions(), so no insert policy)
+DROP POLICY IF EXISTS "Users view own mentions" ON post_mentions;
+CREATE POLICY "Users view own mentions" ON post_mentions
+    FOR SELECT USING (user_id = auth.uid() OR mentioned_by = auth.uid());
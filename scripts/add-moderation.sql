@@ -0,0 +1,317 @@
+-- Add discussion moderation: hide, pin, lock and flag
+-- Run this in Supabase SQL Editor, after add-audit-log.sql
+--
+-- Instructors, TAs and admins can hide posts (still visible to the author and
+-- moderators), pin posts to the top of a thread and review flagged posts.
+-- Instructors and admins can lock a question's discussion, now or at a set time;
+-- RLS then rejects new posts, edits and deletes from students.
+
+ALTER TABLE questions ADD COLUMN IF NOT EXISTS locked_at TIMESTAMPTZ;
+ALTER TABLE questions ADD COLUMN IF NOT EXISTS locked_by UUID REFERENCES users(id) ON DELETE SET NULL;
+
+ALTER TABLE discussion_posts ADD COLUMN IF NOT EXISTS is_hidden BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE discussion_posts ADD COLUMN IF NOT EXISTS hidden_reason TEXT;
+ALTER TABLE discussion_posts ADD COLUMN IF NOT EXISTS hidden_by UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE discussion_posts ADD COLUMN IF NOT EXISTS hidden_at TIMESTAMPTZ;
+ALTER TABLE discussion_posts ADD COLUMN IF NOT EXISTS pinned_at TIMESTAMPTZ;
+ALTER TABLE discussion_posts ADD COLUMN IF NOT EXISTS pinned_by UUID REFERENCES users(id) ON DELETE SET NULL;
+
+-- Post Flags table (students report posts for moderator review)
+CREATE TABLE IF NOT EXISTS post_flags (
+    id BIGSERIAL PRIMARY KEY,
+    post_id BIGINT NOT NULL REFERENCES discussion_posts(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    reason TEXT NOT NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    resolved_at TIMESTAMPTZ,
+    resolved_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    resolution TEXT CHECK (resolution IN ('dismissed', 'hidden', 'deleted')),
+    UNIQUE(post_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_post_flags_post_id ON post_flags(post_id);
+CREATE INDEX IF NOT EXISTS idx_post_flags_open ON post_flags(created_at) WHERE resolved_at IS NULL;
+
+ALTER TABLE post_flags ENABLE ROW LEVEL SECURITY;
+
+-- Helper function: can the user moderate the discussion on a question
+CREATE OR REPLACE FUNCTION can_moderate_question(question_id_param BIGINT)
+RETURNS BOOLEAN AS $$
+BEGIN
+    RETURN EXISTS (
+        SELECT 1 FROM questions q
+        JOIN pages p ON p.id = q.page_id
+        JOIN weeks w ON w.id = p.week_id
+        WHERE q.id = question_id_param
+        AND can_moderate_module(w.module_id)
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER STABLE;
+
+-- Helper function: is the discussion on a question closed
+CREATE OR REPLACE FUNCTION is_question_locked(question_id_param BIGINT)
+RETURNS BOOLEAN AS $$
+BEGIN
+    RETURN EXISTS (
+        SELECT 1 FROM questions
+        WHERE id = question_id_param
+        AND locked_at IS NOT NULL
+        AND locked_at <= NOW()
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER STABLE;
+
+-- Only moderators may hide or pin posts (authors can otherwise update their own
+-- rows freely), and who did it and when is stamped here rather than trusted from
+-- the client. Calls without a user (service role: restores, scripts) pass through.
+CREATE OR REPLACE FUNCTION protect_post_moderation()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_hidden_changed BOOLEAN;
+    v_pinned_changed BOOLEAN;
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RETURN NEW;
+    END IF;
+
+    IF TG_OP = 'INSERT' THEN
+        v_hidden_changed := NEW.is_hidden;
+        v_pinned_changed := NEW.pinned_at IS NOT NULL;
+    ELSE
+        v_hidden_changed := NEW.is_hidden IS DISTINCT FROM OLD.is_hidden
+            OR NEW.hidden_reason IS DISTINCT FROM OLD.hidden_reason;
+        v_pinned_changed := NEW.pinned_at IS DISTINCT FROM OLD.pinned_at;
+    END IF;
+
+    IF (v_hidden_changed OR v_pinned_changed) AND NOT can_moderate_question(NEW.question_id) THEN
+        RAISE EXCEPTION 'Only moderators can hide or pin posts' USING ERRCODE = '42501';
+    END IF;
+
+    IF v_hidden_changed THEN
+        NEW.hidden_by := CASE WHEN NEW.is_hidden THEN auth.uid() END;
+        NEW.hidden_at := CASE WHEN NEW.is_hidden THEN NOW() END;
+        IF NOT NEW.is_hidden THEN
+            NEW.hidden_reason := NULL;
+        END IF;
+    END IF;
+
+    IF v_pinned_changed THEN
+        NEW.pinned_by := CASE WHEN NEW.pinned_at IS NOT NULL THEN auth.uid() END;
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS protect_discussion_post_moderation ON discussion_posts;
+CREATE TRIGGER protect_discussion_post_moderation BEFORE INSERT OR UPDATE ON discussion_posts
+    FOR EACH ROW EXECUTE FUNCTION protect_post_moderation();
+
+-- Users can view posts in modules they're enrolled in (hidden posts: author and moderators only)
+DROP POLICY IF EXISTS "Users view posts in enrolled modules" ON discussion_posts;
+CREATE POLICY "Users view posts in enrolled modules" ON discussion_posts
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM questions q
+            JOIN pages p ON p.id = q.page_id
+            JOIN weeks w ON w.id = p.week_id
+            JOIN modules m ON m.id = w.module_id
+            WHERE q.id = discussion_posts.question_id
+            AND is_enrolled(m.id)
+            AND (NOT discussion_posts.is_hidden OR discussion_posts.user_id = auth.uid() OR can_moderate_module(m.id))
+        )
+    );
+
+-- Users can create posts in modules they're enrolled in (auditors only read;
+-- locked questions take posts from moderators only)
+DROP POLICY IF EXISTS "Users create posts in enrolled modules" ON discussion_posts;
+CREATE POLICY "Users create posts in enrolled modules" ON discussion_posts
+    FOR INSERT WITH CHECK (
+        user_id = auth.uid() AND
+        EXISTS (
+            SELECT 1 FROM questions q
+            JOIN pages p ON p.id = q.page_id
+            JOIN weeks w ON w.id = p.week_id
+            JOIN modules m ON m.id = w.module_id
+            WHERE q.id = discussion_posts.question_id
+            AND can_participate(m.id)
+            AND (NOT is_question_locked(q.id) OR can_moderate_module(m.id))
+        )
+    );
+
+-- Users can update their own posts until the question is locked
+DROP POLICY IF EXISTS "Users update own posts" ON discussion_posts;
+CREATE POLICY "Users update own posts" ON discussion_posts
+    FOR UPDATE USING (user_id = auth.uid() AND NOT is_question_locked(question_id))
+    WITH CHECK (user_id = auth.uid());
+
+-- Users can delete their own posts until the question is locked
+DROP POLICY IF EXISTS "Users delete own posts" ON discussion_posts;
+CREATE POLICY "Users delete own posts" ON discussion_posts
+    FOR DELETE USING (user_id = auth.uid() AND NOT is_question_locked(question_id));
+
+-- Admins can do everything
+DROP POLICY IF EXISTS "Admins full access to post flags" ON post_flags;
+CREATE POLICY "Admins full access to post flags" ON post_flags
+    FOR ALL USING (is_admin());
+
+-- Users can flag other people's posts that they can see
+DROP POLICY IF EXISTS "Users flag visible posts" ON post_flags;
+CREATE POLICY "Users flag visible posts" ON post_flags
+    FOR INSERT WITH CHECK (
+        user_id = auth.uid() AND
+        resolved_at IS NULL AND
+        EXISTS (
+            SELECT 1 FROM discussion_posts dp
+            WHERE dp.id = post_flags.post_id
+            AND dp.user_id <> auth.uid()
+        )
+    );
+
+-- Users can see their own flags
+DROP POLICY IF EXISTS "Users view own flags" ON post_flags;
+CREATE POLICY "Users view own flags" ON post_flags
+    FOR SELECT USING (user_id = auth.uid());
+
+-- Instructors and TAs review and resolve flags in their modules
+DROP POLICY IF EXISTS "Moderators view flags in their modules" ON post_flags;
+CREATE POLICY "Moderators view flags in their modules" ON post_flags
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM discussion_posts dp
+            WHERE dp.id = post_flags.post_id
+            AND can_moderate_question(dp.question_id)
+        )
+    );
+
+DROP POLICY IF EXISTS "Moderators resolve flags in their modules" ON post_flags;
+CREATE POLICY "Moderators resolve flags in their modules" ON post_flags
+    FOR UPDATE USING (
+        EXISTS (
+            SELECT 1 FROM discussion_posts dp
+            WHERE dp.id = post_flags.post_id
+            AND can_moderate_question(dp.question_id)
+        )
+    );
+
+-- Record hides, pins, locks and resolved flags in the audit log (record_audit,
+-- from add-audit-log.sql)
+CREATE OR REPLACE FUNCTION audit_post_moderation()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_module_id BIGINT;
+    v_before JSONB := jsonb_build_object('id', OLD.id, 'user_id', OLD.user_id, 'is_hidden', OLD.is_hidden, 'hidden_reason', OLD.hidden_reason, 'pinned_at', OLD.pinned_at);
+    v_after JSONB := jsonb_build_object('id', NEW.id, 'user_id', NEW.user_id, 'is_hidden', NEW.is_hidden, 'hidden_reason', NEW.hidden_reason, 'pinned_at', NEW.pinned_at);
+BEGIN
+    SELECT w.module_id INTO v_module_id
+    FROM public.questions q
+    JOIN public.pages p ON p.id = q.page_id
+    JOIN public.weeks w ON w.id = p.week_id
+    WHERE q.id = NEW.question_id;
+
+    IF NEW.is_hidden IS DISTINCT FROM OLD.is_hidden THEN
+        PERFORM record_audit(CASE WHEN NEW.is_hidden THEN 'post.hide' ELSE 'post.unhide' END,
+            'post', NEW.id::TEXT, v_module_id, v_before, v_after);
+    END IF;
+
+    IF NEW.pinned_at IS DISTINCT FROM OLD.pinned_at THEN
+        PERFORM record_audit(CASE WHEN NEW.pinned_at IS NOT NULL THEN 'post.pin' ELSE 'post.unpin' END,
+            'post', NEW.id::TEXT, v_module_id, v_before, v_after);
+    END IF;
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS audit_discussion_post_moderation ON discussion_posts;
+CREATE TRIGGER audit_discussion_post_moderation AFTER UPDATE OF is_hidden, pinned_at ON discussion_posts
+    FOR EACH ROW EXECUTE FUNCTION audit_post_moderation();
+
+CREATE OR REPLACE FUNCTION audit_question_lock()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_week weeks;
+BEGIN
+    SELECT w.* INTO v_week
+    FROM public.pages p
+    JOIN public.weeks w ON w.id = p.week_id
+    WHERE p.id = NEW.page_id;
+
+    PERFORM record_audit(CASE WHEN NEW.locked_at IS NOT NULL THEN 'question.lock' ELSE 'question.unlock' END,
+        'question', NEW.id::TEXT, v_week.module_id,
+        jsonb_build_object('id', OLD.id, 'locked_at', OLD.locked_at, 'locked_by', OLD.locked_by),
+        jsonb_build_object('id', NEW.id, 'locked_at', NEW.locked_at, 'locked_by', NEW.locked_by),
+        jsonb_build_object('weekNumber', v_week.week_number));
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS audit_question_lock ON questions;
+CREATE TRIGGER audit_question_lock AFTER UPDATE OF locked_at ON questions
+    FOR EACH ROW
+    WHEN (OLD.locked_at IS DISTINCT FROM NEW.locked_at)
+    EXECUTE FUNCTION audit_question_lock();
+
+-- One entry per post whose open flags were resolved, listing the flags
+CREATE OR REPLACE FUNCTION audit_flag_resolution()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_post RECORD;
+BEGIN
+    FOR v_post IN
+        SELECT n.post_id, n.resolution, w.module_id,
+            jsonb_agg(jsonb_build_object('id', n.id, 'reason', n.reason) ORDER BY n.id) AS flags
+        FROM new_flags n
+        JOIN old_flags o ON o.id = n.id
+        LEFT JOIN public.discussion_posts dp ON dp.id = n.post_id
+        LEFT JOIN public.questions q ON q.id = dp.question_id
+        LEFT JOIN public.pages p ON p.id = q.page_id
+        LEFT JOIN public.weeks w ON w.id = p.week_id
+        WHERE o.resolved_at IS NULL AND n.resolved_at IS NOT NULL
+        GROUP BY n.post_id, n.resolution, w.module_id
+    LOOP
+        PERFORM record_audit('flag.resolve', 'post', v_post.post_id::TEXT, v_post.module_id, NULL, NULL,
+            jsonb_build_object('resolution', v_post.resolution, 'flags', v_post.flags));
+    END LOOP;
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS audit_post_flag_resolution ON post_flags;
+CREATE TRIGGER audit_post_flag_resolution AFTER UPDATE ON post_flags
+    REFERENCING OLD TABLE AS old_flags NEW TABLE AS new_flags
+    FOR EACH STATEMENT EXECUTE FUNCTION audit_flag_resolution();
+
+-- Resolve a post's open flags as 'deleted' and delete the post (soft delete if it
+-- has replies, as deleteDiscussionPost does) in one transaction, so a delete that
+-- fails leaves the flags open. The flags are resolved first, so the resolution is
+-- audited before a hard delete takes them with the post. Runs as the caller:
+-- only moderators of the post's module (and admins) get past the policies.
+-- Returns the number of flags resolved.
+CREATE OR REPLACE FUNCTION delete_flagged_post(p_post_id BIGINT)
+RETURNS INT AS $$
+DECLARE
+    v_resolved INT;
+BEGIN
+    UPDATE post_flags
+    SET resolved_at = NOW(), resolved_by = auth.uid(), resolution = 'deleted'
+    WHERE post_id = p_post_id AND resolved_at IS NULL;
+    GET DIAGNOSTICS v_resolved = ROW_COUNT;
+
+    IF EXISTS (SELECT 1 FROM discussion_posts WHERE parent_id = p_post_id) THEN
+        UPDATE discussion_posts SET is_deleted = TRUE, content = '' WHERE id = p_post_id;
+    ELSE
+        DELETE FROM discussion_posts WHERE id = p_post_id;
+    END IF;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Post % not found', p_post_id USING ERRCODE = 'P0002';
+    END IF;
+
+    RETURN v_resolved;
+END;
+$$ LANGUAGE plpgsql;
+
+GRANT EXECUTE ON FUNCTION delete_flagged_post(BIGINT) TO authenticated;
@@ -0,0 +1,272 @@
+-- Add module-scoped roles (instructor, TA, auditor) to enrollments
+-- Run this in Supabase SQL Editor, after add-launch-schedule.sql
+--
+-- users.role stays 'student' | 'admin'; admins keep global access. A user's
+-- enrollment role decides what they can do in that one module:
+--   student     read and post
+--   instructor  edit the module's content, view its roster, moderate discussions
+--   ta          view the roster and moderate discussions
+--   auditor     read only
+
+ALTER TABLE enrollments ADD COLUMN IF NOT EXISTS role TEXT NOT NULL DEFAULT 'student';
+
+ALTER TABLE enrollments DROP CONSTRAINT IF EXISTS enrollments_role_check;
+ALTER TABLE enrollments ADD CONSTRAINT enrollments_role_check
+    CHECK (role IN ('student', 'instructor', 'ta', 'auditor'));
+
+-- Roles change after enrollment now, so stamp updates (incremental backups pick them up by this)
+ALTER TABLE enrollments ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+
+DROP TRIGGER IF EXISTS update_enrollments_updated_at ON enrollments;
+CREATE TRIGGER update_enrollments_updated_at BEFORE UPDATE ON enrollments
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Helper function to get the user's role in a module (NULL if not enrolled)
+CREATE OR REPLACE FUNCTION module_role(module_id_param BIGINT)
+RETURNS TEXT AS $$
+BEGIN
+    RETURN (
+        SELECT role FROM enrollments
+        WHERE user_id = auth.uid()
+        AND module_id = module_id_param
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER STABLE;
+
+-- Helper function: admins and the module's instructors can edit its content
+CREATE OR REPLACE FUNCTION can_edit_module(module_id_param BIGINT)
+RETURNS BOOLEAN AS $$
+BEGIN
+    RETURN is_admin() OR module_role(module_id_param) = 'instructor';
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER STABLE;
+
+-- Helper function: admins, instructors and TAs can moderate the module's discussions
+CREATE OR REPLACE FUNCTION can_moderate_module(module_id_param BIGINT)
+RETURNS BOOLEAN AS $$
+BEGIN
+    RETURN is_admin() OR module_role(module_id_param) IN ('instructor', 'ta');
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER STABLE;
+
+-- Helper function: everyone enrolled except auditors can post in the module
+CREATE OR REPLACE FUNCTION can_participate(module_id_param BIGINT)
+RETURNS BOOLEAN AS $$
+BEGIN
+    RETURN module_role(module_id_param) IN ('student', 'instructor', 'ta');
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER STABLE;
+
+-- ===== POLICIES =====
+
+DROP POLICY IF EXISTS "Module staff view their modules" ON modules;
+DROP POLICY IF EXISTS "Instructors update their modules" ON modules;
+DROP POLICY IF EXISTS "Instructors manage zoom info for their modules" ON module_zoom_info;
+DROP POLICY IF EXISTS "Instructors manage weeks in their modules" ON weeks;
+DROP POLICY IF EXISTS "Instructors manage pages in their modules" ON pages;
+DROP POLICY IF EXISTS "Instructors manage questions in their modules" ON questions;
+DROP POLICY IF EXISTS "Instructors manage resources in their modules" ON resources;
+DROP POLICY IF EXISTS "Instructors manage videos in their modules" ON videos;
+DROP POLICY IF EXISTS "Module staff view their rosters" ON enrollments;
+DROP POLICY IF EXISTS "Module staff view progress in their modules" ON progress;
+DROP POLICY IF EXISTS "Users create posts in enrolled modules" ON discussion_posts;
+DROP POLICY IF EXISTS "Moderators update posts in their modules" ON discussion_posts;
+DROP POLICY IF EXISTS "Moderators delete posts in their modules" ON discussion_posts;
+
+-- Instructors and TAs can view their modules in any status
+CREATE POLICY "Module staff view their modules" ON modules
+    FOR SELECT USING (module_role(id) IN ('instructor', 'ta'));
+
+-- Instructors can edit their modules (but not create or delete any)
+CREATE POLICY "Instructors update their modules" ON modules
+    FOR UPDATE USING (can_edit_module(id))
+    WITH CHECK (can_edit_module(id));
+
+-- Instructors can manage zoom info for their modules
+CREATE POLICY "Instructors manage zoom info for their modules" ON module_zoom_info
+    FOR ALL USING (can_edit_module(module_id))
+    WITH CHECK (can_edit_module(module_id));
+
+-- Instructors can manage weeks in their modules
+CREATE POLICY "Instructors manage weeks in their modules" ON weeks
+    FOR ALL USING (can_edit_module(module_id))
+    WITH CHECK (can_edit_module(module_id));
+
+-- Instructors can manage pages in their modules
+CREATE POLICY "Instructors manage pages in their modules" ON pages
+    FOR ALL USING (
+        EXISTS (SELECT 1 FROM weeks w WHERE w.id = pages.week_id AND can_edit_module(w.module_id))
+    )
+    WITH CHECK (
+        EXISTS (SELECT 1 FROM weeks w WHERE w.id = pages.week_id AND can_edit_module(w.module_id))
+    );
+
+-- Instructors can manage questions in their modules
+CREATE POLICY "Instructors manage questions in their modules" ON questions
+    FOR ALL USING (
+        EXISTS (
+            SELECT 1 FROM pages p
+            JOIN weeks w ON w.id = p.week_id
+            WHERE p.id = questions.page_id
+            AND can_edit_module(w.module_id)
+        )
+    )
+    WITH CHECK (
+        EXISTS (
+            SELECT 1 FROM pages p
+            JOIN weeks w ON w.id = p.week_id
+            WHERE p.id = questions.page_id
+            AND can_edit_module(w.module_id)
+        )
+    );
+
+-- Instructors can manage resources in their modules
+CREATE POLICY "Instructors manage resources in their modules" ON resources
+    FOR ALL USING (
+        EXISTS (
+            SELECT 1 FROM pages p
+            JOIN weeks w ON w.id = p.week_id
+            WHERE p.id = resources.page_id
+            AND can_edit_module(w.module_id)
+        )
+    )
+    WITH CHECK (
+        EXISTS (
+            SELECT 1 FROM pages p
+            JOIN weeks w ON w.id = p.week_id
+            WHERE p.id = resources.page_id
+            AND can_edit_module(w.module_id)
+        )
+    );
+
+-- Instructors can manage videos in their modules
+CREATE POLICY "Instructors manage videos in their modules" ON videos
+    FOR ALL USING (
+        EXISTS (
+            SELECT 1 FROM pages p
+            JOIN weeks w ON w.id = p.week_id
+            WHERE p.id = videos.page_id
+            AND can_edit_module(w.module_id)
+        )
+    )
+    WITH CHECK (
+        EXISTS (
+            SELECT 1 FROM pages p
+            JOIN weeks w ON w.id = p.week_id
+            WHERE p.id = videos.page_id
+            AND can_edit_module(w.module_id)
+        )
+    );
+
+-- Instructors and TAs can view their module's roster
+CREATE POLICY "Module staff view their rosters" ON enrollments
+    FOR SELECT USING (can_moderate_module(module_id));
+
+-- Instructors and TAs can view progress in their modules
+CREATE POLICY "Module staff view progress in their modules" ON progress
+    FOR SELECT USING (
+        EXISTS (SELECT 1 FROM weeks w WHERE w.id = progress.week_id AND can_moderate_module(w.module_id))
+    );
+
+-- Users can create posts in modules they're enrolled in (auditors only read)
+CREATE POLICY "Users create posts in enrolled modules" ON discussion_posts
+    FOR INSERT WITH CHECK (
+        user_id = auth.uid() AND
+        EXISTS (
+            SELECT 1 FROM questions q
+            JOIN pages p ON p.id = q.page_id
+            JOIN weeks w ON w.id = p.week_id
+            JOIN modules m ON m.id = w.module_id
+            WHERE q.id = discussion_posts.question_id
+            AND can_participate(m.id)
+        )
+    );
+
+-- Instructors and TAs can moderate posts in their modules
+CREATE POLICY "Moderators update posts in their modules" ON discussion_posts
+    FOR UPDATE USING (
+        EXISTS (
+            SELECT 1 FROM questions q
+            JOIN pages p ON p.id = q.page_id
+            JOIN weeks w ON w.id = p.week_id
+            WHERE q.id = discussion_posts.question_id
+            AND can_moderate_module(w.module_id)
+        )
+    );
+
+CREATE POLICY "Moderators delete posts in their modules" ON discussion_posts
+    FOR DELETE USING (
+        EXISTS (
+            SELECT 1 FROM questions q
+            JOIN pages p ON p.id = q.page_id
+            JOIN weeks w ON w.id = p.week_id
+            WHERE q.id = discussion_posts.question_id
+            AND can_moderate_module(w.module_id)
+        )
+    );
+
+-- ===== WEEK RPCs =====
+-- Instructors can add and remove weeks in their own modules
+
+-- Create a week with all of its content.
+-- p_week_number NULL appends after the module's last week.
+CREATE OR REPLACE FUNCTION create_week_with_content(p_module_id BIGINT, p_week JSONB, p_week_number INT DEFAULT NULL)
+RETURNS weeks AS $$
+DECLARE
+    v_week weeks;
+BEGIN
+    IF NOT can_edit_module(p_module_id) THEN
+        RAISE EXCEPTION 'Only admins and the module''s instructors can create weeks' USING ERRCODE = '42501';
+    END IF;
+
+    -- Serialize week numbering per module (replaces the client-side upsert/retry)
+    PERFORM 1 FROM modules WHERE id = p_module_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Module not found' USING ERRCODE = 'P0002';
+    END IF;
+
+    INSERT INTO weeks (module_id, week_number, title, description, unlock_date)
+    VALUES (
+        p_module_id,
+        COALESCE(p_week_number, (SELECT COALESCE(MAX(week_number), 0) + 1 FROM weeks WHERE module_id = p_module_id)),
+        p_week->>'title',
+        NULLIF(p_week->>'description', ''),
+        NULLIF(p_week->>'unlockDate', '')::DATE
+    )
+    RETURNING * INTO v_week;
+
+    PERFORM insert_week_pages(v_week.id, p_week->'pages');
+
+    RETURN v_week;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Delete one week by number. If duplicates exist only the oldest row is removed.
+CREATE OR REPLACE FUNCTION delete_week(p_module_id BIGINT, p_week_number INT)
+RETURNS JSONB AS $$
+DECLARE
+    v_week_id BIGINT;
+    v_remaining INT;
+BEGIN
+    IF NOT can_edit_module(p_module_id) THEN
+        RAISE EXCEPTION 'Only admins and the module''s instructors can delete weeks' USING ERRCODE = '42501';
+    END IF;
+
+    SELECT id INTO v_week_id FROM weeks
+    WHERE module_id = p_module_id AND week_number = p_week_number
+    ORDER BY id
+    LIMIT 1
+    FOR UPDATE;
+
+    IF v_week_id IS NULL THEN
+        RAISE EXCEPTION 'Week not found' USING ERRCODE = 'P0002';
+    END IF;
+
+    DELETE FROM weeks WHERE id = v_week_id;
+
+    SELECT COUNT(*) INTO v_remaining FROM weeks
+    WHERE module_id = p_module_id AND week_number = p_week_number;
+
+    RETURN jsonb_build_object('deleted_id', v_week_id, 'remaining_duplicates', v_remaining);
+END;
+$$ LANGUAGE plpgsql;
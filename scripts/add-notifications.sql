@@ -0,0 +1,217 @@
+-- Add notifications and email digest support
+-- Run this in Supabase SQL Editor, after add-discussion-reads.sql
+--
+-- Replies, new threads from instructors and unlocked weeks queue rows in
+-- notifications (mentions are added by a later migration). Each user's
+-- notification_preferences pick which kinds they get and how often
+-- workers/notification-digest emails them.
+
+-- Notifications table (replies, mentions, unlocked weeks and instructor posts for
+-- each user; listed on notifications.html and emailed by workers/notification-digest)
+CREATE TABLE IF NOT EXISTS notifications (
+    id BIGSERIAL PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    type TEXT NOT NULL CHECK (type IN ('reply', 'mention', 'week_unlocked', 'instructor_post')),
+    module_id BIGINT REFERENCES modules(id) ON DELETE CASCADE,
+    week_id BIGINT REFERENCES weeks(id) ON DELETE CASCADE,
+    post_id BIGINT REFERENCES discussion_posts(id) ON DELETE CASCADE,
+    actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    read_at TIMESTAMPTZ,
+    emailed_at TIMESTAMPTZ
+);
+
+-- Notification Preferences table (no row means the defaults: everything on, weekly email)
+CREATE TABLE IF NOT EXISTS notification_preferences (
+    id BIGSERIAL PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    notify_replies BOOLEAN NOT NULL DEFAULT TRUE,
+    notify_mentions BOOLEAN NOT NULL DEFAULT TRUE,
+    notify_week_unlocked BOOLEAN NOT NULL DEFAULT TRUE,
+    notify_instructor_posts BOOLEAN NOT NULL DEFAULT TRUE,
+    email_frequency TEXT NOT NULL DEFAULT 'weekly' CHECK (email_frequency IN ('off', 'daily', 'weekly')),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_user_id ON notifications(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_notifications_pending ON notifications(user_id) WHERE emailed_at IS NULL AND read_at IS NULL;
+
+ALTER TABLE notifications ENABLE ROW LEVEL SECURITY;
+ALTER TABLE notification_preferences ENABLE ROW LEVEL SECURITY;
+
+DROP TRIGGER IF EXISTS update_notification_preferences_updated_at ON notification_preferences;
+CREATE TRIGGER update_notification_preferences_updated_at BEFORE UPDATE ON notification_preferences
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Helper function: does a user want a kind of notification (no preferences row: yes)
+CREATE OR REPLACE FUNCTION wants_notification(p_user_id UUID, p_type TEXT)
+RETURNS BOOLEAN AS $$
+DECLARE
+    v_prefs notification_preferences%ROWTYPE;
+BEGIN
+    SELECT * INTO v_prefs FROM notification_preferences WHERE user_id = p_user_id;
+    IF NOT FOUND THEN
+        RETURN TRUE;
+    END IF;
+
+    RETURN CASE p_type
+        WHEN 'reply' THEN v_prefs.notify_replies
+        WHEN 'mention' THEN v_prefs.notify_mentions
+        WHEN 'week_unlocked' THEN v_prefs.notify_week_unlocked
+        WHEN 'instructor_post' THEN v_prefs.notify_instructor_posts
+        ELSE TRUE
+    END;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER STABLE;
+
+-- Notify the author of the post being replied to, and everyone else in the module
+-- when an instructor (or admin) starts a new thread. Inserts without a user
+-- (service role: restores, scripts) don't notify anyone.
+CREATE OR REPLACE FUNCTION queue_post_notifications()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_module_id BIGINT;
+    v_week_id BIGINT;
+    v_parent_author UUID;
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RETURN NEW;
+    END IF;
+
+    SELECT w.module_id, w.id INTO v_module_id, v_week_id
+    FROM questions q
+    JOIN pages p ON p.id = q.page_id
+    JOIN weeks w ON w.id = p.week_id
+    WHERE q.id = NEW.question_id;
+
+    IF NEW.parent_id IS NOT NULL THEN
+        SELECT user_id INTO v_parent_author FROM discussion_posts WHERE id = NEW.parent_id;
+
+        IF v_parent_author <> NEW.user_id AND wants_notification(v_parent_author, 'reply') THEN
+            INSERT INTO notifications (user_id, type, module_id, week_id, post_id, actor_id)
+            VALUES (v_parent_author, 'reply', v_module_id, v_week_id, NEW.id, NEW.user_id);
+        END IF;
+    ELSIF EXISTS (SELECT 1 FROM users WHERE id = NEW.user_id AND role = 'admin')
+        OR EXISTS (
+            SELECT 1 FROM enrollments
+            WHERE user_id = NEW.user_id AND module_id = v_module_id AND role = 'instructor'
+        ) THEN
+        INSERT INTO notifications (user_id, type, module_id, week_id, post_id, actor_id)
+        SELECT e.user_id, 'instructor_post', v_module_id, v_week_id, NEW.id, NEW.user_id
+        FROM enrollments e
+        WHERE e.module_id = v_module_id
+        AND e.user_id <> NEW.user_id
+        AND wants_notification(e.user_id, 'instructor_post');
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS queue_discussion_post_notifications ON discussion_posts;
+CREATE TRIGGER queue_discussion_post_notifications AFTER INSERT ON discussion_posts
+    FOR EACH ROW EXECUTE FUNCTION queue_post_notifications();
+
+-- Notify everyone enrolled in a launched module when one of its weeks unlocks.
+-- Looks back a day so a missed daily run still catches up, and never notifies
+-- twice for the same week. Called by the notification digest worker; returns
+-- how many notifications were queued.
+CREATE OR REPLACE FUNCTION queue_week_unlock_notifications()
+RETURNS INT AS $$
+DECLARE
+    v_count INT;
+BEGIN
+    INSERT INTO notifications (user_id, type, module_id, week_id)
+    SELECT e.user_id, 'week_unlocked', w.module_id, w.id
+    FROM weeks w
+    JOIN modules m ON m.id = w.module_id
+    JOIN enrollments e ON e.module_id = w.module_id
+    WHERE m.status = 'launched'
+    AND w.unlock_date BETWEEN CURRENT_DATE - 1 AND CURRENT_DATE
+    AND wants_notification(e.user_id, 'week_unlocked')
+    AND NOT EXISTS (
+        SELECT 1 FROM notifications n
+        WHERE n.user_id = e.user_id
+        AND n.type = 'week_unlocked'
+        AND n.week_id = w.id
+    );
+
+    GET DIAGNOSTICS v_count = ROW_COUNT;
+    RETURN v_count;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Unread notifications not yet emailed, for active users whose email frequency
+-- is one of p_frequencies, with everything the digest email shows. Called by the
+-- notification digest worker.
+CREATE OR REPLACE FUNCTION get_pending_digest_notifications(p_frequencies TEXT[])
+RETURNS TABLE (
+    id BIGINT,
+    user_id UUID,
+    email TEXT,
+    name TEXT,
+    type TEXT,
+    created_at TIMESTAMPTZ,
+    module_id BIGINT,
+    module_title TEXT,
+    week_number INT,
+    week_title TEXT,
+    page_number INT,
+    post_id BIGINT,
+    post_content TEXT,
+    question_text TEXT,
+    actor_name TEXT
+) AS $$
+    SELECT n.id, u.id, u.email, u.name, n.type, n.created_at,
+        n.module_id, m.title, w.week_number, w.title, pg.page_number,
+        n.post_id, dp.content, q.text, COALESCE(a.name, a.email)
+    FROM notifications n
+    JOIN users u ON u.id = n.user_id
+    LEFT JOIN notification_preferences np ON np.user_id = n.user_id
+    LEFT JOIN modules m ON m.id = n.module_id
+    LEFT JOIN weeks w ON w.id = n.week_id
+    LEFT JOIN discussion_posts dp ON dp.id = n.post_id
+    LEFT JOIN questions q ON q.id = dp.question_id
+    LEFT JOIN pages pg ON pg.id = q.page_id
+    LEFT JOIN users a ON a.id = n.actor_id
+    WHERE n.emailed_at IS NULL
+    AND n.read_at IS NULL
+    AND u.status = 'active'
+    AND COALESCE(np.email_frequency, 'weekly') = ANY(p_frequencies)
+    -- Posts hidden or deleted since don't go out
+    AND (dp.id IS NULL OR (dp.is_hidden IS NOT TRUE AND dp.is_deleted IS NOT TRUE))
+    ORDER BY u.id, n.created_at, n.id;
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- Worker-only: the digest reads every user's notifications
+REVOKE EXECUTE ON FUNCTION wants_notification(UUID, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION queue_week_unlock_notifications() FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION get_pending_digest_notifications(TEXT[]) FROM PUBLIC, anon, authenticated;
+
+-- Admins can do everything
+DROP POLICY IF EXISTS "Admins full access to notifications" ON notifications;
+CREATE POLICY "Admins full access to notifications" ON notifications
+    FOR ALL USING (is_admin());
+
+-- Users see their own notifications and mark them read
+-- (notifications are created by triggers and the digest worker, so no insert policy)
+DROP POLICY IF EXISTS "Users view own notifications" ON notifications;
+CREATE POLICY "Users view own notifications" ON notifications
+    FOR SELECT USING (user_id = auth.uid());
+
+DROP POLICY IF EXISTS "Users update own notifications" ON notifications;
+CREATE POLICY "Users update own notifications" ON notifications
+    FOR UPDATE USING (user_id = auth.uid())
+    WITH CHECK (user_id = auth.uid());
+
+-- Admins can do everything
+DROP POLICY IF EXISTS "Admins full access to notification preferences" ON notification_preferences;
+CREATE POLICY "Admins full access to notification preferences" ON notification_preferences
+    FOR ALL USING (is_admin());
+
+-- Users manage their own preferences
+DROP POLICY IF EXISTS "Users manage own notification preferences" ON notification_preferences;
+CREATE POLICY "Users manage own notification preferences" ON notification_preferences
+    FOR ALL USING (user_id = auth.uid())
+    WITH CHECK (user_id = auth.uid());
@@ -0,0 +1,89 @@
+-- Add edit history for discussion posts
+-- Run this in Supabase SQL Editor, after add-moderation.sql
+--
+-- Every change to a post's content (an edit, a soft delete or a hard delete)
+-- keeps the previous text in post_revisions, so admins and the module's
+-- instructors can see what a student originally wrote. Also adds the edited_at column that
+-- editDiscussionPost has been writing to.
+
+ALTER TABLE discussion_posts ADD COLUMN IF NOT EXISTS edited_at TIMESTAMPTZ;
+
+-- Post Revisions table (earlier versions of edited posts, written by record_post_revision())
+CREATE TABLE IF NOT EXISTS post_revisions (
+    id BIGSERIAL PRIMARY KEY,
+    -- Cleared when the post is deleted outright; the revisions stay with its question and author
+    post_id BIGINT REFERENCES discussion_posts(id) ON DELETE SET NULL,
+    question_id BIGINT NOT NULL REFERENCES questions(id) ON DELETE CASCADE,
+    author_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    content TEXT NOT NULL,
+    edited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_post_revisions_post_id ON post_revisions(post_id);
+CREATE INDEX IF NOT EXISTS idx_post_revisions_question_id ON post_revisions(question_id);
+
+ALTER TABLE post_revisions ENABLE ROW LEVEL SECURITY;
+
+-- Keep the text a post had before every change to its content (edits and soft
+-- deletes alike), so instructors can see what was originally written. Edits,
+-- not deletes, stamp edited_at.
+CREATE OR REPLACE FUNCTION record_post_revision()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.content IS DISTINCT FROM OLD.content THEN
+        INSERT INTO post_revisions (post_id, question_id, author_id, content, edited_by, created_at)
+        VALUES (OLD.id, OLD.question_id, OLD.user_id, OLD.content, auth.uid(), NOW());
+    END IF;
+
+    -- edited_at is set here and nowhere else, so an author can't clear or backdate it
+    IF NEW.content IS DISTINCT FROM OLD.content AND NOT NEW.is_deleted THEN
+        NEW.edited_at := NOW();
+    ELSE
+        NEW.edited_at := OLD.edited_at;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS record_discussion_post_revision ON discussion_posts;
+CREATE TRIGGER record_discussion_post_revision BEFORE UPDATE ON discussion_posts
+    FOR EACH ROW EXECUTE FUNCTION record_post_revision();
+
+-- Keep the text of a post deleted outright (authors can delete posts without
+-- replies) as its last revision, so its history outlives it. Posts removed with
+-- their question, module or author (trigger depth > 1: a cascade) take their
+-- history with them, and soft-deleted posts have nothing left to keep.
+CREATE OR REPLACE FUNCTION record_deleted_post_revision()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF pg_trigger_depth() = 1 AND COALESCE(OLD.content, '') <> '' THEN
+        INSERT INTO post_revisions (post_id, question_id, author_id, content, edited_by, created_at)
+        VALUES (OLD.id, OLD.question_id, OLD.user_id, OLD.content, auth.uid(), NOW());
+    END IF;
+    RETURN OLD;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS record_deleted_discussion_post_revision ON discussion_posts;
+CREATE TRIGGER record_deleted_discussion_post_revision BEFORE DELETE ON discussion_posts
+    FOR EACH ROW EXECUTE FUNCTION record_deleted_post_revision();
+
+-- Admins can do everything
+DROP POLICY IF EXISTS "Admins full access to post revisions" ON post_revisions;
+CREATE POLICY "Admins full access to post revisions" ON post_revisions
+    FOR ALL USING (is_admin());
+
+-- Instructors can see earlier versions of posts in their modules
+-- (revisions are only written by record_post_revision(), so no insert policy)
+DROP POLICY IF EXISTS "Instructors view post revisions in their modules" ON post_revisions;
+CREATE POLICY "Instructors view post revisions in their modules" ON post_revisions
+    FOR SELECT USING (
+        EXISTS (
+            SELECT 1 FROM questions q
+            JOIN pages p ON p.id = q.page_id
+            JOIN weeks w ON w.id = p.week_id
+            WHERE q.id = post_revisions.question_id
+            AND can_edit_module(w.module_id)
+        )
+    );
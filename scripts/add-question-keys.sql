@@ -0,0 +1,254 @@
+-- Add stable question keys so discussions survive question reordering
+-- Run this in Supabase SQL Editor, after add-transactional-rpcs.sql
+--
+-- question_number is only a position. question_key identifies a question across
+-- reorders, and is shared between a template question and its launched copies.
+
+ALTER TABLE questions ADD COLUMN IF NOT EXISTS question_key UUID;
+
+-- 1. Give every existing question its own key
+UPDATE questions SET question_key = gen_random_uuid() WHERE question_key IS NULL;
+
+-- 2. Launched/archived copies take the key of the template question at the same
+--    position (the only link that existed before keys)
+UPDATE questions aq
+SET question_key = tq.question_key
+FROM pages ap
+JOIN weeks aw ON aw.id = ap.week_id
+JOIN modules am ON am.id = aw.module_id
+JOIN weeks tw ON tw.module_id = am.template_id AND tw.week_number = aw.week_number
+JOIN pages tp ON tp.week_id = tw.id AND tp.page_number = ap.page_number
+JOIN questions tq ON tq.page_id = tp.id
+WHERE aq.page_id = ap.id
+AND am.template_id IS NOT NULL
+AND tq.question_number = aq.question_number;
+
+ALTER TABLE questions ALTER COLUMN question_key SET DEFAULT gen_random_uuid();
+ALTER TABLE questions ALTER COLUMN question_key SET NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_questions_page_id_question_key ON questions(page_id, question_key);
+CREATE INDEX IF NOT EXISTS idx_questions_question_key ON questions(question_key);
+
+-- 3. Carry keys through launch/create/sync
+-- Copy every page of one week (with questions, resources, videos) into another
+CREATE OR REPLACE FUNCTION copy_week_pages(p_source_week_id BIGINT, p_target_week_id BIGINT)
+RETURNS VOID AS $$
+DECLARE
+    src RECORD;
+    v_page_id BIGINT;
+BEGIN
+    FOR src IN SELECT * FROM pages WHERE week_id = p_source_week_id ORDER BY page_number LOOP
+        INSERT INTO pages (week_id, page_number, title, type, content)
+        VALUES (p_target_week_id, src.page_number, src.title, src.type, src.content)
+        RETURNING id INTO v_page_id;
+
+        -- Copies keep the source question's key so sync can find them again
+        INSERT INTO questions (page_id, question_number, text, question_key)
+        SELECT v_page_id, question_number, text, question_key FROM questions WHERE page_id = src.id;
+
+        INSERT INTO resources (page_id, title, url, description, sort_order)
+        SELECT v_page_id, title, url, description, sort_order FROM resources WHERE page_id = src.id;
+
+        INSERT INTO videos (page_id, title, url, description, duration, sort_order)
+        SELECT v_page_id, title, url, description, duration, sort_order FROM videos WHERE page_id = src.id;
+    END LOOP;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Insert pages from the client's JSON shape:
+-- [{ title, type, content, questions: [{ key, text }], resources: [{ title, url, description }], videos: [{ title, url, description, duration }] }]
+CREATE OR REPLACE FUNCTION insert_week_pages(p_week_id BIGINT, p_pages JSONB)
+RETURNS VOID AS $$
+DECLARE
+    v_page JSONB;
+    v_page_number INT;
+    v_page_id BIGINT;
+BEGIN
+    FOR v_page, v_page_number IN
+        SELECT value, ordinality FROM jsonb_array_elements(COALESCE(p_pages, '[]'::jsonb)) WITH ORDINALITY
+    LOOP
+        INSERT INTO pages (week_id, page_number, title, type, content)
+        VALUES (p_week_id, v_page_number, v_page->>'title', v_page->>'type', NULLIF(v_page->>'content', ''))
+        RETURNING id INTO v_page_id;
+
+        INSERT INTO questions (page_id, question_number, text, question_key)
+        SELECT v_page_id, q.ordinality, q.value->>'text', COALESCE(NULLIF(q.value->>'key', '')::UUID, gen_random_uuid())
+        FROM jsonb_array_elements(COALESCE(v_page->'questions', '[]'::jsonb)) WITH ORDINALITY AS q;
+
+        INSERT INTO resources (page_id, title, url, description, sort_order)
+        SELECT v_page_id, r.value->>'title', NULLIF(r.value->>'url', ''), NULLIF(r.value->>'description', ''), r.ordinality - 1
+        FROM jsonb_array_elements(COALESCE(v_page->'resources', '[]'::jsonb)) WITH ORDINALITY AS r;
+
+        INSERT INTO videos (page_id, title, url, description, duration, sort_order)
+        SELECT v_page_id, v.value->>'title', v.value->>'url', NULLIF(v.value->>'description', ''), NULLIF(v.value->>'duration', ''), v.ordinality - 1
+        FROM jsonb_array_elements(COALESCE(v_page->'videos', '[]'::jsonb)) WITH ORDINALITY AS v;
+    END LOOP;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Sync template content into an active module.
+-- Questions are matched by question_key and updated in place, so discussion
+-- posts stay with their prompt even when the template reorders questions; with
+-- p_protect_answered, questions that already have posts keep their text.
+-- p_week_numbers NULL syncs every template week.
+-- Returns the week numbers that were synced.
+CREATE OR REPLACE FUNCTION sync_template_to_module(
+    p_template_id BIGINT,
+    p_active_module_id BIGINT,
+    p_week_numbers INT[] DEFAULT NULL,
+    p_include_module_info BOOLEAN DEFAULT TRUE,
+    p_protect_answered BOOLEAN DEFAULT FALSE
+)
+RETURNS INT[] AS $$
+DECLARE
+    v_template modules;
+    v_active modules;
+    t_week RECORD;
+    t_page RECORD;
+    v_week_id BIGINT;
+    v_page_id BIGINT;
+    v_template_count INT;
+    v_synced INT[] := '{}';
+BEGIN
+    IF NOT is_admin() THEN
+        RAISE EXCEPTION 'Only admins can sync modules' USING ERRCODE = '42501';
+    END IF;
+
+    SELECT * INTO v_template FROM modules WHERE id = p_template_id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Template not found' USING ERRCODE = 'P0002';
+    END IF;
+    IF v_template.status <> 'draft' THEN
+        RAISE EXCEPTION 'Source must be a template (draft module)' USING ERRCODE = '22023';
+    END IF;
+
+    -- Lock the active module so two syncs can't interleave
+    SELECT * INTO v_active FROM modules WHERE id = p_active_module_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Active module not found' USING ERRCODE = 'P0002';
+    END IF;
+    IF v_active.status <> 'launched' THEN
+        RAISE EXCEPTION 'Target must be a launched module' USING ERRCODE = '22023';
+    END IF;
+
+    IF p_include_module_info THEN
+        -- Module info (status, launched_at and template_id are preserved)
+        UPDATE modules SET
+            title = v_template.title,
+            description = v_template.description,
+            instructor = v_template.instructor,
+            duration = v_template.duration,
+            participation = v_template.participation,
+            time_expectations = v_template.time_expectations
+        WHERE id = p_active_module_id;
+
+        INSERT INTO module_zoom_info (module_id, url, meeting_id, passcode, day, time, timezone)
+        SELECT p_active_module_id, url, meeting_id, passcode, day, time, timezone
+        FROM module_zoom_info WHERE module_id = p_template_id
+        ON CONFLICT (module_id) DO UPDATE SET
+            url = EXCLUDED.url,
+            meeting_id = EXCLUDED.meeting_id,
+            passcode = EXCLUDED.passcode,
+            day = EXCLUDED.day,
+            time = EXCLUDED.time,
+            timezone = EXCLUDED.timezone;
+    END IF;
+
+    FOR t_week IN
+        SELECT * FROM weeks
+        WHERE module_id = p_template_id
+        AND (p_week_numbers IS NULL OR week_number = ANY(p_week_numbers))
+        ORDER BY week_number
+    LOOP
+        SELECT id INTO v_week_id FROM weeks
+        WHERE module_id = p_active_module_id AND week_number = t_week.week_number
+        ORDER BY id LIMIT 1;
+
+        IF v_week_id IS NULL THEN
+            -- New week in the template - copy it whole
+            INSERT INTO weeks (module_id, week_number, title, description, unlock_date)
+            VALUES (p_active_module_id, t_week.week_number, t_week.title, t_week.description, t_week.unlock_date)
+            RETURNING id INTO v_week_id;
+
+            PERFORM copy_week_pages(t_week.id, v_week_id);
+        ELSE
+            UPDATE weeks SET
+                title = t_week.title,
+                description = t_week.description,
+                unlock_date = t_week.unlock_date
+            WHERE id = v_week_id;
+
+            FOR t_page IN SELECT * FROM pages WHERE week_id = t_week.id ORDER BY page_number LOOP
+                SELECT id INTO v_page_id FROM pages
+                WHERE week_id = v_week_id AND page_number = t_page.page_number;
+
+                IF v_page_id IS NULL THEN
+                    INSERT INTO pages (week_id, page_number, title, type, content)
+                    VALUES (v_week_id, t_page.page_number, t_page.title, t_page.type, t_page.content)
+                    RETURNING id INTO v_page_id;
+                ELSE
+                    UPDATE pages SET
+                        title = t_page.title,
+                        type = t_page.type,
+                        content = t_page.content
+                    WHERE id = v_page_id;
+
+                    -- Resources and videos have nothing attached to them - replace wholesale
+                    DELETE FROM resources WHERE page_id = v_page_id;
+                    DELETE FROM videos WHERE page_id = v_page_id;
+
+                    -- Move and reword existing questions in place, matched by key
+                    UPDATE questions aq SET
+                        question_number = tq.question_number,
+                        text = CASE
+                            WHEN p_protect_answered AND EXISTS (
+                                SELECT 1 FROM discussion_posts dp WHERE dp.question_id = aq.id
+                            ) THEN aq.text
+                            ELSE tq.text
+                        END
+                    FROM questions tq
+                    WHERE tq.page_id = t_page.id
+                    AND aq.page_id = v_page_id
+                    AND aq.question_key = tq.question_key;
+
+                    -- Questions dropped from the template may have discussions - keep them,
+                    -- numbered after the template's questions so positions don't collide
+                    SELECT COUNT(*) INTO v_template_count FROM questions WHERE page_id = t_page.id;
+
+                    UPDATE questions aq SET question_number = v_template_count + orphan.rn
+                    FROM (
+                        SELECT q.id, ROW_NUMBER() OVER (ORDER BY q.question_number, q.id) AS rn
+                        FROM questions q
+                        WHERE q.page_id = v_page_id
+                        AND NOT EXISTS (
+                            SELECT 1 FROM questions tq
+                            WHERE tq.page_id = t_page.id AND tq.question_key = q.question_key
+                        )
+                    ) orphan
+                    WHERE aq.id = orphan.id;
+                END IF;
+
+                INSERT INTO questions (page_id, question_number, text, question_key)
+                SELECT v_page_id, tq.question_number, tq.text, tq.question_key
+                FROM questions tq
+                WHERE tq.page_id = t_page.id
+                AND NOT EXISTS (
+                    SELECT 1 FROM questions aq
+                    WHERE aq.page_id = v_page_id AND aq.question_key = tq.question_key
+                );
+
+                INSERT INTO resources (page_id, title, url, description, sort_order)
+                SELECT v_page_id, title, url, description, sort_order FROM resources WHERE page_id = t_page.id;
+
+                INSERT INTO videos (page_id, title, url, description, duration, sort_order)
+                SELECT v_page_id, title, url, description, duration, sort_order FROM videos WHERE page_id = t_page.id;
+            END LOOP;
+        END IF;
+
+        v_synced := array_append(v_synced, t_week.week_number);
+    END LOOP;
+
+    RETURN v_synced;
+END;
+$$ LANGUAGE plpgsql;
+
@@ -0,0 +1,72 @@
+-- Add responses table for private reflections
+-- Run this in Supabase SQL Editor
+
+CREATE TABLE IF NOT EXISTS responses (
+    id BIGSERIAL PRIMARY KEY,
+    question_id BIGINT NOT NULL REFERENCES questions(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    content TEXT NOT NULL DEFAULT '',
+    version INT NOT NULL DEFAULT 1,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(user_id, question_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_responses_question_id ON responses(question_id);
+CREATE INDEX IF NOT EXISTS idx_responses_user_id ON responses(user_id);
+
+-- Keep updated_at current
+DROP TRIGGER IF EXISTS update_responses_updated_at ON responses;
+CREATE TRIGGER update_responses_updated_at BEFORE UPDATE ON responses
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Bump version on every autosave that changes content
+-- (the client never sends version, so this is the only writer)
+CREATE OR REPLACE FUNCTION bump_response_version()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.content IS DISTINCT FROM OLD.content THEN
+        NEW.version = OLD.version + 1;
+    ELSE
+        NEW.version = OLD.version;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS bump_responses_version ON responses;
+CREATE TRIGGER bump_responses_version BEFORE UPDATE ON responses
+    FOR EACH ROW EXECUTE FUNCTION bump_response_version();
+
+-- ===== RESPONSES POLICIES =====
+ALTER TABLE responses ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Admins view all responses" ON responses;
+DROP POLICY IF EXISTS "Users view own responses" ON responses;
+DROP POLICY IF EXISTS "Users insert own responses" ON responses;
+DROP POLICY IF EXISTS "Users update own responses" ON responses;
+
+-- Admins can view all responses (read-only - reflections belong to the student)
+CREATE POLICY "Admins view all responses" ON responses
+    FOR SELECT USING (is_admin());
+
+-- Authors can view their own responses
+CREATE POLICY "Users view own responses" ON responses
+    FOR SELECT USING (user_id = auth.uid());
+
+-- Authors can save responses to questions in modules they're enrolled in
+CREATE POLICY "Users insert own responses" ON responses
+    FOR INSERT WITH CHECK (
+        user_id = auth.uid() AND
+        EXISTS (
+            SELECT 1 FROM questions q
+            JOIN pages p ON p.id = q.page_id
+            JOIN weeks w ON w.id = p.week_id
+            WHERE q.id = responses.question_id
+            AND (is_enrolled(w.module_id) OR is_admin())
+        )
+    );
+
+CREATE POLICY "Users update own responses" ON responses
+    FOR UPDATE USING (user_id = auth.uid())
+    WITH CHECK (user_id = auth.uid());
@@ -0,0 +1,312 @@
+-- Add CSV roster import and module invite codes
+-- Run this in Supabase SQL Editor, after add-module-roles.sql
+--
+-- roster_entries holds imported students who haven't signed up yet; signing up
+-- and confirming a rostered email address enrolls and approves the account.
+-- module_invites holds per-module codes that enroll and approve whoever redeems them.
+
+-- Roster entries (imported students who haven't signed up yet; claimed when they confirm their email)
+CREATE TABLE IF NOT EXISTS roster_entries (
+    id BIGSERIAL PRIMARY KEY,
+    email TEXT NOT NULL,
+    name TEXT,
+    module_id BIGINT NOT NULL REFERENCES modules(id) ON DELETE CASCADE,
+    role TEXT NOT NULL DEFAULT 'student' CHECK (role IN ('student', 'instructor', 'ta', 'auditor')),
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(email, module_id)
+);
+
+-- Module invite codes (redeeming one enrolls and approves the user)
+CREATE TABLE IF NOT EXISTS module_invites (
+    id BIGSERIAL PRIMARY KEY,
+    module_id BIGINT NOT NULL REFERENCES modules(id) ON DELETE CASCADE,
+    code TEXT NOT NULL UNIQUE DEFAULT upper(substr(replace(gen_random_uuid()::text, '-', ''), 1, 10)),
+    role TEXT NOT NULL DEFAULT 'student' CHECK (role IN ('student', 'auditor')),
+    max_uses INT,
+    use_count INT NOT NULL DEFAULT 0,
+    expires_at TIMESTAMPTZ,
+    revoked_at TIMESTAMPTZ,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_roster_entries_email ON roster_entries(email);
+CREATE INDEX IF NOT EXISTS idx_module_invites_module_id ON module_invites(module_id);
+
+-- Re-imports change roster entries and redemptions change invites, so stamp
+-- updates (incremental backups pick them up by this)
+DROP TRIGGER IF EXISTS update_roster_entries_updated_at ON roster_entries;
+CREATE TRIGGER update_roster_entries_updated_at BEFORE UPDATE ON roster_entries
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_module_invites_updated_at ON module_invites;
+CREATE TRIGGER update_module_invites_updated_at BEFORE UPDATE ON module_invites
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE roster_entries ENABLE ROW LEVEL SECURITY;
+ALTER TABLE module_invites ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Admins full access to roster entries" ON roster_entries;
+CREATE POLICY "Admins full access to roster entries" ON roster_entries
+    FOR ALL USING (is_admin());
+
+DROP POLICY IF EXISTS "Instructors manage module invites" ON module_invites;
+CREATE POLICY "Instructors manage module invites" ON module_invites
+    FOR ALL USING (can_edit_module(module_id))
+    WITH CHECK (can_edit_module(module_id));
+
+-- Turn a new user's roster entries into enrollments. Returns how many were claimed.
+CREATE OR REPLACE FUNCTION claim_roster_entries(p_user_id UUID, p_email TEXT)
+RETURNS INT AS $$
+DECLARE
+    v_claimed INT;
+BEGIN
+    INSERT INTO public.enrollments (user_id, module_id, role)
+    SELECT p_user_id, module_id, role FROM public.roster_entries WHERE email = lower(p_email)
+    ON CONFLICT (user_id, module_id) DO NOTHING;
+
+    DELETE FROM public.roster_entries WHERE email = lower(p_email);
+    GET DIAGNOSTICS v_claimed = ROW_COUNT;
+
+    RETURN v_claimed;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Enroll a user through an invite code and count the use.
+-- Returns the module id, or NULL if the code is unknown, revoked, expired or used up.
+CREATE OR REPLACE FUNCTION redeem_invite(p_user_id UUID, p_code TEXT)
+RETURNS BIGINT AS $$
+DECLARE
+    v_invite public.module_invites;
+BEGIN
+    SELECT * INTO v_invite FROM public.module_invites
+    WHERE code = upper(trim(p_code))
+    AND revoked_at IS NULL
+    AND (expires_at IS NULL OR expires_at > NOW())
+    AND (max_uses IS NULL OR use_count < max_uses)
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN NULL;
+    END IF;
+
+    INSERT INTO public.enrollments (user_id, module_id, role)
+    VALUES (p_user_id, v_invite.module_id, v_invite.role)
+    ON CONFLICT (user_id, module_id) DO NOTHING;
+
+    -- Only count uses that actually enrolled someone
+    IF FOUND THEN
+        UPDATE public.module_invites SET use_count = use_count + 1 WHERE id = v_invite.id;
+    END IF;
+
+    RETURN v_invite.module_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Internal helpers: callers must not pick the user id
+REVOKE EXECUTE ON FUNCTION claim_roster_entries(UUID, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION redeem_invite(UUID, TEXT) FROM PUBLIC, anon, authenticated;
+
+-- Create user profile when auth user is created
+CREATE OR REPLACE FUNCTION handle_new_user()
+RETURNS TRIGGER AS $$
+DECLARE
+    v_claimed INT := 0;
+    v_invite_module_id BIGINT;
+BEGIN
+    INSERT INTO public.users (id, email, name, role, status)
+    VALUES (
+        NEW.id,
+        NEW.email,
+        COALESCE(NEW.raw_user_meta_data->>'name', split_part(NEW.email, '@', 1)),
+        'student',
+        'pending'
+    )
+    ON CONFLICT (id) DO NOTHING;
+
+    -- Students signing up with a valid invite code, or on an imported roster,
+    -- skip the approval queue. A roster entry is only claimed once the address is
+    -- confirmed (here for pre-confirmed accounts, otherwise by
+    -- handle_user_email_confirmed), or anyone could sign up as a rostered student.
+    v_invite_module_id := redeem_invite(NEW.id, NULLIF(NEW.raw_user_meta_data->>'invite_code', ''));
+    IF NEW.email_confirmed_at IS NOT NULL THEN
+        v_claimed := claim_roster_entries(NEW.id, NEW.email);
+    END IF;
+
+    IF v_claimed > 0 OR v_invite_module_id IS NOT NULL THEN
+        UPDATE public.users SET status = 'active' WHERE id = NEW.id AND status = 'pending';
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Claim a user's roster entries once they confirm their email address
+CREATE OR REPLACE FUNCTION handle_user_email_confirmed()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF claim_roster_entries(NEW.id, NEW.email) > 0 THEN
+        UPDATE public.users SET status = 'active' WHERE id = NEW.id AND status = 'pending';
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+DROP TRIGGER IF EXISTS on_auth_user_email_confirmed ON auth.users;
+CREATE TRIGGER on_auth_user_email_confirmed
+    AFTER UPDATE OF email_confirmed_at ON auth.users
+    FOR EACH ROW
+    WHEN (OLD.email_confirmed_at IS NULL AND NEW.email_confirmed_at IS NOT NULL)
+    EXECUTE FUNCTION handle_user_email_confirmed();
+
+-- Which of these users have confirmed their email address, for the roster import
+-- preview (clients can't read auth.users). Admin-only.
+CREATE OR REPLACE FUNCTION get_confirmed_user_ids(p_user_ids UUID[])
+RETURNS SETOF UUID AS $$
+BEGIN
+    IF NOT is_admin() THEN
+        RAISE EXCEPTION 'Only admins can check email confirmations' USING ERRCODE = '42501';
+    END IF;
+
+    RETURN QUERY
+    SELECT id FROM auth.users WHERE id = ANY(p_user_ids) AND email_confirmed_at IS NOT NULL;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER;
+
+-- Import a CSV roster. Each row is {email, name, moduleId, role}. Existing users are
+-- enrolled (and approved if pending and confirmed); unknown emails become roster
+-- entries that are claimed when that address signs up and is confirmed. With
+-- p_remove_missing, students no longer on a module's roster are unenrolled from
+-- that module. Returns counts for the import summary. Runs as definer so it can
+-- read email confirmations; only admins get past its first check.
+CREATE OR REPLACE FUNCTION import_roster(p_rows JSONB, p_remove_missing BOOLEAN DEFAULT FALSE)
+RETURNS JSONB AS $$
+DECLARE
+    v_row RECORD;
+    v_user users;
+    v_existing_role TEXT;
+    v_can_enroll BOOLEAN;
+    v_enrolled INT := 0;
+    v_updated INT := 0;
+    v_unchanged INT := 0;
+    v_approved INT := 0;
+    v_rostered INT := 0;
+    v_removed INT := 0;
+BEGIN
+    IF NOT is_admin() THEN
+        RAISE EXCEPTION 'Only admins can import rosters' USING ERRCODE = '42501';
+    END IF;
+
+    FOR v_row IN
+        SELECT
+            lower(trim(r->>'email')) AS email,
+            NULLIF(trim(r->>'name'), '') AS name,
+            (r->>'moduleId')::BIGINT AS module_id,
+            COALESCE(NULLIF(r->>'role', ''), 'student') AS role
+        FROM jsonb_array_elements(p_rows) AS r
+    LOOP
+        IF NOT EXISTS (SELECT 1 FROM modules WHERE id = v_row.module_id) THEN
+            RAISE EXCEPTION 'Module % not found', v_row.module_id USING ERRCODE = 'P0002';
+        END IF;
+
+        SELECT * INTO v_user FROM users WHERE lower(email) = v_row.email;
+
+        -- A pending account only takes its roster place once its address is
+        -- confirmed, as at signup; until then it gets a roster entry like an
+        -- unknown email, claimed by handle_user_email_confirmed
+        v_can_enroll := FOUND AND (v_user.status <> 'pending' OR EXISTS (
+            SELECT 1 FROM auth.users WHERE id = v_user.id AND email_confirmed_at IS NOT NULL
+        ));
+
+        IF v_can_enroll THEN
+            SELECT role INTO v_existing_role FROM enrollments
+            WHERE user_id = v_user.id AND module_id = v_row.module_id;
+
+            IF NOT FOUND THEN
+                INSERT INTO enrollments (user_id, module_id, role)
+                VALUES (v_user.id, v_row.module_id, v_row.role);
+                v_enrolled := v_enrolled + 1;
+            ELSIF v_existing_role <> v_row.role THEN
+                UPDATE enrollments SET role = v_row.role
+                WHERE user_id = v_user.id AND module_id = v_row.module_id;
+                v_updated := v_updated + 1;
+            ELSE
+                v_unchanged := v_unchanged + 1;
+            END IF;
+
+            -- Being on the roster is the approval
+            IF v_user.status = 'pending' THEN
+                UPDATE users SET status = 'active' WHERE id = v_user.id;
+                v_approved := v_approved + 1;
+            END IF;
+        ELSE
+            INSERT INTO roster_entries (email, name, module_id, role, created_by)
+            VALUES (v_row.email, v_row.name, v_row.module_id, v_row.role, auth.uid())
+            ON CONFLICT (email, module_id) DO UPDATE
+                SET name = COALESCE(EXCLUDED.name, roster_entries.name), role = EXCLUDED.role;
+            v_rostered := v_rostered + 1;
+        END IF;
+    END LOOP;
+
+    IF p_remove_missing THEN
+        -- Staff enrollments are managed by hand, so only students are removed
+        DELETE FROM enrollments e
+        USING users u
+        WHERE u.id = e.user_id
+        AND e.role = 'student'
+        AND e.module_id IN (SELECT (r->>'moduleId')::BIGINT FROM jsonb_array_elements(p_rows) AS r)
+        AND NOT EXISTS (
+            SELECT 1 FROM jsonb_array_elements(p_rows) AS r
+            WHERE (r->>'moduleId')::BIGINT = e.module_id
+            AND lower(trim(r->>'email')) = lower(u.email)
+        );
+        GET DIAGNOSTICS v_removed = ROW_COUNT;
+
+        DELETE FROM roster_entries re
+        WHERE re.module_id IN (SELECT (r->>'moduleId')::BIGINT FROM jsonb_array_elements(p_rows) AS r)
+        AND NOT EXISTS (
+            SELECT 1 FROM jsonb_array_elements(p_rows) AS r
+            WHERE (r->>'moduleId')::BIGINT = re.module_id
+            AND lower(trim(r->>'email')) = re.email
+        );
+    END IF;
+
+    RETURN jsonb_build_object(
+        'enrolled', v_enrolled,
+        'updated', v_updated,
+        'unchanged', v_unchanged,
+        'approved', v_approved,
+        'rostered', v_rostered,
+        'removed', v_removed
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Redeem an invite code for the signed-in user (for students who signed up without one).
+-- Runs as definer because students can't read module_invites.
+CREATE OR REPLACE FUNCTION redeem_invite_code(p_code TEXT)
+RETURNS BIGINT AS $$
+DECLARE
+    v_module_id BIGINT;
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RAISE EXCEPTION 'Not signed in' USING ERRCODE = '42501';
+    END IF;
+
+    v_module_id := redeem_invite(auth.uid(), p_code);
+    IF v_module_id IS NULL THEN
+        RAISE EXCEPTION 'Invite code is invalid or has expired' USING ERRCODE = '22023';
+    END IF;
+
+    UPDATE users SET status = 'active' WHERE id = auth.uid() AND status = 'pending';
+
+    RETURN v_module_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+GRANT EXECUTE ON FUNCTION import_roster(JSONB, BOOLEAN) TO authenticated;
+GRANT EXECUTE ON FUNCTION get_confirmed_user_ids(UUID[]) TO authenticated;
+GRANT EXECUTE ON FUNCTION redeem_invite_code(TEXT) TO authenticated;
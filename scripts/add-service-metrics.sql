@@ -0,0 +1,98 @@
+-- Add data service telemetry
+-- Run this in Supabase SQL Editor, after add-error-groups.sql
+--
+-- Every DataServiceSupabase call, and each withRetry attempt, is timed in the
+-- browser and sent to service_metrics in batches (a row per method per flush,
+-- with a latency histogram). admin-backup.html shows p50/p95 latency per method
+-- and the error rate over time.
+
+-- Service Metrics table (data service latency, batched by js/service-metrics.js)
+CREATE TABLE IF NOT EXISTS service_metrics (
+    id BIGSERIAL PRIMARY KEY,
+    recorded_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    method TEXT NOT NULL,
+    -- 'call': a DataServiceSupabase method; 'attempt': one withRetry attempt within it
+    kind TEXT NOT NULL DEFAULT 'call' CHECK (kind IN ('call', 'attempt')),
+    calls INT NOT NULL CHECK (calls > 0),
+    errors INT NOT NULL DEFAULT 0,
+    retries INT NOT NULL DEFAULT 0,
+    slow_calls INT NOT NULL DEFAULT 0,
+    total_ms BIGINT NOT NULL DEFAULT 0,
+    max_ms INT NOT NULL DEFAULT 0,
+    -- Calls per latency bucket (LATENCY_BUCKETS in js/service-metrics.js)
+    latency_buckets INT[] NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_service_metrics_recorded_at ON service_metrics(recorded_at DESC);
+
+ALTER TABLE service_metrics ENABLE ROW LEVEL SECURITY;
+
+-- Anyone can send metrics (sign-in pages use the data service too); only admins read and clear them
+DROP POLICY IF EXISTS "Anyone can insert service metrics" ON service_metrics;
+CREATE POLICY "Anyone can insert service metrics" ON service_metrics
+    FOR INSERT
+    TO anon, authenticated
+    WITH CHECK (true);
+
+DROP POLICY IF EXISTS "Admins view service metrics" ON service_metrics;
+CREATE POLICY "Admins view service metrics" ON service_metrics
+    FOR SELECT USING (is_admin());
+
+DROP POLICY IF EXISTS "Admins delete service metrics" ON service_metrics;
+CREATE POLICY "Admins delete service metrics" ON service_metrics
+    FOR DELETE USING (is_admin());
+
+-- Data service latency per method since p_since, for admin-backup.html: totals
+-- and the summed latency histogram (percentiles are estimated from it).
+-- Invoker rights, so only admins see anything.
+CREATE OR REPLACE FUNCTION get_service_metrics(p_since TIMESTAMPTZ)
+RETURNS TABLE (
+    method TEXT,
+    kind TEXT,
+    calls BIGINT,
+    errors BIGINT,
+    retries BIGINT,
+    slow_calls BIGINT,
+    total_ms BIGINT,
+    max_ms INT,
+    latency_buckets BIGINT[]
+) AS $$
+    WITH buckets AS (
+        SELECT m.method, m.kind, b.idx, SUM(b.n) AS n
+        FROM service_metrics m
+        CROSS JOIN LATERAL unnest(m.latency_buckets) WITH ORDINALITY AS b(n, idx)
+        WHERE m.recorded_at >= p_since
+        GROUP BY m.method, m.kind, b.idx
+    )
+    SELECT m.method, m.kind, SUM(m.calls), SUM(m.errors), SUM(m.retries), SUM(m.slow_calls),
+        SUM(m.total_ms)::BIGINT, MAX(m.max_ms),
+        (SELECT array_agg(b.n ORDER BY b.idx) FROM buckets b WHERE b.method = m.method AND b.kind = m.kind)
+    FROM service_metrics m
+    WHERE m.recorded_at >= p_since
+    GROUP BY m.method, m.kind
+    ORDER BY SUM(m.calls) DESC;
+$$ LANGUAGE sql STABLE;
+
+-- Data service calls, errors and retries since p_since in p_bucket_minutes
+-- intervals, for the error rate chart on admin-backup.html
+CREATE OR REPLACE FUNCTION get_service_metrics_timeline(p_since TIMESTAMPTZ, p_bucket_minutes INT DEFAULT 60)
+RETURNS TABLE (
+    bucket_start TIMESTAMPTZ,
+    calls BIGINT,
+    errors BIGINT,
+    retries BIGINT,
+    slow_calls BIGINT
+) AS $$
+    SELECT to_timestamp(floor(extract(epoch FROM m.recorded_at) / (GREATEST(p_bucket_minutes, 1) * 60)) * (GREATEST(p_bucket_minutes, 1) * 60)),
+        COALESCE(SUM(m.calls) FILTER (WHERE m.kind = 'call'), 0),
+        COALESCE(SUM(m.errors) FILTER (WHERE m.kind = 'call'), 0),
+        COALESCE(SUM(m.retries) FILTER (WHERE m.kind = 'attempt'), 0),
+        COALESCE(SUM(m.slow_calls) FILTER (WHERE m.kind = 'call'), 0)
+    FROM service_metrics m
+    WHERE m.recorded_at >= p_since
+    GROUP BY 1
+    ORDER BY 1;
+$$ LANGUAGE sql STABLE;
+
+GRANT EXECUTE ON FUNCTION get_service_metrics(TIMESTAMPTZ) TO authenticated;
+GRANT EXECUTE ON FUNCTION get_service_metrics_timeline(TIMESTAMPTZ, INT) TO authenticated;
@@ -0,0 +1,335 @@
+-- Transactional RPC functions for launch, sync and week create/delete
+-- Run this in Supabase SQL Editor
+--
+-- Each function runs in a single transaction, so a failure part-way through
+-- (e.g. on the fifth week of a launch) rolls back everything it wrote.
+-- Functions run as the caller (SECURITY INVOKER), so RLS still applies;
+-- the explicit is_admin() checks just give a clearer error.
+
+-- Idempotency key for launches: a retried or double-clicked launch with the
+-- same key returns the module created by the first call
+ALTER TABLE modules ADD COLUMN IF NOT EXISTS launch_key UUID UNIQUE;
+
+-- Copy every page of one week (with questions, resources, videos) into another
+CREATE OR REPLACE FUNCTION copy_week_pages(p_source_week_id BIGINT, p_target_week_id BIGINT)
+RETURNS VOID AS $$
+DECLARE
+    src RECORD;
+    v_page_id BIGINT;
+BEGIN
+    FOR src IN SELECT * FROM pages WHERE week_id = p_source_week_id ORDER BY page_number LOOP
+        INSERT INTO pages (week_id, page_number, title, type, content)
+        VALUES (p_target_week_id, src.page_number, src.title, src.type, src.content)
+        RETURNING id INTO v_page_id;
+
+        INSERT INTO questions (page_id, question_number, text)
+        SELECT v_page_id, question_number, text FROM questions WHERE page_id = src.id;
+
+        INSERT INTO resources (page_id, title, url, description, sort_order)
+        SELECT v_page_id, title, url, description, sort_order FROM resources WHERE page_id = src.id;
+
+        INSERT INTO videos (page_id, title, url, description, duration, sort_order)
+        SELECT v_page_id, title, url, description, duration, sort_order FROM videos WHERE page_id = src.id;
+    END LOOP;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Insert pages from the client's JSON shape:
+-- [{ title, type, content, questions: [{ text }], resources: [{ title, url, description }], videos: [{ title, url, description, duration }] }]
+CREATE OR REPLACE FUNCTION insert_week_pages(p_week_id BIGINT, p_pages JSONB)
+RETURNS VOID AS $$
+DECLARE
+    v_page JSONB;
+    v_page_number INT;
+    v_page_id BIGINT;
+BEGIN
+    FOR v_page, v_page_number IN
+        SELECT value, ordinality FROM jsonb_array_elements(COALESCE(p_pages, '[]'::jsonb)) WITH ORDINALITY
+    LOOP
+        INSERT INTO pages (week_id, page_number, title, type, content)
+        VALUES (p_week_id, v_page_number, v_page->>'title', v_page->>'type', NULLIF(v_page->>'content', ''))
+        RETURNING id INTO v_page_id;
+
+        INSERT INTO questions (page_id, question_number, text)
+        SELECT v_page_id, q.ordinality, q.value->>'text'
+        FROM jsonb_array_elements(COALESCE(v_page->'questions', '[]'::jsonb)) WITH ORDINALITY AS q;
+
+        INSERT INTO resources (page_id, title, url, description, sort_order)
+        SELECT v_page_id, r.value->>'title', NULLIF(r.value->>'url', ''), NULLIF(r.value->>'description', ''), r.ordinality - 1
+        FROM jsonb_array_elements(COALESCE(v_page->'resources', '[]'::jsonb)) WITH ORDINALITY AS r;
+
+        INSERT INTO videos (page_id, title, url, description, duration, sort_order)
+        SELECT v_page_id, v.value->>'title', v.value->>'url', NULLIF(v.value->>'description', ''), NULLIF(v.value->>'duration', ''), v.ordinality - 1
+        FROM jsonb_array_elements(COALESCE(v_page->'videos', '[]'::jsonb)) WITH ORDINALITY AS v;
+    END LOOP;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Create a week with all of its content.
+-- p_week_number NULL appends after the module's last week.
+CREATE OR REPLACE FUNCTION create_week_with_content(p_module_id BIGINT, p_week JSONB, p_week_number INT DEFAULT NULL)
+RETURNS weeks AS $$
+DECLARE
+    v_week weeks;
+BEGIN
+    IF NOT is_admin() THEN
+        RAISE EXCEPTION 'Only admins can create weeks' USING ERRCODE = '42501';
+    END IF;
+
+    -- Serialize week numbering per module (replaces the client-side upsert/retry)
+    PERFORM 1 FROM modules WHERE id = p_module_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Module not found' USING ERRCODE = 'P0002';
+    END IF;
+
+    INSERT INTO weeks (module_id, week_number, title, description, unlock_date)
+    VALUES (
+        p_module_id,
+        COALESCE(p_week_number, (SELECT COALESCE(MAX(week_number), 0) + 1 FROM weeks WHERE module_id = p_module_id)),
+        p_week->>'title',
+        NULLIF(p_week->>'description', ''),
+        NULLIF(p_week->>'unlockDate', '')::DATE
+    )
+    RETURNING * INTO v_week;
+
+    PERFORM insert_week_pages(v_week.id, p_week->'pages');
+
+    RETURN v_week;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Delete one week by number. If duplicates exist only the oldest row is removed.
+CREATE OR REPLACE FUNCTION delete_week(p_module_id BIGINT, p_week_number INT)
+RETURNS JSONB AS $$
+DECLARE
+    v_week_id BIGINT;
+    v_remaining INT;
+BEGIN
+    IF NOT is_admin() THEN
+        RAISE EXCEPTION 'Only admins can delete weeks' USING ERRCODE = '42501';
+    END IF;
+
+    SELECT id INTO v_week_id FROM weeks
+    WHERE module_id = p_module_id AND week_number = p_week_number
+    ORDER BY id
+    LIMIT 1
+    FOR UPDATE;
+
+    IF v_week_id IS NULL THEN
+        RAISE EXCEPTION 'Week not found' USING ERRCODE = 'P0002';
+    END IF;
+
+    DELETE FROM weeks WHERE id = v_week_id;
+
+    SELECT COUNT(*) INTO v_remaining FROM weeks
+    WHERE module_id = p_module_id AND week_number = p_week_number;
+
+    RETURN jsonb_build_object('deleted_id', v_week_id, 'remaining_duplicates', v_remaining);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Launch a template as a new active module, copying weeks, pages and zoom info.
+-- Calls with the same p_launch_key return the module from the first call.
+CREATE OR REPLACE FUNCTION launch_module(p_template_id BIGINT, p_launch_key UUID)
+RETURNS modules AS $$
+DECLARE
+    v_template modules;
+    v_module modules;
+    v_week RECORD;
+    v_week_id BIGINT;
+BEGIN
+    IF NOT is_admin() THEN
+        RAISE EXCEPTION 'Only admins can launch modules' USING ERRCODE = '42501';
+    END IF;
+
+    -- Concurrent calls with the same key wait here, then see the first call's module
+    PERFORM pg_advisory_xact_lock(hashtext(p_launch_key::TEXT));
+
+    SELECT * INTO v_module FROM modules WHERE launch_key = p_launch_key;
+    IF FOUND THEN
+        RETURN v_module;
+    END IF;
+
+    SELECT * INTO v_template FROM modules WHERE id = p_template_id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Template module not found' USING ERRCODE = 'P0002';
+    END IF;
+
+    IF EXISTS (SELECT 1 FROM weeks WHERE module_id = p_template_id AND unlock_date IS NULL) THEN
+        RAISE EXCEPTION 'All weeks must have unlock dates before launching' USING ERRCODE = '22023';
+    END IF;
+
+    INSERT INTO modules (title, description, instructor, duration, participation, time_expectations,
+                         status, template_id, launched_at, launch_key)
+    VALUES (v_template.title, v_template.description, v_template.instructor, v_template.duration,
+            v_template.participation, v_template.time_expectations,
+            'launched', p_template_id, NOW(), p_launch_key)
+    RETURNING * INTO v_module;
+
+    -- Keep the template's week numbers so sync can match weeks by number
+    FOR v_week IN SELECT * FROM weeks WHERE module_id = p_template_id ORDER BY week_number LOOP
+        INSERT INTO weeks (module_id, week_number, title, description, unlock_date)
+        VALUES (v_module.id, v_week.week_number, v_week.title, v_week.description, v_week.unlock_date)
+        RETURNING id INTO v_week_id;
+
+        PERFORM copy_week_pages(v_week.id, v_week_id);
+    END LOOP;
+
+    INSERT INTO module_zoom_info (module_id, url, meeting_id, passcode, day, time, timezone)
+    SELECT v_module.id, url, meeting_id, passcode, day, time, timezone
+    FROM module_zoom_info
+    WHERE module_id = p_template_id AND (url IS NOT NULL OR meeting_id IS NOT NULL);
+
+    RETURN v_module;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Sync template content into an active module.
+-- Questions are updated in place so discussion posts stay attached; with
+-- p_protect_answered, questions that already have posts keep their text.
+-- p_week_numbers NULL syncs every template week.
+-- Returns the week numbers that were synced.
+CREATE OR REPLACE FUNCTION sync_template_to_module(
+    p_template_id BIGINT,
+    p_active_module_id BIGINT,
+    p_week_numbers INT[] DEFAULT NULL,
+    p_include_module_info BOOLEAN DEFAULT TRUE,
+    p_protect_answered BOOLEAN DEFAULT FALSE
+)
+RETURNS INT[] AS $$
+DECLARE
+    v_template modules;
+    v_active modules;
+    t_week RECORD;
+    t_page RECORD;
+    v_week_id BIGINT;
+    v_page_id BIGINT;
+    v_synced INT[] := '{}';
+BEGIN
+    IF NOT is_admin() THEN
+        RAISE EXCEPTION 'Only admins can sync modules' USING ERRCODE = '42501';
+    END IF;
+
+    SELECT * INTO v_template FROM modules WHERE id = p_template_id;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Template not found' USING ERRCODE = 'P0002';
+    END IF;
+    IF v_template.status <> 'draft' THEN
+        RAISE EXCEPTION 'Source must be a template (draft module)' USING ERRCODE = '22023';
+    END IF;
+
+    -- Lock the active module so two syncs can't interleave
+    SELECT * INTO v_active FROM modules WHERE id = p_active_module_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Active module not found' USING ERRCODE = 'P0002';
+    END IF;
+    IF v_active.status <> 'launched' THEN
+        RAISE EXCEPTION 'Target must be a launched module' USING ERRCODE = '22023';
+    END IF;
+
+    IF p_include_module_info THEN
+        -- Module info (status, launched_at and template_id are preserved)
+        UPDATE modules SET
+            title = v_template.title,
+            description = v_template.description,
+            instructor = v_template.instructor,
+            duration = v_template.duration,
+            participation = v_template.participation,
+            time_expectations = v_template.time_expectations
+        WHERE id = p_active_module_id;
+
+        INSERT INTO module_zoom_info (module_id, url, meeting_id, passcode, day, time, timezone)
+        SELECT p_active_module_id, url, meeting_id, passcode, day, time, timezone
+        FROM module_zoom_info WHERE module_id = p_template_id
+        ON CONFLICT (module_id) DO UPDATE SET
+            url = EXCLUDED.url,
+            meeting_id = EXCLUDED.meeting_id,
+            passcode = EXCLUDED.passcode,
+            day = EXCLUDED.day,
+            time = EXCLUDED.time,
+            timezone = EXCLUDED.timezone;
+    END IF;
+
+    FOR t_week IN
+        SELECT * FROM weeks
+        WHERE module_id = p_template_id
+        AND (p_week_numbers IS NULL OR week_number = ANY(p_week_numbers))
+        ORDER BY week_number
+    LOOP
+        SELECT id INTO v_week_id FROM weeks
+        WHERE module_id = p_active_module_id AND week_number = t_week.week_number
+        ORDER BY id LIMIT 1;
+
+        IF v_week_id IS NULL THEN
+            -- New week in the template - copy it whole
+            INSERT INTO weeks (module_id, week_number, title, description, unlock_date)
+            VALUES (p_active_module_id, t_week.week_number, t_week.title, t_week.description, t_week.unlock_date)
+            RETURNING id INTO v_week_id;
+
+            PERFORM copy_week_pages(t_week.id, v_week_id);
+        ELSE
+            UPDATE weeks SET
+                title = t_week.title,
+                description = t_week.description,
+                unlock_date = t_week.unlock_date
+            WHERE id = v_week_id;
+
+            FOR t_page IN SELECT * FROM pages WHERE week_id = t_week.id ORDER BY page_number LOOP
+                SELECT id INTO v_page_id FROM pages
+                WHERE week_id = v_week_id AND page_number = t_page.page_number;
+
+                IF v_page_id IS NULL THEN
+                    INSERT INTO pages (week_id, page_number, title, type, content)
+                    VALUES (v_week_id, t_page.page_number, t_page.title, t_page.type, t_page.content)
+                    RETURNING id INTO v_page_id;
+                ELSE
+                    UPDATE pages SET
+                        title = t_page.title,
+                        type = t_page.type,
+                        content = t_page.content
+                    WHERE id = v_page_id;
+
+                    -- Resources and videos have nothing attached to them - replace wholesale
+                    DELETE FROM resources WHERE page_id = v_page_id;
+                    DELETE FROM videos WHERE page_id = v_page_id;
+
+                    -- Reword existing questions in place
+                    UPDATE questions aq SET text = tq.text
+                    FROM questions tq
+                    WHERE tq.page_id = t_page.id
+                    AND aq.page_id = v_page_id
+                    AND aq.question_number = tq.question_number
+                    AND aq.text IS DISTINCT FROM tq.text
+                    AND NOT (p_protect_answered AND EXISTS (
+                        SELECT 1 FROM discussion_posts dp WHERE dp.question_id = aq.id
+                    ));
+                END IF;
+
+                INSERT INTO questions (page_id, question_number, text)
+                SELECT v_page_id, tq.question_number, tq.text
+                FROM questions tq
+                WHERE tq.page_id = t_page.id
+                AND NOT EXISTS (
+                    SELECT 1 FROM questions aq
+                    WHERE aq.page_id = v_page_id AND aq.question_number = tq.question_number
+                );
+
+                INSERT INTO resources (page_id, title, url, description, sort_order)
+                SELECT v_page_id, title, url, description, sort_order FROM resources WHERE page_id = t_page.id;
+
+                INSERT INTO videos (page_id, title, url, description, duration, sort_order)
+                SELECT v_page_id, title, url, description, duration, sort_order FROM videos WHERE page_id = t_page.id;
+            END LOOP;
+        END IF;
+
+        v_synced := array_append(v_synced, t_week.week_number);
+    END LOOP;
+
+    RETURN v_synced;
+END;
+$$ LANGUAGE plpgsql;
+
+GRANT EXECUTE ON FUNCTION create_week_with_content(BIGINT, JSONB, INT) TO authenticated;
+GRANT EXECUTE ON FUNCTION delete_week(BIGINT, INT) TO authenticated;
+GRANT EXECUTE ON FUNCTION launch_module(BIGINT, UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION sync_template_to_module(BIGINT, BIGINT, INT[], BOOLEAN, BOOLEAN) TO authenticated;
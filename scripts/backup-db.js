@@ -49,9 +49,22 @@ const TABLES = [
     'resources',
     'videos',
     'enrollments',
+    'roster_entries',
+    'module_invites',
     'progress',
     'discussion_posts',
-    'error_logs'
+    'post_flags',
+    'post_revisions',
+    'discussion_reads',
+    'notifications',
+    'notification_preferences',
+    'post_mentions',
+    'responses',
+    'alert_rules',
+    'audit_log',
+    'error_groups',
+    'error_logs',
+    'alert_events'
 ]
 
 /**
@@ -0,0 +1,202 @@
+#!/usr/bin/env node
+/**
+ * Lectern Schema Drift Check
+ *
+ * Compares the table definitions in schema.sql with DB_SCHEMA (js/db-schema.js),
+ * which drives client-side validation and row mapping. Exits non-zero when a
+ * table, column, type, NOT NULL, DEFAULT, CHECK (... IN ...) list or foreign key
+ * differs, so a migration can't land without the matching DB_SCHEMA change.
+ *
+ * Usage:
+ *   node scripts/check-schema-drift.js
+ */
+
+import { readFileSync } from 'fs'
+import { join, dirname } from 'path'
+import { fileURLToPath } from 'url'
+import { DB_SCHEMA } from '../js/db-schema.js'
+
+const __filename = fileURLToPath(import.meta.url)
+const __dirname = dirname(__filename)
+
+const SCHEMA_PATH = join(__dirname, '..', 'schema.sql')
+
+// SQL type -> DB_SCHEMA type (serial types also imply a DEFAULT)
+const SQL_TYPES = {
+    UUID: 'uuid',
+    TEXT: 'text',
+    INT: 'int',
+    INTEGER: 'int',
+    SERIAL: 'int',
+    BIGINT: 'bigint',
+    BIGSERIAL: 'bigint',
+    BOOLEAN: 'boolean',
+    DATE: 'date',
+    TIMESTAMPTZ: 'timestamptz',
+    JSONB: 'jsonb'
+}
+
+const TABLE_CONSTRAINTS = /^(UNIQUE|PRIMARY KEY|CHECK|CONSTRAINT|FOREIGN KEY|EXCLUDE)\b/i
+
+/**
+ * Split a CREATE TABLE body on commas that aren't inside parentheses
+ */
+function splitTopLevel(body) {
+    const parts = []
+    let depth = 0
+    let current = ''
+
+    for (const char of body) {
+        if (char === '(') depth++
+        if (char === ')') depth--
+        if (char === ',' && depth === 0) {
+            parts.push(current)
+            current = ''
+        } else {
+            current += char
+        }
+    }
+    parts.push(current)
+
+    return parts.map(p => p.trim()).filter(Boolean)
+}
+
+/**
+ * Parse one column definition line into the same shape as a DB_SCHEMA column
+ */
+function parseColumn(definition) {
+    const [name, rawType] = definition.split(/\s+/)
+    const sqlType = rawType.toUpperCase()
+    const upper = definition.toUpperCase()
+
+    const column = {
+        name,
+        type: SQL_TYPES[sqlType] || sqlType.toLowerCase(),
+        notNull: /\bNOT NULL\b/.test(upper) || /\bPRIMARY KEY\b/.test(upper),
+        hasDefault: /\bDEFAULT\b/.test(upper) || sqlType.endsWith('SERIAL'),
+        enum: null,
+        references: null
+    }
+
+    const check = definition.match(/CHECK\s*\(\s*\w+\s+IN\s*\(([^)]*)\)\s*\)/i)
+    if (check) {
+        column.enum = [...check[1].matchAll(/'([^']*)'/g)].map(m => m[1])
+    }
+
+    const reference = definition.match(/REFERENCES\s+([\w.]+)/i)
+    if (reference) {
+        column.references = reference[1]
+    }
+
+    return column
+}
+
+/**
+ * Read every CREATE TABLE (and ALTER TABLE ... ADD COLUMN) in schema.sql
+ * @returns {Map<string, Map<string, Object>>} table -> column name -> column
+ */
+function parseSchemaSql(sql) {
+    const withoutComments = sql.replace(/--[^\n]*/g, '')
+    const tables = new Map()
+
+    const createTable = /CREATE TABLE IF NOT EXISTS (\w+)\s*\(/gi
+    let match
+    while ((match = createTable.exec(withoutComments)) !== null) {
+        // Find the parenthesis that closes the table body
+        let depth = 1
+        let end = createTable.lastIndex
+        while (depth > 0 && end < withoutComments.length) {
+            if (withoutComments[end] === '(') depth++
+            if (withoutComments[end] === ')') depth--
+            end++
+        }
+
+        const body = withoutComments.slice(createTable.lastIndex, end - 1)
+        const columns = new Map()
+        for (const definition of splitTopLevel(body)) {
+            if (TABLE_CONSTRAINTS.test(definition)) continue
+            const column = parseColumn(definition)
+            columns.set(column.name, column)
+        }
+        tables.set(match[1], columns)
+    }
+
+    const addColumn = /ALTER TABLE (\w+) ADD COLUMN IF NOT EXISTS ([^;]+);/gi
+    while ((match = addColumn.exec(withoutComments)) !== null) {
+        const column = parseColumn(match[2].trim())
+        tables.get(match[1])?.set(column.name, column)
+    }
+
+    return tables
+}
+
+function sameList(a, b) {
+    return [...(a || [])].sort().join('|') === [...(b || [])].sort().join('|')
+}
+
+/**
+ * Compare parsed schema.sql with DB_SCHEMA
+ * @returns {string[]} One message per difference
+ */
+function findDrift(sqlTables) {
+    const problems = []
+    const schemaTables = DB_SCHEMA.tables
+
+    for (const table of sqlTables.keys()) {
+        if (!schemaTables[table]) problems.push(`${table}: table is in schema.sql but not in DB_SCHEMA`)
+    }
+
+    for (const [table, definition] of Object.entries(schemaTables)) {
+        const sqlColumns = sqlTables.get(table)
+        if (!sqlColumns) {
+            problems.push(`${table}: table is in DB_SCHEMA but not in schema.sql`)
+            continue
+        }
+
+        for (const name of sqlColumns.keys()) {
+            if (!definition.columns[name]) problems.push(`${table}.${name}: column is in schema.sql but not in DB_SCHEMA`)
+        }
+
+        for (const [name, spec] of Object.entries(definition.columns)) {
+            const column = sqlColumns.get(name)
+            if (!column) {
+                problems.push(`${table}.${name}: column is in DB_SCHEMA but not in schema.sql`)
+                continue
+            }
+
+            if (spec.type !== column.type) {
+                problems.push(`${table}.${name}: type is ${column.type} in schema.sql, ${spec.type} in DB_SCHEMA`)
+            }
+            if (Boolean(spec.notNull) !== column.notNull) {
+                problems.push(`${table}.${name}: schema.sql says ${column.notNull ? 'NOT NULL' : 'nullable'}, DB_SCHEMA says ${spec.notNull ? 'notNull' : 'nullable'}`)
+            }
+            if ((spec.default !== undefined) !== column.hasDefault) {
+                problems.push(`${table}.${name}: DEFAULT is ${column.hasDefault ? 'set' : 'not set'} in schema.sql but ${spec.default !== undefined ? 'set' : 'not set'} in DB_SCHEMA`)
+            }
+            if (!sameList(spec.enum, column.enum)) {
+                problems.push(`${table}.${name}: allowed values are [${(column.enum || []).join(', ')}] in schema.sql, [${(spec.enum || []).join(', ')}] in DB_SCHEMA`)
+            }
+            if ((spec.references || null) !== column.references) {
+                problems.push(`${table}.${name}: references ${column.references || 'nothing'} in schema.sql, ${spec.references || 'nothing'} in DB_SCHEMA`)
+            }
+        }
+    }
+
+    return problems
+}
+
+function main() {
+    const sqlTables = parseSchemaSql(readFileSync(SCHEMA_PATH, 'utf8'))
+    const problems = findDrift(sqlTables)
+
+    if (problems.length > 0) {
+        console.error(`DB_SCHEMA has drifted from schema.sql (${problems.length} difference${problems.length === 1 ? '' : 's'}):\n`)
+        problems.forEach(p => console.error(`  - ${p}`))
+        console.error('\nUpdate js/db-schema.js to match schema.sql.')
+        process.exit(1)
+    }
+
+    console.log(`DB_SCHEMA matches schema.sql (${sqlTables.size} tables)`)
+}
+
+main()
@@ -0,0 +1,17 @@
+-- Enable realtime updates for discussion threads
+-- Run this in Supabase SQL Editor
+
+-- Stream discussion changes to week-viewer (subscribeToDiscussion).
+-- REPLICA IDENTITY FULL so UPDATE/DELETE events carry question_id and can be
+-- filtered and checked against RLS like any other read.
+ALTER TABLE discussion_posts REPLICA IDENTITY FULL;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_publication_tables
+        WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'discussion_posts'
+    ) THEN
+        ALTER PUBLICATION supabase_realtime ADD TABLE discussion_posts;
+    END IF;
+END $$;
@@ -5,10 +5,16 @@
  * Restores data from a backup JSON file to Supabase.
  * WARNING: This will overwrite existing data!
  *
+ * Incremental and differential snapshots (from the scheduled-backup worker) are
+ * restored by replaying their chain: the full snapshot they build on, then each
+ * snapshot in between, found by filename in the same directory. Download the whole
+ * chain (see the worker's /manifest endpoint) before restoring.
+ *
  * Usage:
  *   node scripts/restore-db.js backups/backup-2024-01-14-120000.json
  *   node scripts/restore-db.js backups/backup-2024-01-14-120000.json --dry-run
  *   node scripts/restore-db.js backups/backup-2024-01-14-120000.json --force
+ *   node scripts/restore-db.js backups/backup-2024-01-16-020000-incremental.json
  *
  * Options:
  *   --dry-run   Show what would be restored without making changes
@@ -17,6 +23,7 @@
 
 import { createClient } from '@supabase/supabase-js'
 import { readFileSync, existsSync } from 'fs'
+import { join, dirname, basename } from 'path'
 import { createInterface } from 'readline'
 
 // Supabase configuration - loaded from environment variables
@@ -39,6 +46,7 @@ const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_KEY)
 // Tables to restore in order (respecting foreign key dependencies)
 // Order matters: parent tables first, then child tables
 const RESTORE_ORDER = [
+    'audit_log',       // No dependencies; first, before any audited table (see APPEND_ONLY)
     'users',           // No dependencies
     'modules',         // No dependencies (template_id is self-ref)
     'module_zoom_info', // Depends on modules
@@ -48,13 +56,33 @@ const RESTORE_ORDER = [
     'resources',       // Depends on pages
     'videos',          // Depends on pages
     'enrollments',     // Depends on users, modules
+    'roster_entries',  // Depends on modules, users
+    'module_invites',  // Depends on modules, users
     'progress',        // Depends on users, weeks
-    'discussion_posts' // Depends on questions, users (parent_id is self-ref)
-    // Note: error_logs not restored by default (fresh start)
+    'discussion_posts', // Depends on questions, users (parent_id is self-ref)
+    'post_flags',      // Depends on discussion_posts, users
+    'post_revisions',  // Depends on discussion_posts, users
+    'discussion_reads', // Depends on users, questions
+    'notifications',   // Depends on users, modules, weeks, discussion_posts
+    'notification_preferences', // Depends on users
+    'post_mentions',   // Depends on discussion_posts, users
+    'responses',       // Depends on questions, users
+    'alert_rules'      // Depends on users
+    // Note: error_groups, error_logs and alert_events not restored by default (fresh start)
 ]
 
+// The database rejects deletes from these, so they're never cleared: only rows
+// missing from the database are restored. They go back before the tables whose
+// triggers write to them, so restored entries keep their ids, and the id
+// sequence is moved past them afterwards (see syncSequence)
+const APPEND_ONLY = ['audit_log']
+
+// Filled in again by triggers while discussion_posts is restored, so these are
+// cleared once more just before their own rows go back
+const REFILLED_ON_RESTORE = ['post_mentions']
+
 // Tables to clear in reverse order (child tables first)
-const CLEAR_ORDER = [...RESTORE_ORDER].reverse()
+const CLEAR_ORDER = [...RESTORE_ORDER].reverse().filter(table => !APPEND_ONLY.includes(table))
 
 /**
  * Prompt user for confirmation
@@ -121,9 +149,9 @@ async function restoreTable(tableName, data, dryRun = false) {
     for (let i = 0; i < data.length; i += BATCH_SIZE) {
         const batch = data.slice(i, i + BATCH_SIZE)
 
-        const { error } = await supabase
-            .from(tableName)
-            .insert(batch)
+        const { error } = APPEND_ONLY.includes(tableName)
+            ? await supabase.from(tableName).upsert(batch, { onConflict: 'id', ignoreDuplicates: true })
+            : await supabase.from(tableName).insert(batch)
 
         if (error) {
             console.error(`    Error restoring ${tableName} (batch ${Math.floor(i / BATCH_SIZE) + 1}):`, error.message)
@@ -137,6 +165,26 @@ async function restoreTable(tableName, data, dryRun = false) {
     return inserted === data.length
 }
 
+/**
+ * Move an append-only table's id sequence past the restored rows, so entries
+ * written after the restore don't collide with them
+ */
+async function syncSequence(tableName, dryRun = false) {
+    if (dryRun) {
+        console.log(`    [DRY RUN] Would move the ${tableName} id sequence past the restored rows`)
+        return true
+    }
+
+    const { error } = await supabase.rpc(`sync_${tableName}_sequence`)
+
+    if (error) {
+        console.error(`    Error syncing the ${tableName} id sequence:`, error.message)
+        return false
+    }
+
+    return true
+}
+
 /**
  * Load and validate backup file
  */
@@ -157,9 +205,66 @@ function loadBackup(filepath) {
         throw new Error('Invalid backup file: missing version')
     }
 
+    // Version 1.0 backups predate chains and are always full
+    backup.metadata.type = backup.metadata.type || 'full'
+
     return backup
 }
 
+/**
+ * Load a snapshot and every snapshot it builds on, full snapshot first
+ */
+function loadChain(filepath) {
+    const chain = [{ filename: basename(filepath), backup: loadBackup(filepath) }]
+
+    while (chain[0].backup.metadata.parent) {
+        const parent = chain[0].backup.metadata.parent
+        const parentPath = join(dirname(filepath), parent)
+
+        if (!existsSync(parentPath)) {
+            throw new Error(`${chain[0].filename} builds on ${parent}, which is not in ${dirname(filepath)}`)
+        }
+
+        chain.unshift({ filename: parent, backup: loadBackup(parentPath) })
+    }
+
+    if (chain[0].backup.metadata.type !== 'full') {
+        throw new Error(`Backup chain starts with ${chain[0].filename}, which is not a full backup`)
+    }
+
+    return chain
+}
+
+/**
+ * Rebuild table contents by replaying a chain: later snapshots replace rows by id,
+ * and rows missing from a snapshot's id list were deleted since the previous one
+ */
+function applyChain(chain) {
+    const tables = {}
+
+    for (const { backup } of chain) {
+        for (const table of RESTORE_ORDER) {
+            const rows = tables[table] || (tables[table] = new Map())
+
+            for (const row of backup.data[table] || []) {
+                rows.set(row.id, row)
+            }
+
+            const presentIds = backup.ids?.[table]
+            if (presentIds) {
+                const present = new Set(presentIds)
+                for (const id of rows.keys()) {
+                    if (!present.has(id)) rows.delete(id)
+                }
+            }
+        }
+    }
+
+    return Object.fromEntries(
+        Object.entries(tables).map(([table, rows]) => [table, [...rows.values()]])
+    )
+}
+
 /**
  * Main restore function
  */
@@ -174,21 +279,30 @@ async function restore(filepath, options = {}) {
         console.log('*** DRY RUN MODE - No changes will be made ***\n')
     }
 
-    // Load backup
+    // Load backup (and the snapshots it builds on)
     console.log(`Loading backup: ${filepath}`)
-    const backup = loadBackup(filepath)
+    const chain = loadChain(filepath)
+    const backup = chain[chain.length - 1].backup
+    const data = applyChain(chain)
 
     // Show backup info
     console.log('\nBackup information:')
     console.log(`  Created: ${backup.metadata.created_at}`)
     console.log(`  Version: ${backup.metadata.version}`)
-    console.log(`  Total rows: ${backup.metadata.total_rows}`)
+    console.log(`  Type: ${backup.metadata.type}`)
     console.log(`  Tables: ${backup.metadata.tables.join(', ')}`)
 
+    if (chain.length > 1) {
+        console.log('\nBackup chain:')
+        for (const { filename, backup: snapshot } of chain) {
+            console.log(`  ${filename} (${snapshot.metadata.type}, ${snapshot.metadata.created_at})`)
+        }
+    }
+
     // Show row counts per table
     console.log('\nData to restore:')
     for (const table of RESTORE_ORDER) {
-        const rows = backup.data[table]?.length || 0
+        const rows = data[table]?.length || 0
         console.log(`  ${table}: ${rows} rows`)
     }
 
@@ -213,8 +327,16 @@ async function restore(filepath, options = {}) {
     console.log('\n--- Phase 2: Restoring data ---\n')
     let success = true
     for (const table of RESTORE_ORDER) {
-        const tableSuccess = await restoreTable(table, backup.data[table], dryRun)
+        if (REFILLED_ON_RESTORE.includes(table)) {
+            await clearTable(table, dryRun)
+        }
+
+        const tableSuccess = await restoreTable(table, data[table], dryRun)
         if (!tableSuccess) success = false
+
+        if (APPEND_ONLY.includes(table) && !(await syncSequence(table, dryRun))) {
+            success = false
+        }
     }
 
     // Summary
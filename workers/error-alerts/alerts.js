@@ -0,0 +1,206 @@
+/**
+ * Error alerts run
+ *
+ * 1. Read the enabled alert rules (set up on admin-errors.html)
+ * 2. Find the error groups each rule matches:
+ *    - new_group: groups first seen since the rule was created
+ *    - spike: groups that logged more than `threshold` events in the last `window_minutes`
+ *    - affected_users: groups that have reached more than `threshold` users
+ * 3. Drop groups the rule already alerted for (spikes: within `cooldown_minutes`)
+ * 4. Send one alert per rule through the transport, then record an alert_events
+ *    row per group so it doesn't go out again
+ *
+ * Ignored groups never alert. A rule whose alert fails to send records nothing,
+ * so the next run tries again; so does one sent but not recorded. Either way the
+ * other rules still run. Uses only fetch and the transport it's given, so
+ * the Worker and run-local.js share it.
+ */
+
+import { renderAlert } from './render-alert.js';
+
+// Groups reported per rule per run; the rest wait for the next run
+const MAX_GROUPS_PER_ALERT = 50;
+
+// Only groups active this recently are checked, so each run reads a bounded set
+// (an alert that keeps failing to send is given up on after this long)
+const LOOKBACK_DAYS = 7;
+const MAX_CANDIDATES = 500;
+
+/**
+ * @param {Object} env - SUPABASE_URL, SUPABASE_SERVICE_KEY, APP_URL
+ * @param {Object} transport - See transports.js
+ * @param {Object} options
+ * @param {Date} [options.now] - Run as of this time
+ * @param {boolean} [options.dryRun] - Evaluate and hand alerts to the transport, but record nothing
+ * @param {number} [options.ruleId] - Only evaluate this rule
+ */
+export async function runAlerts(env, transport, { now = new Date(), dryRun = false, ruleId = null } = {}) {
+    const rules = await select(env, 'alert_rules', `enabled=is.true${ruleId ? `&id=eq.${ruleId}` : ''}&order=id`);
+
+    const result = {
+        rules: rules.length,
+        alerted: 0,
+        failed: 0,
+        groups: 0,
+        dryRun
+    };
+
+    try {
+        for (const rule of rules) {
+            let fresh;
+            try {
+                const matches = await findMatches(env, rule, now);
+                fresh = (await dropAlreadyAlerted(env, rule, matches, now)).slice(0, MAX_GROUPS_PER_ALERT);
+            } catch (error) {
+                console.error(`Checking alert "${rule.name}" failed:`, error.message);
+                result.failed++;
+                continue;
+            }
+            if (fresh.length === 0) continue;
+
+            const message = renderAlert(rule, fresh, { appUrl: env.APP_URL });
+
+            try {
+                await transport.send(rule.channel, rule.target, message);
+            } catch (error) {
+                // Record nothing; the next run tries again
+                console.error(`Alert "${rule.name}" (${rule.channel}) failed:`, error.message);
+                result.failed++;
+                continue;
+            }
+
+            if (!dryRun) {
+                try {
+                    await recordAlert(env, rule, fresh, now);
+                } catch (error) {
+                    // Sent but not recorded, so the next run sends it again; carry on with the other rules
+                    console.error(`Alert "${rule.name}" was sent but not recorded:`, error.message);
+                    result.failed++;
+                    continue;
+                }
+            }
+            result.alerted++;
+            result.groups += fresh.length;
+        }
+    } finally {
+        await transport.close?.();
+    }
+
+    return result;
+}
+
+/**
+ * The error groups a rule matches right now, with window_events / window_users
+ * for spikes
+ */
+export async function findMatches(env, rule, now) {
+    const typeFilter = rule.error_type ? `&error_type=eq.${encodeURIComponent(rule.error_type)}` : '';
+    const lookback = new Date(now.getTime() - LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+
+    switch (rule.rule_type) {
+        case 'new_group': {
+            // Errors already known when the rule was created aren't new
+            const since = new Date(Math.max(lookback.getTime(), new Date(rule.created_at).getTime()));
+            return select(env, 'error_groups',
+                `first_seen=gte.${encodeURIComponent(since.toISOString())}&status=neq.ignored${typeFilter}&order=first_seen&limit=${MAX_CANDIDATES}`);
+        }
+        case 'affected_users':
+            return select(env, 'error_groups',
+                `affected_users=gt.${rule.threshold}&last_seen=gte.${encodeURIComponent(lookback.toISOString())}&status=neq.ignored${typeFilter}&order=affected_users.desc&limit=${MAX_CANDIDATES}`);
+        case 'spike': {
+            const since = new Date(now.getTime() - rule.window_minutes * 60 * 1000);
+            return rpc(env, 'get_error_spikes', {
+                p_since: since.toISOString(),
+                p_min_events: rule.threshold,
+                p_error_type: rule.error_type || null
+            }, `limit=${MAX_CANDIDATES}`);
+        }
+        default:
+            console.error(`Alert rule ${rule.id} has unknown type ${rule.rule_type}`);
+            return [];
+    }
+}
+
+/**
+ * Leave out groups this rule has alerted for before: ever, for new errors and
+ * affected users; within the cooldown, for spikes
+ */
+async function dropAlreadyAlerted(env, rule, groups, now) {
+    if (groups.length === 0) return groups;
+
+    let query = `select=group_id&rule_id=eq.${rule.id}&group_id=in.(${groups.map(group => group.id).join(',')})`;
+    if (rule.rule_type === 'spike') {
+        const cooldownStart = new Date(now.getTime() - rule.cooldown_minutes * 60 * 1000);
+        query += `&triggered_at=gte.${encodeURIComponent(cooldownStart.toISOString())}`;
+    }
+
+    const alerted = new Set((await select(env, 'alert_events', query)).map(event => event.group_id));
+    return groups.filter(group => !alerted.has(group.id));
+}
+
+async function recordAlert(env, rule, groups, now) {
+    await write(env, 'POST', 'alert_events', '', groups.map(group => ({
+        rule_id: rule.id,
+        group_id: group.id,
+        triggered_at: now.toISOString(),
+        events: group.window_events ?? group.occurrences,
+        affected_users: group.affected_users
+    })));
+
+    await write(env, 'PATCH', 'alert_rules', `id=eq.${rule.id}`, { last_triggered_at: now.toISOString() });
+}
+
+async function select(env, table, query) {
+    const response = await fetch(`${env.SUPABASE_URL}/rest/v1/${table}?${query.startsWith('select=') ? query : `select=*&${query}`}`, {
+        headers: serviceHeaders(env)
+    });
+
+    if (!response.ok) {
+        const error = await response.text();
+        console.error(`Reading ${table} failed: ${error}`);
+        throw new Error(`Reading ${table} failed: ${response.status}`);
+    }
+
+    return response.json();
+}
+
+async function write(env, method, table, query, body) {
+    const response = await fetch(`${env.SUPABASE_URL}/rest/v1/${table}${query ? `?${query}` : ''}`, {
+        method,
+        headers: {
+            ...serviceHeaders(env),
+            'Prefer': 'return=minimal'
+        },
+        body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+        const error = await response.text();
+        console.error(`Writing ${table} failed: ${error}`);
+        throw new Error(`Writing ${table} failed: ${response.status}`);
+    }
+}
+
+async function rpc(env, name, body, query = '') {
+    const response = await fetch(`${env.SUPABASE_URL}/rest/v1/rpc/${name}${query ? `?${query}` : ''}`, {
+        method: 'POST',
+        headers: serviceHeaders(env),
+        body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+        const error = await response.text();
+        console.error(`${name} failed: ${error}`);
+        throw new Error(`${name} failed: ${response.status}`);
+    }
+
+    return response.json();
+}
+
+function serviceHeaders(env) {
+    return {
+        'apikey': env.SUPABASE_SERVICE_KEY,
+        'Authorization': `Bearer ${env.SUPABASE_SERVICE_KEY}`,
+        'Content-Type': 'application/json'
+    };
+}
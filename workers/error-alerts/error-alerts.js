@@ -0,0 +1,92 @@
+/**
+ * Lectern Error Alerts Worker
+ *
+ * Cloudflare Worker that runs every 15 minutes on a cron schedule and checks
+ * the alert rules admins set up on admin-errors.html: a new error, a spike in
+ * one error (more than N events in a window), or an error affecting more than
+ * M users. Matching errors are sent to the rule's email address or webhook.
+ *
+ * Required environment variables (set in wrangler.toml or Cloudflare dashboard):
+ * - SUPABASE_URL: Your Supabase project URL
+ * - SUPABASE_SERVICE_KEY: Service role key (bypasses RLS)
+ * - APP_URL: Where Lectern is hosted, for links in the alerts
+ * - EMAIL_FROM, SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASSWORD: For email rules
+ *
+ * Optional:
+ * - ALERT_TRANSPORT: 'live' (default) or 'mock' (evaluate only, send nothing)
+ * - SMTP_SECURE: 'true' for TLS from the start (port 465); otherwise STARTTLS
+ */
+
+import { connect } from 'cloudflare:sockets';
+import { runAlerts } from './alerts.js';
+import { createAlertTransport, createMockTransport } from './transports.js';
+
+export default {
+    /**
+     * Scheduled handler - runs on cron trigger
+     */
+    async scheduled(event, env, ctx) {
+        console.log('Checking error alert rules...');
+
+        try {
+            const result = await runAlerts(env, createAlertTransport(env, { connect }), { now: new Date(event.scheduledTime) });
+            console.log(`${result.alerted} of ${result.rules} rules alerted on ${result.groups} errors (${result.failed} failed)`);
+        } catch (error) {
+            console.error('Error alerts failed:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * HTTP handler - allows manual trigger via HTTP request
+     * Protected by checking for admin auth header
+     */
+    async fetch(request, env, ctx) {
+        const url = new URL(request.url);
+
+        // Health check endpoint
+        if (url.pathname === '/health') {
+            return new Response(JSON.stringify({ status: 'ok', timestamp: new Date().toISOString() }), {
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+
+        // Manual trigger endpoint
+        // ?dry-run=true evaluates the rules and returns the alerts without sending or recording them
+        // ?rule=3 only checks that rule
+        if (url.pathname === '/trigger' && request.method === 'POST') {
+            const authHeader = request.headers.get('Authorization');
+            if (!authHeader || authHeader !== `Bearer ${env.ADMIN_API_KEY}`) {
+                return new Response('Unauthorized', { status: 401 });
+            }
+
+            const dryRun = url.searchParams.get('dry-run') === 'true';
+            const ruleId = parseInt(url.searchParams.get('rule')) || null;
+
+            try {
+                const transport = dryRun ? createMockTransport() : createAlertTransport(env, { connect });
+                const result = await runAlerts(env, transport, { dryRun, ruleId });
+
+                return new Response(JSON.stringify({
+                    success: true,
+                    ...result,
+                    ...(dryRun ? { alerts: transport.sent } : {})
+                }, null, 2), {
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            } catch (error) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: error.message
+                }), {
+                    status: 500,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+        }
+
+        return new Response('Lectern Error Alerts Worker\n\nEndpoints:\n- GET /health - Health check\n- POST /trigger[?dry-run=true][&rule=ID] - Check alert rules now (requires auth)', {
+            headers: { 'Content-Type': 'text/plain' }
+        });
+    }
+};
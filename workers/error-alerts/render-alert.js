@@ -0,0 +1,130 @@
+/**
+ * Error alert rendering
+ *
+ * Turns one rule and the error groups it matched into { subject, text, html,
+ * payload }: the email parts, and the JSON a webhook receives (`text` for chat
+ * webhooks such as Slack, plus structured details). Kept free of Worker APIs so
+ * run-local.js can use it too.
+ */
+
+const TITLE_LENGTH = 160;
+
+/**
+ * @param {Object} rule - alert_rules row
+ * @param {Array} groups - Matched error groups (error_groups rows, or get_error_spikes rows)
+ * @param {Object} options
+ * @param {string} options.appUrl - Base URL of the Lectern site, e.g. https://lectern.example.edu
+ */
+export function renderAlert(rule, groups, { appUrl }) {
+    const base = (appUrl || '').replace(/\/$/, '');
+    const entries = groups.map(group => ({
+        id: group.id,
+        title: truncate(group.title),
+        errorType: group.error_type,
+        culprit: group.culprit || null,
+        detail: describe(rule, group),
+        link: `${base}/admin-errors.html?group=${group.id}`
+    }));
+
+    const subject = entries.length === 1
+        ? `Lectern alert: ${headline(rule)}: ${entries[0].title}`
+        : `Lectern alert: ${headline(rule)} (${entries.length} errors)`;
+
+    const intro = `Alert rule "${rule.name}" matched ${entries.length === 1 ? 'an error' : `${entries.length} errors`}.`;
+
+    const text = [
+        intro,
+        '',
+        ...entries.flatMap(entry => [
+            `* [${entry.errorType}] ${entry.title}`,
+            `  ${entry.detail}`,
+            ...(entry.culprit ? [`  in ${entry.culprit}`] : []),
+            `  ${entry.link}`,
+            ''
+        ]),
+        '--',
+        `Manage alert rules: ${base}/admin-errors.html#alert-rules`
+    ].join('\n');
+
+    const html = `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="UTF-8"><title>${escapeHtml(subject)}</title></head>
+<body style="margin: 0; padding: 24px; background: #f5f3ee; font-family: Georgia, 'Times New Roman', serif; color: #2c2c2c;">
+    <div style="max-width: 600px; margin: 0 auto; background: #ffffff; border-radius: 12px; padding: 24px 28px;">
+        <h1 style="margin: 0 0 16px; font-size: 22px; color: #8b1a1a;">Lectern alert</h1>
+        <p style="margin: 0 0 20px;">${escapeHtml(intro)}</p>
+        ${entries.map(entry => `
+        <div style="border-top: 1px solid #e9ecef; padding: 14px 0;">
+            <div style="font-size: 12px; color: #6c757d; text-transform: uppercase; margin-bottom: 4px;">${escapeHtml(entry.errorType)}</div>
+            <div style="font-weight: bold; margin-bottom: 4px; word-break: break-word;">${escapeHtml(entry.title)}</div>
+            <div style="font-size: 14px; margin-bottom: 4px;">${escapeHtml(entry.detail)}</div>
+            ${entry.culprit ? `<div style="font-size: 13px; color: #6c757d; font-family: monospace; margin-bottom: 6px;">${escapeHtml(entry.culprit)}</div>` : ''}
+            <a href="${escapeHtml(entry.link)}" style="font-size: 14px; color: #106470;">View in Lectern &rarr;</a>
+        </div>`).join('')}
+        <p style="border-top: 1px solid #e9ecef; padding-top: 16px; margin: 8px 0 0; font-size: 12px; color: #6c757d;">
+            <a href="${escapeHtml(`${base}/admin-errors.html#alert-rules`)}" style="color: #6c757d;">Manage alert rules</a>
+        </p>
+    </div>
+</body>
+</html>`;
+
+    const payload = {
+        text: `${subject}\n${entries.map(entry => `• ${entry.title} (${entry.detail}) ${entry.link}`).join('\n')}`,
+        rule: { id: rule.id, name: rule.name, type: rule.rule_type, errorType: rule.error_type, threshold: rule.threshold },
+        groups: entries
+    };
+
+    return { subject, text, html, payload };
+}
+
+function headline(rule) {
+    switch (rule.rule_type) {
+        case 'new_group':
+            return 'New error';
+        case 'spike':
+            return `More than ${rule.threshold} events in the last ${formatWindow(rule.window_minutes)}`;
+        case 'affected_users':
+            return `Error affecting more than ${rule.threshold} users`;
+        default:
+            return rule.name;
+    }
+}
+
+function describe(rule, group) {
+    switch (rule.rule_type) {
+        case 'spike':
+            return `${plural(group.window_events, 'event')} from ${plural(group.window_users, 'user')} in the last ${formatWindow(rule.window_minutes)}`;
+        case 'affected_users':
+            return `${plural(group.affected_users, 'user')} affected, ${plural(group.occurrences, 'event')} since ${formatDate(group.first_seen)}`;
+        default:
+            return `First seen ${formatDate(group.first_seen)}, ${plural(group.occurrences, 'event')} so far`;
+    }
+}
+
+function plural(count, word) {
+    return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+function formatWindow(minutes) {
+    if (minutes % 1440 === 0) return minutes === 1440 ? 'day' : `${minutes / 1440} days`;
+    if (minutes % 60 === 0) return minutes === 60 ? 'hour' : `${minutes / 60} hours`;
+    return `${minutes} minutes`;
+}
+
+function formatDate(value) {
+    return new Date(value).toISOString().replace('T', ' ').slice(0, 16) + ' UTC';
+}
+
+function truncate(value) {
+    const text = String(value ?? '').replace(/\s+/g, ' ').trim();
+    return text.length > TITLE_LENGTH ? `${text.slice(0, TITLE_LENGTH).trimEnd()}…` : text;
+}
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+/**
+ * Check the error alert rules from a terminal, for testing rules, alert
+ * rendering and delivery without deploying the Worker.
+ *
+ * Usage:
+ *   SUPABASE_URL=... SUPABASE_SERVICE_KEY=... APP_URL=... \
+ *     node run-local.js [--rule=ID] [--send] [--webhook-port=8787]
+ *
+ * Without --send this is a dry run: alerts are only printed (the mock transport)
+ * and no alert_events are recorded, so it can be repeated. With --send, the live
+ * transport delivers for real and records the alerts as the Worker does: email
+ * through EMAIL_TRANSPORT (file writes .eml files to --out, smtp sends),
+ * webhooks by POST. --webhook-port starts a local
+ * stub that prints whatever is posted to it; point a rule's target at
+ * http://localhost:8787/ to try a webhook rule end to end.
+ */
+
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import net from 'node:net';
+import path from 'node:path';
+import tls from 'node:tls';
+import { Duplex } from 'node:stream';
+import { runAlerts } from './alerts.js';
+import { createAlertTransport } from './transports.js';
+
+const args = Object.fromEntries(process.argv.slice(2).map(arg => {
+    const [key, value] = arg.replace(/^--/, '').split('=');
+    return [key, value ?? true];
+}));
+
+const dryRun = !args.send;
+
+if (dryRun && args.transport && args.transport !== 'mock') {
+    console.warn(`Dry run: printing alerts instead of using the ${args.transport} transport (add --send to deliver)`);
+}
+
+const env = {
+    ...process.env,
+    // A dry run never delivers anything
+    ALERT_TRANSPORT: dryRun ? 'mock' : args.transport || process.env.ALERT_TRANSPORT || 'live',
+    EMAIL_TRANSPORT: process.env.EMAIL_TRANSPORT || 'file'
+};
+
+if (!dryRun && env.ALERT_TRANSPORT === 'mock') {
+    console.error('--send with the mock transport would record alerts nobody received');
+    process.exit(1);
+}
+
+for (const name of ['SUPABASE_URL', 'SUPABASE_SERVICE_KEY']) {
+    if (!env[name]) {
+        console.error(`${name} is not set`);
+        process.exit(1);
+    }
+}
+
+const outDir = path.resolve(args.out || 'outbox');
+
+/**
+ * node:net/tls sockets in the shape cloudflare:sockets returns
+ */
+function connect({ hostname, port }, { secureTransport = 'off' } = {}) {
+    const socket = secureTransport === 'on'
+        ? tls.connect({ host: hostname, port, servername: hostname })
+        : net.connect({ host: hostname, port });
+    const { readable, writable } = Duplex.toWeb(socket);
+
+    return {
+        readable,
+        writable,
+        startTls() {
+            throw new Error('STARTTLS is not supported by run-local.js; set SMTP_SECURE=true or use a local server without credentials');
+        },
+        close() {
+            socket.end();
+        }
+    };
+}
+
+async function writeFile(filename, contents) {
+    await fs.mkdir(outDir, { recursive: true });
+    await fs.writeFile(path.join(outDir, filename), contents);
+}
+
+/**
+ * A webhook receiver that prints each alert posted to it
+ */
+function startWebhookStub(port) {
+    const server = http.createServer((request, response) => {
+        let body = '';
+        request.on('data', chunk => { body += chunk; });
+        request.on('end', () => {
+            console.log(`\n--- Webhook ${request.method} ${request.url}\n${body}`);
+            response.writeHead(200, { 'Content-Type': 'application/json' });
+            response.end('{"ok":true}');
+        });
+    });
+
+    return new Promise(resolve => server.listen(port, () => {
+        console.log(`Webhook stub listening on http://localhost:${port}/`);
+        resolve(server);
+    }));
+}
+
+async function main() {
+    const stub = args['webhook-port'] ? await startWebhookStub(Number(args['webhook-port'])) : null;
+
+    try {
+        const transport = createAlertTransport(env, { connect, writeFile });
+        const result = await runAlerts(env, transport, {
+            dryRun,
+            ruleId: args.rule ? Number(args.rule) : null
+        });
+
+        console.log(JSON.stringify(result, null, 2));
+
+        if (env.ALERT_TRANSPORT === 'mock') {
+            for (const alert of transport.sent) {
+                console.log(`\n--- ${alert.channel} to ${alert.target}\nSubject: ${alert.subject}\n\n${alert.text}`);
+            }
+        }
+    } finally {
+        stub?.close();
+    }
+}
+
+main().catch(error => {
+    console.error('Error alerts failed:', error.message);
+    process.exit(1);
+});
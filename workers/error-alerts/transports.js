@@ -0,0 +1,101 @@
+/**
+ * Alert transports for the error alerts worker
+ *
+ * A transport is any object with:
+ *   send(channel, target, { subject, text, html, payload }) -> Promise<void>  (throws if not delivered)
+ *   close() -> Promise<void>                                                   (optional; called once after a run)
+ *
+ * channel is the rule's 'email' or 'webhook', target its address or URL.
+ *
+ * - live: emails through the notification digest's mail transports
+ *   (EMAIL_TRANSPORT, usually smtp) and POSTs JSON to webhooks
+ * - mock: keeps alerts in memory (`transport.sent`), for dry runs and local testing
+ */
+
+import { createTransport as createEmailTransport } from '../notification-digest/transports.js';
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+/**
+ * Pick the transport named by ALERT_TRANSPORT (default 'live')
+ * @param {Object} env - Worker env / process.env
+ * @param {Object} deps - Passed to the email transport (connect for smtp, writeFile for file)
+ */
+export function createAlertTransport(env, deps = {}) {
+    const kind = (env.ALERT_TRANSPORT || 'live').toLowerCase();
+
+    switch (kind) {
+        case 'live':
+            return createLiveTransport(env, deps);
+        case 'mock':
+            return createMockTransport();
+        default:
+            throw new Error(`Unknown ALERT_TRANSPORT: ${kind}`);
+    }
+}
+
+/**
+ * Keep alerts in memory instead of sending them
+ */
+export function createMockTransport() {
+    const sent = [];
+    return {
+        sent,
+        async send(channel, target, message) {
+            sent.push({ channel, target, ...message });
+        },
+        async close() {}
+    };
+}
+
+/**
+ * Deliver each alert by its rule's channel. The mail connection is only opened
+ * when a rule emails.
+ */
+export function createLiveTransport(env, deps = {}) {
+    let mailer = null;
+
+    return {
+        async send(channel, target, message) {
+            if (channel === 'webhook') {
+                await postWebhook(target, message.payload);
+                return;
+            }
+            if (channel !== 'email') {
+                throw new Error(`Unknown alert channel: ${channel}`);
+            }
+
+            if (!env.EMAIL_FROM) throw new Error('EMAIL_FROM is not set');
+            if (!mailer) mailer = createEmailTransport(env, deps);
+            await mailer.send({
+                from: env.EMAIL_FROM,
+                to: target,
+                subject: message.subject,
+                text: message.text,
+                html: message.html
+            });
+        },
+        async close() {
+            await mailer?.close?.();
+            mailer = null;
+        }
+    };
+}
+
+async function postWebhook(url, payload) {
+    if (!/^https?:\/\//i.test(url)) {
+        throw new Error('Webhook target must be an http(s) URL');
+    }
+
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+        // Don't echo the webhook URL (it's often the secret) into logs
+        throw new Error(`Webhook rejected the alert: ${response.status}`);
+    }
+}
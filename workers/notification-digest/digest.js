@@ -0,0 +1,153 @@
+/**
+ * Notification digest run
+ *
+ * 1. Queue "week unlocked" notifications for weeks that opened since yesterday
+ * 2. Collect unread, un-emailed notifications for users whose digest is due
+ *    (daily digests every run, weekly ones on DIGEST_WEEKDAY)
+ * 3. Render one email per user and send it through the transport
+ * 4. Stamp emailed_at on what was sent, so nothing goes out twice
+ *
+ * Uses only fetch and the transport it's given, so the Worker and run-local.js
+ * share it.
+ */
+
+import { renderDigest } from './render-digest.js';
+
+const PAGE_SIZE = 1000; // PostgREST caps responses, so read in pages
+const DEFAULT_DIGEST_WEEKDAY = 1; // Monday
+
+/**
+ * @param {Object} env - SUPABASE_URL, SUPABASE_SERVICE_KEY, APP_URL, EMAIL_FROM, DIGEST_WEEKDAY
+ * @param {Object} transport - See transports.js
+ * @param {Object} options
+ * @param {Date} [options.now] - Run as of this time (decides whether weekly digests are due)
+ * @param {boolean} [options.dryRun] - Render and hand to the transport, but change nothing in the database
+ * @param {string[]} [options.frequencies] - Override which digests are due, e.g. ['weekly']
+ */
+export async function runDigest(env, transport, { now = new Date(), dryRun = false, frequencies } = {}) {
+    if (!env.EMAIL_FROM) throw new Error('EMAIL_FROM is not set');
+
+    const due = frequencies || dueFrequencies(env, now);
+    const queuedWeekUnlocks = dryRun ? 0 : await rpc(env, 'queue_week_unlock_notifications', {});
+
+    const rows = await fetchPending(env, due);
+    const byUser = groupByUser(rows);
+
+    const result = {
+        frequencies: due,
+        queuedWeekUnlocks,
+        recipients: byUser.size,
+        sent: 0,
+        failed: 0,
+        notifications: 0,
+        dryRun
+    };
+
+    try {
+        for (const items of byUser.values()) {
+            const recipient = { name: items[0].name, email: items[0].email };
+            const message = renderDigest(recipient, items, { appUrl: env.APP_URL });
+
+            try {
+                await transport.send({ from: env.EMAIL_FROM, to: recipient.email, ...message });
+            } catch (error) {
+                // Leave them pending; the next run tries again
+                console.error(`Digest to ${recipient.email} failed:`, error.message);
+                result.failed++;
+                continue;
+            }
+
+            if (!dryRun) {
+                try {
+                    await markEmailed(env, items.map(item => item.id), now);
+                } catch (error) {
+                    // Sent, but still pending, so the next run sends it again
+                    console.error(`Digest to ${recipient.email} was sent but not marked emailed:`, error.message);
+                    result.failed++;
+                    continue;
+                }
+            }
+            result.sent++;
+            result.notifications += items.length;
+        }
+    } finally {
+        await transport.close?.();
+    }
+
+    return result;
+}
+
+/**
+ * Which email_frequency values get a digest on this run
+ */
+export function dueFrequencies(env, now) {
+    const weekday = env.DIGEST_WEEKDAY !== undefined && env.DIGEST_WEEKDAY !== ''
+        ? Number(env.DIGEST_WEEKDAY)
+        : DEFAULT_DIGEST_WEEKDAY;
+
+    return now.getUTCDay() === weekday ? ['daily', 'weekly'] : ['daily'];
+}
+
+/**
+ * All pending rows, read in full before anything is sent (marking rows emailed
+ * while paging would shift the offsets)
+ */
+async function fetchPending(env, frequencies) {
+    const rows = [];
+
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+        const page = await rpc(env, 'get_pending_digest_notifications', { p_frequencies: frequencies }, `limit=${PAGE_SIZE}&offset=${offset}`);
+        rows.push(...page);
+        if (page.length < PAGE_SIZE) return rows;
+    }
+}
+
+function groupByUser(rows) {
+    const byUser = new Map();
+    for (const row of rows) {
+        if (!byUser.has(row.user_id)) byUser.set(row.user_id, []);
+        byUser.get(row.user_id).push(row);
+    }
+    return byUser;
+}
+
+async function markEmailed(env, ids, now) {
+    const response = await fetch(`${env.SUPABASE_URL}/rest/v1/notifications?id=in.(${ids.join(',')})`, {
+        method: 'PATCH',
+        headers: {
+            ...serviceHeaders(env),
+            'Prefer': 'return=minimal'
+        },
+        body: JSON.stringify({ emailed_at: now.toISOString() })
+    });
+
+    if (!response.ok) {
+        const error = await response.text();
+        console.error(`Failed to mark notifications emailed: ${error}`);
+        throw new Error(`Failed to mark notifications emailed: ${response.status}`);
+    }
+}
+
+async function rpc(env, name, body, query = '') {
+    const response = await fetch(`${env.SUPABASE_URL}/rest/v1/rpc/${name}${query ? `?${query}` : ''}`, {
+        method: 'POST',
+        headers: serviceHeaders(env),
+        body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+        const error = await response.text();
+        console.error(`${name} failed: ${error}`);
+        throw new Error(`${name} failed: ${response.status}`);
+    }
+
+    return response.json();
+}
+
+function serviceHeaders(env) {
+    return {
+        'apikey': env.SUPABASE_SERVICE_KEY,
+        'Authorization': `Bearer ${env.SUPABASE_SERVICE_KEY}`,
+        'Content-Type': 'application/json'
+    };
+}
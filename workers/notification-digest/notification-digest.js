@@ -0,0 +1,97 @@
+/**
+ * Lectern Notification Digest Worker
+ *
+ * Cloudflare Worker that runs daily on a cron schedule and emails each user a
+ * digest of their unread notifications (replies to their posts, mentions,
+ * weeks unlocking, instructor posts). Users choose daily, weekly or no digest
+ * on notifications.html; weekly digests go out on DIGEST_WEEKDAY.
+ *
+ * Required environment variables (set in wrangler.toml or Cloudflare dashboard):
+ * - SUPABASE_URL: Your Supabase project URL
+ * - SUPABASE_SERVICE_KEY: Service role key (bypasses RLS)
+ * - EMAIL_FROM: Sender, e.g. "Lectern <noreply@example.edu>"
+ * - APP_URL: Where Lectern is hosted, for links in the emails
+ * - SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASSWORD: SMTP server (EMAIL_TRANSPORT=smtp)
+ *
+ * Optional:
+ * - EMAIL_TRANSPORT: 'smtp' (default) or 'mock' (render only, send nothing)
+ * - SMTP_SECURE: 'true' for TLS from the start (port 465); otherwise STARTTLS
+ * - DIGEST_WEEKDAY: 0-6, Sunday-Saturday (default 1, Monday)
+ */
+
+import { connect } from 'cloudflare:sockets';
+import { runDigest } from './digest.js';
+import { createTransport, createMockTransport } from './transports.js';
+
+export default {
+    /**
+     * Scheduled handler - runs on cron trigger
+     */
+    async scheduled(event, env, ctx) {
+        console.log('Starting notification digest...');
+
+        try {
+            const result = await runDigest(env, createTransport(env, { connect }), { now: new Date(event.scheduledTime) });
+            console.log(`Digest sent to ${result.sent} of ${result.recipients} users (${result.failed} failed, ${result.queuedWeekUnlocks} week unlocks queued)`);
+        } catch (error) {
+            console.error('Notification digest failed:', error);
+            throw error;
+        }
+    },
+
+    /**
+     * HTTP handler - allows manual trigger via HTTP request
+     * Protected by checking for admin auth header
+     */
+    async fetch(request, env, ctx) {
+        const url = new URL(request.url);
+
+        // Health check endpoint
+        if (url.pathname === '/health') {
+            return new Response(JSON.stringify({ status: 'ok', timestamp: new Date().toISOString() }), {
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+
+        // Manual digest trigger endpoint
+        // ?dry-run=true renders the emails and returns them without sending or marking anything
+        // ?frequency=weekly sends weekly digests regardless of the day
+        if (url.pathname === '/trigger' && request.method === 'POST') {
+            const authHeader = request.headers.get('Authorization');
+            if (!authHeader || authHeader !== `Bearer ${env.ADMIN_API_KEY}`) {
+                return new Response('Unauthorized', { status: 401 });
+            }
+
+            const dryRun = url.searchParams.get('dry-run') === 'true';
+            const frequency = url.searchParams.get('frequency');
+
+            try {
+                const transport = dryRun ? createMockTransport() : createTransport(env, { connect });
+                const result = await runDigest(env, transport, {
+                    dryRun,
+                    frequencies: frequency ? [frequency] : undefined
+                });
+
+                return new Response(JSON.stringify({
+                    success: true,
+                    ...result,
+                    ...(dryRun ? { messages: transport.sent } : {})
+                }, null, 2), {
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            } catch (error) {
+                return new Response(JSON.stringify({
+                    success: false,
+                    error: error.message
+                }), {
+                    status: 500,
+                    headers: { 'Content-Type': 'application/json' }
+                });
+            }
+        }
+
+        return new Response('Lectern Notification Digest Worker\n\nEndpoints:\n- GET /health - Health check\n- POST /trigger[?dry-run=true][&frequency=daily|weekly] - Run the digest now (requires auth)', {
+            headers: { 'Content-Type': 'text/plain' }
+        });
+    }
+};
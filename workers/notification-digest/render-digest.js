@@ -0,0 +1,127 @@
+/**
+ * Digest email rendering
+ *
+ * Turns one user's pending notifications (rows from get_pending_digest_notifications)
+ * into { subject, html, text }. Kept free of Worker APIs so run-local.js can use it too.
+ */
+
+const EXCERPT_LENGTH = 200;
+
+/**
+ * @param {Object} recipient - { name, email }
+ * @param {Array} items - Notification rows for this user, oldest first
+ * @param {Object} options
+ * @param {string} options.appUrl - Base URL of the Lectern site, e.g. https://lectern.example.edu
+ */
+export function renderDigest(recipient, items, { appUrl }) {
+    const base = (appUrl || '').replace(/\/$/, '');
+    const entries = items.map(item => ({
+        heading: describe(item),
+        context: item.module_title ? `${item.module_title}${item.week_number ? ` · Week ${item.week_number}` : ''}` : '',
+        excerpt: item.post_content ? excerpt(item.post_content) : '',
+        link: linkFor(item, base)
+    }));
+
+    const subject = entries.length === 1
+        ? `Lectern: ${entries[0].heading}`
+        : `Lectern: ${entries.length} new notifications`;
+
+    const greeting = `Hi ${recipient.name || recipient.email},`;
+    const intro = "Here's what happened in your modules since your last digest.";
+    const settingsUrl = `${base}/notifications.html`;
+
+    const text = [
+        greeting,
+        '',
+        intro,
+        '',
+        ...entries.flatMap(entry => [
+            `* ${entry.heading}`,
+            ...(entry.context ? [`  ${entry.context}`] : []),
+            ...(entry.excerpt ? [`  "${entry.excerpt}"`] : []),
+            `  ${entry.link}`,
+            ''
+        ]),
+        '--',
+        `Change how often you get these emails: ${settingsUrl}`
+    ].join('\n');
+
+    const html = `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="UTF-8"><title>${escapeHtml(subject)}</title></head>
+<body style="margin: 0; padding: 24px; background: #f5f3ee; font-family: Georgia, 'Times New Roman', serif; color: #2c2c2c;">
+    <div style="max-width: 600px; margin: 0 auto; background: #ffffff; border-radius: 12px; padding: 24px 28px;">
+        <h1 style="margin: 0 0 16px; font-size: 22px; color: #106470;">Lectern</h1>
+        <p style="margin: 0 0 8px;">${escapeHtml(greeting)}</p>
+        <p style="margin: 0 0 20px;">${escapeHtml(intro)}</p>
+        ${entries.map(entry => `
+        <div style="border-top: 1px solid #e9ecef; padding: 14px 0;">
+            <div style="font-weight: bold; margin-bottom: 4px;">${escapeHtml(entry.heading)}</div>
+            ${entry.context ? `<div style="font-size: 13px; color: #6c757d; margin-bottom: 6px;">${escapeHtml(entry.context)}</div>` : ''}
+            ${entry.excerpt ? `<div style="font-size: 14px; line-height: 1.5; padding: 8px 12px; background: #f8f9fa; border-radius: 6px; margin-bottom: 8px;">${escapeHtml(entry.excerpt)}</div>` : ''}
+            <a href="${escapeHtml(entry.link)}" style="font-size: 14px; color: #106470;">Open in Lectern &rarr;</a>
+        </div>`).join('')}
+        <p style="border-top: 1px solid #e9ecef; padding-top: 16px; margin: 8px 0 0; font-size: 12px; color: #6c757d;">
+            <a href="${escapeHtml(settingsUrl)}" style="color: #6c757d;">Change how often you get these emails</a>
+        </p>
+    </div>
+</body>
+</html>`;
+
+    return { subject, html, text };
+}
+
+function describe(item) {
+    const actor = item.actor_name || 'Someone';
+    switch (item.type) {
+        case 'reply':
+            return `${actor} replied to your post`;
+        case 'mention':
+            return `${actor} mentioned you`;
+        case 'week_unlocked':
+            return `Week ${item.week_number}: ${item.week_title} is now open`;
+        case 'instructor_post':
+            return `${actor} posted in Week ${item.week_number}`;
+        default:
+            return 'New activity';
+    }
+}
+
+/**
+ * Deep link into the week viewer (the post itself when there is one)
+ */
+function linkFor(item, base) {
+    if (!item.module_id || !item.week_number) return `${base}/index.html`;
+
+    const params = new URLSearchParams({ module: item.module_id, week: item.week_number, page: item.page_number || 1 });
+    const anchor = item.post_id ? `#post-${item.post_id}` : '';
+    return `${base}/week-viewer.html?${params}${anchor}`;
+}
+
+/**
+ * Post content is stored as rich-text HTML; the digest shows a plain-text excerpt
+ */
+function excerpt(content) {
+    const plain = content
+        .replace(/<br\s*\/?>|<\/p>|<\/li>/gi, ' ')
+        .replace(/<[^>]*>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, '&')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    return plain.length > EXCERPT_LENGTH ? `${plain.slice(0, EXCERPT_LENGTH).trimEnd()}…` : plain;
+}
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
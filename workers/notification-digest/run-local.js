@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+/**
+ * Run the notification digest from a terminal, for testing templates and SMTP
+ * settings without deploying the Worker.
+ *
+ * Usage:
+ *   SUPABASE_URL=... SUPABASE_SERVICE_KEY=... EMAIL_FROM=... APP_URL=... \
+ *     node run-local.js [--transport=file|mock|smtp] [--out=./outbox] [--send] [--frequency=daily|weekly]
+ *
+ * Without --send this is a dry run: nothing is queued or marked emailed, so it can
+ * be repeated. The file transport (the default) writes one .eml per email to --out.
+ * The smtp transport connects with plain TCP or TLS from the start (SMTP_SECURE=true);
+ * STARTTLS is only available in the Worker. A local catcher such as Mailpit on
+ * port 1025 works without credentials.
+ */
+
+import fs from 'node:fs/promises';
+import net from 'node:net';
+import path from 'node:path';
+import tls from 'node:tls';
+import { Duplex } from 'node:stream';
+import { runDigest } from './digest.js';
+import { createTransport } from './transports.js';
+
+const args = Object.fromEntries(process.argv.slice(2).map(arg => {
+    const [key, value] = arg.replace(/^--/, '').split('=');
+    return [key, value ?? true];
+}));
+
+const env = {
+    ...process.env,
+    EMAIL_TRANSPORT: args.transport || process.env.EMAIL_TRANSPORT || 'file'
+};
+
+for (const name of ['SUPABASE_URL', 'SUPABASE_SERVICE_KEY', 'EMAIL_FROM']) {
+    if (!env[name]) {
+        console.error(`${name} is not set`);
+        process.exit(1);
+    }
+}
+
+const outDir = path.resolve(args.out || 'outbox');
+
+/**
+ * node:net/tls sockets in the shape cloudflare:sockets returns
+ */
+function connect({ hostname, port }, { secureTransport = 'off' } = {}) {
+    const socket = secureTransport === 'on'
+        ? tls.connect({ host: hostname, port, servername: hostname })
+        : net.connect({ host: hostname, port });
+    const { readable, writable } = Duplex.toWeb(socket);
+
+    return {
+        readable,
+        writable,
+        startTls() {
+            throw new Error('STARTTLS is not supported by run-local.js; set SMTP_SECURE=true or use a local server without credentials');
+        },
+        close() {
+            socket.end();
+        }
+    };
+}
+
+async function writeFile(filename, contents) {
+    await fs.mkdir(outDir, { recursive: true });
+    await fs.writeFile(path.join(outDir, filename), contents);
+}
+
+async function main() {
+    const transport = createTransport(env, { connect, writeFile });
+    const result = await runDigest(env, transport, {
+        dryRun: !args.send,
+        frequencies: args.frequency ? [args.frequency] : undefined
+    });
+
+    console.log(JSON.stringify(result, null, 2));
+
+    if (env.EMAIL_TRANSPORT === 'mock') {
+        for (const message of transport.sent) {
+            console.log(`\n--- To: ${message.to}\nSubject: ${message.subject}\n\n${message.text}`);
+        }
+    } else if (env.EMAIL_TRANSPORT === 'file' && result.sent > 0) {
+        console.log(`Wrote ${result.sent} email(s) to ${outDir}`);
+    }
+}
+
+main().catch(error => {
+    console.error('Digest failed:', error.message);
+    process.exit(1);
+});
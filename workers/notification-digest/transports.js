@@ -0,0 +1,320 @@
+/**
+ * Email transports for the notification digest
+ *
+ * A transport is any object with:
+ *   send({ from, to, subject, text, html }) -> Promise<void>  (throws if the message wasn't accepted)
+ *   close() -> Promise<void>                                   (optional; called once after a run)
+ *
+ * - smtp: speaks SMTP over a socket from the `connect` function it's given
+ *   (cloudflare:sockets in the Worker, a node:net/tls adapter in run-local.js)
+ * - file: writes each message as an .eml file through the `writeFile` it's given
+ * - mock: keeps messages in memory (`transport.sent`), for dry runs
+ */
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+/**
+ * Pick the transport named by EMAIL_TRANSPORT (default 'smtp')
+ * @param {Object} env - Worker env / process.env
+ * @param {Object} deps
+ * @param {Function} [deps.connect] - Socket factory with the cloudflare:sockets signature (smtp)
+ * @param {Function} [deps.writeFile] - (filename, contents) => Promise (file)
+ */
+export function createTransport(env, { connect, writeFile } = {}) {
+    const kind = (env.EMAIL_TRANSPORT || 'smtp').toLowerCase();
+
+    switch (kind) {
+        case 'smtp':
+            if (!connect) throw new Error('The smtp transport needs a socket connect function');
+            return createSmtpTransport({
+                host: env.SMTP_HOST,
+                port: Number(env.SMTP_PORT) || 587,
+                secure: env.SMTP_SECURE === 'true',
+                username: env.SMTP_USER,
+                password: env.SMTP_PASSWORD,
+                connect
+            });
+        case 'file':
+            if (!writeFile) throw new Error('The file transport needs a writeFile function (see run-local.js)');
+            return createFileTransport({ writeFile });
+        case 'mock':
+            return createMockTransport();
+        default:
+            throw new Error(`Unknown EMAIL_TRANSPORT: ${kind}`);
+    }
+}
+
+/**
+ * Keep messages in memory instead of sending them
+ */
+export function createMockTransport() {
+    const sent = [];
+    return {
+        sent,
+        async send(message) {
+            sent.push(message);
+        },
+        async close() {}
+    };
+}
+
+/**
+ * Write each message as an .eml file (open it in any mail client to check rendering)
+ */
+export function createFileTransport({ writeFile }) {
+    let count = 0;
+    return {
+        async send(message) {
+            count++;
+            const safeTo = message.to.replace(/[^a-z0-9@._-]/gi, '_');
+            const filename = `${new Date().toISOString().replace(/[:.]/g, '-')}-${String(count).padStart(3, '0')}-${safeTo}.eml`;
+            await writeFile(filename, buildMimeMessage(message));
+        },
+        async close() {}
+    };
+}
+
+/**
+ * Send through an SMTP server. One connection is opened on the first message and
+ * reused for the rest of the run; a message the server rejects doesn't affect
+ * the ones after it, and a broken connection is reopened for the next message.
+ * @param {Object} options
+ * @param {boolean} options.secure - TLS from the start (port 465); otherwise STARTTLS when offered
+ */
+export function createSmtpTransport({ host, port = 587, secure = false, username, password, connect }) {
+    if (!host) throw new Error('SMTP_HOST is not set');
+
+    let session = null;
+
+    async function open() {
+        const socket = connect({ hostname: host, port }, { secureTransport: secure ? 'on' : 'starttls', allowHalfOpen: false });
+        const conn = new SmtpConnection(socket);
+
+        try {
+            await greet(conn, socket);
+        } catch (error) {
+            conn.close();
+            throw error;
+        }
+
+        return conn;
+    }
+
+    async function greet(conn, socket) {
+        await conn.expect(220);
+        let hello = await conn.command(`EHLO ${helloName(host)}`, [250]);
+
+        if (!secure) {
+            if (hello.lines.some(line => /STARTTLS/i.test(line))) {
+                await conn.command('STARTTLS', [220]);
+                conn.upgrade(socket.startTls());
+                hello = await conn.command(`EHLO ${helloName(host)}`, [250]);
+            } else if (username) {
+                // Never send credentials in the clear
+                throw new Error(`SMTP server ${host} does not offer STARTTLS; set SMTP_SECURE=true or drop SMTP_USER for a local test server`);
+            }
+        }
+
+        if (username) {
+            const credentials = base64(`\u0000${username}\u0000${password || ''}`);
+            await conn.command(`AUTH PLAIN ${credentials}`, [235]);
+        }
+    }
+
+    /**
+     * Abandon the current transaction so the next MAIL FROM is accepted.
+     * Returns false if the connection can't be reset (it's then dropped).
+     */
+    async function reset() {
+        try {
+            await session.command('RSET', [250]);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    function drop() {
+        session.close();
+        session = null;
+    }
+
+    return {
+        async send(message) {
+            if (!session) session = await open();
+
+            try {
+                await session.command(`MAIL FROM:<${addressOf(message.from)}>`, [250]);
+                await session.command(`RCPT TO:<${addressOf(message.to)}>`, [250, 251]);
+                await session.command('DATA', [354]);
+
+                // Lines starting with a dot are escaped by doubling it (RFC 5321 4.5.2)
+                const body = buildMimeMessage(message).replace(/^\./gm, '..');
+                await session.command(`${body}\r\n.`, [250]);
+            } catch (error) {
+                // One rejected recipient mustn't fail every later message in the run:
+                // reset after a rejection, and reconnect on the next message after
+                // anything else (the connection may be gone or out of step)
+                if (!error.smtpReply || !(await reset())) drop();
+                throw error;
+            }
+        },
+        async close() {
+            if (!session) return;
+            try {
+                await session.command('QUIT', [221]);
+            } finally {
+                session.close();
+                session = null;
+            }
+        }
+    };
+}
+
+/**
+ * Line-oriented SMTP command/reply over a socket's web streams
+ */
+class SmtpConnection {
+    constructor(socket) {
+        this.buffer = '';
+        this.attach(socket);
+    }
+
+    attach(socket) {
+        this.socket = socket;
+        this.reader = socket.readable.getReader();
+        this.writer = socket.writable.getWriter();
+    }
+
+    /**
+     * Switch to the TLS socket returned by startTls()
+     */
+    upgrade(tlsSocket) {
+        this.reader.releaseLock();
+        this.writer.releaseLock();
+        this.buffer = '';
+        this.attach(tlsSocket);
+    }
+
+    async readReply() {
+        const lines = [];
+        for (;;) {
+            const end = this.buffer.indexOf('\r\n');
+            if (end >= 0) {
+                const line = this.buffer.slice(0, end);
+                this.buffer = this.buffer.slice(end + 2);
+                lines.push(line);
+                // "250-..." continues a multi-line reply, "250 ..." ends it
+                if (line[3] !== '-') {
+                    return { code: Number(line.slice(0, 3)), lines };
+                }
+                continue;
+            }
+
+            const { value, done } = await this.reader.read();
+            if (done) throw new Error('SMTP connection closed unexpectedly');
+            this.buffer += decoder.decode(value, { stream: true });
+        }
+    }
+
+    async expect(...codes) {
+        const reply = await this.readReply();
+        if (!codes.includes(reply.code)) {
+            throw rejection(`SMTP error: ${reply.lines.join(' ')}`, reply);
+        }
+        return reply;
+    }
+
+    async command(line, codes) {
+        await this.writer.write(encoder.encode(`${line}\r\n`));
+        const reply = await this.readReply();
+        if (!codes.includes(reply.code)) {
+            // Don't echo message bodies or credentials into logs
+            const verb = line.split(/[\s:]/)[0].slice(0, 10);
+            throw rejection(`SMTP ${verb} rejected: ${reply.lines.join(' ')}`, reply);
+        }
+        return reply;
+    }
+
+    close() {
+        try {
+            this.socket.close();
+        } catch (e) {
+            // Already closed
+        }
+    }
+}
+
+/**
+ * Error for a reply the server sent but we didn't expect. The connection is
+ * still in step (the whole reply was read), unlike after a socket error.
+ */
+function rejection(message, reply) {
+    const error = new Error(message);
+    error.smtpReply = reply;
+    return error;
+}
+
+/**
+ * Render a message as RFC 5322 text: multipart/alternative with text and HTML parts
+ */
+export function buildMimeMessage({ from, to, subject, text, html }) {
+    const boundary = `lectern-${crypto.randomUUID()}`;
+    const domain = addressOf(from).split('@')[1] || 'lectern.local';
+
+    const headers = [
+        `From: ${from}`,
+        `To: ${to}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+        'MIME-Version: 1.0',
+        `Content-Type: multipart/alternative; boundary="${boundary}"`
+    ];
+
+    const part = (type, content) => [
+        `--${boundary}`,
+        `Content-Type: ${type}; charset=utf-8`,
+        'Content-Transfer-Encoding: base64',
+        '',
+        wrap(base64(content))
+    ].join('\r\n');
+
+    return [
+        headers.join('\r\n'),
+        '',
+        part('text/plain', text),
+        part('text/html', html),
+        `--${boundary}--`
+    ].join('\r\n');
+}
+
+/**
+ * "Lectern <noreply@example.edu>" -> "noreply@example.edu"
+ */
+function addressOf(value) {
+    const match = /<([^>]+)>/.exec(value);
+    return (match ? match[1] : value).trim();
+}
+
+function helloName(host) {
+    return host.includes('.') ? host.split('.').slice(1).join('.') : 'localhost';
+}
+
+function encodeHeader(value) {
+    return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${base64(value)}?=`;
+}
+
+function base64(value) {
+    const bytes = encoder.encode(value);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function wrap(value, width = 76) {
+    return value.match(new RegExp(`.{1,${width}}`, 'g'))?.join('\r\n') || '';
+}
@@ -2,30 +2,63 @@
  * Lectern Scheduled Backup Worker
  *
  * Cloudflare Worker that runs on a cron schedule to backup Supabase data to R2.
- * Keeps the last 7 daily backups and deletes older ones.
+ *
+ * Backups form chains: a full snapshot followed by smaller snapshots holding only
+ * rows created or updated since an earlier snapshot ("incremental": since the
+ * previous snapshot, "differential": since the full one). Every snapshot also
+ * records the ids still present in each table, so deletions survive a restore.
+ * manifest.json in the bucket indexes the chains; scripts/restore-db.js rebuilds
+ * state from a full snapshot plus its chain.
  *
  * Required environment variables (set in wrangler.toml or Cloudflare dashboard):
  * - SUPABASE_URL: Your Supabase project URL
  * - SUPABASE_SERVICE_KEY: Service role key (bypasses RLS)
  * - R2_BUCKET: R2 bucket binding name (configured in wrangler.toml)
+ *
+ * Optional:
+ * - BACKUP_MODE: 'incremental' (default) or 'differential'
+ * - FULL_BACKUP_INTERVAL_DAYS: Days between full snapshots (default 7)
  */
 
+// Tables in foreign key order, with the timestamp columns that mark a row as changed
 const TABLES = [
-    'users',
-    'modules',
-    'module_zoom_info',
-    'weeks',
-    'pages',
-    'questions',
-    'resources',
-    'videos',
-    'enrollments',
-    'progress',
-    'discussion_posts'
+    { name: 'users', changedColumns: ['created_at', 'updated_at'] },
+    { name: 'modules', changedColumns: ['created_at', 'updated_at'] },
+    { name: 'module_zoom_info', changedColumns: ['created_at', 'updated_at'] },
+    { name: 'weeks', changedColumns: ['created_at', 'updated_at'] },
+    { name: 'pages', changedColumns: ['created_at', 'updated_at'] },
+    { name: 'questions', changedColumns: ['created_at', 'updated_at'] },
+    { name: 'resources', changedColumns: ['created_at', 'updated_at'] },
+    { name: 'videos', changedColumns: ['created_at', 'updated_at'] },
+    { name: 'enrollments', changedColumns: ['enrolled_at', 'updated_at'] },
+    { name: 'roster_entries', changedColumns: ['created_at', 'updated_at'] },
+    { name: 'module_invites', changedColumns: ['created_at', 'updated_at'] },
+    { name: 'progress', changedColumns: ['updated_at'] },
+    { name: 'discussion_posts', changedColumns: ['created_at', 'updated_at'] },
+    { name: 'post_flags', changedColumns: ['created_at', 'resolved_at'] },
+    { name: 'post_revisions', changedColumns: ['created_at'] },
+    { name: 'discussion_reads', changedColumns: ['last_seen_at'] },
+    { name: 'notifications', changedColumns: ['created_at', 'read_at', 'emailed_at'] },
+    { name: 'notification_preferences', changedColumns: ['updated_at'] },
+    { name: 'post_mentions', changedColumns: ['created_at'] },
+    { name: 'responses', changedColumns: ['created_at', 'updated_at'] },
+    { name: 'alert_rules', changedColumns: ['created_at', 'updated_at'] },
+    { name: 'audit_log', changedColumns: ['created_at'] },
+    { name: 'alert_events', changedColumns: ['triggered_at'] }
     // Note: error_logs excluded from backups - not critical data
 ];
 
-const MAX_BACKUPS = 7; // Keep last 7 daily backups
+const TABLE_NAMES = TABLES.map(t => t.name);
+
+const MANIFEST_KEY = 'manifest.json';
+const MAX_CHAINS = 2; // Keep the current chain and the one before it
+const DEFAULT_FULL_BACKUP_INTERVAL_DAYS = 7;
+const PAGE_SIZE = 1000; // PostgREST caps responses, so export in pages
+// How far before its start a snapshot's cursor is set. Rows are stamped with the
+// database's NOW() (when their transaction began, not when it committed) and the
+// Worker's clock can differ from the database's, so the next snapshot looks back
+// this far; rows it picks up twice are simply applied twice on restore.
+const CURSOR_OVERLAP_MS = 10 * 60 * 1000;
 
 export default {
     /**
@@ -35,26 +68,8 @@ export default {
         console.log('Starting scheduled backup...');
 
         try {
-            const backup = await createBackup(env);
-            const filename = `backup-${getTimestamp()}.json`;
-
-            // Save to R2
-            await env.BACKUP_BUCKET.put(filename, JSON.stringify(backup, null, 2), {
-                httpMetadata: {
-                    contentType: 'application/json',
-                },
-                customMetadata: {
-                    created: new Date().toISOString(),
-                    tables: TABLES.length.toString(),
-                    totalRows: Object.values(backup.data).reduce((sum, arr) => sum + arr.length, 0).toString()
-                }
-            });
-
-            console.log(`Backup saved: ${filename}`);
-
-            // Clean up old backups
-            await cleanupOldBackups(env);
-
+            const result = await runBackup(env);
+            console.log(`Backup saved: ${result.filename} (${result.type})`);
             console.log('Scheduled backup completed successfully');
         } catch (error) {
             console.error('Backup failed:', error);
@@ -90,7 +105,20 @@ export default {
             });
         }
 
-        // Manual backup trigger endpoint
+        // Backup chain manifest endpoint
+        if (url.pathname === '/manifest') {
+            const authHeader = request.headers.get('Authorization');
+            if (!authHeader || authHeader !== `Bearer ${env.ADMIN_API_KEY}`) {
+                return new Response('Unauthorized', { status: 401 });
+            }
+
+            const manifest = await loadManifest(env);
+            return new Response(JSON.stringify(manifest, null, 2), {
+                headers: { 'Content-Type': 'application/json' }
+            });
+        }
+
+        // Manual backup trigger endpoint (?type=full forces a new chain)
         if (url.pathname === '/trigger' && request.method === 'POST') {
             const authHeader = request.headers.get('Authorization');
             if (!authHeader || authHeader !== `Bearer ${env.ADMIN_API_KEY}`) {
@@ -98,28 +126,14 @@ export default {
             }
 
             try {
-                const backup = await createBackup(env);
-                const filename = `backup-${getTimestamp()}.json`;
-
-                await env.BACKUP_BUCKET.put(filename, JSON.stringify(backup, null, 2), {
-                    httpMetadata: {
-                        contentType: 'application/json',
-                    },
-                    customMetadata: {
-                        created: new Date().toISOString(),
-                        tables: TABLES.length.toString(),
-                        totalRows: Object.values(backup.data).reduce((sum, arr) => sum + arr.length, 0).toString(),
-                        manual: 'true'
-                    }
+                const result = await runBackup(env, {
+                    forceFull: url.searchParams.get('type') === 'full',
+                    manual: true
                 });
 
-                await cleanupOldBackups(env);
-
                 return new Response(JSON.stringify({
                     success: true,
-                    filename,
-                    tables: TABLES.length,
-                    totalRows: Object.values(backup.data).reduce((sum, arr) => sum + arr.length, 0)
+                    ...result
                 }), {
                     headers: { 'Content-Type': 'application/json' }
                 });
@@ -156,31 +170,148 @@ export default {
             });
         }
 
-        return new Response('Lectern Backup Worker\n\nEndpoints:\n- GET /health - Health check\n- GET /backups - List backups (requires auth)\n- POST /trigger - Manual backup (requires auth)\n- GET /download/:filename - Download backup (requires auth)', {
+        return new Response('Lectern Backup Worker\n\nEndpoints:\n- GET /health - Health check\n- GET /backups - List backups (requires auth)\n- GET /manifest - Backup chains (requires auth)\n- POST /trigger[?type=full] - Manual backup (requires auth)\n- GET /download/:filename - Download backup (requires auth)', {
             headers: { 'Content-Type': 'text/plain' }
         });
     }
 };
 
 /**
- * Create a full backup of all tables
+ * Take the next snapshot in the current chain (or start a new chain with a full
+ * snapshot), save it to R2 and record it in the manifest
+ */
+async function runBackup(env, { forceFull = false, manual = false } = {}) {
+    // Rows changed while the export runs (or just before) are picked up again by the next snapshot
+    const cursor = new Date(Date.now() - CURSOR_OVERLAP_MS).toISOString();
+
+    const manifest = await loadManifest(env);
+    const chain = manifest.chains[manifest.chains.length - 1];
+    const type = forceFull || needsFullBackup(chain, env) ? 'full' : getBackupMode(env);
+
+    // Incrementals build on the previous snapshot, differentials on the full one
+    const parent = type === 'full'
+        ? null
+        : type === 'incremental' ? chain.snapshots[chain.snapshots.length - 1] : chain.snapshots[0];
+
+    const backup = await createBackup(env, {
+        type,
+        since: parent?.cursor || null,
+        base: chain && parent ? chain.snapshots[0].key : null,
+        parent: parent?.key || null,
+        cursor
+    });
+
+    const filename = `backup-${getTimestamp()}-${type}.json`;
+    const totalRows = Object.values(backup.data).reduce((sum, arr) => sum + arr.length, 0);
+
+    await env.BACKUP_BUCKET.put(filename, JSON.stringify(backup, null, 2), {
+        httpMetadata: {
+            contentType: 'application/json',
+        },
+        customMetadata: {
+            created: backup.metadata.created_at,
+            type,
+            tables: TABLES.length.toString(),
+            totalRows: totalRows.toString(),
+            ...(manual ? { manual: 'true' } : {})
+        }
+    });
+
+    const entry = {
+        key: filename,
+        type,
+        created_at: backup.metadata.created_at,
+        cursor,
+        since: backup.metadata.since,
+        parent: backup.metadata.parent,
+        rows: totalRows
+    };
+
+    if (type === 'full') {
+        manifest.chains.push({ base: filename, snapshots: [entry] });
+    } else {
+        chain.snapshots.push(entry);
+    }
+
+    await cleanupOldChains(env, manifest);
+    await saveManifest(env, manifest);
+
+    return {
+        filename,
+        type,
+        parent: entry.parent,
+        tables: TABLES.length,
+        totalRows
+    };
+}
+
+function getBackupMode(env) {
+    return env.BACKUP_MODE === 'differential' ? 'differential' : 'incremental';
+}
+
+/**
+ * A new chain starts when there is none yet or its full snapshot is too old
+ */
+function needsFullBackup(chain, env) {
+    if (!chain) return true;
+
+    const intervalDays = Number(env.FULL_BACKUP_INTERVAL_DAYS) || DEFAULT_FULL_BACKUP_INTERVAL_DAYS;
+    const fullAge = Date.now() - new Date(chain.snapshots[0].created_at).getTime();
+    return fullAge >= intervalDays * 24 * 60 * 60 * 1000;
+}
+
+/**
+ * Create a snapshot. Full snapshots hold every row; incremental and differential
+ * ones hold rows changed since `since` plus the ids present in each table.
  */
-async function createBackup(env) {
+async function createBackup(env, { type, since, base, parent, cursor }) {
     const backup = {
         metadata: {
             created_at: new Date().toISOString(),
             supabase_url: env.SUPABASE_URL,
-            tables: TABLES,
-            version: '1.0',
-            source: 'cloudflare-worker'
+            tables: TABLE_NAMES,
+            version: '2.0',
+            source: 'cloudflare-worker',
+            type,
+            since,
+            base,
+            parent,
+            cursor
         },
         data: {}
     };
 
+    if (type !== 'full') {
+        backup.ids = {};
+    }
+
     for (const table of TABLES) {
-        console.log(`Exporting table: ${table}`);
+        console.log(`Exporting table: ${table.name}`);
+
+        if (type === 'full') {
+            backup.data[table.name] = await fetchAllRows(env, table.name, 'select=*');
+        } else {
+            const changedSince = table.changedColumns.map(column => `${column}.gte."${since}"`).join(',');
+            backup.data[table.name] = await fetchAllRows(env, table.name, `select=*&or=(${encodeURIComponent(changedSince)})`);
+            backup.ids[table.name] = (await fetchAllRows(env, table.name, 'select=id')).map(row => row.id);
+        }
+
+        console.log(`  ${table.name}: ${backup.data[table.name].length} rows`);
+    }
+
+    backup.metadata.total_rows = Object.values(backup.data).reduce((sum, arr) => sum + arr.length, 0);
+
+    return backup;
+}
+
+/**
+ * Fetch every matching row of a table, a page at a time
+ */
+async function fetchAllRows(env, table, query) {
+    const rows = [];
 
-        const response = await fetch(`${env.SUPABASE_URL}/rest/v1/${table}?select=*`, {
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+        const response = await fetch(`${env.SUPABASE_URL}/rest/v1/${table}?${query}&order=id.asc&limit=${PAGE_SIZE}&offset=${offset}`, {
             headers: {
                 'apikey': env.SUPABASE_SERVICE_KEY,
                 'Authorization': `Bearer ${env.SUPABASE_SERVICE_KEY}`,
@@ -194,12 +325,30 @@ async function createBackup(env) {
             throw new Error(`Failed to export ${table}: ${response.status}`);
         }
 
-        const data = await response.json();
-        backup.data[table] = data;
-        console.log(`  ${table}: ${data.length} rows`);
+        const page = await response.json();
+        rows.push(...page);
+        if (page.length < PAGE_SIZE) return rows;
     }
+}
 
-    return backup;
+/**
+ * Read the chain manifest from R2
+ */
+async function loadManifest(env) {
+    const object = await env.BACKUP_BUCKET.get(MANIFEST_KEY);
+    if (!object) {
+        return { version: 1, updated_at: null, chains: [] };
+    }
+    return object.json();
+}
+
+async function saveManifest(env, manifest) {
+    manifest.updated_at = new Date().toISOString();
+    await env.BACKUP_BUCKET.put(MANIFEST_KEY, JSON.stringify(manifest, null, 2), {
+        httpMetadata: {
+            contentType: 'application/json',
+        }
+    });
 }
 
 /**
@@ -217,26 +366,22 @@ async function listBackups(env) {
 }
 
 /**
- * Delete backups older than MAX_BACKUPS
+ * Delete whole chains beyond MAX_CHAINS (an incremental is useless without its full)
  */
-async function cleanupOldBackups(env) {
-    const listed = await env.BACKUP_BUCKET.list({ prefix: 'backup-' });
-
-    // Sort by upload date, newest first
-    const sorted = listed.objects.sort((a, b) =>
-        new Date(b.uploaded) - new Date(a.uploaded)
-    );
+async function cleanupOldChains(env, manifest) {
+    if (manifest.chains.length <= MAX_CHAINS) return;
 
-    // Delete backups beyond MAX_BACKUPS
-    if (sorted.length > MAX_BACKUPS) {
-        const toDelete = sorted.slice(MAX_BACKUPS);
-        console.log(`Cleaning up ${toDelete.length} old backups...`);
+    const toDelete = manifest.chains.slice(0, manifest.chains.length - MAX_CHAINS);
+    console.log(`Cleaning up ${toDelete.length} old backup chain(s)...`);
 
-        for (const obj of toDelete) {
-            console.log(`  Deleting: ${obj.key}`);
-            await env.BACKUP_BUCKET.delete(obj.key);
+    for (const chain of toDelete) {
+        for (const snapshot of chain.snapshots) {
+            console.log(`  Deleting: ${snapshot.key}`);
+            await env.BACKUP_BUCKET.delete(snapshot.key);
         }
     }
+
+    manifest.chains = manifest.chains.slice(-MAX_CHAINS);
 }
 
 /**